@@ -65,14 +65,13 @@ const syncDatabase = async () => {
     // If the error is due to foreign key constraints, we need to handle it differently
     if (error.name === 'SequelizeForeignKeyConstraintError') {
       try {
-        const { User, Configuration, IngestionPoint, ImportJob, S3Bucket } = require('../models');
-        
-        // Try to create tables individually with force: false
-        await User.sync({ force: false });
-        await Configuration.sync({ force: false });
-        await IngestionPoint.sync({ force: false });
-        await ImportJob.sync({ force: false });
-        await S3Bucket.sync({ force: false });
+        // Try to create tables individually with force: false, every registered model with referenced tables first
+        // (the topological sort lists referencing models first)
+        const sorted = sequelize.modelManager.getModelsTopoSortedByForeignKey();
+        const models = sorted ? sorted.reverse() : Object.values(sequelize.models);
+        for (const model of models) {
+          await model.sync({ force: false });
+        }
       } catch (individualError) {
         console.error('❌ Failed to create tables individually:', individualError);
         
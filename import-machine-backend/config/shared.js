@@ -1,25 +1,53 @@
 // Shared configuration storage for the backend
 // This ensures all routes use the same configuration data from the database
 
+// The API token and the S3 secret access key are stored encrypted when the server has a master key; everything
+// read through getConfig has them decrypted, and GET responses show them masked with toSafeConfig.
+
 const { Configuration } = require('../models');
+const secretEncryptionService = require('../services/secretEncryptionService');
+
+// A stored secret is bound to its user and field, so a value copied to another row does not decrypt
+const secretContext = (userId, field) => `configurations:${userId}:${field}`;
 
-// Function to get current configuration for a specific user
+// Apply a function to both secrets of a configuration
+const mapSecrets = (userId, config, transform) => ({
+  ...config,
+  apiToken: transform(config.apiToken, secretContext(userId, 'apiToken')),
+  s3Settings: {
+    ...config.s3Settings,
+    secretAccessKey: transform(config.s3Settings.secretAccessKey, secretContext(userId, 's3Settings.secretAccessKey'))
+  }
+});
+
+// True when the configuration has secrets and every one of them is stored encrypted
+const hasEncryptedSecrets = (config) => {
+  const secrets = [config.apiToken, config.s3Settings.secretAccessKey].filter(Boolean);
+  return secrets.length > 0 && secrets.every((secret) => secretEncryptionService.isEncrypted(secret));
+};
+
+// Function to get current configuration for a specific user, with its secrets decrypted
 const getConfig = async (userId) => {
+  let config;
   try {
-    const config = await Configuration.getCurrent(userId);
-    return config;
+    config = await Configuration.getCurrent(userId);
   } catch (error) {
     console.error('Error getting configuration:', error);
     return {
       archiveWebUI: '',
       apiToken: '',
       customerGUID: '',
-      s3Settings: {
-        accessKeyId: '',
-        secretAccessKey: ''
-      }
+      s3Settings: Configuration.normalizeS3Settings(),
+      isEncrypted: false
     };
   }
+
+  // A secret that cannot be decrypted, e.g. after a master key was dropped too early, is an error to report
+  // rather than a configuration that is not set
+  return {
+    ...mapSecrets(userId, config, (value, context) => secretEncryptionService.decrypt(value, context)),
+    isEncrypted: hasEncryptedSecrets(config)
+  };
 };
 
 // Function to update configuration for a specific user
@@ -29,8 +57,13 @@ const updateConfig = async (userId, newConfig) => {
       throw new Error('User ID is required for configuration update');
     }
     
-    const updatedConfig = await Configuration.updateCurrent(userId, newConfig);
-    return updatedConfig;
+    const normalized = { ...newConfig, s3Settings: Configuration.normalizeS3Settings(newConfig.s3Settings) };
+    const encrypt = (value, context) => secretEncryptionService.encrypt(value, context);
+    const savedConfig = await Configuration.updateCurrent(userId, mapSecrets(userId, normalized, encrypt));
+    return {
+      ...mapSecrets(userId, savedConfig, (value, context) => secretEncryptionService.decrypt(value, context)),
+      isEncrypted: hasEncryptedSecrets(savedConfig)
+    };
   } catch (error) {
     console.error('Error updating configuration:', error);
     throw error;
@@ -47,6 +80,46 @@ const resetConfig = async (userId) => {
   }
 };
 
+/**
+ * Encrypt the stored secrets of a user under the current master key: plaintext secrets saved before encryption was
+ * set up are encrypted, and secrets wrapped with an earlier master key are rewrapped
+ * @param {number} userId - The user ID
+ * @returns {Promise<{changed: boolean, isEncrypted: boolean}>} Whether anything was rewritten, and the result
+ */
+const encryptStoredSecrets = async (userId) => {
+  const config = await Configuration.findOne({
+    where: { userId },
+    order: [['createdAt', 'DESC']]
+  });
+  if (!config) {
+    return { changed: false, isEncrypted: false };
+  }
+
+  const current = { apiToken: config.apiToken, s3Settings: config.s3Settings || {} };
+  const rewrapped = mapSecrets(userId, current, (value, context) => secretEncryptionService.rewrap(value, context));
+  const changed = rewrapped.apiToken !== current.apiToken
+    || rewrapped.s3Settings.secretAccessKey !== current.s3Settings.secretAccessKey;
+  if (changed) {
+    await config.update(rewrapped);
+  }
+  return { changed, isEncrypted: hasEncryptedSecrets(rewrapped) };
+};
+
+// A configuration as GET responses return it: secrets masked like toSafeJSON does
+const toSafeConfig = (config) => ({
+  ...config,
+  apiToken: secretEncryptionService.mask(config.apiToken),
+  s3Settings: {
+    ...config.s3Settings,
+    secretAccessKey: secretEncryptionService.mask(config.s3Settings.secretAccessKey)
+  }
+});
+
+// The secret to save for a submitted value: a masked value sent back unchanged by a form means the saved secret
+const resolveSecret = (submitted, saved) => (
+  submitted && saved && submitted === secretEncryptionService.mask(saved) ? saved : submitted
+);
+
 // Function to check if configuration is complete for a specific user
 const isConfigComplete = async (userId) => {
   try {
@@ -62,5 +135,8 @@ module.exports = {
   getConfig,
   updateConfig,
   resetConfig,
-  isConfigComplete
+  isConfigComplete,
+  encryptStoredSecrets,
+  toSafeConfig,
+  resolveSecret
 };
@@ -0,0 +1,34 @@
+const archiveClient = require('../services/archiveClient');
+
+/**
+ * Answer a failed archive request. Archive errors keep the status and message the archive client gave them,
+ * unless the route has a more specific message for the error's code; anything else is a 500 with the fallback.
+ * @param {Object} res - Express response
+ * @param {Error} error - The failure
+ * @param {string} fallbackMessage - Message for errors that did not come from the archive client
+ * @param {Object} messages - Route-specific messages keyed by archive error code
+ * @returns {Object} The response
+ */
+const sendArchiveError = (res, error, fallbackMessage, messages = {}) => {
+  if (!archiveClient.isArchiveError(error)) {
+    return res.status(500).json({
+      success: false,
+      error: fallbackMessage,
+      details: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  if (error.retryAfterMs) {
+    res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+  }
+  return res.status(error.status).json({
+    success: false,
+    error: messages[error.code] || error.message,
+    code: error.code,
+    details: error.details,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+module.exports = { sendArchiveError };
@@ -46,6 +46,18 @@ passport.deserializeUser(async (id, done) => {
 // Authentication middleware
 const authenticate = passport.authenticate('bearer', { session: false });
 
+// Admin-only routes; use after authenticate
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied. Admin role required.',
+      timestamp: new Date().toISOString()
+    });
+  }
+  return next();
+};
+
 // Generate JWT token
 const generateToken = (user) => {
   return jwt.sign(
@@ -158,6 +170,7 @@ const deleteUser = async (id) => {
 
 module.exports = {
   authenticate,
+  requireAdmin,
   generateToken,
   createUser,
   findUserByCredentials,
@@ -0,0 +1,47 @@
+// Time allowed to receive a request, and the longer time the upload handlers allow for their bodies
+const REQUEST_TIMEOUT_MS = (parseInt(process.env.REQUEST_TIMEOUT_SECONDS, 10) || 300) * 1000;
+const UPLOAD_REQUEST_TIMEOUT_MS = (parseInt(process.env.UPLOAD_REQUEST_TIMEOUT_MINUTES, 10) || 240) * 60 * 1000;
+
+const TIMEOUT_RESPONSE = 'HTTP/1.1 408 Request Timeout\r\nConnection: close\r\n\r\n';
+
+const clearDeadline = (req) => {
+  clearTimeout(req.requestDeadline);
+  req.requestDeadline = null;
+};
+
+// Close the connection the way Node's own request timeout does if the body has not arrived in time
+const setDeadline = (req, timeoutMs) => {
+  clearDeadline(req);
+  req.requestDeadline = setTimeout(() => {
+    if (!req.complete && !req.socket.destroyed) {
+      req.socket.end(TIMEOUT_RESPONSE, () => req.socket.destroy());
+    }
+  }, timeoutMs);
+  req.requestDeadline.unref();
+};
+
+/**
+ * Fail requests whose body is not received within REQUEST_TIMEOUT_SECONDS. Node's server-wide requestTimeout
+ * cannot be extended for a single request, so it is disabled and the deadline is kept per request here instead.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const requestTimeout = (req, res, next) => {
+  setDeadline(req, REQUEST_TIMEOUT_MS);
+  req.once('end', () => clearDeadline(req));
+  res.once('close', () => clearDeadline(req));
+  next();
+};
+
+/**
+ * Give an upload handler UPLOAD_REQUEST_TIMEOUT_MINUTES, counted from now, to receive its streamed body
+ * @param {Object} req - Express request
+ */
+const extendRequestTimeout = (req) => {
+  if (!req.complete) {
+    setDeadline(req, UPLOAD_REQUEST_TIMEOUT_MS);
+  }
+};
+
+module.exports = { requestTimeout, extendRequestTimeout };
@@ -0,0 +1,34 @@
+const { sequelize } = require('../config/database');
+
+async function addImportFileReconciliationId() {
+  try {
+    console.log('🔄 Adding reconciliation_id column to import_files table...');
+
+    await sequelize.query(`
+      ALTER TABLE import_files ADD COLUMN IF NOT EXISTS reconciliation_id UUID
+    `);
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS import_files_reconciliation_id ON import_files (reconciliation_id)
+    `);
+
+    console.log('✅ Reconciliation ID column added to import_files table');
+  } catch (error) {
+    console.error('❌ Error adding reconciliation_id column to import_files table:', error);
+    throw error;
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  addImportFileReconciliationId()
+    .then(() => {
+      console.log('🎉 Import file reconciliation ID migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Import file reconciliation ID migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addImportFileReconciliationId;
@@ -0,0 +1,31 @@
+const { sequelize } = require('../config/database');
+
+async function addJobNodeId() {
+  try {
+    console.log('🔄 Adding node_id column to jobs table...');
+
+    await sequelize.query(`
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS node_id TEXT
+    `);
+
+    console.log('✅ Node ID column added to jobs table');
+  } catch (error) {
+    console.error('❌ Error adding node_id column to jobs table:', error);
+    throw error;
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  addJobNodeId()
+    .then(() => {
+      console.log('🎉 Job node ID migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Job node ID migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addJobNodeId;
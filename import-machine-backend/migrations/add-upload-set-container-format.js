@@ -0,0 +1,31 @@
+const { sequelize } = require('../config/database');
+
+async function addUploadSetContainerFormat() {
+  try {
+    console.log('🔄 Adding container_format column to upload_sets table...');
+
+    await sequelize.query(`
+      ALTER TABLE upload_sets ADD COLUMN IF NOT EXISTS container_format VARCHAR(20) NOT NULL DEFAULT 'zip'
+    `);
+
+    console.log('✅ Container format column added to upload_sets table');
+  } catch (error) {
+    console.error('❌ Error adding container_format column to upload_sets table:', error);
+    throw error;
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  addUploadSetContainerFormat()
+    .then(() => {
+      console.log('🎉 Upload set container format migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Upload set container format migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addUploadSetContainerFormat;
@@ -0,0 +1,31 @@
+const { sequelize } = require('../config/database');
+
+async function addUploadSetCustodian() {
+  try {
+    console.log('🔄 Adding custodian column to upload_sets table...');
+
+    await sequelize.query(`
+      ALTER TABLE upload_sets ADD COLUMN IF NOT EXISTS custodian VARCHAR(255)
+    `);
+
+    console.log('✅ Custodian column added to upload_sets table');
+  } catch (error) {
+    console.error('❌ Error adding custodian column to upload_sets table:', error);
+    throw error;
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  addUploadSetCustodian()
+    .then(() => {
+      console.log('🎉 Upload set custodian migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Upload set custodian migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addUploadSetCustodian;
@@ -0,0 +1,31 @@
+const { sequelize } = require('../config/database');
+
+async function addUploadSetQuarantinedFiles() {
+  try {
+    console.log('🔄 Adding quarantined_files column to upload_sets table...');
+
+    await sequelize.query(`
+      ALTER TABLE upload_sets ADD COLUMN IF NOT EXISTS quarantined_files JSONB NOT NULL DEFAULT '[]'::jsonb
+    `);
+
+    console.log('✅ Quarantined files column added to upload_sets table');
+  } catch (error) {
+    console.error('❌ Error adding quarantined_files column to upload_sets table:', error);
+    throw error;
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  addUploadSetQuarantinedFiles()
+    .then(() => {
+      console.log('🎉 Upload set quarantined files migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Upload set quarantined files migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addUploadSetQuarantinedFiles;
@@ -0,0 +1,31 @@
+const { sequelize } = require('../config/database');
+
+async function addUploadSetSkippedFiles() {
+  try {
+    console.log('🔄 Adding skipped_files column to upload_sets table...');
+
+    await sequelize.query(`
+      ALTER TABLE upload_sets ADD COLUMN IF NOT EXISTS skipped_files JSONB NOT NULL DEFAULT '[]'::jsonb
+    `);
+
+    console.log('✅ Skipped files column added to upload_sets table');
+  } catch (error) {
+    console.error('❌ Error adding skipped_files column to upload_sets table:', error);
+    throw error;
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  addUploadSetSkippedFiles()
+    .then(() => {
+      console.log('🎉 Upload set skipped files migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Upload set skipped files migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addUploadSetSkippedFiles;
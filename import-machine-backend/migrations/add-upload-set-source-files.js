@@ -0,0 +1,31 @@
+const { sequelize } = require('../config/database');
+
+async function addUploadSetSourceFiles() {
+  try {
+    console.log('🔄 Adding source_files column to upload_sets table...');
+
+    await sequelize.query(`
+      ALTER TABLE upload_sets ADD COLUMN IF NOT EXISTS source_files JSONB NOT NULL DEFAULT '[]'::jsonb
+    `);
+
+    console.log('✅ Source files column added to upload_sets table');
+  } catch (error) {
+    console.error('❌ Error adding source_files column to upload_sets table:', error);
+    throw error;
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  addUploadSetSourceFiles()
+    .then(() => {
+      console.log('🎉 Upload set source files migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Upload set source files migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addUploadSetSourceFiles;
@@ -0,0 +1,31 @@
+const { sequelize } = require('../config/database');
+
+async function addUploadSetSubmission() {
+  try {
+    console.log('🔄 Adding submission column to upload_sets table...');
+
+    await sequelize.query(`
+      ALTER TABLE upload_sets ADD COLUMN IF NOT EXISTS submission JSONB
+    `);
+
+    console.log('✅ Submission column added to upload_sets table');
+  } catch (error) {
+    console.error('❌ Error adding submission column to upload_sets table:', error);
+    throw error;
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  addUploadSetSubmission()
+    .then(() => {
+      console.log('🎉 Upload set submission migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Upload set submission migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addUploadSetSubmission;
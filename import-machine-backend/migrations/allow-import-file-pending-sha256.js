@@ -0,0 +1,31 @@
+const { sequelize } = require('../config/database');
+
+async function allowImportFilePendingSha256() {
+  try {
+    console.log('🔄 Allowing import files without a SHA-256 until they are packaged...');
+
+    await sequelize.query(`
+      ALTER TABLE import_files ALTER COLUMN sha256 DROP NOT NULL
+    `);
+
+    console.log('✅ sha256 column of import_files table is now nullable');
+  } catch (error) {
+    console.error('❌ Error making sha256 column of import_files table nullable:', error);
+    throw error;
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  allowImportFilePendingSha256()
+    .then(() => {
+      console.log('🎉 Import file pending SHA-256 migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Import file pending SHA-256 migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = allowImportFilePendingSha256;
@@ -0,0 +1,70 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('batch_status_transitions', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      import_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'batches',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      from_status: {
+        type: Sequelize.SMALLINT,
+        allowNull: true,
+        comment: 'Batch status before the transition; NULL for the first recorded state'
+      },
+      to_status: {
+        type: Sequelize.SMALLINT,
+        allowNull: false,
+        comment: '0=PENDING, 1=RUNNING, 2=COMPLETED, 3=FAILED, 4=CANCELLED'
+      },
+      archive_status: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Status reported by the archive, e.g. pending, processing, done, validation_failed'
+      },
+      file_count_ingested: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      source: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        comment: 'packaging, submission, batch-query, batch-report or manual'
+      },
+      details: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      occurred_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    // Add indexes for better performance
+    await queryInterface.addIndex('batch_status_transitions', ['import_id', 'occurred_at']);
+    await queryInterface.addIndex('batch_status_transitions', ['to_status']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('batch_status_transitions');
+  }
+};
@@ -29,7 +29,8 @@ module.exports = {
       },
       sha256: {
         type: Sequelize.BLOB,
-        allowNull: false
+        allowNull: true,
+        comment: 'Null for a direct upload whose S3 object carries no SHA-256 checksum, until it is packaged'
       },
       status: {
         type: Sequelize.SMALLINT,
@@ -50,6 +51,10 @@ module.exports = {
         type: Sequelize.TEXT,
         allowNull: true
       },
+      reconciliation_id: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
       created_at: {
         type: Sequelize.DATE,
         allowNull: false,
@@ -85,6 +90,9 @@ module.exports = {
     
     // Index for attempt_count for retry logic
     await queryInterface.addIndex('import_files', ['attempt_count']);
+    
+    // Index for joining batch report entries back to their files
+    await queryInterface.addIndex('import_files', ['reconciliation_id']);
   },
 
   down: async (queryInterface, Sequelize) => {
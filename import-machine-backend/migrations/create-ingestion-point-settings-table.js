@@ -0,0 +1,49 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('ingestion_point_settings', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      ingestion_point_id: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        comment: 'Original ID from the archive system'
+      },
+      container_format: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'zip',
+        comment: 'Format of the containers packaged for this ingestion point: zip or tar.gz'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('ingestion_point_settings', ['user_id', 'ingestion_point_id'], { unique: true });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('ingestion_point_settings');
+  }
+};
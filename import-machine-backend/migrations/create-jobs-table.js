@@ -0,0 +1,114 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('jobs', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      type: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      payload: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      status: {
+        type: Sequelize.SMALLINT,
+        allowNull: false,
+        defaultValue: 0,
+        comment: '0=QUEUED, 1=RUNNING, 2=COMPLETED, 3=FAILED, 4=CANCELLED'
+      },
+      priority: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      dedupe_key: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      max_attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 5
+      },
+      run_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      node_id: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Node whose workers may claim the job, for jobs that read files spooled on that node'
+      },
+      locked_by: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      locked_until: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Visibility timeout: a RUNNING job whose lock has expired is picked up again'
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      finished_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      progress: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      result: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      last_error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    // Add indexes for better performance
+    await queryInterface.addIndex('jobs', ['status', 'type', 'run_at']);
+    await queryInterface.addIndex('jobs', ['user_id', 'created_at']);
+    await queryInterface.addIndex('jobs', ['dedupe_key']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('jobs');
+  }
+};
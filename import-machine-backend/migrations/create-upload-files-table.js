@@ -0,0 +1,80 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('upload_files', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false
+      },
+      upload_set_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'upload_sets',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      fingerprint: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      size: {
+        type: Sequelize.BIGINT,
+        allowNull: false
+      },
+      offset: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        defaultValue: 0
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'uploading',
+        comment: 'uploading, completed or rejected'
+      },
+      entry_name: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      spool_path: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      sha256: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    // Add indexes for better performance
+    await queryInterface.addIndex('upload_files', ['upload_set_id', 'fingerprint'], { unique: true });
+    await queryInterface.addIndex('upload_files', ['upload_set_id', 'status']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('upload_files');
+  }
+};
@@ -0,0 +1,69 @@
+const { Configuration } = require('../models');
+const secretEncryptionService = require('../services/secretEncryptionService');
+
+// Contexts as config/shared.js binds the secrets to their user and field
+const SECRET_FIELDS = ['apiToken', 's3Settings.secretAccessKey'];
+
+const readSecret = (config, field) => (
+  field === 'apiToken' ? config.apiToken : (config.s3Settings || {}).secretAccessKey
+);
+
+// Encrypt the plaintext secrets of every configuration and rewrap those of an earlier master key, e.g. after
+// CONFIG_MASTER_KEY was set for the first time or a new key was put first in CONFIG_MASTER_KEY_FILE
+async function encryptConfigurationSecrets() {
+  try {
+    if (!secretEncryptionService.isEnabled()) {
+      throw new Error('Set CONFIG_MASTER_KEY or CONFIG_MASTER_KEY_FILE before encrypting configuration secrets');
+    }
+
+    const keyId = secretEncryptionService.currentKeyId();
+    console.log(`🔄 Encrypting configuration secrets with master key ${keyId}...`);
+
+    const configs = await Configuration.findAll({ order: [['id', 'ASC']] });
+    const counts = { encrypted: 0, rewrapped: 0, unchanged: 0 };
+
+    for (const config of configs) {
+      const updates = {};
+      SECRET_FIELDS.forEach((field) => {
+        const value = readSecret(config, field);
+        const stored = secretEncryptionService.rewrap(value, `configurations:${config.userId}:${field}`);
+        if (stored === value) {
+          if (value) counts.unchanged += 1;
+          return;
+        }
+        counts[secretEncryptionService.isEncrypted(value) ? 'rewrapped' : 'encrypted'] += 1;
+        if (field === 'apiToken') {
+          updates.apiToken = stored;
+        } else {
+          updates.s3Settings = { ...config.s3Settings, secretAccessKey: stored };
+        }
+      });
+
+      if (Object.keys(updates).length > 0) {
+        await config.update(updates);
+      }
+    }
+
+    console.log(`✅ ${configs.length} configurations checked: ${counts.encrypted} secrets encrypted, `
+      + `${counts.rewrapped} rewrapped, ${counts.unchanged} already under key ${keyId}`);
+    return counts;
+  } catch (error) {
+    console.error('❌ Error encrypting configuration secrets:', error);
+    throw error;
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  encryptConfigurationSecrets()
+    .then(() => {
+      console.log('🎉 Configuration secrets migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Configuration secrets migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = encryptConfigurationSecrets;
@@ -0,0 +1,128 @@
+const express = require('express');
+const ArchiveState = require('./archiveState');
+
+/**
+ * Build the Express router of the archive's web.ui API, as far as the backend uses it
+ * @param {Object} options - Router options
+ * @param {ArchiveState} options.state - Archive state
+ * @param {FailureInjector} options.failures - Failure injection
+ * @param {string|null} options.apiToken - Token requests must carry; any token is accepted when not set
+ * @returns {express.Router} Router to mount at /web.ui/api
+ */
+const createArchiveRouter = ({ state, failures, apiToken }) => {
+  const router = express.Router();
+
+  const list = (results) => ({ totalCount: results.length, results });
+
+  router.use(express.json({ limit: '1mb' }));
+
+  // PWSAK2 tokens, as the archive expects them
+  router.use((req, res, next) => {
+    const match = /^PWSAK2\s+(\S+)$/.exec(req.headers.authorization || '');
+    if (!match) {
+      return res.status(401).json({ message: 'Missing PWSAK2 authorization' });
+    }
+    if (apiToken && match[1] !== apiToken) {
+      return res.status(401).json({ message: 'Invalid API token' });
+    }
+    return next();
+  });
+
+  router.use(failures.middleware());
+
+  // Answer with what the handler returns; state errors carry their own status
+  const handle = (status, handler) => (req, res) => {
+    try {
+      res.status(status).json(handler(req));
+    } catch (error) {
+      if (!error.status) {
+        console.error('❌ Mock archive request failed:', error);
+      }
+      res.status(error.status || 500).json({ message: error.message, errors: error.errors || undefined });
+    }
+  };
+
+  const reportOptions = (req) => ({
+    baseUrl: `${req.protocol}://${req.get('host')}`,
+    reportMessages: failures.settings.reportMessages,
+  });
+
+  router.all('/ingestionPoints/_query', handle(200, () => list([...state.ingestionPoints.values()])));
+  router.get('/ingestionPoints/:id', handle(200, (req) => state.getIngestionPoint(req.params.id)));
+  router.post('/ingestionPoints', handle(201, (req) => state.createIngestionPoint(req.body || {})));
+
+  router.all('/imports/_query', handle(200, () => list([...state.imports.values()])));
+  router.get('/imports/:id', handle(200, (req) => state.getImport(req.params.id)));
+  router.post('/imports', handle(201, (req) => state.createImport(req.body || {})));
+
+  router.all('/imports/:id/batches/_query', handle(200, (req) => {
+    state.getImport(req.params.id);
+    return list(state.listBatches(req.params.id).map((batch) => state.describeBatch(batch)));
+  }));
+  router.post('/imports/:id/batches', handle(201, (req) => {
+    const batch = state.createBatch(req.params.id, req.body || {});
+    return state.describeBatch(batch);
+  }));
+  router.get('/imports/:id/batches/:batchId', handle(200, (req) => {
+    const batch = state.getBatch(req.params.id, req.params.batchId);
+    return state.describeBatch(batch);
+  }));
+  router.get('/imports/:id/batches/:batchId/validation', handle(200, (req) => {
+    const batch = state.getBatch(req.params.id, req.params.batchId);
+    return {
+      batchId: batch.id,
+      batchName: batch.name,
+      validationFailReason: batch.validationFailReason,
+      errors: batch.validationErrors,
+    };
+  }));
+
+  router.get('/imports/:id/batch-report', handle(200, (req) => {
+    state.getImport(req.params.id);
+    return list(state.listBatches(req.params.id).map((batch) => state.describeBatchReport(batch, reportOptions(req))));
+  }));
+
+  router.use((req, res) => {
+    const route = `${req.method} ${ArchiveState.API_ROOT}${req.path}`;
+    res.status(404).json({ message: `${route} is not part of the mock archive` });
+  });
+
+  return router;
+};
+
+/**
+ * Build the router of the mock's own control endpoints, for tests and for changing failures while it runs
+ * @param {Object} options - Router options
+ * @param {ArchiveState} options.state - Archive state
+ * @param {FailureInjector} options.failures - Failure injection
+ * @param {Object} options.startupFailures - Failure settings the mock started with, restored on reset
+ * @returns {express.Router} Router to mount at /_mock
+ */
+const createControlRouter = ({ state, failures, startupFailures }) => {
+  const router = express.Router();
+  router.use(express.json());
+
+  router.get('/state', (req, res) => res.json(state.describe()));
+
+  router.get('/failures', (req, res) => res.json(failures.describe()));
+
+  router.put('/failures', (req, res) => {
+    try {
+      res.json(failures.update(req.body || {}));
+    } catch (error) {
+      res.status(400).json({ message: error.message });
+    }
+  });
+
+  // Back to the seeded state and the startup failure settings
+  router.post('/reset', (req, res) => {
+    state.reset();
+    failures.reset();
+    failures.update(startupFailures);
+    res.json({ state: state.describe(), failures: failures.describe() });
+  });
+
+  return router;
+};
+
+module.exports = { createArchiveRouter, createControlRouter };
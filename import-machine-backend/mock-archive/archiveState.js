@@ -0,0 +1,341 @@
+const API_ROOT = '/web.ui/api';
+
+// Batch statuses as the batch report gives them; batches/_query folds validation_failed into failed
+const BATCH_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  DONE: 'done',
+  FAILED: 'failed',
+  VALIDATION_FAILED: 'validation_failed',
+};
+
+// Message statuses of a batch report's messages list
+const MESSAGE_STATUS = {
+  ARCHIVED: 'archived',
+  DEDUPLICATED: 'deduplicated',
+  REJECTED: 'rejected',
+};
+
+const CONTAINER_TYPES = ['zip', 'tar.gz'];
+
+const stateError = (status, message, errors = null) => {
+  const error = new Error(message);
+  error.status = status;
+  error.errors = errors;
+  return error;
+};
+
+const aidToId = (aid) => String(aid).split('/').filter(Boolean).pop();
+
+const isBlank = (value) => typeof value !== 'string' || value.trim() === '';
+
+/**
+ * What the mock archive knows: ingestion points, import jobs and their batches, all in memory.
+ * Every start (and every reset) begins with one S3 ingestion point and one import job reading from it.
+ */
+class ArchiveState {
+  /**
+   * @param {Object} seed - bucketName, bucketPrefix, awsRegion and customer of the seeded ingestion point and
+   *   import job
+   */
+  constructor(seed) {
+    this.seed = seed;
+    this.reset();
+  }
+
+  /**
+   * Forget everything and seed again
+   */
+  reset() {
+    this.nextId = { ingestionPoint: 1, import: 1, batch: 1 };
+    this.ingestionPoints = new Map();
+    this.imports = new Map();
+    this.batches = new Map();
+    // Content already archived, by customer, so a message sent twice is deduplicated
+    this.archivedDigests = new Map();
+
+    const ingestionPoint = this.createIngestionPoint({
+      name: 'Mock S3 ingestion point',
+      srcShortName: 'mock-s3',
+      description: 'Seeded by the mock archive',
+      typeDetails: {
+        type: 'importS3',
+        bucketName: this.seed.bucketName,
+        bucketPrefix: this.seed.bucketPrefix,
+        awsRegion: this.seed.awsRegion,
+      },
+    });
+    this.createImport({
+      name: 'Mock import job',
+      description: 'Seeded by the mock archive',
+      customer: this.seed.customer,
+      ingestionPointId: ingestionPoint.aid,
+    });
+  }
+
+  takeId(kind) {
+    const id = this.nextId[kind];
+    this.nextId[kind] += 1;
+    return id;
+  }
+
+  /**
+   * Create an ingestion point
+   * @param {Object} data - name, srcShortName, description and typeDetails
+   * @returns {Object} The ingestion point
+   */
+  createIngestionPoint(data) {
+    const typeDetails = data.typeDetails || {};
+    const errors = [];
+    if (isBlank(data.name)) errors.push('name is required');
+    if (isBlank(data.srcShortName)) errors.push('srcShortName is required');
+    if (typeDetails.type === 'importS3' && isBlank(typeDetails.bucketName)) {
+      errors.push('typeDetails.bucketName is required for importS3 ingestion points');
+    }
+    if (errors.length > 0) {
+      throw stateError(400, 'Invalid ingestion point', errors);
+    }
+    if ([...this.ingestionPoints.values()].some((point) => point.srcShortName === data.srcShortName)) {
+      throw stateError(409, `An ingestion point with srcShortName "${data.srcShortName}" already exists`);
+    }
+
+    const id = this.takeId('ingestionPoint');
+    const now = new Date().toISOString();
+    const ingestionPoint = {
+      aid: `${API_ROOT}/ingestionPoints/${id}`,
+      id,
+      name: data.name,
+      srcShortName: data.srcShortName,
+      description: data.description || '',
+      status: 'active',
+      createdOn: now,
+      updatedOn: now,
+      typeDetails: {
+        type: typeDetails.type || 'importS3',
+        bucketName: typeDetails.bucketName,
+        bucketPrefix: typeDetails.bucketPrefix || '',
+        awsRegion: typeDetails.awsRegion || 'us-east-1',
+        dailyVolume: typeDetails.dailyVolume || '',
+        dailySize: typeDetails.dailySize || '',
+        importAwsRole: typeDetails.importAwsRole || null,
+        address: typeDetails.address || null,
+      },
+    };
+    this.ingestionPoints.set(id, ingestionPoint);
+    return ingestionPoint;
+  }
+
+  getIngestionPoint(idOrAid) {
+    const ingestionPoint = this.ingestionPoints.get(Number(aidToId(idOrAid)));
+    if (!ingestionPoint) {
+      throw stateError(404, `Ingestion point ${idOrAid} not found`);
+    }
+    return ingestionPoint;
+  }
+
+  /**
+   * Create an import job
+   * @param {Object} data - name, description, customer, ingestionPointId (an aid or ID), applySupervision and
+   *   applyLegalHold
+   * @returns {Object} The import job
+   */
+  createImport(data) {
+    const errors = [];
+    if (isBlank(data.name)) errors.push('name is required');
+    if (!data.ingestionPointId) errors.push('ingestionPointId is required');
+    if (errors.length > 0) {
+      throw stateError(400, 'Invalid import job', errors);
+    }
+    const ingestionPoint = this.getIngestionPoint(data.ingestionPointId);
+
+    const id = this.takeId('import');
+    const now = new Date().toISOString();
+    const importJob = {
+      aid: `${API_ROOT}/imports/${id}`,
+      id,
+      name: data.name,
+      description: data.description || '',
+      customer: data.customer || this.seed.customer,
+      ingestionPointId: ingestionPoint.aid,
+      applySupervision: Boolean(data.applySupervision),
+      applyLegalHold: Boolean(data.applyLegalHold),
+      status: 'active',
+      createdOn: now,
+      updatedOn: now,
+    };
+    this.imports.set(id, importJob);
+    return importJob;
+  }
+
+  getImport(idOrAid) {
+    const importJob = this.imports.get(Number(aidToId(idOrAid)));
+    if (!importJob) {
+      throw stateError(404, `Import job ${idOrAid} not found`);
+    }
+    return importJob;
+  }
+
+  /**
+   * Create a batch for the ingestion engine to pick up
+   * @param {string|number} importId - Import job ID
+   * @param {Object} data - name, description, containerType, container, manifest and manifestDigest
+   * @returns {Object} The batch
+   */
+  createBatch(importId, data) {
+    const importJob = this.getImport(importId);
+    const errors = [];
+    if (isBlank(data.name)) errors.push('name is required');
+    if (!CONTAINER_TYPES.includes(data.containerType)) {
+      errors.push(`containerType must be one of ${CONTAINER_TYPES.join(', ')}`);
+    }
+    if (isBlank(data.container)) errors.push('container is required');
+    if (isBlank(data.manifest)) errors.push('manifest is required');
+    if (!/^[0-9a-f]{64}$/i.test(data.manifestDigest || '')) errors.push('manifestDigest must be a SHA-256 hex digest');
+    if (errors.length > 0) {
+      throw stateError(400, 'Invalid batch', errors);
+    }
+    if (this.listBatches(importJob.id).some((batch) => batch.name === data.name)) {
+      throw stateError(409, `A batch named "${data.name}" already exists in import job ${importJob.id}`);
+    }
+
+    const id = this.takeId('batch');
+    const now = new Date().toISOString();
+    const batch = {
+      aid: `${importJob.aid}/batches/${id}`,
+      id,
+      importId: importJob.id,
+      name: data.name,
+      description: data.description || '',
+      containerType: data.containerType,
+      container: data.container,
+      manifest: data.manifest,
+      manifestDigest: data.manifestDigest.toLowerCase(),
+      reimport: Boolean(data.reimport),
+      status: BATCH_STATUS.PENDING,
+      createdOn: now,
+      readyAt: now,
+      startAt: null,
+      lastUpdatedAt: now,
+      batchSizeInBytes: 0,
+      validationFailReason: null,
+      validationErrors: [],
+      // Filled in by the ingestion engine once the manifest is read
+      entries: [],
+      processed: 0,
+      messages: [],
+      unexpected: [],
+    };
+    this.batches.set(id, batch);
+    return batch;
+  }
+
+  listBatches(importId) {
+    return [...this.batches.values()].filter((batch) => batch.importId === Number(importId));
+  }
+
+  getBatch(importId, batchId) {
+    const batch = this.batches.get(Number(batchId));
+    if (!batch || batch.importId !== Number(importId)) {
+      throw stateError(404, `Batch ${batchId} not found in import job ${importId}`);
+    }
+    return batch;
+  }
+
+  /**
+   * Remember archived content, and tell whether it was archived before for the customer
+   * @param {string} customer - Customer GUID
+   * @param {string} sha256 - Content digest
+   * @returns {boolean} True if the content was already archived
+   */
+  archiveDigest(customer, sha256) {
+    if (!this.archivedDigests.has(customer)) {
+      this.archivedDigests.set(customer, new Set());
+    }
+    const digests = this.archivedDigests.get(customer);
+    if (digests.has(sha256)) {
+      return true;
+    }
+    digests.add(sha256);
+    return false;
+  }
+
+  /**
+   * Describe a batch as batches/_query lists it
+   * @param {Object} batch - The batch
+   * @returns {Object} Batch summary
+   */
+  describeBatch(batch) {
+    return {
+      aid: batch.aid,
+      id: batch.id,
+      name: batch.name,
+      description: batch.description,
+      status: batch.status === BATCH_STATUS.VALIDATION_FAILED ? BATCH_STATUS.FAILED : batch.status,
+      containerType: batch.containerType,
+      container: batch.container,
+      manifest: batch.manifest,
+      reimport: batch.reimport,
+      createdOn: batch.createdOn,
+    };
+  }
+
+  /**
+   * Describe a batch as the batch report lists it
+   * @param {Object} batch - The batch
+   * @param {Object} options - baseUrl for the validation details link, and whether to list the messages
+   * @returns {Object} Batch report result
+   */
+  describeBatchReport(batch, { baseUrl, reportMessages }) {
+    const count = (status) => batch.messages.filter((message) => message.status === status).length;
+    const archived = count(MESSAGE_STATUS.ARCHIVED);
+    const report = {
+      batchId: batch.id,
+      batchName: batch.name,
+      batchStatus: batch.status,
+      batchType: batch.reimport ? 'reimport' : 'import',
+      description: batch.description,
+      totalMessages: batch.entries.length + batch.unexpected.length,
+      totalToBeProcessed: batch.entries.length - batch.processed,
+      totalProcessed: batch.processed,
+      totalArchived: archived,
+      totalDeduplicated: count(MESSAGE_STATUS.DEDUPLICATED),
+      totalSupervisionEvaluated: this.getImport(batch.importId).applySupervision ? archived : 0,
+      totalSupervisionFlagged: 0,
+      batchSizeInBytes: batch.batchSizeInBytes,
+      readyAt: batch.readyAt,
+      startAt: batch.startAt,
+      lastUpdatedAt: batch.lastUpdatedAt,
+      validationDetailsUrl: batch.validationErrors.length > 0 ? `${baseUrl}${batch.aid}/validation` : null,
+      validationFailReason: batch.validationFailReason,
+    };
+    if (reportMessages) {
+      report.messages = [...batch.messages, ...batch.unexpected];
+    }
+    return report;
+  }
+
+  /**
+   * Summarize the state for the control endpoint
+   * @returns {Object} Counts and every batch's status
+   */
+  describe() {
+    return {
+      ingestionPoints: [...this.ingestionPoints.values()],
+      imports: [...this.imports.values()],
+      batches: [...this.batches.values()].map((batch) => ({
+        ...this.describeBatch(batch),
+        importId: batch.importId,
+        status: batch.status,
+        processed: batch.processed,
+        totalMessages: batch.entries.length,
+        validationFailReason: batch.validationFailReason,
+      })),
+    };
+  }
+}
+
+ArchiveState.API_ROOT = API_ROOT;
+ArchiveState.BATCH_STATUS = BATCH_STATUS;
+ArchiveState.MESSAGE_STATUS = MESSAGE_STATUS;
+
+module.exports = ArchiveState;
@@ -0,0 +1,138 @@
+const zlib = require('zlib');
+
+// Just enough of the zip and tar formats to list the entries of a container, as the archive does before ingesting it
+
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR = 0x07064b50;
+const ZIP_CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const ZIP_END_RECORD_SIZE = 22;
+const ZIP_MAX_COMMENT_SIZE = 0xffff;
+
+const TAR_BLOCK_SIZE = 512;
+
+const containerError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_CONTAINER';
+  return error;
+};
+
+/**
+ * List the files in a zip container from its central directory
+ * @param {Buffer} buffer - The whole container
+ * @returns {Array<{name: string, size: number}>} Files, directories left out
+ */
+const listZipEntries = (buffer) => {
+  const searchFrom = Math.max(0, buffer.length - ZIP_END_RECORD_SIZE - ZIP_MAX_COMMENT_SIZE);
+  let end = -1;
+  for (let offset = buffer.length - ZIP_END_RECORD_SIZE; offset >= searchFrom; offset -= 1) {
+    if (buffer.readUInt32LE(offset) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+      end = offset;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw containerError('The container is not a zip file: no end of central directory record');
+  }
+
+  let count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  // Large containers keep the real count and offset in the zip64 end of central directory record
+  const locator = end - 20;
+  if (locator >= 0 && buffer.readUInt32LE(locator) === ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR) {
+    const zip64End = Number(buffer.readBigUInt64LE(locator + 8));
+    count = Number(buffer.readBigUInt64LE(zip64End + 32));
+    offset = Number(buffer.readBigUInt64LE(zip64End + 48));
+  }
+
+  const entries = [];
+  for (let index = 0; index < count; index += 1) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== ZIP_CENTRAL_DIRECTORY_HEADER) {
+      throw containerError(`The zip central directory is damaged at entry ${index + 1}`);
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    if (!name.endsWith('/')) {
+      entries.push({ name, size: buffer.readUInt32LE(offset + 24) });
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+// Read a NUL-terminated tar header field
+const readTarString = (block, start, length) => {
+  const field = block.subarray(start, start + length);
+  const nul = field.indexOf(0);
+  return field.toString('utf8', 0, nul === -1 ? length : nul);
+};
+
+// Paths from a pax extended header, which carries names longer than the 100 bytes of a tar header
+const readPaxPath = (data) => {
+  const text = data.toString('utf8');
+  const match = text.match(/(?:^|\n)\d+ path=([^\n]*)\n/);
+  return match ? match[1] : null;
+};
+
+/**
+ * List the files in a gzipped tar container
+ * @param {Buffer} buffer - The whole container
+ * @returns {Array<{name: string, size: number}>} Files, directories and links left out
+ */
+const listTarGzEntries = (buffer) => {
+  let tar;
+  try {
+    tar = zlib.gunzipSync(buffer);
+  } catch (error) {
+    throw containerError(`The container is not gzip compressed: ${error.message}`);
+  }
+
+  const entries = [];
+  let nextName = null;
+  let offset = 0;
+  while (offset + TAR_BLOCK_SIZE <= tar.length) {
+    const block = tar.subarray(offset, offset + TAR_BLOCK_SIZE);
+    if (block.every((byte) => byte === 0)) {
+      break;
+    }
+
+    const size = parseInt(readTarString(block, 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(block[156] || 48);
+    const data = tar.subarray(offset + TAR_BLOCK_SIZE, offset + TAR_BLOCK_SIZE + size);
+    if (Number.isNaN(size) || data.length < size) {
+      throw containerError(`The tar archive is damaged at offset ${offset}`);
+    }
+
+    if (type === 'x') {
+      nextName = readPaxPath(data);
+    } else if (type === 'L') {
+      nextName = readTarString(data, 0, data.length);
+    } else {
+      const prefix = readTarString(block, 345, 155);
+      const headerName = readTarString(block, 0, 100);
+      const name = nextName || (prefix ? `${prefix}/${headerName}` : headerName);
+      if (type === '0' || type === '\0' || type === '7') {
+        entries.push({ name, size });
+      }
+      nextName = null;
+    }
+    offset += TAR_BLOCK_SIZE + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+  }
+  return entries;
+};
+
+/**
+ * List the files in a container
+ * @param {Buffer} buffer - The whole container
+ * @param {string} containerType - Container format, zip or tar.gz
+ * @returns {Array<{name: string, size: number}>} Files in the container
+ */
+const listContainerEntries = (buffer, containerType) => {
+  if (containerType === 'tar.gz') {
+    return listTarGzEntries(buffer);
+  }
+  return listZipEntries(buffer);
+};
+
+module.exports = { listContainerEntries };
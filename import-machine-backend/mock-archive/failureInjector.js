@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+
+// Failures the mock archive can be told to produce. Rates are probabilities between 0 and 1, drawn from a seeded
+// generator so a run with the same seed and the same requests fails the same way.
+const DEFAULT_SETTINGS = {
+  seed: 1,
+  // Archive API: which requests are affected, as a regular expression on the path
+  paths: '',
+  latencyMs: 0,
+  httpErrorRate: 0,
+  httpErrorStatus: 503,
+  rateLimitRate: 0,
+  retryAfterSeconds: 1,
+  timeoutRate: 0,
+  resetRate: 0,
+  // S3 stand-in
+  s3ErrorRate: 0,
+  // Ingestion engine
+  batchFailRate: 0,
+  messageRejectRate: 0,
+  messageDropRate: 0,
+  unexpectedMessages: 0,
+  reportMessages: true,
+};
+
+const RATE_SETTINGS = [
+  'httpErrorRate', 'rateLimitRate', 'timeoutRate', 'resetRate', 's3ErrorRate',
+  'batchFailRate', 'messageRejectRate', 'messageDropRate',
+];
+const COUNT_SETTINGS = ['seed', 'latencyMs', 'retryAfterSeconds', 'unexpectedMessages'];
+
+// Environment variable of each setting, e.g. httpErrorRate is MOCK_FAIL_HTTP_ERROR_RATE
+const toEnvName = (setting) => `MOCK_FAIL_${setting.replace(/[A-Z]/g, (letter) => `_${letter}`).toUpperCase()}`;
+
+const settingError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_FAILURE_SETTING';
+  return error;
+};
+
+// Numbers in [0, 1) from the SHA-256 of the seed and a counter: reproducible, and good enough to decide which
+// requests fail
+const createRandom = (seed) => {
+  let counter = 0;
+  return () => {
+    counter += 1;
+    return crypto.createHash('sha256').update(`${seed}:${counter}`).digest().readUIntBE(0, 6) / 2 ** 48;
+  };
+};
+
+/**
+ * Decides which requests, batches and messages of the mock archive fail, and how
+ */
+class FailureInjector {
+  /**
+   * @param {Object} settings - Settings to start from, over the defaults
+   */
+  constructor(settings = {}) {
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.update(settings);
+  }
+
+  /**
+   * Read settings from MOCK_FAIL_* environment variables
+   * @param {Object} env - Environment
+   * @returns {Object} The settings that were set
+   */
+  static fromEnv(env = process.env) {
+    const settings = {};
+    Object.keys(DEFAULT_SETTINGS).forEach((setting) => {
+      const value = env[toEnvName(setting)];
+      if (value !== undefined && value !== '') {
+        settings[setting] = value;
+      }
+    });
+    return settings;
+  }
+
+  /**
+   * Change some settings; the others keep their value. Changing the seed restarts the random sequence.
+   * @param {Object} changes - Settings to change
+   * @returns {Object} All settings
+   */
+  update(changes) {
+    const next = { ...this.settings };
+    Object.entries(changes).forEach(([setting, value]) => {
+      if (!(setting in DEFAULT_SETTINGS)) {
+        throw settingError(`Unknown failure setting "${setting}"`);
+      }
+
+      if (RATE_SETTINGS.includes(setting)) {
+        const rate = Number(value);
+        if (Number.isNaN(rate) || rate < 0 || rate > 1) {
+          throw settingError(`${setting} must be a number between 0 and 1`);
+        }
+        next[setting] = rate;
+      } else if (COUNT_SETTINGS.includes(setting)) {
+        const count = Number(value);
+        if (!Number.isInteger(count) || count < 0) {
+          throw settingError(`${setting} must be a whole number of 0 or more`);
+        }
+        next[setting] = count;
+      } else if (setting === 'httpErrorStatus') {
+        const status = Number(value);
+        if (!Number.isInteger(status) || status < 400 || status > 599) {
+          throw settingError('httpErrorStatus must be an HTTP error status between 400 and 599');
+        }
+        next[setting] = status;
+      } else if (setting === 'paths') {
+        try {
+          RegExp(String(value));
+        } catch (error) {
+          throw settingError(`paths is not a valid regular expression: ${error.message}`);
+        }
+        next[setting] = String(value);
+      } else {
+        next[setting] = value === true || value === 'true';
+      }
+    });
+
+    if (next.seed !== this.settings.seed || !this.random) {
+      this.random = createRandom(next.seed);
+    }
+    this.settings = next;
+    return this.describe();
+  }
+
+  /**
+   * Restore the defaults, and the random sequence of the default seed
+   * @returns {Object} All settings
+   */
+  reset() {
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.random = createRandom(this.settings.seed);
+    return this.describe();
+  }
+
+  describe() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Draw whether something with the given failure rate fails this time
+   * @param {string} setting - Name of a rate setting
+   * @returns {boolean} True if it fails
+   */
+  chance(setting) {
+    return this.settings[setting] > 0 && this.random() < this.settings[setting];
+  }
+
+  /**
+   * Pick the failure, if any, for an archive API request
+   * @param {string} requestPath - Request path
+   * @returns {Object|null} {type: 'reset'|'timeout'|'rateLimit'|'error', ...}, or null to answer normally
+   */
+  pickRequestFailure(requestPath) {
+    if (this.settings.paths && !RegExp(this.settings.paths).test(requestPath)) {
+      return null;
+    }
+    if (this.chance('resetRate')) {
+      return { type: 'reset' };
+    }
+    if (this.chance('timeoutRate')) {
+      return { type: 'timeout' };
+    }
+    if (this.chance('rateLimitRate')) {
+      return { type: 'rateLimit', retryAfterSeconds: this.settings.retryAfterSeconds };
+    }
+    if (this.chance('httpErrorRate')) {
+      return { type: 'error', status: this.settings.httpErrorStatus };
+    }
+    return null;
+  }
+
+  /**
+   * Express middleware that delays and fails archive API requests as configured
+   * @returns {Function} Middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      const failure = this.pickRequestFailure(req.path);
+      const respond = () => {
+        if (!failure) {
+          next();
+        } else if (failure.type === 'reset') {
+          req.socket.destroy();
+        } else if (failure.type === 'timeout') {
+          // Never answer; the client gives up on its own timeout
+        } else if (failure.type === 'rateLimit') {
+          res.set('Retry-After', String(failure.retryAfterSeconds));
+          res.status(429).json({ message: 'Injected failure: too many requests' });
+        } else {
+          res.status(failure.status).json({ message: `Injected failure: HTTP ${failure.status}` });
+        }
+      };
+
+      if (this.settings.latencyMs > 0) {
+        setTimeout(respond, this.settings.latencyMs);
+      } else {
+        respond();
+      }
+    };
+  }
+}
+
+FailureInjector.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+FailureInjector.toEnvName = toEnvName;
+
+module.exports = FailureInjector;
@@ -0,0 +1,129 @@
+const path = require('path');
+const http = require('http');
+const express = require('express');
+require('dotenv').config();
+
+const ObjectStore = require('./objectStore');
+const ArchiveState = require('./archiveState');
+const IngestionEngine = require('./ingestionEngine');
+const FailureInjector = require('./failureInjector');
+const { createArchiveRouter, createControlRouter } = require('./archiveRoutes');
+const { createS3Router } = require('./s3Routes');
+
+// Local archive simulator for development and tests: the archive's web.ui API on one port and an S3 stand-in the
+// archive reads containers from on another. Nothing here talks to a real archive or to AWS.
+
+const readOptions = (env = process.env) => ({
+  host: env.MOCK_ARCHIVE_HOST || '127.0.0.1',
+  archivePort: parseInt(env.MOCK_ARCHIVE_PORT, 10) || 5050,
+  s3Port: parseInt(env.MOCK_S3_PORT, 10) || 5051,
+  apiToken: env.MOCK_ARCHIVE_TOKEN || null,
+  s3Dir: env.MOCK_S3_DIR || path.join(__dirname, '..', 'data', 'mock-s3'),
+  region: env.MOCK_S3_REGION || 'us-east-1',
+  bucketName: env.MOCK_ARCHIVE_BUCKET || 'mock-archive-imports',
+  bucketPrefix: env.MOCK_ARCHIVE_PREFIX || 'imports/',
+  customer: env.MOCK_ARCHIVE_CUSTOMER_GUID || null,
+  tickMs: parseInt(env.MOCK_ARCHIVE_TICK_MS, 10) || 1000,
+  messagesPerTick: parseInt(env.MOCK_ARCHIVE_MESSAGES_PER_TICK, 10) || 50,
+  failures: FailureInjector.fromEnv(env),
+});
+
+const listen = (server, port, host) => new Promise((resolve, reject) => {
+  server.once('error', reject);
+  server.listen(port, host, () => {
+    server.off('error', reject);
+    resolve(server.address().port);
+  });
+});
+
+const close = (server) => new Promise((resolve) => {
+  if (!server.listening) {
+    resolve();
+    return;
+  }
+  server.close(() => resolve());
+  server.closeAllConnections();
+});
+
+/**
+ * Create a mock archive. Options default to the MOCK_* environment variables; port 0 picks a free port, which
+ * is what tests want.
+ * @param {Object} overrides - Options to use instead of the environment's (see readOptions)
+ * @returns {Object} start() and stop(), the archive state, object store, failure injector and ingestion engine
+ */
+const createMockArchive = (overrides = {}) => {
+  const options = { ...readOptions(), ...overrides };
+  const store = new ObjectStore(options.s3Dir);
+  const state = new ArchiveState(options);
+  const failures = new FailureInjector(options.failures);
+  const engine = new IngestionEngine({
+    state,
+    store,
+    failures,
+    tickMs: options.tickMs,
+    messagesPerTick: options.messagesPerTick,
+  });
+
+  const archiveApp = express();
+  archiveApp.use(ArchiveState.API_ROOT, createArchiveRouter({ state, failures, apiToken: options.apiToken }));
+  archiveApp.use('/_mock', createControlRouter({ state, failures, startupFailures: options.failures }));
+
+  const s3App = express();
+  s3App.use(createS3Router({ store, failures, region: options.region }));
+
+  const archiveServer = http.createServer(archiveApp);
+  const s3Server = http.createServer(s3App);
+
+  return {
+    state,
+    store,
+    failures,
+    engine,
+
+    /**
+     * Create the seeded bucket, start both servers and the ingestion engine
+     * @returns {Promise<{archiveUrl: string, s3Url: string}>} Where the servers listen
+     */
+    async start() {
+      await store.createBucket(options.bucketName, true);
+      const archivePort = await listen(archiveServer, options.archivePort, options.host);
+      const s3Port = await listen(s3Server, options.s3Port, options.host);
+      engine.start();
+      return {
+        archiveUrl: `http://${options.host}:${archivePort}`,
+        s3Url: `http://${options.host}:${s3Port}`,
+      };
+    },
+
+    async stop() {
+      engine.stop();
+      await Promise.all([close(archiveServer), close(s3Server)]);
+    },
+  };
+};
+
+if (require.main === module) {
+  const mockArchive = createMockArchive();
+  mockArchive.start()
+    .then(({ archiveUrl, s3Url }) => {
+      const { settings } = mockArchive.failures;
+      const injected = Object.entries(settings)
+        .filter(([name, value]) => value !== FailureInjector.DEFAULT_SETTINGS[name])
+        .map(([name, value]) => `${name}=${value}`);
+      console.log(`🗄️  Mock archive running at ${archiveUrl} (web.ui API at ${archiveUrl}${ArchiveState.API_ROOT})`);
+      console.log(`🪣 Mock S3 running at ${s3Url} (path-style), bucket "${readOptions().bucketName}"`);
+      console.log(injected.length > 0 ? `💥 Injected failures: ${injected.join(', ')}` : '💥 No injected failures');
+    })
+    .catch((error) => {
+      console.error('❌ Failed to start the mock archive:', error);
+      process.exit(1);
+    });
+
+  ['SIGINT', 'SIGTERM'].forEach((signal) => process.on(signal, async () => {
+    console.log(`🛑 ${signal} received, stopping the mock archive`);
+    await mockArchive.stop();
+    process.exit(0);
+  }));
+}
+
+module.exports = { createMockArchive };
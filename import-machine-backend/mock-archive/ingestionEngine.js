@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const { validateManifest } = require('../services/manifestService');
+const { listContainerEntries } = require('./containerReader');
+const ArchiveState = require('./archiveState');
+
+const { BATCH_STATUS, MESSAGE_STATUS } = ArchiveState;
+
+// Validation problems listed in a failure reason before the rest are only counted
+const MAX_LISTED_PROBLEMS = 5;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const validationError = (reason, errors = []) => {
+  const error = new Error(reason);
+  error.code = 'VALIDATION_FAILED';
+  error.errors = errors.length > 0 ? errors : [{ path: '/', message: reason }];
+  return error;
+};
+
+const summarize = (problems) => {
+  const listed = problems.slice(0, MAX_LISTED_PROBLEMS).join('; ');
+  const more = problems.length - MAX_LISTED_PROBLEMS;
+  return more > 0 ? `${listed}; and ${more} more` : listed;
+};
+
+/**
+ * Works through the batches of the mock archive the way the archive does: a pending batch is validated against
+ * its manifest and container in the S3 stand-in, then its messages are archived a few at a time on every tick.
+ */
+class IngestionEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {ArchiveState} options.state - Archive state
+   * @param {ObjectStore} options.store - S3 stand-in the containers are read from
+   * @param {FailureInjector} options.failures - Failure injection
+   * @param {number} options.tickMs - Time between ticks
+   * @param {number} options.messagesPerTick - Messages each processing batch gets through per tick
+   */
+  constructor({
+    state, store, failures, tickMs, messagesPerTick,
+  }) {
+    this.state = state;
+    this.store = store;
+    this.failures = failures;
+    this.tickMs = tickMs;
+    this.messagesPerTick = messagesPerTick;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.tick(), this.tickMs);
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Move every unfinished batch one step on; a tick still running when the next is due skips that one
+   * @returns {Promise<void>}
+   */
+  async tick() {
+    if (this.ticking) {
+      return;
+    }
+    this.ticking = true;
+    try {
+      for (const batch of this.state.batches.values()) {
+        if (batch.status === BATCH_STATUS.PENDING) {
+          await this.startBatch(batch);
+        } else if (batch.status === BATCH_STATUS.PROCESSING) {
+          this.processMessages(batch);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Mock archive ingestion tick failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Read an object of the batch's ingestion point, failing validation if it cannot be read
+   * @param {Object} location - bucketName and prefix of the ingestion point
+   * @param {string} name - Object name relative to the prefix
+   * @param {string} label - What the object is, for the failure reason
+   * @returns {Promise<Buffer>} Object content
+   */
+  async readBatchObject({ bucketName, prefix }, name, label) {
+    try {
+      return await this.store.readObject(bucketName, `${prefix}${name}`);
+    } catch (error) {
+      throw validationError(`The ${label} s3://${bucketName}/${prefix}${name} could not be read: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check a batch's manifest and container the way the archive does before ingesting anything
+   * @param {Object} batch - Pending batch
+   * @returns {Promise<{manifest: Object, containerSize: number}>} The manifest and the size of the container
+   */
+  async validateBatch(batch) {
+    const importJob = this.state.getImport(batch.importId);
+    const { typeDetails } = this.state.getIngestionPoint(importJob.ingestionPointId);
+    const trimmed = (typeDetails.bucketPrefix || '').replace(/^\/+/, '');
+    const location = {
+      bucketName: typeDetails.bucketName,
+      prefix: trimmed && !trimmed.endsWith('/') ? `${trimmed}/` : trimmed,
+    };
+
+    const manifestBody = await this.readBatchObject(location, batch.manifest, 'manifest');
+    if (sha256(manifestBody) !== batch.manifestDigest) {
+      throw validationError('The manifest does not match the batch\'s manifestDigest');
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(manifestBody.toString('utf8'));
+    } catch (error) {
+      throw validationError(`The manifest is not valid JSON: ${error.message}`);
+    }
+    const { valid, errors } = validateManifest(manifest);
+    if (!valid) {
+      const problems = errors.map((error) => `${error.path} ${error.message}`);
+      throw validationError(`The manifest is not valid: ${summarize(problems)}`, errors);
+    }
+
+    if (importJob.customer && manifest.customer_guid.toLowerCase() !== importJob.customer.toLowerCase()) {
+      throw validationError(`The manifest is for customer ${manifest.customer_guid}, not the import job's customer`);
+    }
+    if (manifest.container !== batch.container) {
+      throw validationError(`The manifest describes container "${manifest.container}", not "${batch.container}"`);
+    }
+    if (manifest.container_type !== `container/${batch.containerType}`) {
+      throw validationError(`The manifest's container_type "${manifest.container_type}" does not match `
+        + `the batch's containerType "${batch.containerType}"`);
+    }
+
+    const container = await this.readBatchObject(location, batch.container, 'container');
+    if (sha256(container) !== manifest.container_hash) {
+      throw validationError('The container does not match the manifest\'s container_hash');
+    }
+
+    let containerEntries;
+    try {
+      containerEntries = new Set(listContainerEntries(container, batch.containerType).map((entry) => entry.name));
+    } catch (error) {
+      throw validationError(`The container could not be opened: ${error.message}`);
+    }
+    const missing = manifest.entries
+      .map((entry, index) => ({ entry, index }))
+      .filter(({ entry }) => !containerEntries.has(entry.container_entry_id));
+    if (missing.length > 0) {
+      const problems = missing.map(({ entry }) => `"${entry.container_entry_id}"`);
+      const entryErrors = missing.map(({ entry, index }) => ({
+        path: `/entries/${index}/container_entry_id`,
+        message: `"${entry.container_entry_id}" is not in the container`,
+      }));
+      const reason = `The manifest lists entries the container does not have: ${summarize(problems)}`;
+      throw validationError(reason, entryErrors);
+    }
+
+    return { manifest, containerSize: container.length };
+  }
+
+  /**
+   * Validate a pending batch and start processing it, or fail it
+   * @param {Object} batch - Pending batch
+   */
+  async startBatch(batch) {
+    const now = new Date().toISOString();
+    try {
+      const { manifest, containerSize } = await this.validateBatch(batch);
+      Object.assign(batch, {
+        status: BATCH_STATUS.PROCESSING,
+        customer: manifest.customer_guid.toLowerCase(),
+        entries: manifest.entries,
+        batchSizeInBytes: containerSize,
+        startAt: now,
+        lastUpdatedAt: now,
+        // An injected batch failure strikes halfway through the messages
+        failAt: this.failures.chance('batchFailRate') ? Math.floor(manifest.entries.length / 2) : null,
+      });
+    } catch (error) {
+      if (error.code !== 'VALIDATION_FAILED') {
+        throw error;
+      }
+      Object.assign(batch, {
+        status: BATCH_STATUS.VALIDATION_FAILED,
+        validationFailReason: error.message,
+        validationErrors: error.errors,
+        lastUpdatedAt: now,
+      });
+    }
+  }
+
+  /**
+   * Archive the next messages of a processing batch, and finish it after the last one
+   * @param {Object} batch - Processing batch
+   */
+  processMessages(batch) {
+    const end = Math.min(batch.processed + this.messagesPerTick, batch.entries.length);
+
+    for (; batch.processed < end; batch.processed += 1) {
+      if (batch.failAt === batch.processed) {
+        Object.assign(batch, {
+          status: BATCH_STATUS.FAILED,
+          validationFailReason: 'Injected failure: the batch failed during ingestion',
+          lastUpdatedAt: new Date().toISOString(),
+        });
+        return;
+      }
+
+      const entry = batch.entries[batch.processed];
+      // A dropped message is processed but never reported, as if the archive lost it
+      if (!this.failures.chance('messageDropRate')) {
+        batch.messages.push(this.archiveMessage(batch, entry));
+      }
+    }
+
+    if (batch.processed >= batch.entries.length) {
+      for (let count = 0; count < this.failures.settings.unexpectedMessages; count += 1) {
+        batch.unexpected.push({ reconciliationId: crypto.randomUUID(), status: MESSAGE_STATUS.ARCHIVED });
+      }
+      batch.status = BATCH_STATUS.DONE;
+    }
+    batch.lastUpdatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Decide what happens to one message
+   * @param {Object} batch - Processing batch
+   * @param {Object} entry - Manifest entry of the message
+   * @returns {Object} The message as the batch report lists it
+   */
+  archiveMessage(batch, entry) {
+    const message = { reconciliationId: entry.reconciliation_id, containerEntryId: entry.container_entry_id };
+    if (this.failures.chance('messageRejectRate')) {
+      return { ...message, status: MESSAGE_STATUS.REJECTED, reason: 'Injected failure: message rejected' };
+    }
+
+    const digest = entry.sha256 || `${batch.id}/${entry.container_entry_id}`;
+    const duplicate = this.state.archiveDigest(batch.customer, digest);
+    return { ...message, status: duplicate ? MESSAGE_STATUS.DEDUPLICATED : MESSAGE_STATUS.ARCHIVED };
+  }
+}
+
+module.exports = IngestionEngine;
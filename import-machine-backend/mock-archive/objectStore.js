@@ -0,0 +1,393 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// Uploads in progress keep their parts here, next to the buckets; S3 bucket names cannot start with a dot
+const UPLOADS_DIR = '.uploads';
+
+// Error with the S3 error code and HTTP status the S3 stand-in answers with
+const storeError = (code, status, message) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const isValidBucketName = (name) => /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/.test(name);
+
+// Objects are stored flat in their bucket's directory under their URI-encoded key, so any key is a safe file name
+const toFileName = (key) => encodeURIComponent(key).replace(/\./g, '%2E');
+const fromFileName = (fileName) => decodeURIComponent(fileName);
+
+const md5File = async (filePath) => {
+  const hash = crypto.createHash('md5');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+};
+
+/**
+ * Buckets and objects of the S3 stand-in, kept on disk under one directory so containers survive restarts and
+ * can be inspected. ETags follow S3: the MD5 of the object, or for multipart uploads the MD5 of the part MD5s
+ * followed by the number of parts.
+ */
+class ObjectStore {
+  /**
+   * @param {string} rootDir - Directory holding one subdirectory per bucket
+   */
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+    // ETag, content type and user metadata of each object written since startup, keyed by bucket and key;
+    // objects found on disk after a restart get their ETag computed and no metadata
+    this.attributes = new Map();
+    this.uploads = new Map(); // Multipart uploads in progress, keyed by upload ID
+    fs.mkdirSync(path.join(rootDir, UPLOADS_DIR), { recursive: true });
+  }
+
+  bucketDir(bucket) {
+    return path.join(this.rootDir, bucket);
+  }
+
+  objectPath(bucket, key) {
+    return path.join(this.bucketDir(bucket), toFileName(key));
+  }
+
+  async assertBucket(bucket) {
+    if (!isValidBucketName(bucket) || !fs.existsSync(this.bucketDir(bucket))) {
+      throw storeError('NoSuchBucket', 404, `The specified bucket does not exist: ${bucket}`);
+    }
+  }
+
+  /**
+   * List the buckets
+   * @returns {Promise<Array<{name: string, createdAt: Date}>>} Buckets by name
+   */
+  async listBuckets() {
+    const entries = await fs.promises.readdir(this.rootDir, { withFileTypes: true });
+    const buckets = entries.filter((entry) => entry.isDirectory() && isValidBucketName(entry.name));
+    return Promise.all(buckets.sort((a, b) => a.name.localeCompare(b.name)).map(async (entry) => ({
+      name: entry.name,
+      createdAt: (await fs.promises.stat(this.bucketDir(entry.name))).birthtime,
+    })));
+  }
+
+  /**
+   * Create a bucket
+   * @param {string} bucket - Bucket name
+   * @param {boolean} ifMissing - Do nothing if the bucket exists instead of failing
+   */
+  async createBucket(bucket, ifMissing = false) {
+    if (!isValidBucketName(bucket)) {
+      throw storeError('InvalidBucketName', 400, `The specified bucket is not valid: ${bucket}`);
+    }
+    if (fs.existsSync(this.bucketDir(bucket))) {
+      if (ifMissing) {
+        return;
+      }
+      throw storeError('BucketAlreadyOwnedByYou', 409, `The bucket already exists: ${bucket}`);
+    }
+    await fs.promises.mkdir(this.bucketDir(bucket));
+  }
+
+  /**
+   * Delete an empty bucket
+   * @param {string} bucket - Bucket name
+   */
+  async deleteBucket(bucket) {
+    await this.assertBucket(bucket);
+    if ((await fs.promises.readdir(this.bucketDir(bucket))).length > 0) {
+      throw storeError('BucketNotEmpty', 409, `The bucket is not empty: ${bucket}`);
+    }
+    await fs.promises.rmdir(this.bucketDir(bucket));
+  }
+
+  /**
+   * Write an object from a stream
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {stream.Readable} body - Object content
+   * @param {{contentType: string, metadata: Object, checksumSha256: string}} attributes - Content type, user
+   *   metadata, and the base64 SHA-256 the content must have, if the client sent one
+   * @returns {Promise<{etag: string, size: number}>} The object's ETag and size
+   */
+  async putObject(bucket, key, body, attributes = {}) {
+    await this.assertBucket(bucket);
+    const target = this.objectPath(bucket, key);
+    const partial = `${target}.${crypto.randomBytes(4).toString('hex')}.partial`;
+    const hash = crypto.createHash('md5');
+    const checksum = crypto.createHash('sha256');
+    let size = 0;
+
+    body.on('data', (chunk) => {
+      hash.update(chunk);
+      checksum.update(chunk);
+      size += chunk.length;
+    });
+    try {
+      await pipeline(body, fs.createWriteStream(partial));
+      if (attributes.checksumSha256 && checksum.digest('base64') !== attributes.checksumSha256) {
+        throw storeError('BadDigest', 400, 'The SHA256 you specified did not match the calculated checksum');
+      }
+      await fs.promises.rename(partial, target);
+    } catch (error) {
+      await fs.promises.rm(partial, { force: true });
+      throw error;
+    }
+
+    const etag = hash.digest('hex');
+    this.setAttributes(bucket, key, etag, attributes);
+    return { etag, size };
+  }
+
+  setAttributes(bucket, key, etag, { contentType = null, metadata = {}, checksumSha256 = null } = {}) {
+    this.attributes.set(`${bucket}/${key}`, {
+      etag,
+      contentType: contentType || 'application/octet-stream',
+      metadata,
+      checksumSha256,
+    });
+  }
+
+  /**
+   * Describe an object
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @returns {Promise<Object>} key, size, lastModified, etag, contentType, user metadata and the SHA-256 checksum
+   *   the object was stored with, if any
+   */
+  async headObject(bucket, key) {
+    await this.assertBucket(bucket);
+    let stats;
+    try {
+      stats = await fs.promises.stat(this.objectPath(bucket, key));
+    } catch (error) {
+      throw storeError('NoSuchKey', 404, `The specified key does not exist: ${key}`);
+    }
+
+    if (!this.attributes.has(`${bucket}/${key}`)) {
+      this.setAttributes(bucket, key, await md5File(this.objectPath(bucket, key)));
+    }
+    return {
+      key,
+      size: stats.size,
+      lastModified: stats.mtime,
+      ...this.attributes.get(`${bucket}/${key}`),
+    };
+  }
+
+  /**
+   * Open an object for reading
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {{start: number, end: number}} range - Byte range, inclusive, if only part is read
+   * @returns {Promise<{object: Object, stream: stream.Readable}>} Object metadata and content
+   */
+  async getObject(bucket, key, range = null) {
+    const object = await this.headObject(bucket, key);
+    return { object, stream: fs.createReadStream(this.objectPath(bucket, key), range || {}) };
+  }
+
+  /**
+   * Read a whole object into memory; only meant for manifests and the containers the ingestion engine opens
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @returns {Promise<Buffer>} Object content
+   */
+  async readObject(bucket, key) {
+    await this.headObject(bucket, key);
+    return fs.promises.readFile(this.objectPath(bucket, key));
+  }
+
+  /**
+   * Delete an object; deleting a missing key succeeds, as in S3
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   */
+  async deleteObject(bucket, key) {
+    await this.assertBucket(bucket);
+    await fs.promises.rm(this.objectPath(bucket, key), { force: true });
+    this.attributes.delete(`${bucket}/${key}`);
+  }
+
+  /**
+   * List objects in key order, like ListObjectsV2
+   * @param {string} bucket - Bucket name
+   * @param {Object} options - prefix, delimiter, maxKeys and startAfter (exclusive)
+   * @returns {Promise<Object>} objects, commonPrefixes, isTruncated and, when truncated, the key to start after
+   */
+  async listObjects(bucket, {
+    prefix = '', delimiter = '', maxKeys = 1000, startAfter = '',
+  } = {}) {
+    await this.assertBucket(bucket);
+    const keys = (await fs.promises.readdir(this.bucketDir(bucket)))
+      .filter((fileName) => !fileName.endsWith('.partial'))
+      .map(fromFileName)
+      .filter((key) => key.startsWith(prefix) && key > startAfter)
+      .sort();
+
+    const objects = [];
+    const commonPrefixes = [];
+    let lastKey = null;
+    for (const key of keys) {
+      if (objects.length + commonPrefixes.length >= maxKeys) {
+        return {
+          objects, commonPrefixes, isTruncated: true, nextStartAfter: lastKey,
+        };
+      }
+
+      const delimiterAt = delimiter ? key.indexOf(delimiter, prefix.length) : -1;
+      if (delimiterAt === -1) {
+        objects.push(await this.headObject(bucket, key));
+        lastKey = key;
+      } else {
+        const commonPrefix = key.slice(0, delimiterAt + delimiter.length);
+        if (commonPrefixes[commonPrefixes.length - 1] !== commonPrefix) {
+          commonPrefixes.push(commonPrefix);
+        }
+        // Continue after every key under the common prefix
+        lastKey = `${commonPrefix}￿`;
+      }
+    }
+    return {
+      objects, commonPrefixes, isTruncated: false, nextStartAfter: null,
+    };
+  }
+
+  /**
+   * Start a multipart upload
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {{contentType: string, metadata: Object}} attributes - Content type and user metadata of the object
+   * @returns {Promise<string>} Upload ID
+   */
+  async createMultipartUpload(bucket, key, attributes = {}) {
+    await this.assertBucket(bucket);
+    const uploadId = crypto.randomBytes(16).toString('hex');
+    await fs.promises.mkdir(path.join(this.rootDir, UPLOADS_DIR, uploadId));
+    this.uploads.set(uploadId, {
+      bucket, key, attributes, initiatedAt: new Date(), parts: new Map(),
+    });
+    return uploadId;
+  }
+
+  getUpload(bucket, key, uploadId) {
+    const upload = this.uploads.get(uploadId);
+    if (!upload || upload.bucket !== bucket || upload.key !== key) {
+      throw storeError('NoSuchUpload', 404, `The specified upload does not exist: ${uploadId}`);
+    }
+    return upload;
+  }
+
+  /**
+   * Store one part of a multipart upload
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {string} uploadId - Upload ID
+   * @param {number} partNumber - Part number, 1 to 10000
+   * @param {stream.Readable} body - Part content
+   * @returns {Promise<string>} The part's ETag
+   */
+  async uploadPart(bucket, key, uploadId, partNumber, body) {
+    const upload = this.getUpload(bucket, key, uploadId);
+    if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > 10000) {
+      throw storeError('InvalidArgument', 400, 'Part number must be an integer between 1 and 10000');
+    }
+
+    const hash = crypto.createHash('md5');
+    let size = 0;
+    body.on('data', (chunk) => {
+      hash.update(chunk);
+      size += chunk.length;
+    });
+    await pipeline(body, fs.createWriteStream(path.join(this.rootDir, UPLOADS_DIR, uploadId, String(partNumber))));
+
+    const etag = hash.digest('hex');
+    upload.parts.set(partNumber, {
+      partNumber, etag, size, lastModified: new Date(),
+    });
+    return etag;
+  }
+
+  /**
+   * List the parts stored for a multipart upload
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {string} uploadId - Upload ID
+   * @returns {Array<Object>} Parts by part number
+   */
+  listParts(bucket, key, uploadId) {
+    const upload = this.getUpload(bucket, key, uploadId);
+    return [...upload.parts.values()].sort((a, b) => a.partNumber - b.partNumber);
+  }
+
+  /**
+   * List the multipart uploads in progress in a bucket
+   * @param {string} bucket - Bucket name
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<Array<Object>>} Uploads by key
+   */
+  async listMultipartUploads(bucket, prefix = '') {
+    await this.assertBucket(bucket);
+    return [...this.uploads.entries()]
+      .filter(([, upload]) => upload.bucket === bucket && upload.key.startsWith(prefix))
+      .map(([uploadId, upload]) => ({ uploadId, key: upload.key, initiatedAt: upload.initiatedAt }))
+      .sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Join the listed parts of a multipart upload into the object
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {string} uploadId - Upload ID
+   * @param {Array<{partNumber: number, etag: string}>} parts - Parts in order, as the client uploaded them
+   * @returns {Promise<{etag: string, size: number}>} The object's ETag and size
+   */
+  async completeMultipartUpload(bucket, key, uploadId, parts) {
+    const upload = this.getUpload(bucket, key, uploadId);
+    if (parts.length === 0) {
+      throw storeError('MalformedXML', 400, 'The upload must list at least one part');
+    }
+
+    const stored = parts.map(({ partNumber, etag }, index) => {
+      const part = upload.parts.get(partNumber);
+      if (!part || part.etag !== String(etag).replace(/"/g, '')) {
+        throw storeError('InvalidPart', 400, `Part ${partNumber} was not uploaded or its ETag does not match`);
+      }
+      if (index > 0 && partNumber <= parts[index - 1].partNumber) {
+        throw storeError('InvalidPartOrder', 400, 'Parts must be listed in ascending order');
+      }
+      return part;
+    });
+
+    const uploadDir = path.join(this.rootDir, UPLOADS_DIR, uploadId);
+    const target = this.objectPath(bucket, key);
+    const output = fs.createWriteStream(`${target}.partial`);
+    for (const part of stored) {
+      await pipeline(fs.createReadStream(path.join(uploadDir, String(part.partNumber))), output, { end: false });
+    }
+    await new Promise((resolve, reject) => {
+      output.end((error) => (error ? reject(error) : resolve()));
+    });
+    await fs.promises.rename(`${target}.partial`, target);
+    await this.abortMultipartUpload(bucket, key, uploadId);
+
+    const digests = Buffer.concat(stored.map((part) => Buffer.from(part.etag, 'hex')));
+    const etag = `${crypto.createHash('md5').update(digests).digest('hex')}-${stored.length}`;
+    this.setAttributes(bucket, key, etag, upload.attributes);
+    return { etag, size: stored.reduce((sum, part) => sum + part.size, 0) };
+  }
+
+  /**
+   * Drop a multipart upload and its parts
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {string} uploadId - Upload ID
+   */
+  async abortMultipartUpload(bucket, key, uploadId) {
+    this.getUpload(bucket, key, uploadId);
+    await fs.promises.rm(path.join(this.rootDir, UPLOADS_DIR, uploadId), { recursive: true, force: true });
+    this.uploads.delete(uploadId);
+  }
+}
+
+module.exports = ObjectStore;
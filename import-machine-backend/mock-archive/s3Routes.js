@@ -0,0 +1,392 @@
+const crypto = require('crypto');
+const express = require('express');
+const { Transform } = require('stream');
+
+// The part of the S3 REST API the backend uses, path-style only (http://host:port/bucket/key).
+// Requests are not authenticated; any access key and signature is accepted.
+
+const S3_NAMESPACE = 'http://s3.amazonaws.com/doc/2006-03-01/';
+const MAX_KEYS = 1000;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Serialize nested [tag, content] pairs; content is text, a list of pairs, or null to leave the element out
+const toXml = (pairs) => pairs
+  .filter(([, content]) => content !== null && content !== undefined)
+  .map(([tag, content]) => `<${tag}>${Array.isArray(content) ? toXml(content) : escapeXml(content)}</${tag}>`)
+  .join('');
+
+const sendXml = (res, status, root, pairs) => res.status(status)
+  .type('application/xml')
+  .send(`<?xml version="1.0" encoding="UTF-8"?>\n<${root} xmlns="${S3_NAMESPACE}">${toXml(pairs)}</${root}>`);
+
+const sendS3Error = (req, res, error) => {
+  const status = error.status || 500;
+  if (status === 500) {
+    console.error('❌ Mock S3 request failed:', error);
+  }
+  if (req.method === 'HEAD') {
+    return res.status(status).end();
+  }
+  return res.status(status).type('application/xml').send(`<?xml version="1.0" encoding="UTF-8"?>\n${toXml([
+    ['Error', [
+      ['Code', error.code && error.status ? error.code : 'InternalError'],
+      ['Message', error.message],
+      ['Resource', req.path],
+      ['RequestId', crypto.randomBytes(8).toString('hex')],
+    ]],
+  ])}`);
+};
+
+const s3Error = (code, status, message) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const quote = (etag) => `"${etag}"`;
+
+/**
+ * Decode a body sent with Content-Encoding aws-chunked, as newer AWS CLIs and SDKs do when they add checksums:
+ * "<hex size>[;chunk-signature=...]\r\n<data>\r\n" chunks up to a zero-size one, then optional trailers
+ * @returns {Transform} Stream of the decoded content
+ */
+const createAwsChunkedDecoder = () => {
+  let buffered = Buffer.alloc(0);
+  let remaining = 0; // Bytes of data left in the current chunk, plus its closing CRLF
+  let finished = false;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      buffered = Buffer.concat([buffered, chunk]);
+      while (!finished && buffered.length > 0) {
+        if (remaining > 0) {
+          const take = Math.min(remaining, buffered.length);
+          const dataLength = Math.max(0, Math.min(take, remaining - 2));
+          if (dataLength > 0) {
+            this.push(buffered.subarray(0, dataLength));
+          }
+          buffered = buffered.subarray(take);
+          remaining -= take;
+        } else {
+          const lineEnd = buffered.indexOf('\r\n');
+          if (lineEnd === -1) {
+            break;
+          }
+          const size = parseInt(buffered.toString('latin1', 0, lineEnd).split(';')[0], 16);
+          if (Number.isNaN(size)) {
+            callback(s3Error('IncompleteBody', 400, 'The aws-chunked body is malformed'));
+            return;
+          }
+          buffered = buffered.subarray(lineEnd + 2);
+          if (size === 0) {
+            finished = true;
+          } else {
+            remaining = size + 2;
+          }
+        }
+      }
+      callback();
+    },
+  });
+};
+
+// Object content from a PUT or UploadPart request
+const getBody = (req) => {
+  const encoding = req.headers['content-encoding'] || '';
+  return encoding.split(',').map((value) => value.trim()).includes('aws-chunked')
+    ? req.pipe(createAwsChunkedDecoder())
+    : req;
+};
+
+// Content type, x-amz-meta-* user metadata and SHA-256 checksum of a PUT or CreateMultipartUpload request
+const getAttributes = (req) => ({
+  contentType: req.headers['content-type'] || null,
+  checksumSha256: req.headers['x-amz-checksum-sha256'] || null,
+  metadata: Object.fromEntries(Object.entries(req.headers)
+    .filter(([name]) => name.startsWith('x-amz-meta-'))
+    .map(([name, value]) => [name.slice('x-amz-meta-'.length), value])),
+});
+
+const setObjectHeaders = (res, object) => {
+  res.set({
+    ETag: quote(object.etag),
+    'Last-Modified': object.lastModified.toUTCString(),
+    'Accept-Ranges': 'bytes',
+  });
+  // Set directly, as res.set would add a charset to text types
+  res.setHeader('Content-Type', object.contentType);
+  Object.entries(object.metadata).forEach(([name, value]) => res.set(`x-amz-meta-${name}`, value));
+};
+
+// Parse a Range header of the form bytes=start-end, bytes=start- or bytes=-suffix
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+  const range = match[1] === ''
+    ? { start: Math.max(0, size - Number(match[2])), end: size - 1 }
+    : { start: Number(match[1]), end: match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1) };
+  if (range.start > range.end || range.start >= size) {
+    throw s3Error('InvalidRange', 416, 'The requested range is not satisfiable');
+  }
+  return range;
+};
+
+// Parts listed in a CompleteMultipartUpload body
+const parseCompletedParts = (xml) => [...xml.matchAll(/<Part>([\s\S]*?)<\/Part>/g)].map(([, part]) => ({
+  partNumber: Number((/<PartNumber>\s*(\d+)\s*<\/PartNumber>/.exec(part) || [])[1]),
+  etag: ((/<ETag>([\s\S]*?)<\/ETag>/.exec(part) || [])[1] || '').replace(/&quot;/g, '"').trim(),
+}));
+
+const readText = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+/**
+ * Build the Express router of the S3 stand-in
+ * @param {Object} options - Router options
+ * @param {ObjectStore} options.store - Where buckets and objects are kept
+ * @param {FailureInjector} options.failures - Failure injection; s3ErrorRate answers requests with 503 SlowDown
+ * @param {string} options.region - Region reported for every bucket
+ * @returns {express.Router} Router to mount at the root of its own server
+ */
+const createS3Router = ({ store, failures, region }) => {
+  const router = express.Router();
+
+  // Wrap a handler so a rejected promise becomes an S3 error response
+  const handle = (handler) => (req, res) => Promise.resolve(handler(req, res))
+    .catch((error) => sendS3Error(req, res, error));
+
+  // CORS for any origin, as a bucket CORS rule for browser uploads would allow; ETag is exposed so the browser
+  // can complete multipart uploads
+  router.use((req, res, next) => {
+    res.set({
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Expose-Headers': 'ETag, x-amz-checksum-sha256',
+    });
+    if (req.method === 'OPTIONS' && req.headers['access-control-request-method']) {
+      res.set({
+        'Access-Control-Allow-Methods': 'GET, PUT, POST, DELETE, HEAD',
+        'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || '',
+        'Access-Control-Max-Age': '3000',
+      }).status(200).end();
+      return;
+    }
+    next();
+  });
+
+  router.use((req, res, next) => {
+    if (failures.chance('s3ErrorRate')) {
+      sendS3Error(req, res, s3Error('SlowDown', 503, 'Injected failure: please reduce your request rate'));
+      return;
+    }
+    next();
+  });
+
+  router.get('/', handle(async (req, res) => {
+    const buckets = await store.listBuckets();
+    sendXml(res, 200, 'ListAllMyBucketsResult', [
+      ['Owner', [['ID', 'mock-archive'], ['DisplayName', 'mock-archive']]],
+      ['Buckets', buckets.map((bucket) => ['Bucket', [
+        ['Name', bucket.name],
+        ['CreationDate', bucket.createdAt.toISOString()],
+      ]])],
+    ]);
+  }));
+
+  router.put('/:bucket', handle(async (req, res) => {
+    await store.createBucket(req.params.bucket);
+    req.resume();
+    res.set('Location', `/${req.params.bucket}`).status(200).end();
+  }));
+
+  router.head('/:bucket', handle(async (req, res) => {
+    await store.assertBucket(req.params.bucket);
+    res.set('x-amz-bucket-region', region).status(200).end();
+  }));
+
+  router.delete('/:bucket', handle(async (req, res) => {
+    await store.deleteBucket(req.params.bucket);
+    res.status(204).end();
+  }));
+
+  router.get('/:bucket', handle(async (req, res) => {
+    const { bucket } = req.params;
+    await store.assertBucket(bucket);
+
+    if ('location' in req.query) {
+      // us-east-1 is reported as an empty location constraint, as S3 does
+      const constraint = region === 'us-east-1' ? '' : region;
+      return res.type('application/xml').send('<?xml version="1.0" encoding="UTF-8"?>\n'
+        + `<LocationConstraint xmlns="${S3_NAMESPACE}">${escapeXml(constraint)}</LocationConstraint>`);
+    }
+    if ('versioning' in req.query) {
+      return sendXml(res, 200, 'VersioningConfiguration', []);
+    }
+    if ('uploads' in req.query) {
+      const uploads = await store.listMultipartUploads(bucket, req.query.prefix || '');
+      return sendXml(res, 200, 'ListMultipartUploadsResult', [
+        ['Bucket', bucket],
+        ['Prefix', req.query.prefix || ''],
+        ['IsTruncated', 'false'],
+        ...uploads.map((upload) => ['Upload', [
+          ['Key', upload.key],
+          ['UploadId', upload.uploadId],
+          ['Initiated', upload.initiatedAt.toISOString()],
+        ]]),
+      ]);
+    }
+
+    // ListObjectsV2 when list-type=2, else the original ListObjects with its marker
+    const v2 = req.query['list-type'] === '2';
+    const continuationToken = req.query['continuation-token'];
+    const startAfter = v2
+      ? (continuationToken && Buffer.from(continuationToken, 'base64url').toString('utf8')) || req.query['start-after']
+      : req.query.marker;
+    const maxKeys = Math.min(parseInt(req.query['max-keys'], 10) || MAX_KEYS, MAX_KEYS);
+    const listing = await store.listObjects(bucket, {
+      prefix: req.query.prefix || '',
+      delimiter: req.query.delimiter || '',
+      maxKeys,
+      startAfter: startAfter || '',
+    });
+
+    const next = listing.isTruncated ? listing.nextStartAfter : null;
+    return sendXml(res, 200, 'ListBucketResult', [
+      ['Name', bucket],
+      ['Prefix', req.query.prefix || ''],
+      ['Delimiter', req.query.delimiter || null],
+      ['MaxKeys', maxKeys],
+      ['IsTruncated', String(listing.isTruncated)],
+      ...(v2 ? [
+        ['KeyCount', listing.objects.length + listing.commonPrefixes.length],
+        ['ContinuationToken', continuationToken || null],
+        ['NextContinuationToken', next && Buffer.from(next, 'utf8').toString('base64url')],
+        ['StartAfter', req.query['start-after'] || null],
+      ] : [
+        ['Marker', req.query.marker || ''],
+        ['NextMarker', req.query.delimiter ? next : null],
+      ]),
+      ...listing.objects.map((object) => ['Contents', [
+        ['Key', object.key],
+        ['LastModified', object.lastModified.toISOString()],
+        ['ETag', quote(object.etag)],
+        ['Size', object.size],
+        ['StorageClass', 'STANDARD'],
+      ]]),
+      ...listing.commonPrefixes.map((prefix) => ['CommonPrefixes', [['Prefix', prefix]]]),
+    ]);
+  }));
+
+  router.put('/:bucket/*', handle(async (req, res) => {
+    const { bucket, 0: key } = req.params;
+    if (req.headers['x-amz-copy-source']) {
+      throw s3Error('NotImplemented', 501, 'The mock S3 does not copy objects');
+    }
+
+    if (req.query.uploadId) {
+      const partNumber = Number(req.query.partNumber);
+      const etag = await store.uploadPart(bucket, key, req.query.uploadId, partNumber, getBody(req));
+      return res.set('ETag', quote(etag)).status(200).end();
+    }
+
+    const attributes = getAttributes(req);
+    const { etag } = await store.putObject(bucket, key, getBody(req), attributes);
+    if (attributes.checksumSha256) {
+      res.set('x-amz-checksum-sha256', attributes.checksumSha256);
+    }
+    return res.set('ETag', quote(etag)).status(200).end();
+  }));
+
+  router.post('/:bucket/*', handle(async (req, res) => {
+    const { bucket, 0: key } = req.params;
+
+    if ('uploads' in req.query) {
+      req.resume();
+      const uploadId = await store.createMultipartUpload(bucket, key, getAttributes(req));
+      return sendXml(res, 200, 'InitiateMultipartUploadResult', [
+        ['Bucket', bucket],
+        ['Key', key],
+        ['UploadId', uploadId],
+      ]);
+    }
+    if (req.query.uploadId) {
+      const parts = parseCompletedParts(await readText(req));
+      const { etag } = await store.completeMultipartUpload(bucket, key, req.query.uploadId, parts);
+      return sendXml(res, 200, 'CompleteMultipartUploadResult', [
+        ['Location', `${req.protocol}://${req.get('host')}/${bucket}/${key}`],
+        ['Bucket', bucket],
+        ['Key', key],
+        ['ETag', quote(etag)],
+      ]);
+    }
+    throw s3Error('NotImplemented', 501, 'The mock S3 does not support this request');
+  }));
+
+  router.head('/:bucket/*', handle(async (req, res) => {
+    const object = await store.headObject(req.params.bucket, req.params[0]);
+    setObjectHeaders(res, object);
+    if (object.checksumSha256 && /^enabled$/i.test(req.headers['x-amz-checksum-mode'] || '')) {
+      res.set('x-amz-checksum-sha256', object.checksumSha256);
+    }
+    res.set('Content-Length', String(object.size)).status(200).end();
+  }));
+
+  router.get('/:bucket/*', handle(async (req, res) => {
+    const { bucket, 0: key } = req.params;
+
+    if (req.query.uploadId) {
+      const parts = store.listParts(bucket, key, req.query.uploadId);
+      return sendXml(res, 200, 'ListPartsResult', [
+        ['Bucket', bucket],
+        ['Key', key],
+        ['UploadId', req.query.uploadId],
+        ['IsTruncated', 'false'],
+        ...parts.map((part) => ['Part', [
+          ['PartNumber', part.partNumber],
+          ['LastModified', part.lastModified.toISOString()],
+          ['ETag', quote(part.etag)],
+          ['Size', part.size],
+        ]]),
+      ]);
+    }
+
+    const { size } = await store.headObject(bucket, key);
+    const range = parseRange(req.headers.range, size);
+    const { object, stream } = await store.getObject(bucket, key, range);
+    setObjectHeaders(res, object);
+    if (range) {
+      res.status(206).set({
+        'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+        'Content-Length': String(range.end - range.start + 1),
+      });
+    } else {
+      res.status(200).set('Content-Length', String(size));
+    }
+    return stream.pipe(res);
+  }));
+
+  router.delete('/:bucket/*', handle(async (req, res) => {
+    const { bucket, 0: key } = req.params;
+    if (req.query.uploadId) {
+      await store.abortMultipartUpload(bucket, key, req.query.uploadId);
+    } else {
+      await store.deleteObject(bucket, key);
+    }
+    res.status(204).end();
+  }));
+
+  return router;
+};
+
+module.exports = { createS3Router };
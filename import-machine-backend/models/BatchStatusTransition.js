@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const BatchStatusTransition = sequelize.define('BatchStatusTransition', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    import_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      validate: {
+        isUUID: 4
+      }
+    },
+    from_status: {
+      type: DataTypes.SMALLINT,
+      allowNull: true,
+      validate: {
+        min: 0,
+        max: 4
+      }
+    },
+    to_status: {
+      type: DataTypes.SMALLINT,
+      allowNull: false,
+      validate: {
+        min: 0,
+        max: 4
+      }
+    },
+    archive_status: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    file_count_ingested: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    source: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 50]
+      }
+    },
+    details: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    occurred_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'batch_status_transitions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['import_id', 'occurred_at']
+      },
+      {
+        fields: ['to_status']
+      }
+    ]
+  });
+
+  // Where a transition was observed
+  BatchStatusTransition.SOURCE = {
+    PACKAGING: 'packaging',
+    SUBMISSION: 'submission',
+    BATCH_QUERY: 'batch-query',
+    BATCH_REPORT: 'batch-report',
+    DIRECT_UPLOAD: 'direct-upload',
+    MANUAL: 'manual'
+  };
+
+  return BatchStatusTransition;
+};
@@ -1,6 +1,40 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 
+// S3 connection settings. An empty endpoint means AWS S3; S3-compatible services (MinIO, Ceph, Wasabi) are
+// reached through their endpoint URL, usually with path-style addressing. signatureVersion is 'v4' or 'v2',
+// for older services that only accept Signature Version 2.
+const DEFAULT_S3_SETTINGS = {
+  accessKeyId: '',
+  secretAccessKey: '',
+  region: 'us-east-1',
+  endpoint: '',
+  forcePathStyle: false,
+  tlsVerify: true,
+  caCertificate: '',
+  signatureVersion: 'v4'
+};
+
+const SIGNATURE_VERSIONS = ['v4', 'v2'];
+
+// Fill in missing S3 settings with their defaults and drop fields that are not S3 settings
+const normalizeS3Settings = function(settings) {
+  const s3Settings = settings || {};
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+  return {
+    accessKeyId: text(s3Settings.accessKeyId),
+    secretAccessKey: text(s3Settings.secretAccessKey),
+    region: text(s3Settings.region) || DEFAULT_S3_SETTINGS.region,
+    endpoint: text(s3Settings.endpoint).replace(/\/+$/, ''),
+    forcePathStyle: s3Settings.forcePathStyle === true,
+    tlsVerify: s3Settings.tlsVerify !== false,
+    caCertificate: text(s3Settings.caCertificate),
+    signatureVersion: SIGNATURE_VERSIONS.includes(s3Settings.signatureVersion)
+      ? s3Settings.signatureVersion
+      : DEFAULT_S3_SETTINGS.signatureVersion
+  };
+};
+
 const Configuration = sequelize.define('Configuration', {
   id: {
     type: DataTypes.INTEGER,
@@ -32,10 +66,7 @@ const Configuration = sequelize.define('Configuration', {
   s3Settings: {
     type: DataTypes.JSON,
     allowNull: true,
-    defaultValue: {
-      accessKeyId: '',
-      secretAccessKey: ''
-    }
+    defaultValue: DEFAULT_S3_SETTINGS
   }
 }, {
   tableName: 'configurations',
@@ -54,14 +85,15 @@ Configuration.getCurrent = async function(userId) {
       archiveWebUI: '',
       apiToken: '',
       customerGUID: '',
-      s3Settings: {
-        accessKeyId: '',
-        secretAccessKey: ''
-      }
+      s3Settings: normalizeS3Settings()
     };
   }
   
-  return config.toJSON();
+  const current = config.toJSON();
+  return {
+    ...current,
+    s3Settings: normalizeS3Settings(current.s3Settings)
+  };
 };
 
 // Class method to update configuration for a specific user
@@ -76,10 +108,7 @@ Configuration.updateCurrent = async function(userId, newConfig) {
     archiveWebUI: newConfig.archiveWebUI || '',
     apiToken: newConfig.apiToken || '',
     customerGUID: newConfig.customerGUID || '',
-    s3Settings: {
-      accessKeyId: newConfig.s3Settings?.accessKeyId || '',
-      secretAccessKey: newConfig.s3Settings?.secretAccessKey || ''
-    }
+    s3Settings: normalizeS3Settings(newConfig.s3Settings)
   };
   
   if (currentConfig) {
@@ -106,10 +135,7 @@ Configuration.reset = async function(userId) {
     archiveWebUI: '',
     apiToken: '',
     customerGUID: '',
-    s3Settings: {
-      accessKeyId: '',
-      secretAccessKey: ''
-    }
+    s3Settings: normalizeS3Settings()
   };
 };
 
@@ -126,4 +152,8 @@ Configuration.prototype.toSafeJSON = function() {
   };
 };
 
+Configuration.DEFAULT_S3_SETTINGS = DEFAULT_S3_SETTINGS;
+Configuration.SIGNATURE_VERSIONS = SIGNATURE_VERSIONS;
+Configuration.normalizeS3Settings = normalizeS3Settings;
+
 module.exports = Configuration;
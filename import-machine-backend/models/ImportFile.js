@@ -30,12 +30,13 @@ module.exports = (sequelize) => {
         min: 0
       }
     },
+    // Null until packaging hashes a direct upload that S3 holds no SHA-256 of
     sha256: {
       type: DataTypes.BLOB,
-      allowNull: false,
+      allowNull: true,
       validate: {
         isValidSha256(value) {
-          if (!value || value.length !== 32) {
+          if (value !== null && value.length !== 32) {
             throw new Error('SHA256 must be exactly 32 bytes');
           }
         }
@@ -75,6 +76,14 @@ module.exports = (sequelize) => {
       validate: {
         len: [0, 10000] // Limit error message to 10KB
       }
+    },
+    reconciliation_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'UUIDv5 of customer GUID, ingestion point and content hash; the manifest entry ID of the file',
+      validate: {
+        isUUID: 5
+      }
     }
   }, {
     tableName: 'import_files',
@@ -96,6 +105,9 @@ module.exports = (sequelize) => {
       },
       {
         fields: ['attempt_count']
+      },
+      {
+        fields: ['reconciliation_id']
       }
     ]
   });
@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Local packaging preferences for an archive ingestion point; the ingestion point itself lives in the archive
+const IngestionPointSetting = sequelize.define('IngestionPointSetting', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  ingestionPointId: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    field: 'ingestion_point_id',
+    comment: 'Original ID from the archive system'
+  },
+  containerFormat: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'container_format',
+    defaultValue: 'zip',
+    comment: 'Format of the containers packaged for this ingestion point: zip or tar.gz'
+  }
+}, {
+  tableName: 'ingestion_point_settings',
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'ingestion_point_id']
+    }
+  ]
+});
+
+// Class methods
+IngestionPointSetting.findByUser = function(userId) {
+  return this.findAll({
+    where: { userId }
+  });
+};
+
+module.exports = IngestionPointSetting;
@@ -0,0 +1,158 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Job = sequelize.define('Job', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    type: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 100]
+      }
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    status: {
+      type: DataTypes.SMALLINT,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0,
+        max: 4,
+        isIn: {
+          args: [[0, 1, 2, 3, 4]],
+          msg: 'Status must be 0 (QUEUED), 1 (RUNNING), 2 (COMPLETED), 3 (FAILED), or 4 (CANCELLED)'
+        }
+      }
+    },
+    priority: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      validate: {
+        len: [0, 255]
+      }
+    },
+    dedupe_key: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    max_attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 5,
+      validate: {
+        min: 1
+      }
+    },
+    run_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    node_id: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    locked_by: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    locked_until: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    finished_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    progress: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    result: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    last_error: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      validate: {
+        len: [0, 10000] // Limit error message to 10KB
+      }
+    }
+  }, {
+    tableName: 'jobs',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['status', 'type', 'run_at']
+      },
+      {
+        fields: ['user_id', 'created_at']
+      },
+      {
+        fields: ['dedupe_key']
+      }
+    ]
+  });
+
+  // Define status constants
+  Job.STATUS = {
+    QUEUED: 0,
+    RUNNING: 1,
+    COMPLETED: 2,
+    FAILED: 3,
+    CANCELLED: 4
+  };
+
+  // Helper method to get status name
+  Job.prototype.getStatusName = function() {
+    const statusNames = {
+      [Job.STATUS.QUEUED]: 'QUEUED',
+      [Job.STATUS.RUNNING]: 'RUNNING',
+      [Job.STATUS.COMPLETED]: 'COMPLETED',
+      [Job.STATUS.FAILED]: 'FAILED',
+      [Job.STATUS.CANCELLED]: 'CANCELLED'
+    };
+    return statusNames[this.status] || 'UNKNOWN';
+  };
+
+  // Helper method to check if the job may still run
+  Job.prototype.isActive = function() {
+    return this.status === Job.STATUS.QUEUED || this.status === Job.STATUS.RUNNING;
+  };
+
+  return Job;
+};
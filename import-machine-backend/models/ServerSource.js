@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Directory on the backend host (e.g. a mounted NAS share) that users may browse and ingest EML files from
+const ServerSource = sequelize.define('ServerSource', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true
+  },
+  rootPath: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    field: 'root_path',
+    comment: 'Absolute directory path; nothing outside it can be browsed or ingested'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  createdBy: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'created_by'
+  }
+}, {
+  tableName: 'server_sources'
+});
+
+// Class methods
+ServerSource.findEnabled = function() {
+  return this.findAll({
+    where: { enabled: true },
+    order: [['name', 'ASC']]
+  });
+};
+
+module.exports = ServerSource;
@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One file of an upload set, received in pieces; the offset is how many bytes the server has stored so far
+const UploadFile = sequelize.define('UploadFile', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4
+  },
+  uploadSetId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'upload_set_id',
+    references: {
+      model: 'upload_sets',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  name: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: 'File name as selected in the browser'
+  },
+  fingerprint: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Client-side identity of the file (path, size, modification time) used to find it again on resume'
+  },
+  size: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  offset: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    defaultValue: 0
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'uploading',
+    comment: 'uploading, completed or rejected'
+  },
+  entryName: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'entry_name',
+    comment: 'Container entry name, reserved once the file is complete'
+  },
+  spoolPath: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'spool_path'
+  },
+  sha256: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'upload_files',
+  indexes: [
+    {
+      unique: true,
+      fields: ['upload_set_id', 'fingerprint']
+    },
+    {
+      fields: ['upload_set_id', 'status']
+    }
+  ]
+});
+
+UploadFile.STATUS = {
+  UPLOADING: 'uploading',
+  COMPLETED: 'completed',
+  REJECTED: 'rejected'
+};
+
+// Class methods
+UploadFile.findByUploadSet = function(uploadSetId, where = {}) {
+  return this.findAll({
+    where: { uploadSetId, ...where },
+    order: [['createdAt', 'ASC']]
+  });
+};
+
+module.exports = UploadFile;
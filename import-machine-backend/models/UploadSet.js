@@ -0,0 +1,147 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Parent record for every container produced from one file selection
+const UploadSet = sequelize.define('UploadSet', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'user_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  bucketName: {
+    type: DataTypes.STRING(63),
+    allowNull: false,
+    field: 'bucket_name'
+  },
+  prefix: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    defaultValue: ''
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'receiving',
+    comment: 'receiving, packaging, completed or failed'
+  },
+  limits: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Container split limits: maxContainerBytes, maxContainerEntries, maxMessageBytes'
+  },
+  containerFormat: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'container_format',
+    defaultValue: 'zip',
+    comment: 'Format the containers are written in: zip or tar.gz'
+  },
+  custodian: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Custodian tagged on every manifest entry of this upload'
+  },
+  fileCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'file_count',
+    defaultValue: 0
+  },
+  totalBytes: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'total_bytes',
+    defaultValue: 0
+  },
+  containerCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'container_count',
+    defaultValue: 0
+  },
+  containers: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'One entry per container: keys, hashes, file count, size and status'
+  },
+  submission: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Import job each container is submitted to once uploaded: importJobAid, batchName, description'
+  },
+  rejectedFiles: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    field: 'rejected_files',
+    defaultValue: [],
+    comment: 'Files left out of every container and why'
+  },
+  skippedFiles: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    field: 'skipped_files',
+    defaultValue: [],
+    comment: 'Duplicates left out of every container and the original each one repeats'
+  },
+  quarantinedFiles: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    field: 'quarantined_files',
+    defaultValue: [],
+    comment: 'Messages that failed EML validation and why; import files with the same name are QUARANTINED'
+  },
+  sourceFiles: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    field: 'source_files',
+    defaultValue: [],
+    comment: 'PST, MBOX and MSG files the messages were extracted from, with per-source extraction stats'
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'completed_at'
+  }
+}, {
+  tableName: 'upload_sets',
+  indexes: [
+    {
+      fields: ['user_id', 'created_at']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+// Class methods
+UploadSet.findByUser = function(userId, limit = 50) {
+  return this.findAll({
+    where: { userId },
+    order: [['createdAt', 'DESC']],
+    limit
+  });
+};
+
+UploadSet.findByUserAndId = function(userId, id) {
+  return this.findOne({
+    where: { userId, id }
+  });
+};
+
+module.exports = UploadSet;
@@ -2,8 +2,17 @@ const { sequelize, testConnection, syncDatabase } = require('../config/database'
 const User = require('./User');
 const Configuration = require('./Configuration');
 const IngestionPoint = require('./IngestionPoint');
+const IngestionPointSetting = require('./IngestionPointSetting');
 const ImportJob = require('./ImportJob');
 const S3Bucket = require('./S3Bucket');
+const UploadSet = require('./UploadSet');
+const UploadFile = require('./UploadFile');
+const ServerSource = require('./ServerSource');
+const Batch = require('./Batch')(sequelize);
+const ImportAttempt = require('./ImportAttempt')(sequelize);
+const ImportFile = require('./ImportFile')(sequelize);
+const BatchStatusTransition = require('./BatchStatusTransition')(sequelize);
+const Job = require('./Job')(sequelize);
 
 // Initialize database
 const initializeDatabase = async () => {
@@ -18,12 +27,31 @@ const initializeDatabase = async () => {
     User.hasMany(IngestionPoint, { foreignKey: 'userId', as: 'ingestionPoints' });
     IngestionPoint.belongsTo(User, { foreignKey: 'userId', as: 'user' });
     
+    User.hasMany(IngestionPointSetting, { foreignKey: 'userId', as: 'ingestionPointSettings' });
+    IngestionPointSetting.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+    
     User.hasMany(ImportJob, { foreignKey: 'userId', as: 'importJobs' });
     ImportJob.belongsTo(User, { foreignKey: 'userId', as: 'user' });
     
     User.hasMany(S3Bucket, { foreignKey: 'userId', as: 's3Buckets' });
     S3Bucket.belongsTo(User, { foreignKey: 'userId', as: 'user' });
     
+    User.hasMany(UploadSet, { foreignKey: 'userId', as: 'uploadSets' });
+    UploadSet.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+    
+    UploadSet.hasMany(UploadFile, { foreignKey: 'uploadSetId', as: 'files', onDelete: 'CASCADE' });
+    UploadFile.belongsTo(UploadSet, { foreignKey: 'uploadSetId', as: 'uploadSet' });
+    
+    // Batch tracking tables reference batches through import_id (see migrations/create-*-table.js)
+    Batch.hasMany(ImportFile, { foreignKey: 'import_id', as: 'files', constraints: false });
+    ImportFile.belongsTo(Batch, { foreignKey: 'import_id', as: 'batch', constraints: false });
+    
+    Batch.hasMany(ImportAttempt, { foreignKey: 'import_id', as: 'attempts', constraints: false });
+    ImportAttempt.belongsTo(Batch, { foreignKey: 'import_id', as: 'batch', constraints: false });
+    
+    Batch.hasMany(BatchStatusTransition, { foreignKey: 'import_id', as: 'transitions', constraints: false });
+    BatchStatusTransition.belongsTo(Batch, { foreignKey: 'import_id', as: 'batch', constraints: false });
+    
     // Sync database (create tables)
     await syncDatabase();
     
@@ -54,7 +82,16 @@ module.exports = {
   User,
   Configuration,
   IngestionPoint,
+  IngestionPointSetting,
   ImportJob,
   S3Bucket,
+  UploadSet,
+  UploadFile,
+  ServerSource,
+  Batch,
+  ImportAttempt,
+  ImportFile,
+  BatchStatusTransition,
+  Job,
   initializeDatabase
 };
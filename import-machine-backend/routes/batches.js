@@ -1,7 +1,8 @@
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
-const { Batch } = require('../models');
+const { Batch, BatchStatusTransition } = require('../models');
 const { authenticate } = require('../middleware/auth');
+const batchTrackingService = require('../services/batchTrackingService');
 
 const router = express.Router();
 
@@ -12,7 +13,6 @@ const validateBatchId = param('id')
 
 const validateBatchData = [
   body('source_system').optional().isString().trim().isLength({ max: 255 }),
-  body('created_by').optional().isString().trim().isLength({ max: 255 }),
   body('manifest_sha256').optional().isString(),
   body('status').optional().isInt({ min: 0, max: 4 }),
   body('file_count_expected').optional().isInt({ min: 0 }),
@@ -25,10 +25,14 @@ const validatePagination = [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('status').optional().isInt({ min: 0, max: 4 }),
-  query('source_system').optional().isString().trim(),
-  query('created_by').optional().isString().trim()
+  query('source_system').optional().isString().trim()
 ];
 
+// Batches belong to the user who created them; other users' batches are answered with 404
+const findOwnBatch = (req) => Batch.findOne({
+  where: { id: req.params.id, created_by: req.user.username }
+});
+
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -53,17 +57,14 @@ router.get('/',
       const limit = parseInt(req.query.limit) || 20;
       const offset = (page - 1) * limit;
       
-      // Build where clause for filtering
-      const whereClause = {};
+      // Build where clause for filtering, within the user's own batches
+      const whereClause = { created_by: req.user.username };
       if (req.query.status !== undefined) {
         whereClause.status = parseInt(req.query.status);
       }
       if (req.query.source_system) {
         whereClause.source_system = req.query.source_system;
       }
-      if (req.query.created_by) {
-        whereClause.created_by = req.query.created_by;
-      }
 
       const { count, rows: batches } = await Batch.findAndCountAll({
         where: whereClause,
@@ -118,7 +119,7 @@ router.get('/:id',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const batch = await Batch.findByPk(req.params.id);
+      const batch = await findOwnBatch(req);
 
       if (!batch) {
         return res.status(404).json({
@@ -161,7 +162,6 @@ router.post('/',
     try {
       const {
         source_system,
-        created_by,
         manifest_sha256,
         status = Batch.STATUS.PENDING,
         file_count_expected,
@@ -185,7 +185,7 @@ router.post('/',
 
       const batch = await Batch.create({
         source_system,
-        created_by: created_by || req.user.username,
+        created_by: req.user.username,
         manifest_sha256: manifestBuffer,
         status,
         file_count_expected,
@@ -240,7 +240,7 @@ router.put('/:id',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const batch = await Batch.findByPk(req.params.id);
+      const batch = await findOwnBatch(req);
 
       if (!batch) {
         return res.status(404).json({
@@ -250,6 +250,8 @@ router.put('/:id',
       }
 
       const updateData = { ...req.body };
+      // A batch stays with the user who created it
+      delete updateData.created_by;
 
       // Convert hex string to buffer if manifest_sha256 is provided
       if (updateData.manifest_sha256) {
@@ -310,7 +312,7 @@ router.delete('/:id',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const batch = await Batch.findByPk(req.params.id);
+      const batch = await findOwnBatch(req);
 
       if (!batch) {
         return res.status(404).json({
@@ -351,7 +353,7 @@ router.patch('/:id/status',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const batch = await Batch.findByPk(req.params.id);
+      const batch = await findOwnBatch(req);
 
       if (!batch) {
         return res.status(404).json({
@@ -361,7 +363,10 @@ router.patch('/:id/status',
       }
 
       const { status } = req.body;
-      await batch.update({ status });
+      await batchTrackingService.updateBatchStatus(batch, { status }, {
+        source: BatchStatusTransition.SOURCE.MANUAL,
+        details: { username: req.user.username }
+      });
 
       const batchData = batch.toJSON();
       const response = {
@@ -398,7 +403,7 @@ router.patch('/:id/counters',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const batch = await Batch.findByPk(req.params.id);
+      const batch = await findOwnBatch(req);
 
       if (!batch) {
         return res.status(404).json({
@@ -2,11 +2,97 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth');
-const { getConfig, updateConfig, resetConfig } = require('../config/shared');
+const {
+  getConfig, updateConfig, resetConfig, encryptStoredSecrets, toSafeConfig, resolveSecret
+} = require('../config/shared');
+const { isCustomerGuid } = require('../services/manifestService');
+const s3Service = require('../services/s3Service');
+const secretEncryptionService = require('../services/secretEncryptionService');
+const Configuration = require('../models/Configuration');
+
+// An empty customer GUID clears it; anything else must be a GUID manifests can be generated for
+const validateCustomerGUID = body('customerGUID').optional().isString().withMessage('Customer GUID must be a string')
+  .bail()
+  .custom((value) => value.trim() === '' || isCustomerGuid(value.trim()))
+  .withMessage('Customer GUID must be a GUID such as 6f1c2d3e-4a5b-4c6d-8e7f-9a0b1c2d3e4f, and not the nil GUID');
+
+// S3 settings; an empty endpoint means AWS S3, anything else is the URL of an S3-compatible service
+const validateS3Settings = [
+  body('s3Settings.accessKeyId').optional().isString().withMessage('Access Key ID must be a string'),
+  body('s3Settings.secretAccessKey').optional().isString().withMessage('Secret Access Key must be a string'),
+  body('s3Settings.region').optional({ values: 'falsy' }).matches(/^[a-z0-9-]+$/i)
+    .withMessage('Region must be letters, numbers and hyphens, such as us-east-1'),
+  body('s3Settings.endpoint').optional({ values: 'falsy' }).trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Endpoint must be an http:// or https:// URL such as https://minio.example.com:9000'),
+  body('s3Settings.forcePathStyle').optional().isBoolean({ strict: true })
+    .withMessage('Path-style addressing must be true or false'),
+  body('s3Settings.tlsVerify').optional().isBoolean({ strict: true })
+    .withMessage('TLS verification must be true or false'),
+  body('s3Settings.caCertificate').optional({ values: 'falsy' }).contains('-----BEGIN CERTIFICATE-----')
+    .withMessage('CA certificate must be a PEM certificate'),
+  body('s3Settings.signatureVersion').optional().isIn(Configuration.SIGNATURE_VERSIONS)
+    .withMessage(`Signature version must be one of ${Configuration.SIGNATURE_VERSIONS.join(', ')}`)
+];
+
+// Connection test failures that are the endpoint's or the settings' fault, with what to do about them
+const describeConnectionError = (error) => {
+  const code = error.code || '';
+  const message = error.message || '';
+  if (/certificate|self.signed|CERT_|UNABLE_TO_VERIFY/i.test(`${code} ${message}`)) {
+    return {
+      status: 502,
+      error: `The endpoint's TLS certificate was not accepted (${message}). `
+        + 'Add its CA certificate or turn off TLS verification.'
+    };
+  }
+  if (['UnknownEndpoint', 'NetworkingError', 'TimeoutError'].includes(code)) {
+    return { status: 502, error: `Could not reach the S3 endpoint: ${message}` };
+  }
+  if (['InvalidAccessKeyId', 'SignatureDoesNotMatch', 'AccessDenied', 'InvalidToken'].includes(code)) {
+    return { status: 400, error: `The S3 endpoint rejected the credentials: ${message}` };
+  }
+  return { status: 500, error: `S3 connection test failed: ${message}` };
+};
+
+// Secrets are required again before they are revealed or their encryption is changed
+const validatePassword = body('password').notEmpty().withMessage('Password is required');
+
+const checkPassword = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      errors: errors.array(),
+      timestamp: new Date().toISOString()
+    });
+    return false;
+  }
+
+  if (!(await req.user.comparePassword(req.body.password))) {
+    res.status(400).json({
+      success: false,
+      error: 'Password is incorrect',
+      timestamp: new Date().toISOString()
+    });
+    return false;
+  }
+  return true;
+};
+
+// Secrets that cannot be decrypted are a server configuration problem the user should hear about
+const sendConfigError = (res, error, message) => {
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : message,
+    timestamp: new Date().toISOString()
+  });
+};
 
 /**
  * @route   GET /api/config
- * @desc    Get current configuration
+ * @desc    Get current configuration. The API token and the S3 secret access key are masked; isEncrypted tells
+ *          whether they are stored encrypted, and encryptionAvailable whether the server has a master key.
  * @access  Private
  */
 router.get('/', authenticate, async (req, res) => {
@@ -15,23 +101,14 @@ router.get('/', authenticate, async (req, res) => {
     res.json({
       success: true,
       data: {
-        ...config,
-        // Return full token for the user's own configuration
-        apiToken: config.apiToken || '',
-        s3Settings: {
-          ...config.s3Settings,
-          secretAccessKey: config.s3Settings.secretAccessKey || ''
-        }
+        ...toSafeConfig(config),
+        encryptionAvailable: secretEncryptionService.isEnabled()
       },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
     console.error('Error getting configuration:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get configuration',
-      timestamp: new Date().toISOString()
-    });
+    sendConfigError(res, error, 'Failed to get configuration');
   }
 });
 
@@ -43,9 +120,8 @@ router.get('/', authenticate, async (req, res) => {
 router.post('/', authenticate, [
   body('archiveWebUI').optional().isURL().withMessage('Archive Web UI must be a valid URL'),
   body('apiToken').optional().isString().withMessage('API Token must be a string'),
-  body('customerGUID').optional().isString().withMessage('Customer GUID must be a string'),
-  body('s3Settings.accessKeyId').optional().isString().withMessage('Access Key ID must be a string'),
-  body('s3Settings.secretAccessKey').optional().isString().withMessage('Secret Access Key must be a string')
+  validateCustomerGUID,
+  ...validateS3Settings
 ], async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -66,7 +142,7 @@ router.post('/', authenticate, [
       updatedConfig.archiveWebUI = req.body.archiveWebUI;
     }
     if (req.body.apiToken !== undefined) {
-      updatedConfig.apiToken = req.body.apiToken;
+      updatedConfig.apiToken = resolveSecret(req.body.apiToken, currentConfig.apiToken);
     }
     if (req.body.customerGUID !== undefined) {
       updatedConfig.customerGUID = req.body.customerGUID;
@@ -74,34 +150,27 @@ router.post('/', authenticate, [
     if (req.body.s3Settings) {
       updatedConfig.s3Settings = {
         ...updatedConfig.s3Settings,
-        ...req.body.s3Settings
+        ...req.body.s3Settings,
+        secretAccessKey: resolveSecret(
+          req.body.s3Settings.secretAccessKey ?? currentConfig.s3Settings.secretAccessKey,
+          currentConfig.s3Settings.secretAccessKey
+        )
       };
     }
 
     // Update the shared configuration
     const savedConfig = await updateConfig(req.user.id, updatedConfig);
+    s3Service.clearUserCache(req.user.id);
 
     res.json({
       success: true,
       message: 'Configuration updated successfully',
-      data: {
-        ...savedConfig,
-        // Return full token for the user's own configuration
-        apiToken: savedConfig.apiToken || '',
-        s3Settings: {
-          ...savedConfig.s3Settings,
-          secretAccessKey: savedConfig.s3Settings.secretAccessKey || ''
-        }
-      },
+      data: toSafeConfig(savedConfig),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
     console.error('Error updating configuration:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to update configuration',
-      timestamp: new Date().toISOString()
-    });
+    sendConfigError(res, error, 'Failed to update configuration');
   }
 });
 
@@ -113,9 +182,8 @@ router.post('/', authenticate, [
 router.put('/', authenticate, [
   body('archiveWebUI').isURL({ require_protocol: false }).withMessage('Archive Web UI must be a valid URL'),
   body('apiToken').isString().withMessage('API Token must be a string'),
-  body('customerGUID').optional().isString().withMessage('Customer GUID must be a string'),
-  body('s3Settings.accessKeyId').optional().isString().withMessage('Access Key ID must be a string'),
-  body('s3Settings.secretAccessKey').optional().isString().withMessage('Secret Access Key must be a string')
+  validateCustomerGUID,
+  ...validateS3Settings
 ], async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -128,46 +196,158 @@ router.put('/', authenticate, [
   }
 
   try {
-    // Replace entire configuration
+    // Replace entire configuration; masked secrets sent back as they were shown keep the saved ones
+    const currentConfig = await getConfig(req.user.id);
+    const s3Settings = Configuration.normalizeS3Settings(req.body.s3Settings);
     const newConfig = {
       archiveWebUI: req.body.archiveWebUI,
-      apiToken: req.body.apiToken,
+      apiToken: resolveSecret(req.body.apiToken, currentConfig.apiToken),
       customerGUID: req.body.customerGUID || '',
       s3Settings: {
-        accessKeyId: req.body.s3Settings?.accessKeyId || '',
-        secretAccessKey: req.body.s3Settings?.secretAccessKey || ''
+        ...s3Settings,
+        secretAccessKey: resolveSecret(s3Settings.secretAccessKey, currentConfig.s3Settings.secretAccessKey)
       }
     };
 
-
-
     // Update the shared configuration
     const savedConfig = await updateConfig(req.user.id, newConfig);
+    s3Service.clearUserCache(req.user.id);
 
     res.json({
       success: true,
       message: 'Configuration replaced successfully',
-      data: {
-        ...savedConfig,
-        // Return full token for the user's own configuration
-        apiToken: savedConfig.apiToken || '',
-        s3Settings: {
-          ...savedConfig.s3Settings,
-          secretAccessKey: savedConfig.s3Settings.secretAccessKey || ''
-        }
-      },
+      data: toSafeConfig(savedConfig),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
     console.error('Error replacing configuration:', error);
-    res.status(500).json({
+    sendConfigError(res, error, 'Failed to replace configuration');
+  }
+});
+
+/**
+ * @route   POST /api/config/test-s3-connection
+ * @desc    Test S3 settings before saving them, against AWS or the S3-compatible endpoint they name.
+ *          An empty or masked secret access key means the saved one.
+ * @access  Private
+ */
+router.post('/test-s3-connection', authenticate, validateS3Settings, async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const currentConfig = await getConfig(req.user.id);
+    const s3Settings = Configuration.normalizeS3Settings({
+      ...currentConfig.s3Settings,
+      ...req.body.s3Settings
+    });
+    s3Settings.secretAccessKey = resolveSecret(s3Settings.secretAccessKey, currentConfig.s3Settings.secretAccessKey)
+      || currentConfig.s3Settings.secretAccessKey;
+
+    const result = await s3Service.testConnection(req.user.id, s3Settings);
+
+    res.json({
+      success: true,
+      data: result,
+      message: s3Settings.endpoint
+        ? `Connected to ${s3Settings.endpoint}, ${result.bucketCount} bucket(s)`
+        : `Connected to AWS S3, ${result.bucketCount} bucket(s)`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error testing S3 connection:', error);
+
+    if (error.message.includes('S3 credentials not configured')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Enter an Access Key ID and Secret Access Key to test the connection',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { status, error: message } = describeConnectionError(error);
+    res.status(status).json({
       success: false,
-      error: 'Failed to replace configuration',
+      error: message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
+/**
+ * @route   POST /api/config/auto-setup-encryption
+ * @desc    Encrypt the user's stored secrets with the server's master key now, rather than at their next save.
+ *          Secrets wrapped with an earlier master key are rewrapped with the current one. Requires the password.
+ * @access  Private
+ */
+router.post('/auto-setup-encryption', authenticate, validatePassword, async (req, res) => {
+  try {
+    if (!(await checkPassword(req, res))) {
+      return;
+    }
+    if (!secretEncryptionService.isEnabled()) {
+      res.status(503).json({
+        success: false,
+        error: 'Encryption is not set up on the server. Set CONFIG_MASTER_KEY or CONFIG_MASTER_KEY_FILE.',
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const { changed, isEncrypted } = await encryptStoredSecrets(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        isEncrypted,
+        alreadyEncrypted: !changed && isEncrypted,
+        keyId: secretEncryptionService.currentKeyId()
+      },
+      message: changed ? 'Stored secrets encrypted' : 'Nothing to encrypt',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error setting up encryption:', error);
+    sendConfigError(res, error, 'Failed to set up encryption');
+  }
+});
+
+/**
+ * @route   POST /api/config/decrypt-with-password
+ * @desc    Return the configuration with its secrets in full, after checking the user's password. The master key
+ *          stays on the server, so encryptionKey is always null and one sent in the request is ignored.
+ * @access  Private
+ */
+router.post('/decrypt-with-password', authenticate, validatePassword, async (req, res) => {
+  try {
+    if (!(await checkPassword(req, res))) {
+      return;
+    }
+
+    const config = await getConfig(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        config,
+        isEncrypted: config.isEncrypted,
+        encryptionKey: null
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error decrypting configuration:', error);
+    sendConfigError(res, error, 'Failed to decrypt configuration');
+  }
+});
+
 /**
  * @route   DELETE /api/config
  * @desc    Reset configuration to defaults
@@ -177,6 +357,7 @@ router.delete('/', authenticate, async (req, res) => {
   try {
     // Reset the shared configuration
     await resetConfig(req.user.id);
+    s3Service.clearUserCache(req.user.id);
 
     res.json({
       success: true,
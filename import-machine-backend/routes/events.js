@@ -0,0 +1,16 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const eventService = require('../services/eventService');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/events
+ * @desc    Stream the current user's upload, packaging, batch status and archive poll events (Server-Sent Events)
+ * @access  Private
+ */
+router.get('/', authenticate, (req, res) => {
+  eventService.connect(req, res);
+});
+
+module.exports = router;
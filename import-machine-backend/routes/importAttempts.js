@@ -1,6 +1,6 @@
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
-const { ImportAttempt } = require('../models');
+const { Batch, ImportAttempt } = require('../models');
 const { authenticate } = require('../middleware/auth');
 
 const router = express.Router();
@@ -25,6 +25,29 @@ const validatePagination = [
   query('import_id').optional().isUUID()
 ];
 
+// Import attempts are reached through their batch, which belongs to the user who created it; other users'
+// attempts are answered with 404
+const ownBatch = (req) => ({
+  model: Batch,
+  as: 'batch',
+  attributes: [],
+  where: { created_by: req.user.username }
+});
+
+const findOwnImportAttempt = (req) => ImportAttempt.findOne({
+  where: { id: req.params.id },
+  include: [ownBatch(req)]
+});
+
+const isOwnBatch = async (req, importId) => (
+  await Batch.count({ where: { id: importId, created_by: req.user.username } })
+) > 0;
+
+const sendBatchNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Batch not found'
+});
+
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -60,6 +83,7 @@ router.get('/',
 
       const { count, rows: importAttempts } = await ImportAttempt.findAndCountAll({
         where: whereClause,
+        include: [ownBatch(req)],
         limit: limit,
         offset: offset,
         order: [['started_at', 'DESC']]
@@ -109,7 +133,7 @@ router.get('/:id',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const importAttempt = await ImportAttempt.findByPk(req.params.id);
+      const importAttempt = await findOwnImportAttempt(req);
 
       if (!importAttempt) {
         return res.status(404).json({
@@ -159,6 +183,10 @@ router.post('/',
         error_summary
       } = req.body;
 
+      if (!(await isOwnBatch(req, import_id))) {
+        return sendBatchNotFound(res);
+      }
+
       const importAttempt = await ImportAttempt.create({
         import_id,
         started_at: started_at || new Date(),
@@ -214,7 +242,7 @@ router.put('/:id',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const importAttempt = await ImportAttempt.findByPk(req.params.id);
+      const importAttempt = await findOwnImportAttempt(req);
 
       if (!importAttempt) {
         return res.status(404).json({
@@ -223,6 +251,10 @@ router.put('/:id',
         });
       }
 
+      if (!(await isOwnBatch(req, req.body.import_id))) {
+        return sendBatchNotFound(res);
+      }
+
       await importAttempt.update(req.body);
 
       const attemptData = importAttempt.toJSON();
@@ -271,7 +303,7 @@ router.delete('/:id',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const importAttempt = await ImportAttempt.findByPk(req.params.id);
+      const importAttempt = await findOwnImportAttempt(req);
 
       if (!importAttempt) {
         return res.status(404).json({
@@ -312,7 +344,7 @@ router.patch('/:id/status',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const importAttempt = await ImportAttempt.findByPk(req.params.id);
+      const importAttempt = await findOwnImportAttempt(req);
 
       if (!importAttempt) {
         return res.status(404).json({
@@ -367,7 +399,7 @@ router.patch('/:id/complete',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const importAttempt = await ImportAttempt.findByPk(req.params.id);
+      const importAttempt = await findOwnImportAttempt(req);
 
       if (!importAttempt) {
         return res.status(404).json({
@@ -413,7 +445,7 @@ router.patch('/:id/fail',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const importAttempt = await ImportAttempt.findByPk(req.params.id);
+      const importAttempt = await findOwnImportAttempt(req);
 
       if (!importAttempt) {
         return res.status(404).json({
@@ -458,7 +490,7 @@ router.patch('/:id/cancel',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const importAttempt = await ImportAttempt.findByPk(req.params.id);
+      const importAttempt = await findOwnImportAttempt(req);
 
       if (!importAttempt) {
         return res.status(404).json({
@@ -1,6 +1,6 @@
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
-const { ImportFile } = require('../models');
+const { Batch, ImportFile } = require('../models');
 const { authenticate } = require('../middleware/auth');
 
 const router = express.Router();
@@ -26,9 +26,33 @@ const validatePagination = [
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('status').optional().isInt({ min: 0, max: 6 }),
   query('import_id').optional().isUUID(),
-  query('sha256').optional().isString().matches(/^[a-fA-F0-9]{64}$/)
+  query('sha256').optional().isString().matches(/^[a-fA-F0-9]{64}$/),
+  query('reconciliation_id').optional().isUUID()
 ];
 
+// Import files are reached through their batch, which belongs to the user who created it; other users' files
+// are answered with 404
+const ownBatch = (req) => ({
+  model: Batch,
+  as: 'batch',
+  attributes: [],
+  where: { created_by: req.user.username }
+});
+
+const findOwnImportFile = (req) => ImportFile.findOne({
+  where: { id: req.params.id },
+  include: [ownBatch(req)]
+});
+
+const isOwnBatch = async (req, importId) => (
+  await Batch.count({ where: { id: importId, created_by: req.user.username } })
+) > 0;
+
+const sendBatchNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Batch not found'
+});
+
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -65,9 +89,13 @@ router.get('/',
         // Convert hex string to buffer for comparison
         whereClause.sha256 = Buffer.from(req.query.sha256, 'hex');
       }
+      if (req.query.reconciliation_id) {
+        whereClause.reconciliation_id = req.query.reconciliation_id.toLowerCase();
+      }
 
       const { count, rows: importFiles } = await ImportFile.findAndCountAll({
         where: whereClause,
+        include: [ownBatch(req)],
         limit: limit,
         offset: offset,
         order: [['created_at', 'DESC']]
@@ -119,7 +147,7 @@ router.get('/:id',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const importFile = await ImportFile.findByPk(req.params.id);
+      const importFile = await findOwnImportFile(req);
 
       if (!importFile) {
         return res.status(404).json({
@@ -174,6 +202,10 @@ router.post('/',
         last_error
       } = req.body;
 
+      if (!(await isOwnBatch(req, import_id))) {
+        return sendBatchNotFound(res);
+      }
+
       const importFile = await ImportFile.create({
         import_id,
         path,
@@ -234,7 +266,7 @@ router.put('/:id',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const importFile = await ImportFile.findByPk(req.params.id);
+      const importFile = await findOwnImportFile(req);
 
       if (!importFile) {
         return res.status(404).json({
@@ -243,6 +275,10 @@ router.put('/:id',
         });
       }
 
+      if (!(await isOwnBatch(req, req.body.import_id))) {
+        return sendBatchNotFound(res);
+      }
+
       const updateData = { ...req.body };
       
       // Convert hex string to buffer if sha256 is provided
@@ -300,7 +336,7 @@ router.delete('/:id',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const importFile = await ImportFile.findByPk(req.params.id);
+      const importFile = await findOwnImportFile(req);
 
       if (!importFile) {
         return res.status(404).json({
@@ -341,7 +377,7 @@ router.patch('/:id/status',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const importFile = await ImportFile.findByPk(req.params.id);
+      const importFile = await findOwnImportFile(req);
 
       if (!importFile) {
         return res.status(404).json({
@@ -396,7 +432,7 @@ router.patch('/:id/ingest',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const importFile = await ImportFile.findByPk(req.params.id);
+      const importFile = await findOwnImportFile(req);
 
       if (!importFile) {
         return res.status(404).json({
@@ -444,7 +480,7 @@ router.patch('/:id/fail',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const importFile = await ImportFile.findByPk(req.params.id);
+      const importFile = await findOwnImportFile(req);
 
       if (!importFile) {
         return res.status(404).json({
@@ -491,7 +527,7 @@ router.patch('/:id/skip-dedup',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const importFile = await ImportFile.findByPk(req.params.id);
+      const importFile = await findOwnImportFile(req);
 
       if (!importFile) {
         return res.status(404).json({
@@ -539,7 +575,7 @@ router.patch('/:id/quarantine',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const importFile = await ImportFile.findByPk(req.params.id);
+      const importFile = await findOwnImportFile(req);
 
       if (!importFile) {
         return res.status(404).json({
@@ -591,6 +627,7 @@ router.get('/queue/:import_id',
           import_id: req.params.import_id,
           status: [ImportFile.STATUS.PENDING, ImportFile.STATUS.QUEUED, ImportFile.STATUS.PROCESSING]
         },
+        include: [ownBatch(req)],
         order: [['created_at', 'ASC']] // Process oldest first
       });
 
@@ -634,6 +671,10 @@ router.get('/stats/:import_id',
   handleValidationErrors,
   async (req, res) => {
     try {
+      if (!(await isOwnBatch(req, req.params.import_id))) {
+        return sendBatchNotFound(res);
+      }
+
       const stats = await ImportFile.getQueueStats(req.params.import_id);
 
       res.json({
@@ -1,9 +1,21 @@
 const express = require('express');
-const axios = require('axios');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth');
-const { getConfig, isConfigComplete } = require('../config/shared');
+const { sendArchiveError } = require('../middleware/archiveErrors');
+const { isConfigComplete } = require('../config/shared');
+const archiveClient = require('../services/archiveClient');
+const batchTrackingService = require('../services/batchTrackingService');
+const batchSubmissionService = require('../services/batchSubmissionService');
+const jobQueueService = require('../services/jobQueueService');
+const reconciliationService = require('../services/reconciliationService');
+
+const { ARCHIVE_ERROR_CODES } = archiveClient;
+
+// Messages for archive errors about an import job that every route here shares
+const IMPORT_JOB_ERROR_MESSAGES = {
+  [ARCHIVE_ERROR_CODES.NOT_FOUND]: 'Import job not found. Please check the import job ID.'
+};
 
 /**
  * @route   GET /api/import-job-batches/:importJobAid
@@ -12,9 +24,6 @@ const { getConfig, isConfigComplete } = require('../config/shared');
  */
 router.get('/:importJobAid', authenticate, async (req, res) => {
   try {
-    // Get current configuration
-    const config = await getConfig(req.user.id);
-    
     // Check if configuration is set
     if (!(await isConfigComplete(req.user.id))) {
       return res.status(400).json({
@@ -25,31 +34,14 @@ router.get('/:importJobAid', authenticate, async (req, res) => {
     }
 
     const { importJobAid } = req.params;
+    const responseData = await archiveClient.request(req.user.id, 'get', `${importJobAid}/batches/_query`);
 
-    // Debug logging
-
-
-    // Construct the URL for the archive API
-    const baseUrl = config.archiveWebUI.replace(/\/$/, '');
-    const url = `${baseUrl}${importJobAid}/batches/_query`;
-
-
-
-    // Strip PWSAK2 prefix if it exists in the stored token
-    const cleanApiToken = config.apiToken.replace(/^PWSAK2\s+/, '');
-    
-    // Make request to archive system
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `PWSAK2 ${cleanApiToken}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'Import-Machine-Backend/1.0.0'
-      },
-      timeout: 30000 // 30 second timeout
-    });
-
-    // Return the response data
-    const responseData = response.data;
+    // Bring the local batches of this import job up to date with the archive's batch statuses
+    try {
+      await batchTrackingService.applyBatchQuery(req.user.username, importJobAid, responseData.results || []);
+    } catch (trackingError) {
+      console.error('⚠️ Warning: Failed to apply batch statuses to tracked batches:', trackingError);
+    }
 
     res.json({
       success: true,
@@ -63,38 +55,13 @@ router.get('/:importJobAid', authenticate, async (req, res) => {
 
   } catch (error) {
     console.error('Error fetching import job batches:', error);
-
-    if (error.response) {
-      // The request was made and the server responded with a status code
-      // that falls out of the range of 2xx
-      res.status(error.response.status).json({
-        success: false,
-        error: `Archive API error: ${error.response.status} ${error.response.statusText}`,
-        details: error.response.data,
-        timestamp: new Date().toISOString()
-      });
-    } else if (error.request) {
-      // The request was made but no response was received
-      res.status(503).json({
-        success: false,
-        error: 'No response from archive system. Please check the archive Web UI URL and network connectivity.',
-        timestamp: new Date().toISOString()
-      });
-    } else {
-      // Something happened in setting up the request that triggered an Error
-      res.status(500).json({
-        success: false,
-        error: 'Failed to fetch import job batches',
-        details: error.message,
-        timestamp: new Date().toISOString()
-      });
-    }
+    sendArchiveError(res, error, 'Failed to fetch import job batches', IMPORT_JOB_ERROR_MESSAGES);
   }
 });
 
 /**
  * @route   POST /api/import-job-batches/:importJobAid/batches
- * @desc    Create a new batch for a specific import job
+ * @desc    Create a new batch for a specific import job; with queue=true the submission is queued as a background job
  * @access  Private
  */
 router.post('/:importJobAid/batches', authenticate, [
@@ -103,7 +70,8 @@ router.post('/:importJobAid/batches', authenticate, [
   body('containerType').isIn(['zip', 'tar.gz']).withMessage('Container type must be either "zip" or "tar.gz"'),
   body('container').optional().isString().trim(),
   body('manifest').optional().isString().trim(),
-  body('manifestDigest').optional().isString().trim()
+  body('manifestDigest').optional().isString().trim(),
+  body('queue').optional().isBoolean().toBoolean()
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -115,9 +83,6 @@ router.post('/:importJobAid/batches', authenticate, [
         timestamp: new Date().toISOString()
       });
     }
-
-    // Get current configuration
-    const config = await getConfig(req.user.id);
     
     // Check if configuration is set
     if (!(await isConfigComplete(req.user.id))) {
@@ -144,30 +109,26 @@ router.post('/:importJobAid/batches', authenticate, [
       manifestDigest: manifestDigest ? manifestDigest.trim() : ''
     };
 
-    // Construct the URL for the archive API
-    const baseUrl = config.archiveWebUI.replace(/\/$/, '');
-    const url = `${baseUrl}${importJobAid}/batches`;
-
-
-
-
-    // Strip PWSAK2 prefix if it exists in the stored token
-    const cleanApiToken = config.apiToken.replace(/^PWSAK2\s+/, '');
-    
-    // Make request to archive system
-    const response = await axios.post(url, batchData, {
-      headers: {
-        'Authorization': `PWSAK2 ${cleanApiToken}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'Import-Machine-Backend/1.0.0'
-      },
-      timeout: 30000 // 30 second timeout
-    });
-
-    // Return the response data
-    const responseData = response.data;
+    // Hand the submission to the job worker; it is retried with backoff if the archive is unavailable
+    if (req.body.queue === true) {
+      const job = await jobQueueService.enqueue(jobQueueService.JOB_TYPES.SUBMIT_BATCH, { importJobAid, batchData }, {
+        userId: req.user.id,
+        createdBy: req.user.username
+      });
 
+      return res.status(202).json({
+        success: true,
+        message: `Batch submission queued as job ${job.id}`,
+        data: {
+          job: jobQueueService.describeJob(job),
+          importJobAid
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
 
+    // Create the batch in the archive; the submission is recorded on the matching local batch
+    const responseData = await batchSubmissionService.submitBatch(req.user.id, req.user.username, importJobAid, batchData);
 
     res.json({
       success: true,
@@ -181,50 +142,12 @@ router.post('/:importJobAid/batches', authenticate, [
 
   } catch (error) {
     console.error('Error creating batch:', error);
-
-    if (error.response) {
-      // The request was made and the server responded with a status code
-      // that falls out of the range of 2xx
-      const status = error.response.status;
-      let errorMessage = `Archive API error: ${status} ${error.response.statusText}`;
-
-      // Provide more specific error messages for common status codes
-      if (status === 400) {
-        errorMessage = 'Invalid batch data. Please check your input and try again.';
-      } else if (status === 401) {
-        errorMessage = 'Authentication failed. Please check your API token.';
-      } else if (status === 403) {
-        errorMessage = 'Access denied. You do not have permission to create batches for this import job.';
-      } else if (status === 404) {
-        errorMessage = 'Import job not found. Please check the import job ID.';
-      } else if (status === 409) {
-        errorMessage = 'Batch already exists with this name. Please choose a different name.';
-      } else if (status >= 500) {
-        errorMessage = 'Archive system error. Please try again later.';
-      }
-
-      res.status(status).json({
-        success: false,
-        error: errorMessage,
-        details: error.response.data,
-        timestamp: new Date().toISOString()
-      });
-    } else if (error.request) {
-      // The request was made but no response was received
-      res.status(503).json({
-        success: false,
-        error: 'No response from archive system. Please check the archive Web UI URL and network connectivity.',
-        timestamp: new Date().toISOString()
-      });
-    } else {
-      // Something happened in setting up the request that triggered an Error
-      res.status(500).json({
-        success: false,
-        error: 'Failed to create batch',
-        details: error.message,
-        timestamp: new Date().toISOString()
-      });
-    }
+    sendArchiveError(res, error, 'Failed to create batch', {
+      ...IMPORT_JOB_ERROR_MESSAGES,
+      [ARCHIVE_ERROR_CODES.BAD_REQUEST]: 'Invalid batch data. Please check your input and try again.',
+      [ARCHIVE_ERROR_CODES.FORBIDDEN]: 'Access denied. You may not create batches for this import job.',
+      [ARCHIVE_ERROR_CODES.CONFLICT]: 'Batch already exists with this name. Please choose a different name.'
+    });
   }
 });
 
@@ -235,9 +158,6 @@ router.post('/:importJobAid/batches', authenticate, [
  */
 router.get('/:importJobAid/batch-report', authenticate, async (req, res) => {
   try {
-    // Get current configuration
-    const config = await getConfig(req.user.id);
-    
     // Check if configuration is set
     if (!(await isConfigComplete(req.user.id))) {
       return res.status(400).json({
@@ -248,87 +168,185 @@ router.get('/:importJobAid/batch-report', authenticate, async (req, res) => {
     }
 
     const { importJobAid } = req.params;
+    const responseData = await archiveClient.request(req.user.id, 'get', `${importJobAid}/batch-report`);
 
+    // Bring the local batches of this import job up to date with the report
+    try {
+      await batchTrackingService.applyBatchReport(req.user.username, importJobAid, responseData.results || []);
+    } catch (trackingError) {
+      console.error('⚠️ Warning: Failed to apply batch report to tracked batches:', trackingError);
+    }
 
+    res.json({
+      success: true,
+      data: {
+        totalCount: responseData.totalCount || 0,
+        results: responseData.results || [],
+        importJobAid
+      },
+      timestamp: new Date().toISOString()
+    });
 
-    // Construct the URL for the archive API
-    const baseUrl = config.archiveWebUI.replace(/\/$/, '');
-    const url = `${baseUrl}${importJobAid}/batch-report`;
-
+  } catch (error) {
+    console.error('Error fetching batch report:', error);
+    sendArchiveError(res, error, 'Failed to fetch batch report', {
+      ...IMPORT_JOB_ERROR_MESSAGES,
+      [ARCHIVE_ERROR_CODES.FORBIDDEN]: 'Access denied. You may not view batch reports for this import job.'
+    });
+  }
+});
 
+/**
+ * @route   GET /api/import-job-batches/:importJobAid/history
+ * @desc    Get the locally tracked batches of an import job with their status history
+ * @access  Private
+ */
+router.get('/:importJobAid/history', authenticate, async (req, res) => {
+  try {
+    const { importJobAid } = req.params;
+    const batches = await batchTrackingService.getImportJobHistory(req.user.username, importJobAid);
 
-    // Strip PWSAK2 prefix if it exists in the stored token
-    const cleanApiToken = config.apiToken.replace(/^PWSAK2\s+/, '');
-    
-    // Make request to archive system
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `PWSAK2 ${cleanApiToken}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'Import-Machine-Backend/1.0.0'
+    res.json({
+      success: true,
+      data: {
+        importJobAid,
+        batches
       },
-      timeout: 30000 // 30 second timeout
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching import job batch history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch batch history',
+      details: error.message,
+      timestamp: new Date().toISOString()
     });
+  }
+});
 
-    // Return the response data
-    const responseData = response.data;
+const reconciliationStatuses = Object.values(reconciliationService.RECONCILIATION_STATUS);
+const reconciliationStatusMessage = `Status must be one of: ${reconciliationStatuses.join(', ')}`;
 
+// Fetch the batch report of an import job and reconcile the files sent to it against the report
+const loadReconciliation = async (req, importJobAid) => {
+  const responseData = await archiveClient.request(req.user.id, 'get', `${importJobAid}/batch-report`);
+  const results = responseData.results || [];
 
+  try {
+    await batchTrackingService.applyBatchReport(req.user.username, importJobAid, results);
+  } catch (trackingError) {
+    console.error('⚠️ Warning: Failed to apply batch report to tracked batches:', trackingError);
+  }
+
+  return reconciliationService.reconcile(req.user.username, importJobAid, results);
+};
+
+// Shared checks of the reconciliation routes; returns true once a response has been sent
+const rejectReconciliationRequest = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      errors: errors.array(),
+      timestamp: new Date().toISOString()
+    });
+    return true;
+  }
+
+  if (!(await isConfigComplete(req.user.id))) {
+    res.status(400).json({
+      success: false,
+      error: 'Configuration not set. Please configure archive Web UI and API token first.',
+      timestamp: new Date().toISOString()
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * @route   GET /api/import-job-batches/:importJobAid/reconciliation
+ * @desc    Reconcile the files sent to an import job against its batch report: summary counts, counts per batch
+ *          and one page of the per-file outcomes, optionally filtered by status
+ * @access  Private
+ */
+router.get('/:importJobAid/reconciliation', authenticate, [
+  query('status').optional().isIn(reconciliationStatuses).withMessage(reconciliationStatusMessage),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).toInt()
+], async (req, res) => {
+  try {
+    if (await rejectReconciliationRequest(req, res)) {
+      return;
+    }
+
+    const { importJobAid } = req.params;
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 100;
+
+    const reconciliation = await loadReconciliation(req, importJobAid);
+    const files = req.query.status
+      ? reconciliation.files.filter((file) => file.status === req.query.status)
+      : reconciliation.files;
 
     res.json({
       success: true,
       data: {
-        totalCount: responseData.totalCount || 0,
-        results: responseData.results || [],
-        importJobAid
+        importJobAid,
+        reconciledAt: reconciliation.reconciledAt,
+        summary: reconciliation.summary,
+        batches: reconciliation.batches,
+        files: files.slice((page - 1) * limit, page * limit),
+        pagination: {
+          page,
+          limit,
+          total: files.length,
+          totalPages: Math.ceil(files.length / limit)
+        }
       },
       timestamp: new Date().toISOString()
     });
-
   } catch (error) {
-    console.error('Error fetching batch report:', error);
+    console.error('Error reconciling import job:', error);
+    sendArchiveError(res, error, 'Failed to reconcile import job', IMPORT_JOB_ERROR_MESSAGES);
+  }
+});
 
-    if (error.response) {
-      // The request was made and the server responded with a status code
-      // that falls out of the range of 2xx
-      const status = error.response.status;
-      let errorMessage = `Archive API error: ${status} ${error.response.statusText}`;
-
-      // Provide more specific error messages for common status codes
-      if (status === 400) {
-        errorMessage = 'Invalid import job ID. Please check the import job ID and try again.';
-      } else if (status === 401) {
-        errorMessage = 'Authentication failed. Please check your API token.';
-      } else if (status === 403) {
-        errorMessage = 'Access denied. You do not have permission to view batch reports for this import job.';
-      } else if (status === 404) {
-        errorMessage = 'Import job not found. Please check the import job ID.';
-      } else if (status >= 500) {
-        errorMessage = 'Archive system error. Please try again later.';
-      }
-
-      res.status(status).json({
-        success: false,
-        error: errorMessage,
-        details: error.response.data,
-        timestamp: new Date().toISOString()
-      });
-    } else if (error.request) {
-      // The request was made but no response was received
-      res.status(503).json({
-        success: false,
-        error: 'No response from archive system. Please check the archive Web UI URL and network connectivity.',
-        timestamp: new Date().toISOString()
-      });
+/**
+ * @route   GET /api/import-job-batches/:importJobAid/reconciliation/export
+ * @desc    Download the reconciliation of an import job as CSV (one row per file) or JSON (the full reconciliation)
+ * @access  Private
+ */
+router.get('/:importJobAid/reconciliation/export', authenticate, [
+  query('format').optional().isIn(['csv', 'json']).withMessage('Format must be either "csv" or "json"'),
+  query('status').optional().isIn(reconciliationStatuses).withMessage(reconciliationStatusMessage)
+], async (req, res) => {
+  try {
+    if (await rejectReconciliationRequest(req, res)) {
+      return;
+    }
+
+    const { importJobAid } = req.params;
+    const format = req.query.format || 'csv';
+
+    const reconciliation = await loadReconciliation(req, importJobAid);
+    if (req.query.status) {
+      reconciliation.files = reconciliation.files.filter((file) => file.status === req.query.status);
+    }
+
+    const safeName = importJobAid.replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^_+|_+$/g, '') || 'import-job';
+    const filename = `reconciliation_${safeName}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'json') {
+      res.type('application/json').send(JSON.stringify(reconciliation, null, 2));
     } else {
-      // Something happened in setting up the request that triggered an Error
-      res.status(500).json({
-        success: false,
-        error: 'Failed to fetch batch report',
-        details: error.message,
-        timestamp: new Date().toISOString()
-      });
+      res.type('text/csv').send(reconciliationService.toCsv(reconciliation.files));
     }
+  } catch (error) {
+    console.error('Error exporting import job reconciliation:', error);
+    sendArchiveError(res, error, 'Failed to reconcile import job', IMPORT_JOB_ERROR_MESSAGES);
   }
 });
 
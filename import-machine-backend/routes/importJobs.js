@@ -1,10 +1,13 @@
 const express = require('express');
-const axios = require('axios');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth');
-const { getConfig, isConfigComplete } = require('../config/shared');
+const { sendArchiveError } = require('../middleware/archiveErrors');
+const { isConfigComplete } = require('../config/shared');
+const archiveClient = require('../services/archiveClient');
 const importJobCacheService = require('../services/importJobCacheService');
 
+const { ARCHIVE_ERROR_CODES } = archiveClient;
+
 /**
  * @route   GET /api/import-jobs
  * @desc    Get all import jobs from archive system (with caching)
@@ -67,53 +70,7 @@ router.get('/', authenticate, async (req, res) => {
       }
 
     // Cache miss or force refresh - fetch from archive system
-
-    
-    // Get current configuration
-    let config;
-    try {
-      config = await getConfig(req.user.id);
-
-    } catch (configError) {
-      console.error('❌ Error getting configuration:', configError);
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to get configuration',
-        details: configError.message,
-        timestamp: new Date().toISOString()
-      });
-    }
-
-
-
-    // Construct the URL for the archive API
-    const baseUrl = config.archiveWebUI.replace(/\/$/, '');
-    const url = `${baseUrl}/web.ui/api/imports/_query`;
-
-
-
-    // Strip PWSAK2 prefix if it exists in the stored token
-    const cleanApiToken = config.apiToken.replace(/^PWSAK2\s+/, '');
-    
-    // Make request to archive system
-    let response;
-    try {
-      response = await axios.get(url, {
-        headers: {
-          'Authorization': `PWSAK2 ${cleanApiToken}`,
-          'Content-Type': 'application/json',
-          'User-Agent': 'Import-Machine-Backend/1.0.0'
-        },
-        timeout: 30000 // 30 second timeout
-      });
-  
-    } catch (axiosError) {
-      console.error('❌ Error making request to archive system:', axiosError);
-      throw axiosError; // Re-throw to be handled by the outer catch block
-    }
-
-    // Return the response data
-    const responseData = response.data;
+    const responseData = await archiveClient.request(req.user.id, 'get', '/web.ui/api/imports/_query');
     const allJobs = responseData.results || [];
 
 
@@ -144,73 +101,9 @@ router.get('/', authenticate, async (req, res) => {
 
   } catch (error) {
     console.error('Error fetching import jobs:', error);
-
-    // Handle specific error types
-    if (error.code === 'ECONNREFUSED') {
-      return res.status(503).json({
-        success: false,
-        error: 'Cannot connect to archive system. Please check the archive Web UI URL and ensure the service is running.',
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    if (error.code === 'ENOTFOUND') {
-      return res.status(503).json({
-        success: false,
-        error: 'Archive system URL not found. Please check the archive Web UI URL configuration.',
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    if (error.code === 'ETIMEDOUT') {
-      return res.status(503).json({
-        success: false,
-        error: 'Request to archive system timed out. Please try again later.',
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    if (error.response) {
-      // The request was made and the server responded with a status code
-      // that falls out of the range of 2xx
-      const status = error.response.status;
-      let errorMessage = `Archive API error: ${status} ${error.response.statusText}`;
-      
-      // Handle specific HTTP status codes
-      if (status === 401) {
-        errorMessage = 'Authentication failed. Please check your API token.';
-      } else if (status === 403) {
-        errorMessage = 'Access denied. Please check your API token permissions.';
-      } else if (status === 404) {
-        errorMessage = 'Archive API endpoint not found. Please check the archive Web UI URL.';
-      } else if (status === 429) {
-        errorMessage = 'Too many requests to archive system. Please try again later.';
-      } else if (status >= 500) {
-        errorMessage = 'Archive system is experiencing issues. Please try again later.';
-      }
-      
-      return res.status(status).json({
-        success: false,
-        error: errorMessage,
-        details: error.response.data,
-        timestamp: new Date().toISOString()
-      });
-    } else if (error.request) {
-      // The request was made but no response was received
-      return res.status(503).json({
-        success: false,
-        error: 'No response from archive system. Please check the archive Web UI URL and network connectivity.',
-        timestamp: new Date().toISOString()
-      });
-    } else {
-      // Something happened in setting up the request that triggered an Error
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to fetch import jobs',
-        details: error.message,
-        timestamp: new Date().toISOString()
-      });
-    }
+    return sendArchiveError(res, error, 'Failed to fetch import jobs', {
+      [ARCHIVE_ERROR_CODES.NOT_FOUND]: 'Archive API endpoint not found. Please check the archive Web UI URL.'
+    });
   }
 });
 
@@ -230,29 +123,8 @@ router.post('/', authenticate, async (req, res) => {
       });
     }
 
-    // Get current configuration
-    const config = await getConfig(req.user.id);
-
-
-
-    // Construct the URL for the archive API
-    const baseUrl = config.archiveWebUI.replace(/\/$/, '');
-    const url = `${baseUrl}/web.ui/api/imports`;
-
-
-
-    // Strip PWSAK2 prefix if it exists in the stored token
-    const cleanApiToken = config.apiToken.replace(/^PWSAK2\s+/, '');
-    
     // Make request to archive system
-    const response = await axios.post(url, req.body, {
-      headers: {
-        'Authorization': `PWSAK2 ${cleanApiToken}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'Import-Machine-Backend/1.0.0'
-      },
-      timeout: 30000 // 30 second timeout
-    });
+    const importJob = await archiveClient.request(req.user.id, 'post', '/web.ui/api/imports', { data: req.body });
 
     // Clear the cache since we've created a new import job
     try {
@@ -265,39 +137,40 @@ router.post('/', authenticate, async (req, res) => {
 
     res.json({
       success: true,
-      data: response.data,
+      data: importJob,
       message: 'Import job created successfully',
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
     console.error('Error creating import job:', error);
+    sendArchiveError(res, error, 'Failed to create import job');
+  }
+});
 
-    if (error.response) {
-      // The request was made and the server responded with a status code
-      // that falls out of the range of 2xx
-      res.status(error.response.status).json({
-        success: false,
-        error: `Archive API error: ${error.response.status} ${error.response.statusText}`,
-        details: error.response.data,
-        timestamp: new Date().toISOString()
-      });
-    } else if (error.request) {
-      // The request was made but no response was received
-      res.status(503).json({
-        success: false,
-        error: 'No response from archive system. Please check the archive Web UI URL and network connectivity.',
-        timestamp: new Date().toISOString()
-      });
-    } else {
-      // Something happened in setting up the request that triggered an Error
-      res.status(500).json({
-        success: false,
-        error: 'Failed to create import job',
-        details: error.message,
-        timestamp: new Date().toISOString()
-      });
-    }
+// Registered before /:id, which would otherwise take "cache-stats" for an import job ID
+/**
+ * @route   GET /api/import-jobs/cache-stats
+ * @desc    Get import job cache statistics for the current user
+ * @access  Private
+ */
+router.get('/cache-stats', authenticate, async (req, res) => {
+  try {
+    const stats = await importJobCacheService.getCacheStats(req.user.id);
+    
+    res.json({
+      success: true,
+      data: stats,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error getting import job cache stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get import job cache statistics',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
   }
 });
 
@@ -333,33 +206,11 @@ router.get('/:id', authenticate, async (req, res) => {
     }
 
     // Cache miss or force refresh - fetch from archive system
-
-    
-    // Get current configuration
-    const config = await getConfig(req.user.id);
-
-    // Construct the URL for the archive API
-    const baseUrl = config.archiveWebUI.replace(/\/$/, '');
-    const url = `${baseUrl}/web.ui/api/imports/${id}`;
-
-
-
-    // Strip PWSAK2 prefix if it exists in the stored token
-    const cleanApiToken = config.apiToken.replace(/^PWSAK2\s+/, '');
-    
-    // Make request to archive system
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `PWSAK2 ${cleanApiToken}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'Import-Machine-Backend/1.0.0'
-      },
-      timeout: 30000 // 30 second timeout
-    });
+    const importJob = await archiveClient.request(req.user.id, 'get', `/web.ui/api/imports/${id}`);
 
     // Cache the result
     try {
-      await importJobCacheService.cacheImportJob(req.user.id, response.data);
+      await importJobCacheService.cacheImportJob(req.user.id, importJob);
     } catch (cacheError) {
       console.error('Warning: Failed to cache import job:', cacheError);
       // Continue without caching - don't fail the request
@@ -367,34 +218,15 @@ router.get('/:id', authenticate, async (req, res) => {
 
     res.json({
       success: true,
-      data: response.data,
+      data: importJob,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
     console.error('Error fetching import job:', error);
-
-    if (error.response) {
-      res.status(error.response.status).json({
-        success: false,
-        error: `Archive API error: ${error.response.status} ${error.response.statusText}`,
-        details: error.response.data,
-        timestamp: new Date().toISOString()
-      });
-    } else if (error.request) {
-      res.status(503).json({
-        success: false,
-        error: 'No response from archive system. Please check the archive Web UI URL and network connectivity.',
-        timestamp: new Date().toISOString()
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to fetch import job',
-        details: error.message,
-        timestamp: new Date().toISOString()
-      });
-    }
+    sendArchiveError(res, error, 'Failed to fetch import job', {
+      [ARCHIVE_ERROR_CODES.NOT_FOUND]: 'Import job not found. Please check the import job ID.'
+    });
   }
 });
 
@@ -426,31 +258,6 @@ router.post('/clear-cache', authenticate, async (req, res) => {
   }
 });
 
-/**
- * @route   GET /api/import-jobs/cache-stats
- * @desc    Get import job cache statistics for the current user
- * @access  Private
- */
-router.get('/cache-stats', authenticate, async (req, res) => {
-  try {
-    const stats = await importJobCacheService.getCacheStats(req.user.id);
-    
-    res.json({
-      success: true,
-      data: stats,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error getting import job cache stats:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get import job cache statistics',
-      details: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
 module.exports = router;
 
 
@@ -1,17 +1,13 @@
 const express = require('express');
-const axios = require('axios');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth');
-const { getConfig, isConfigComplete } = require('../config/shared');
+const { sendArchiveError } = require('../middleware/archiveErrors');
+const { isConfigComplete, getConfig, resolveSecret } = require('../config/shared');
+const archiveClient = require('../services/archiveClient');
+const cacheService = require('../services/cacheService');
+const ingestionPointSettingsService = require('../services/ingestionPointSettingsService');
 
-// Temporarily disabled cache service to fix initialization issues
-// let cacheService = null;
-// const getCacheService = () => {
-//   if (!cacheService) {
-//     cacheService = require('../services/cacheService');
-//   }
-//   return cacheService;
-// };
+const { ARCHIVE_ERROR_CODES } = archiveClient;
 
 /**
  * @route   GET /api/ingestion-points
@@ -55,32 +51,10 @@ router.get('/', authenticate, async (req, res) => {
     // }
 
     // Always fetch fresh data (caching temporarily disabled)
-
-    
-    // Get current configuration
-    const config = await getConfig(req.user.id);
-
-
-
-    // Construct the URL for the archive API
-    const baseUrl = config.archiveWebUI.replace(/\/$/, '');
-    const url = `${baseUrl}/web.ui/api/ingestionPoints/_query`;
-
-    // Strip PWSAK2 prefix if it exists in the stored token
-    const cleanApiToken = config.apiToken.replace(/^PWSAK2\s+/, '');
-    
-    // Make request to archive system
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `PWSAK2 ${cleanApiToken}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'Import-Machine-Backend/1.0.0'
-      },
-      timeout: 30000 // 30 second timeout
-    });
+    const ingestionPoints = await archiveClient.request(req.user.id, 'get', '/web.ui/api/ingestionPoints/_query');
 
     // Filter for importS3 type items only
-    const allItems = response.data.results || [];
+    const allItems = ingestionPoints.results || [];
     const importS3Items = allItems.filter(item => 
       item.typeDetails && item.typeDetails.type === 'importS3'
     );
@@ -96,9 +70,9 @@ router.get('/', authenticate, async (req, res) => {
     res.json({
       success: true,
       data: {
-        totalCount: response.data.totalCount || 0,
+        totalCount: ingestionPoints.totalCount || 0,
         importS3Count: importS3Items.length,
-        results: importS3Items,
+        results: await ingestionPointSettingsService.withSettings(req.user.id, importS3Items),
         _cached: false,
         _fetchedAt: new Date().toISOString()
       },
@@ -107,32 +81,33 @@ router.get('/', authenticate, async (req, res) => {
 
   } catch (error) {
     console.error('Error fetching ingestion points:', error);
+    sendArchiveError(res, error, 'Failed to fetch ingestion points');
+  }
+});
 
-    if (error.response) {
-      // The request was made and the server responded with a status code
-      // that falls out of the range of 2xx
-      res.status(error.response.status).json({
-        success: false,
-        error: `Archive API error: ${error.response.status} ${error.response.statusText}`,
-        details: error.response.data,
-        timestamp: new Date().toISOString()
-      });
-    } else if (error.request) {
-      // The request was made but no response was received
-      res.status(503).json({
-        success: false,
-        error: 'No response from archive system. Please check the archive Web UI URL and network connectivity.',
-        timestamp: new Date().toISOString()
-      });
-    } else {
-      // Something happened in setting up the request that triggered an Error
-      res.status(500).json({
-        success: false,
-        error: 'Failed to fetch ingestion points',
-        details: error.message,
-        timestamp: new Date().toISOString()
-      });
-    }
+// Registered before /:id, which would otherwise take "cache-stats" for an ingestion point ID
+/**
+ * @route   GET /api/ingestion-points/cache-stats
+ * @desc    Get cache statistics for the current user
+ * @access  Private
+ */
+router.get('/cache-stats', authenticate, async (req, res) => {
+  try {
+    const stats = await cacheService.getCacheStats(req.user.id);
+    
+    res.json({
+      success: true,
+      data: stats,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error getting cache stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get cache statistics',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
   }
 });
 
@@ -168,30 +143,11 @@ router.get('/:id', authenticate, async (req, res) => {
     }
 
     // Cache miss or force refresh - fetch from archive system
-
-    
-    // Get current configuration
-    const config = await getConfig(req.user.id);
-
-    // Construct the URL for the specific ingestion point
-    const baseUrl = config.archiveWebUI.replace(/\/$/, '');
-    const url = `${baseUrl}/web.ui/api/ingestionPoints/${id}`;
-
-
-
-    // Make request to archive system
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `PWSAK2 ${config.apiToken}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'Import-Machine-Backend/1.0.0'
-      },
-      timeout: 30000
-    });
+    const ingestionPoint = await archiveClient.request(req.user.id, 'get', `/web.ui/api/ingestionPoints/${id}`);
 
     // Cache the result
     try {
-      await cacheService.cacheIngestionPoint(req.user.id, response.data);
+      await cacheService.cacheIngestionPoint(req.user.id, ingestionPoint);
     } catch (cacheError) {
       console.error('Warning: Failed to cache ingestion point:', cacheError);
       // Continue without caching - don't fail the request
@@ -199,45 +155,87 @@ router.get('/:id', authenticate, async (req, res) => {
 
     res.json({
       success: true,
-      data: response.data,
+      data: ingestionPoint,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
     console.error(`Error fetching ingestion point ${req.params.id}:`, error);
+    sendArchiveError(res, error, 'Failed to fetch ingestion point', {
+      [ARCHIVE_ERROR_CODES.NOT_FOUND]: 'Ingestion point not found. Please check the ingestion point ID.'
+    });
+  }
+});
 
-    if (error.response) {
-      res.status(error.response.status).json({
-        success: false,
-        error: `Archive API error: ${error.response.status} ${error.response.statusText}`,
-        details: error.response.data,
-        timestamp: new Date().toISOString()
-      });
-    } else if (error.request) {
-      res.status(503).json({
-        success: false,
-        error: 'No response from archive system',
-        timestamp: new Date().toISOString()
-      });
-    } else {
-      res.status(500).json({
+/**
+ * @route   GET /api/ingestion-points/:id/settings
+ * @desc    Get the local packaging settings of an ingestion point
+ * @access  Private
+ */
+router.get('/:id/settings', authenticate, async (req, res) => {
+  try {
+    const settings = await ingestionPointSettingsService.getSettings(req.user.id, req.params.id);
+
+    res.json({
+      success: true,
+      data: settings,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error getting settings of ingestion point ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get ingestion point settings',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/ingestion-points/:id/settings
+ * @desc    Set the container format (zip or tar.gz) uploads into an ingestion point use by default
+ * @access  Private
+ */
+router.put('/:id/settings', authenticate, async (req, res) => {
+  try {
+    const settings = await ingestionPointSettingsService.updateSettings(req.user.id, req.params.id, {
+      containerFormat: req.body.containerFormat
+    });
+
+    res.json({
+      success: true,
+      data: settings,
+      message: 'Ingestion point settings saved successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
         success: false,
-        error: 'Failed to fetch ingestion point',
-        details: error.message,
+        error: error.message,
         timestamp: new Date().toISOString()
       });
     }
+    console.error(`Error saving settings of ingestion point ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save ingestion point settings',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
   }
 });
 
 /**
  * @route   POST /api/ingestion-points/test-connection
- * @desc    Test connection to archive system
+ * @desc    Test connection to archive system. A masked API token, as GET /api/config shows it, means the saved one.
  * @access  Private
  */
 router.post('/test-connection', authenticate, async (req, res) => {
   try {
-    const { archiveWebUI, apiToken } = req.body;
+    const { archiveWebUI } = req.body;
+    const apiToken = resolveSecret(req.body.apiToken, (await getConfig(req.user.id)).apiToken);
 
     if (!archiveWebUI || !apiToken) {
       return res.status(400).json({
@@ -247,32 +245,20 @@ router.post('/test-connection', authenticate, async (req, res) => {
       });
     }
 
-    // Construct the URL for testing
-    const baseUrl = archiveWebUI.replace(/\/$/, '');
-    const url = `${baseUrl}/web.ui/api/ingestionPoints/_query`;
-
-
-
-    // Strip PWSAK2 prefix if it exists in the provided token
-    const cleanApiToken = apiToken.replace(/^PWSAK2\s+/, '');
-    
-    // Make test request
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `PWSAK2 ${cleanApiToken}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'Import-Machine-Backend/1.0.0'
-      },
-      timeout: 10000 // 10 second timeout for testing
-    });
+    // Make test request; a test is answered at once rather than retried
+    const ingestionPoints = await archiveClient.send({ archiveWebUI, apiToken }, 'get',
+      '/web.ui/api/ingestionPoints/_query', {
+        timeout: 10000, // 10 second timeout for testing
+        retries: 0
+      });
 
     res.json({
       success: true,
       message: 'Connection successful',
       data: {
-        status: response.status,
-        totalCount: response.data.totalCount || 0,
-        importS3Count: (response.data.results || []).filter(item => 
+        status: 200,
+        totalCount: ingestionPoints.totalCount || 0,
+        importS3Count: (ingestionPoints.results || []).filter(item => 
           item.typeDetails && item.typeDetails.type === 'importS3'
         ).length
       },
@@ -281,28 +267,7 @@ router.post('/test-connection', authenticate, async (req, res) => {
 
   } catch (error) {
     console.error('Connection test failed:', error);
-
-    if (error.response) {
-      res.status(error.response.status).json({
-        success: false,
-        error: `Connection failed: ${error.response.status} ${error.response.statusText}`,
-        details: error.response.data,
-        timestamp: new Date().toISOString()
-      });
-    } else if (error.request) {
-      res.status(503).json({
-        success: false,
-        error: 'Connection failed: No response from archive system',
-        timestamp: new Date().toISOString()
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        error: 'Connection test failed',
-        details: error.message,
-        timestamp: new Date().toISOString()
-      });
-    }
+    sendArchiveError(res, error, 'Connection test failed');
   }
 });
 
@@ -313,14 +278,13 @@ router.post('/test-connection', authenticate, async (req, res) => {
  */
 router.post('/clear-cache', authenticate, async (req, res) => {
   try {
-    // Temporarily disabled cache clearing
-    // const clearedCount = await getCacheService().clearAllCache(req.user.id);
+    const clearedCount = await cacheService.clearAllCache(req.user.id);
     
     res.json({
       success: true,
-      message: 'Cache clearing temporarily disabled',
+      message: `Cleared ${clearedCount} cached ingestion points`,
       data: {
-        clearedCount: 0
+        clearedCount: clearedCount
       },
       timestamp: new Date().toISOString()
     });
@@ -351,9 +315,6 @@ router.post('/', authenticate, async (req, res) => {
       });
     }
 
-    // Get current configuration
-    const config = await getConfig(req.user.id);
-
     // Validate required fields
     const { name, srcShortName, description, typeDetails } = req.body;
     
@@ -380,34 +341,11 @@ router.post('/', authenticate, async (req, res) => {
       }
     };
 
-    // Debug logging
-
-
-    // Construct the URL for the archive API
-    const baseUrl = config.archiveWebUI.replace(/\/$/, '');
-    const url = `${baseUrl}/web.ui/api/ingestionPoints`;
-
-
-
-
-    // Strip PWSAK2 prefix if it exists in the stored token
-    const cleanApiToken = config.apiToken.replace(/^PWSAK2\s+/, '');
-    
     // Make request to archive system
-    const response = await axios.post(url, ingestionPointData, {
-      headers: {
-        'Authorization': `PWSAK2 ${cleanApiToken}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'Import-Machine-Backend/1.0.0'
-      },
-      timeout: 30000 // 30 second timeout
+    const responseData = await archiveClient.request(req.user.id, 'post', '/web.ui/api/ingestionPoints', {
+      data: ingestionPointData
     });
 
-    // Return the response data
-    const responseData = response.data;
-
-
-
     res.json({
       success: true,
       message: 'Ingestion point created successfully',
@@ -419,72 +357,10 @@ router.post('/', authenticate, async (req, res) => {
 
   } catch (error) {
     console.error('Error creating ingestion point:', error);
-
-    if (error.response) {
-      // The request was made and the server responded with a status code
-      // that falls out of the range of 2xx
-      const status = error.response.status;
-      let errorMessage = `Archive API error: ${status} ${error.response.statusText}`;
-
-      // Provide more specific error messages for common status codes
-      if (status === 400) {
-        errorMessage = 'Invalid ingestion point data. Please check your input and try again.';
-      } else if (status === 401) {
-        errorMessage = 'Authentication failed. Please check your API token.';
-      } else if (status === 403) {
-        errorMessage = 'Access denied. You do not have permission to create ingestion points.';
-      } else if (status === 409) {
-        errorMessage = 'Ingestion point already exists with this name. Please choose a different name.';
-      } else if (status >= 500) {
-        errorMessage = 'Archive system error. Please try again later.';
-      }
-
-      res.status(status).json({
-        success: false,
-        error: errorMessage,
-        details: error.response.data,
-        timestamp: new Date().toISOString()
-      });
-    } else if (error.request) {
-      // The request was made but no response was received
-      res.status(503).json({
-        success: false,
-        error: 'No response from archive system. Please check the archive Web UI URL and network connectivity.',
-        timestamp: new Date().toISOString()
-      });
-    } else {
-      // Something happened in setting up the request that triggered an Error
-      res.status(500).json({
-        success: false,
-        error: 'Failed to create ingestion point',
-        details: error.message,
-        timestamp: new Date().toISOString()
-      });
-    }
-  }
-});
-
-/**
- * @route   GET /api/ingestion-points/cache-stats
- * @desc    Get cache statistics for the current user
- * @access  Private
- */
-router.get('/cache-stats', authenticate, async (req, res) => {
-  try {
-    const stats = await cacheService.getCacheStats(req.user.id);
-    
-    res.json({
-      success: true,
-      data: stats,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error getting cache stats:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get cache statistics',
-      details: error.message,
-      timestamp: new Date().toISOString()
+    sendArchiveError(res, error, 'Failed to create ingestion point', {
+      [ARCHIVE_ERROR_CODES.BAD_REQUEST]: 'Invalid ingestion point data. Please check your input and try again.',
+      [ARCHIVE_ERROR_CODES.FORBIDDEN]: 'Access denied. You do not have permission to create ingestion points.',
+      [ARCHIVE_ERROR_CODES.CONFLICT]: 'Ingestion point already exists with this name. Please choose a different name.'
     });
   }
 });
@@ -0,0 +1,259 @@
+const express = require('express');
+const {
+  body, param, query, validationResult,
+} = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const { isConfigComplete } = require('../config/shared');
+const jobQueueService = require('../services/jobQueueService');
+
+const router = express.Router();
+
+const { JOB_TYPES, STATUS } = jobQueueService;
+
+// Job types that can be queued directly; packaging and S3 uploads are queued by their own endpoints
+const ENQUEUEABLE_TYPES = [JOB_TYPES.SUBMIT_BATCH, JOB_TYPES.POLL_BATCH_REPORT];
+
+// Job types tied to an upload set's spooled files; the upload set is discarded or started again instead
+const UPLOAD_SET_JOB_TYPES = [JOB_TYPES.PACKAGE, JOB_TYPES.SERVER_INGEST, JOB_TYPES.S3_REPACKAGE];
+
+// Validation middleware
+const validateJobId = param('id')
+  .isInt({ min: 1 })
+  .withMessage('Invalid job ID format');
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array(),
+    });
+  }
+  return next();
+};
+
+// Load the job owned by the current user
+const loadJob = async (req, res, next) => {
+  try {
+    const job = await jobQueueService.findForUser(req.user.id, req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+      });
+    }
+    req.job = job;
+    return next();
+  } catch (error) {
+    console.error('Error loading job:', error);
+    return res.status(500).json({
+      success: false,
+      error: `Failed to load job: ${error.message}`,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/jobs
+ * @desc    List the current user's background jobs, newest first
+ * @access  Private
+ */
+router.get(
+  '/',
+  authenticate,
+  query('status').optional().isIn(Object.keys(STATUS)),
+  query('type').optional().isIn(Object.values(JOB_TYPES)),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page, 10) || 1;
+      const limit = parseInt(req.query.limit, 10) || 50;
+
+      const { count, rows } = await jobQueueService.listForUser(req.user.id, {
+        status: req.query.status ? STATUS[req.query.status] : null,
+        type: req.query.type || null,
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      return res.json({
+        success: true,
+        data: {
+          jobs: rows.map((job) => jobQueueService.describeJob(job)),
+          pagination: {
+            page,
+            limit,
+            total: count,
+            pages: Math.ceil(count / limit),
+          },
+        },
+      });
+    } catch (error) {
+      console.error('Error fetching jobs:', error);
+      return res.status(500).json({
+        success: false,
+        error: `Failed to fetch jobs: ${error.message}`,
+      });
+    }
+  },
+);
+
+/**
+ * @route   POST /api/jobs
+ * @desc    Queue a batch submission or batch-report polling for an import job
+ * @access  Private
+ */
+router.post(
+  '/',
+  authenticate,
+  body('type').isIn(ENQUEUEABLE_TYPES).withMessage(`Type must be one of: ${ENQUEUEABLE_TYPES.join(', ')}`),
+  body('payload.importJobAid').isString().trim().isLength({ min: 1 })
+    .withMessage('payload.importJobAid is required'),
+  body('payload.batchData').if(body('type').equals(JOB_TYPES.SUBMIT_BATCH)).isObject()
+    .withMessage('payload.batchData is required for batch submissions'),
+  body('payload.batchData.name').if(body('type').equals(JOB_TYPES.SUBMIT_BATCH)).isString().trim()
+    .isLength({ min: 1 })
+    .withMessage('payload.batchData.name is required'),
+  body('payload.batchData.containerType').if(body('type').equals(JOB_TYPES.SUBMIT_BATCH)).isIn(['zip', 'tar.gz'])
+    .withMessage('payload.batchData.containerType must be either "zip" or "tar.gz"'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      if (!(await isConfigComplete(req.user.id))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Configuration not set. Please configure archive Web UI and API token first.',
+        });
+      }
+
+      const { type, payload } = req.body;
+      let job;
+
+      if (type === JOB_TYPES.POLL_BATCH_REPORT) {
+        job = await jobQueueService.enqueue(type, { importJobAid: payload.importJobAid }, {
+          userId: req.user.id,
+          createdBy: req.user.username,
+          dedupeKey: `${type}:${req.user.id}:${payload.importJobAid}`,
+        });
+      } else {
+        const {
+          name, description, containerType, container, manifest, manifestDigest,
+        } = payload.batchData;
+        job = await jobQueueService.enqueue(type, {
+          importJobAid: payload.importJobAid,
+          batchData: {
+            name,
+            description: description || '',
+            containerType,
+            container: container || '',
+            manifest: manifest || '',
+            manifestDigest: manifestDigest || '',
+          },
+        }, {
+          userId: req.user.id,
+          createdBy: req.user.username,
+        });
+      }
+
+      return res.status(202).json({
+        success: true,
+        data: jobQueueService.describeJob(job),
+        message: `Job ${job.id} queued`,
+      });
+    } catch (error) {
+      console.error('Error queueing job:', error);
+      return res.status(500).json({
+        success: false,
+        error: `Failed to queue job: ${error.message}`,
+      });
+    }
+  },
+);
+
+/**
+ * @route   GET /api/jobs/:id
+ * @desc    Get a job's status, progress and result
+ * @access  Private
+ */
+router.get('/:id', authenticate, validateJobId, handleValidationErrors, loadJob, (req, res) => res.json({
+  success: true,
+  data: jobQueueService.describeJob(req.job),
+}));
+
+/**
+ * @route   POST /api/jobs/:id/cancel
+ * @desc    Cancel a job that has not started yet
+ * @access  Private
+ */
+router.post('/:id/cancel', authenticate, validateJobId, handleValidationErrors, loadJob, async (req, res) => {
+  try {
+    if (UPLOAD_SET_JOB_TYPES.includes(req.job.type)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Packaging and import jobs cannot be cancelled; discard the upload set instead',
+      });
+    }
+
+    if (!(await jobQueueService.cancel(req.job))) {
+      return res.status(409).json({
+        success: false,
+        error: 'Only queued jobs can be cancelled',
+      });
+    }
+
+    await req.job.reload();
+    return res.json({
+      success: true,
+      data: jobQueueService.describeJob(req.job),
+      message: 'Job cancelled',
+    });
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    return res.status(500).json({
+      success: false,
+      error: `Failed to cancel job: ${error.message}`,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/jobs/:id/retry
+ * @desc    Queue a failed or cancelled job again
+ * @access  Private
+ */
+router.post('/:id/retry', authenticate, validateJobId, handleValidationErrors, loadJob, async (req, res) => {
+  try {
+    if (UPLOAD_SET_JOB_TYPES.includes(req.job.type)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Packaging and import jobs cannot be retried; upload or import the files again',
+      });
+    }
+
+    if (!(await jobQueueService.retry(req.job))) {
+      return res.status(409).json({
+        success: false,
+        error: 'Only failed or cancelled jobs can be retried',
+      });
+    }
+
+    await req.job.reload();
+    return res.json({
+      success: true,
+      data: jobQueueService.describeJob(req.job),
+      message: 'Job queued again',
+    });
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    return res.status(500).json({
+      success: false,
+      error: `Failed to retry job: ${error.message}`,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const { getConfig } = require('../config/shared');
+const {
+  MANIFEST_SCHEMAS,
+  MANIFEST_VERSION,
+  validateManifest,
+} = require('../services/manifestService');
+
+const router = express.Router();
+
+// Validation middleware
+const validateVersion = query('version').optional().isIn(Object.keys(MANIFEST_SCHEMAS))
+  .withMessage(`Manifest version must be one of ${Object.keys(MANIFEST_SCHEMAS).join(', ')}`);
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array(),
+    });
+  }
+  return next();
+};
+
+/**
+ * @route   GET /api/manifests/schema?version=
+ * @desc    Get the JSON Schema of a manifest version (the current one by default) and the known versions
+ * @access  Private
+ */
+router.get('/schema', authenticate, validateVersion, handleValidationErrors, (req, res) => {
+  const version = req.query.version || MANIFEST_VERSION;
+
+  res.json({
+    success: true,
+    data: {
+      version,
+      currentVersion: MANIFEST_VERSION,
+      versions: Object.keys(MANIFEST_SCHEMAS),
+      schema: MANIFEST_SCHEMAS[version],
+    },
+  });
+});
+
+/**
+ * @route   POST /api/manifests/validate?version=
+ * @desc    Lint a manifest built outside the Import Machine against the manifest schema. The body is the manifest
+ *          itself, or `{ "manifest": ... }`. An invalid manifest is not an error: the result lists what is wrong.
+ * @access  Private
+ */
+router.post('/validate', authenticate, validateVersion, handleValidationErrors, async (req, res) => {
+  const manifest = req.body && req.body.manifest !== undefined ? req.body.manifest : req.body;
+
+  try {
+    const result = validateManifest(manifest, req.query.version || MANIFEST_VERSION);
+
+    // A valid manifest for another customer would be imported into the wrong account; flag it, but as a warning
+    const warnings = [];
+    const { customerGUID } = await getConfig(req.user.id);
+    if (result.valid && customerGUID && manifest.customer_guid.toLowerCase() !== customerGUID.toLowerCase()) {
+      warnings.push({
+        path: '/customer_guid',
+        message: `does not match the configured customer GUID ${customerGUID}`,
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: { ...result, warnings },
+      message: result.valid ? 'Manifest is valid' : `Manifest has ${result.errors.length} error(s)`,
+    });
+  } catch (error) {
+    console.error('Error validating manifest:', error);
+    return res.status(500).json({
+      success: false,
+      error: `Failed to validate manifest: ${error.message}`,
+    });
+  }
+});
+
+module.exports = router;
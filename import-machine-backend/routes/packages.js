@@ -0,0 +1,815 @@
+const express = require('express');
+const busboy = require('busboy');
+const {
+  body, header, param, query, validationResult,
+} = require('express-validator');
+const { UploadSet } = require('../models');
+const { authenticate } = require('../middleware/auth');
+const { sendArchiveError } = require('../middleware/archiveErrors');
+const { extendRequestTimeout } = require('../middleware/requestTimeout');
+const { isConfigComplete } = require('../config/shared');
+const packagingService = require('../services/packagingService');
+const resumableUploadService = require('../services/resumableUploadService');
+const serverSourceService = require('../services/serverSourceService');
+const s3RepackageService = require('../services/s3RepackageService');
+const jobQueueService = require('../services/jobQueueService');
+const archiveClient = require('../services/archiveClient');
+const batchSubmissionService = require('../services/batchSubmissionService');
+const batchTrackingService = require('../services/batchTrackingService');
+const { isSupportedFile, UNSUPPORTED_FILE_REASON } = require('../services/mailExtractionService');
+const { CONTAINER_FORMATS, DEFAULT_CONTAINER_FORMAT } = require('../services/manifestService');
+
+const router = express.Router();
+
+// Validation middleware
+const validatePackageId = param('id')
+  .isUUID()
+  .withMessage('Invalid package ID format');
+
+const validateUploadId = param('uploadId')
+  .isUUID()
+  .withMessage('Invalid upload ID format');
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array(),
+    });
+  }
+  return next();
+};
+
+// Load the package session owned by the current user, restoring it if the server restarted while it was receiving
+const loadSession = async (req, res, next) => {
+  try {
+    const session = await packagingService.findSession(req.user.id, req.params.id, req.user.username);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Package not found',
+      });
+    }
+    req.packageSession = session;
+    return next();
+  } catch (error) {
+    console.error('Error loading package:', error);
+    return res.status(500).json({
+      success: false,
+      error: `Failed to load package: ${error.message}`,
+    });
+  }
+};
+
+// Load one resumable upload of the package session
+const loadUpload = async (req, res, next) => {
+  try {
+    const upload = await resumableUploadService.getUpload(req.packageSession, req.params.uploadId);
+    if (!upload) {
+      return res.status(404).json({
+        success: false,
+        error: 'Upload not found',
+      });
+    }
+    req.upload = upload;
+    return next();
+  } catch (error) {
+    console.error('Error loading upload:', error);
+    return res.status(500).json({
+      success: false,
+      error: `Failed to load upload: ${error.message}`,
+    });
+  }
+};
+
+// Refuse uploads into a package that has started packaging
+const requireReceiving = (req, res, next) => {
+  if (req.packageSession.status !== packagingService.STATUS.RECEIVING) {
+    return res.status(409).json({
+      success: false,
+      error: `Package is already ${req.packageSession.status}`,
+    });
+  }
+  return next();
+};
+
+// Upload-Offset and Upload-Length tell a client where to continue an upload
+const setOffsetHeaders = (res, upload) => {
+  res.set({
+    'Upload-Offset': String(upload.offset),
+    'Upload-Length': String(upload.size),
+    'Cache-Control': 'no-store',
+  });
+};
+
+// Stream every file part of a multipart request into the package spool
+const receiveFiles = (req, session) => new Promise((resolve, reject) => {
+  const parser = busboy({ headers: req.headers });
+  const pending = [];
+
+  const rejectedBefore = session.rejected.length;
+
+  parser.on('file', (fieldName, file, info) => {
+    if (!isSupportedFile(info.filename)) {
+      packagingService.rejectFile(session, info.filename, UNSUPPORTED_FILE_REASON);
+      file.resume();
+      return;
+    }
+    pending.push(packagingService.spoolFile(session, info.filename, file));
+  });
+  parser.on('error', reject);
+  parser.on('close', () => {
+    Promise.all(pending)
+      .then((results) => resolve({
+        received: results.filter(Boolean),
+        rejected: session.rejected.slice(rejectedBefore),
+      }))
+      .catch(reject);
+  });
+
+  req.pipe(parser);
+});
+
+/**
+ * @route   GET /api/packages/limits
+ * @desc    Get the default container split limits and container format
+ * @access  Private
+ */
+router.get('/limits', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      ...packagingService.getDefaultLimits(),
+      containerFormat: DEFAULT_CONTAINER_FORMAT,
+      containerFormats: Object.values(CONTAINER_FORMATS),
+    },
+  });
+});
+
+// Map a failure to resolve an import job's destination onto a response
+const sendDestinationError = (res, error) => {
+  console.error('Error resolving import job destination:', error);
+  if (archiveClient.isArchiveError(error)) {
+    return sendArchiveError(res, error, 'Failed to resolve import job destination');
+  }
+  return res.status(error.code === 'NO_S3_DESTINATION' ? 400 : 500).json({
+    success: false,
+    error: `Failed to resolve import job destination: ${error.message}`,
+  });
+};
+
+/**
+ * @route   GET /api/packages/destination?importJobAid=
+ * @desc    Get the S3 bucket and prefix an import job's containers are uploaded to
+ * @access  Private
+ */
+router.get(
+  '/destination',
+  authenticate,
+  query('importJobAid').isString().matches(/^\//)
+    .withMessage('Import job AID must be an archive path'),
+  handleValidationErrors,
+  async (req, res) => {
+    if (!(await isConfigComplete(req.user.id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Configuration not set. Please configure archive Web UI and API token first.',
+      });
+    }
+
+    try {
+      const destination = await batchSubmissionService.resolveDestination(req.user.id, req.query.importJobAid);
+
+      return res.json({
+        success: true,
+        data: destination,
+      });
+    } catch (error) {
+      return sendDestinationError(res, error);
+    }
+  },
+);
+
+/**
+ * @route   GET /api/packages
+ * @desc    List the current user's recent upload sets
+ * @access  Private
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const uploadSets = await UploadSet.findByUser(req.user.id);
+    const results = uploadSets.map((uploadSet) => {
+      const session = packagingService.getSession(req.user.id, uploadSet.id);
+      return session ? packagingService.toSummary(session) : packagingService.describeUploadSet(uploadSet);
+    });
+
+    res.json({
+      success: true,
+      data: {
+        totalCount: results.length,
+        results,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching upload sets:', error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to fetch upload sets: ${error.message}`,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/packages/resumable
+ * @desc    List the current user's upload sets that are still receiving files, with how far their uploads got
+ * @access  Private
+ */
+router.get('/resumable', authenticate, async (req, res) => {
+  try {
+    const results = await resumableUploadService.findResumable(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        totalCount: results.length,
+        results,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching resumable uploads:', error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to fetch resumable uploads: ${error.message}`,
+    });
+  }
+});
+
+// Container limits, format and custodian of a new package
+const validatePackaging = [
+  body('limits').optional().isObject(),
+  body(['limits.maxContainerBytes', 'limits.maxContainerEntries', 'limits.maxMessageBytes'])
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Limits must be positive integers'),
+  body('containerFormat').optional().isIn(Object.values(CONTAINER_FORMATS))
+    .withMessage('Container format must be either "zip" or "tar.gz"'),
+  body('custodian').optional({ nullable: true }).isString().trim()
+    .isLength({ max: 255 })
+    .withMessage('Custodian must be at most 255 characters'),
+];
+
+const validateDestination = [
+  body('importJobAid').optional().isString().trim()
+    .matches(/^\//)
+    .withMessage('Import job AID must be an archive path'),
+  body('bucketName').if(body('importJobAid').not().exists()).isString().trim()
+    .isLength({ min: 3, max: 63 })
+    .withMessage('Bucket name is required'),
+  body('prefix').optional().isString().trim(),
+  body('batchName').optional().isString().trim(),
+  body('description').optional().isString().trim(),
+  ...validatePackaging,
+];
+
+/**
+ * @route   POST /api/packages
+ * @desc    Create an upload set and its packaging session for an S3 destination, or for an import job whose
+ *          ingestion point bucket receives the containers and which gets one archive batch per container
+ * @access  Private
+ */
+router.post(
+  '/',
+  authenticate,
+  validateDestination,
+  handleValidationErrors,
+  async (req, res) => {
+    if (req.body.importJobAid && !(await isConfigComplete(req.user.id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Configuration not set. Please configure archive Web UI and API token first.',
+      });
+    }
+
+    let destination;
+    try {
+      destination = await packagingService.resolveDestination(req.user.id, req.body);
+    } catch (error) {
+      return sendDestinationError(res, error);
+    }
+
+    try {
+      const session = await packagingService.createSession(req.user.id, {
+        createdBy: req.user.username,
+        limits: req.body.limits || {},
+        custodian: req.body.custodian,
+        ...destination,
+      });
+
+      return res.status(201).json({
+        success: true,
+        data: packagingService.toSummary(session),
+        message: 'Package created successfully',
+      });
+    } catch (error) {
+      console.error('Error creating package:', error);
+      return res.status(500).json({
+        success: false,
+        error: `Failed to create package: ${error.message}`,
+      });
+    }
+  },
+);
+
+/**
+ * @route   POST /api/packages/server-source
+ * @desc    Create an upload set from files and folders of a server source; a background job reads the EML files
+ *          from disk (folders recursively) and then queues the upload set for packaging
+ * @access  Private
+ */
+router.post(
+  '/server-source',
+  authenticate,
+  body('sourceId').isUUID()
+    .withMessage('Invalid server source ID format'),
+  body('paths').isArray({ min: 1, max: 1000 })
+    .withMessage('Paths must be an array of 1 to 1000 entries'),
+  body('paths.*').isString()
+    .withMessage('Paths must be strings'),
+  validateDestination,
+  handleValidationErrors,
+  async (req, res) => {
+    if (req.body.importJobAid && !(await isConfigComplete(req.user.id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Configuration not set. Please configure archive Web UI and API token first.',
+      });
+    }
+
+    let destination;
+    try {
+      destination = await packagingService.resolveDestination(req.user.id, req.body);
+    } catch (error) {
+      return sendDestinationError(res, error);
+    }
+
+    try {
+      // Refuse unknown sources and paths outside the source before anything is created
+      const source = await serverSourceService.getEnabledSource(req.body.sourceId);
+      const selections = await Promise.all(req.body.paths
+        .map((selection) => serverSourceService.resolvePath(source, selection)));
+
+      const session = await packagingService.createSession(req.user.id, {
+        createdBy: req.user.username,
+        limits: req.body.limits || {},
+        custodian: req.body.custodian,
+        ...destination,
+      });
+      const job = await jobQueueService.enqueue(jobQueueService.JOB_TYPES.SERVER_INGEST, {
+        uploadSetId: session.id,
+        sourceId: source.id,
+        paths: selections.map((selection) => selection.relativePath),
+      }, {
+        userId: req.user.id,
+        createdBy: req.user.username,
+        local: true,
+      });
+      session.progress.phase = 'queued';
+
+      return res.status(202).json({
+        success: true,
+        data: { ...packagingService.toSummary(session), ingestJobId: job.id },
+        message: `Reading files from ${source.name} as job ${job.id}`,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message,
+        });
+      }
+      console.error('Error creating package from server source:', error);
+      return res.status(500).json({
+        success: false,
+        error: `Failed to create package: ${error.message}`,
+      });
+    }
+  },
+);
+
+/**
+ * @route   POST /api/packages/s3-source
+ * @desc    Repackage the loose EML objects under an S3 prefix: a background job streams them into an upload set,
+ *          which is then packaged into ZIP or tar.gz containers and manifests under a staging prefix of the same bucket
+ * @access  Private
+ */
+router.post(
+  '/s3-source',
+  authenticate,
+  body('bucketName').isString().trim().isLength({ min: 3, max: 63 })
+    .withMessage('Bucket name is required'),
+  body('prefix').optional().isString().trim(),
+  body('stagingPrefix').optional().isString().trim(),
+  ...validatePackaging,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { prefix, stagingPrefix } = s3RepackageService.resolvePrefixes(req.body.prefix, req.body.stagingPrefix);
+
+      const session = await packagingService.createSession(req.user.id, {
+        createdBy: req.user.username,
+        bucketName: req.body.bucketName,
+        prefix: stagingPrefix,
+        limits: req.body.limits || {},
+        containerFormat: req.body.containerFormat,
+        custodian: req.body.custodian,
+      });
+      const job = await jobQueueService.enqueue(jobQueueService.JOB_TYPES.S3_REPACKAGE, {
+        uploadSetId: session.id,
+        bucketName: req.body.bucketName,
+        prefix,
+      }, {
+        userId: req.user.id,
+        createdBy: req.user.username,
+        local: true,
+      });
+      session.progress.phase = 'queued';
+
+      return res.status(202).json({
+        success: true,
+        data: { ...packagingService.toSummary(session), repackageJobId: job.id },
+        message: `Repackaging s3://${req.body.bucketName}/${prefix} into ${stagingPrefix} as job ${job.id}`,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message,
+        });
+      }
+      console.error('Error creating package from S3 prefix:', error);
+      return res.status(500).json({
+        success: false,
+        error: `Failed to create package: ${error.message}`,
+      });
+    }
+  },
+);
+
+/**
+ * @route   POST /api/packages/:id/files
+ * @desc    Stream EML files (multipart/form-data) into a package; may be called repeatedly
+ * @access  Private
+ */
+router.post(
+  '/:id/files',
+  authenticate,
+  validatePackageId,
+  handleValidationErrors,
+  loadSession,
+  async (req, res) => {
+    const session = req.packageSession;
+
+    if (!req.is('multipart/form-data')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Files must be sent as multipart/form-data',
+      });
+    }
+
+    if (session.status !== packagingService.STATUS.RECEIVING) {
+      return res.status(409).json({
+        success: false,
+        error: `Package is already ${session.status}`,
+      });
+    }
+
+    extendRequestTimeout(req);
+    try {
+      const { received, rejected } = await receiveFiles(req, session);
+
+      return res.json({
+        success: true,
+        data: {
+          received: received.map((file) => ({
+            name: file.name, format: file.format || 'eml', size: file.size, sha256: file.sha256,
+          })),
+          rejected,
+          package: packagingService.toSummary(session),
+        },
+        message: `Received ${received.length} file(s)`,
+      });
+    } catch (error) {
+      console.error('Error receiving package files:', error);
+      return res.status(500).json({
+        success: false,
+        error: `Failed to receive files: ${error.message}`,
+      });
+    }
+  },
+);
+
+/**
+ * @route   POST /api/packages/:id/uploads
+ * @desc    Register files for a resumable upload; files already registered under the same fingerprint are returned
+ *          with the offset to continue from
+ * @access  Private
+ */
+router.post(
+  '/:id/uploads',
+  authenticate,
+  validatePackageId,
+  body('files').isArray({ min: 1, max: 1000 })
+    .withMessage('Files must be an array of 1 to 1000 entries'),
+  body('files.*.name').isString().notEmpty()
+    .withMessage('File name is required'),
+  body('files.*.size').isInt({ min: 0 }).toInt()
+    .withMessage('File size must be a non-negative integer'),
+  body('files.*.fingerprint').isString().notEmpty()
+    .withMessage('File fingerprint is required'),
+  handleValidationErrors,
+  loadSession,
+  requireReceiving,
+  async (req, res) => {
+    try {
+      const uploads = await resumableUploadService.createUploads(req.packageSession, req.body.files);
+
+      return res.status(201).json({
+        success: true,
+        data: {
+          uploads: uploads.map((upload) => resumableUploadService.describe(upload)),
+          package: packagingService.toSummary(req.packageSession),
+        },
+        message: `Registered ${uploads.length} upload(s)`,
+      });
+    } catch (error) {
+      console.error('Error registering uploads:', error);
+      return res.status(500).json({
+        success: false,
+        error: `Failed to register uploads: ${error.message}`,
+      });
+    }
+  },
+);
+
+/**
+ * @route   GET /api/packages/:id/uploads?status=
+ * @desc    List the resumable uploads of a package
+ * @access  Private
+ */
+router.get(
+  '/:id/uploads',
+  authenticate,
+  validatePackageId,
+  query('status').optional().isIn(Object.values(resumableUploadService.UPLOAD_STATUS))
+    .withMessage('Invalid upload status'),
+  handleValidationErrors,
+  loadSession,
+  async (req, res) => {
+    try {
+      const uploads = await resumableUploadService.listUploads(req.packageSession, req.query.status);
+
+      return res.json({
+        success: true,
+        data: {
+          totalCount: uploads.length,
+          results: uploads.map((upload) => resumableUploadService.describe(upload)),
+        },
+      });
+    } catch (error) {
+      console.error('Error listing uploads:', error);
+      return res.status(500).json({
+        success: false,
+        error: `Failed to list uploads: ${error.message}`,
+      });
+    }
+  },
+);
+
+/**
+ * @route   HEAD /api/packages/:id/uploads/:uploadId
+ * @desc    Get the offset to continue an upload from (Upload-Offset) and its size (Upload-Length)
+ * @access  Private
+ */
+router.head(
+  '/:id/uploads/:uploadId',
+  authenticate,
+  validatePackageId,
+  validateUploadId,
+  handleValidationErrors,
+  loadSession,
+  loadUpload,
+  (req, res) => {
+    setOffsetHeaders(res, req.upload);
+    res.status(200).end();
+  },
+);
+
+/**
+ * @route   PATCH /api/packages/:id/uploads/:uploadId
+ * @desc    Append a chunk (Content-Type: application/offset+octet-stream) at the offset given in Upload-Offset,
+ *          which must match the stored offset; the file is spooled once its last byte arrives
+ * @access  Private
+ */
+router.patch(
+  '/:id/uploads/:uploadId',
+  authenticate,
+  validatePackageId,
+  validateUploadId,
+  header('Upload-Offset').isInt({ min: 0 }).toInt()
+    .withMessage('Upload-Offset header must be a non-negative integer'),
+  handleValidationErrors,
+  loadSession,
+  requireReceiving,
+  loadUpload,
+  async (req, res) => {
+    if (!req.is('application/offset+octet-stream')) {
+      return res.status(415).json({
+        success: false,
+        error: 'Chunks must be sent as application/offset+octet-stream',
+      });
+    }
+
+    extendRequestTimeout(req);
+    try {
+      const upload = await resumableUploadService.appendChunk(
+        req.packageSession,
+        req.upload,
+        req.headers['upload-offset'],
+        req,
+      );
+
+      setOffsetHeaders(res, upload);
+      return res.json({
+        success: true,
+        data: resumableUploadService.describe(upload),
+      });
+    } catch (error) {
+      setOffsetHeaders(res, req.upload);
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message,
+        });
+      }
+      console.error('Error receiving upload chunk:', error);
+      return res.status(500).json({
+        success: false,
+        error: `Failed to receive chunk: ${error.message}`,
+      });
+    }
+  },
+);
+
+/**
+ * @route   POST /api/packages/:id/build
+ * @desc    Queue the upload set for packaging: the job worker splits the files into containers and uploads each
+ *          container and manifest to S3
+ * @access  Private
+ */
+router.post(
+  '/:id/build',
+  authenticate,
+  validatePackageId,
+  handleValidationErrors,
+  loadSession,
+  async (req, res) => {
+    try {
+      // Files whose upload never finished are left out and reported as rejected
+      if (req.packageSession.status === packagingService.STATUS.RECEIVING) {
+        await resumableUploadService.rejectUnfinished(req.packageSession);
+      }
+      const job = await packagingService.startBuild(req.packageSession);
+
+      res.status(202).json({
+        success: true,
+        data: packagingService.toSummary(req.packageSession),
+        message: `Packaging queued as job ${job.id}`,
+      });
+    } catch (error) {
+      res.status(error.code === 'INVALID_STATE' ? 409 : 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+/**
+ * @route   GET /api/packages/:id/dedup-report
+ * @desc    List the duplicates left out of an upload set's containers and the earlier batch holding each original
+ * @access  Private
+ */
+router.get(
+  '/:id/dedup-report',
+  authenticate,
+  validatePackageId,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const uploadSet = await UploadSet.findByUserAndId(req.user.id, req.params.id);
+      if (!uploadSet) {
+        return res.status(404).json({
+          success: false,
+          error: 'Package not found',
+        });
+      }
+
+      const report = await batchTrackingService.getDedupReport(uploadSet.id);
+
+      return res.json({
+        success: true,
+        data: report,
+      });
+    } catch (error) {
+      console.error('Error building dedup report:', error);
+      return res.status(500).json({
+        success: false,
+        error: `Failed to build dedup report: ${error.message}`,
+      });
+    }
+  },
+);
+
+/**
+ * @route   GET /api/packages/:id
+ * @desc    Get upload set status, progress and containers
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  authenticate,
+  validatePackageId,
+  handleValidationErrors,
+  async (req, res) => {
+    const session = packagingService.getSession(req.user.id, req.params.id);
+    if (session) {
+      return res.json({
+        success: true,
+        data: packagingService.toSummary(session),
+      });
+    }
+
+    try {
+      // The session has expired from memory; fall back to the stored upload set
+      const uploadSet = await UploadSet.findByUserAndId(req.user.id, req.params.id);
+      if (!uploadSet) {
+        return res.status(404).json({
+          success: false,
+          error: 'Package not found',
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: packagingService.describeUploadSet(uploadSet),
+      });
+    } catch (error) {
+      console.error('Error fetching upload set:', error);
+      return res.status(500).json({
+        success: false,
+        error: `Failed to fetch package: ${error.message}`,
+      });
+    }
+  },
+);
+
+/**
+ * @route   DELETE /api/packages/:id
+ * @desc    Discard a package that has not started packaging
+ * @access  Private
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  validatePackageId,
+  handleValidationErrors,
+  loadSession,
+  async (req, res) => {
+    if (req.packageSession.status === packagingService.STATUS.PACKAGING) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot discard a package while it is being packaged',
+      });
+    }
+
+    try {
+      await packagingService.discardSession(req.packageSession);
+
+      return res.json({
+        success: true,
+        message: 'Package discarded successfully',
+      });
+    } catch (error) {
+      console.error('Error discarding package:', error);
+      return res.status(500).json({
+        success: false,
+        error: `Failed to discard package: ${error.message}`,
+      });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,206 @@
+const express = require('express');
+const {
+  body, param, query, validationResult,
+} = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const packagingService = require('../services/packagingService');
+const quarantineService = require('../services/quarantineService');
+
+const router = express.Router();
+
+// Validation middleware
+const validateFileId = param('id')
+  .isInt({ min: 1 })
+  .withMessage('Invalid import file ID format');
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array(),
+    });
+  }
+  return next();
+};
+
+// HTTP status for each quarantine error code
+const ERROR_STATUS = {
+  NOT_FOUND: 404,
+  CONTENT_MISSING: 410,
+  MIXED_UPLOAD_SETS: 400,
+  VALIDATION_FAILED: 422,
+};
+
+// Map a quarantine failure onto a response
+const sendQuarantineError = (res, error, action) => {
+  console.error(`Error trying to ${action}:`, error);
+  const status = ERROR_STATUS[error.code] || 500;
+  return res.status(status).json({
+    success: false,
+    error: status === 500 ? `Failed to ${action}: ${error.message}` : error.message,
+    ...(error.details && { details: error.details }),
+  });
+};
+
+// Load the quarantined file owned by the current user
+const loadFile = async (req, res, next) => {
+  try {
+    const file = await quarantineService.getFile(req.user.username, req.params.id);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quarantined file not found',
+      });
+    }
+    req.quarantinedFile = file;
+    return next();
+  } catch (error) {
+    return sendQuarantineError(res, error, 'load quarantined file');
+  }
+};
+
+/**
+ * @route   GET /api/quarantine
+ * @desc    List the current user's quarantined files
+ * @access  Private
+ */
+router.get(
+  '/',
+  authenticate,
+  query('uploadSetId').optional().isUUID(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await quarantineService.listFiles(req.user.username, {
+        uploadSetId: req.query.uploadSetId || null,
+        page: parseInt(req.query.page, 10) || 1,
+        limit: parseInt(req.query.limit, 10) || 50,
+      });
+
+      return res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      return sendQuarantineError(res, error, 'fetch quarantined files');
+    }
+  },
+);
+
+/**
+ * @route   POST /api/quarantine/include
+ * @desc    Package quarantined files from one upload set into a new upload set with the same destination
+ * @access  Private
+ */
+router.post(
+  '/include',
+  authenticate,
+  body('fileIds').isArray({ min: 1 }).withMessage('fileIds must be a non-empty array'),
+  body('fileIds.*').isInt({ min: 1 }).toInt(),
+  body('force').optional().isBoolean().toBoolean(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const session = await quarantineService.include(req.user.id, req.user.username, req.body.fileIds, {
+        force: req.body.force === true,
+      });
+
+      return res.status(202).json({
+        success: true,
+        data: packagingService.toSummary(session),
+        message: `${session.files.length} file(s) are being packaged into upload set ${session.id}`,
+      });
+    } catch (error) {
+      return sendQuarantineError(res, error, 'include quarantined files');
+    }
+  },
+);
+
+/**
+ * @route   GET /api/quarantine/:id
+ * @desc    Inspect a quarantined file: validation errors, headers and a preview of the message
+ * @access  Private
+ */
+router.get('/:id', authenticate, validateFileId, handleValidationErrors, loadFile, async (req, res) => {
+  try {
+    const result = await quarantineService.inspect(req.quarantinedFile);
+
+    return res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    return sendQuarantineError(res, error, 'inspect quarantined file');
+  }
+});
+
+/**
+ * @route   GET /api/quarantine/:id/content
+ * @desc    Download a quarantined message as it is stored
+ * @access  Private
+ */
+router.get('/:id/content', authenticate, validateFileId, handleValidationErrors, loadFile, async (req, res) => {
+  try {
+    const content = await quarantineService.readContent(req.quarantinedFile);
+
+    res.attachment(req.quarantinedFile.path);
+    res.type('message/rfc822');
+    return res.send(content);
+  } catch (error) {
+    return sendQuarantineError(res, error, 'download quarantined file');
+  }
+});
+
+/**
+ * @route   PUT /api/quarantine/:id
+ * @desc    Replace a quarantined message with a corrected version and validate it again
+ * @access  Private
+ */
+router.put(
+  '/:id',
+  authenticate,
+  validateFileId,
+  body('content').isString().isLength({ min: 1 }).withMessage('Content is required'),
+  handleValidationErrors,
+  loadFile,
+  async (req, res) => {
+    try {
+      const result = await quarantineService.fix(req.quarantinedFile, Buffer.from(req.body.content, 'utf8'));
+
+      return res.json({
+        success: true,
+        data: result,
+        message: result.validation.valid
+          ? 'Message fixed; it can now be included'
+          : 'Message saved but still fails validation',
+      });
+    } catch (error) {
+      return sendQuarantineError(res, error, 'fix quarantined file');
+    }
+  },
+);
+
+/**
+ * @route   DELETE /api/quarantine/:id
+ * @desc    Discard a quarantined file
+ * @access  Private
+ */
+router.delete('/:id', authenticate, validateFileId, handleValidationErrors, loadFile, async (req, res) => {
+  try {
+    await quarantineService.discard([req.quarantinedFile]);
+
+    return res.json({
+      success: true,
+      message: 'Quarantined file discarded',
+    });
+  } catch (error) {
+    return sendQuarantineError(res, error, 'discard quarantined file');
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,13 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { S3Bucket } = require('../models');
 const { authenticate } = require('../middleware/auth');
+const { extendRequestTimeout } = require('../middleware/requestTimeout');
 const s3Service = require('../services/s3Service');
+const jobQueueService = require('../services/jobQueueService');
+const { spoolUpload } = require('../services/jobHandlers');
+const eventService = require('../services/eventService');
+const directUploadService = require('../services/directUploadService');
 
 const router = express.Router();
 
@@ -88,6 +93,78 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
+// GET /api/s3-buckets/test-connection - Test S3 connection with the saved settings, against AWS or the custom endpoint
+// (declared before /:id, which would otherwise take it)
+router.get('/test-connection', authenticate, async (req, res) => {
+  try {
+    const result = await s3Service.testConnection(req.user.id);
+    
+    res.json({
+      success: true,
+      data: result,
+      message: 'S3 connection test successful'
+    });
+  } catch (error) {
+    console.error('Error testing S3 connection:', error);
+    
+    // Check if it's a credentials error
+    if (error.message.includes('S3 credentials not configured')) {
+      return res.status(400).json({
+        success: false,
+        error: 'S3 credentials not configured. Please configure your AWS credentials in the Config page.'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: `S3 connection test failed: ${error.message}`
+    });
+  }
+});
+
+// Answer a failed direct upload request: service errors carry their status, AWS errors are mapped like elsewhere
+const sendDirectUploadError = (res, error, action) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`Error ${action}:`, error);
+
+  if (error.code === 'NoSuchBucket') {
+    return res.status(404).json({
+      success: false,
+      error: 'Bucket not found'
+    });
+  }
+
+  if (error.code === 'NoSuchUpload' || error.code === 'NoSuchKey' || error.code === 'NotFound') {
+    return res.status(404).json({
+      success: false,
+      error: 'The upload is not in S3; send the file again'
+    });
+  }
+
+  if (error.code === 'AccessDenied') {
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied. Please check your AWS credentials and permissions.'
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: `Failed ${action}: ${error.message}`
+  });
+};
+
+const validateDirectUploadBatchId = param('batchId')
+  .isUUID(4)
+  .withMessage('Invalid direct upload ID');
+
 // GET /api/s3-buckets/:id - Get a specific S3 bucket
 router.get('/:id', authenticate, validateBucketId, handleValidationErrors, async (req, res) => {
   try {
@@ -295,14 +372,21 @@ router.delete('/:name',
   }
 );
 
-// GET /api/s3-buckets/:name/objects - Get objects in a bucket
+// GET /api/s3-buckets/:name/objects - Get one page of the objects in a bucket
+// ?prefix= limits the listing to a folder, ?delimiter=/ returns its subfolders in `folders` instead of their
+// objects, and ?continuationToken= with the nextContinuationToken of a page returns the page after it
 router.get('/:name/objects',
   authenticate,
+  query('prefix').optional().isString(),
+  query('delimiter').optional().isString().isLength({ min: 1, max: 10 }),
+  query('continuationToken').optional().isString(),
+  query('maxKeys').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  handleValidationErrors,
   async (req, res) => {
     try {
       const bucketName = req.params.name;
       const prefix = req.query.prefix || '';
-      const maxKeys = parseInt(req.query.maxKeys) || 1000;
+      const delimiter = req.query.delimiter || null;
 
       if (!bucketName || bucketName.trim() === '') {
         return res.status(400).json({
@@ -312,14 +396,27 @@ router.get('/:name/objects',
       }
 
       // Get actual objects from S3 using AWS API
-      const objects = await s3Service.listBucketObjects(req.user.id, bucketName, prefix, maxKeys);
+      const page = await s3Service.listBucketObjects(req.user.id, bucketName, prefix, {
+        continuationToken: req.query.continuationToken || null,
+        delimiter,
+        maxKeys: req.query.maxKeys || 1000
+      });
 
       res.json({
         success: true,
         data: {
           bucketName: bucketName,
-          totalCount: objects.length,
-          results: objects
+          prefix,
+          delimiter,
+          totalCount: page.objects.length,
+          results: page.objects,
+          folders: page.folders.map(folder => ({
+            key: folder,
+            name: folder.slice(prefix.length, folder.length - delimiter.length),
+            isFolder: true
+          })),
+          nextContinuationToken: page.continuationToken,
+          isTruncated: Boolean(page.continuationToken)
         }
       });
     } catch (error) {
@@ -332,6 +429,14 @@ router.get('/:name/objects',
           error: 'Bucket not found'
         });
       }
+
+      // e.g. a continuation token that does not belong to this listing
+      if (error.code === 'InvalidArgument') {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid listing request: ${error.message}`
+        });
+      }
       
       if (error.code === 'AccessDenied') {
         return res.status(403).json({
@@ -349,12 +454,13 @@ router.get('/:name/objects',
 );
 
 // POST /api/s3-buckets/:name/upload - Upload a file to S3 bucket
+// With queue=true the file is spooled and uploaded by the job worker, so the request returns immediately
 router.post('/:name/upload',
   authenticate,
   async (req, res) => {
     try {
       const bucketName = req.params.name;
-      const { key, fileBuffer, contentType } = req.body;
+      const { key, fileBuffer, contentType, queue } = req.body;
 
       if (!bucketName || bucketName.trim() === '') {
         return res.status(400).json({
@@ -380,6 +486,27 @@ router.post('/:name/upload',
       // Convert base64 string back to buffer
       const buffer = Buffer.from(fileBuffer, 'base64');
 
+      if (queue === true) {
+        const spoolPath = await spoolUpload(buffer);
+        const job = await jobQueueService.enqueue(jobQueueService.JOB_TYPES.S3_UPLOAD, {
+          bucketName,
+          key,
+          contentType: contentType || 'application/octet-stream',
+          size: buffer.length,
+          spoolPath
+        }, {
+          userId: req.user.id,
+          createdBy: req.user.username,
+          local: true
+        });
+
+        return res.status(202).json({
+          success: true,
+          data: jobQueueService.describeJob(job),
+          message: `Upload queued as job ${job.id}`
+        });
+      }
+
       // Upload file to S3
       const result = await s3Service.uploadFile(req.user.id, bucketName, key, buffer, contentType);
 
@@ -470,6 +597,318 @@ router.post('/:name/create-folder',
   }
 );
 
+// POST /api/s3-buckets/:name/presigned-uploads - Presign browser uploads straight to S3
+// Files that fit in one part get a PUT URL; larger files get a multipart upload whose part URLs are requested with
+// /parts. The keys are under <prefix>direct-uploads/<batchId>/; pass the batchId of the first response to add files.
+router.post('/:name/presigned-uploads',
+  authenticate,
+  body('batchId').optional().isUUID(4).withMessage('Invalid direct upload ID'),
+  body('prefix').optional().isString(),
+  body('files').isArray({ min: 1, max: directUploadService.MAX_FILES_PER_REQUEST })
+    .withMessage(`Between 1 and ${directUploadService.MAX_FILES_PER_REQUEST} files are required`),
+  body('files.*.name').isString().trim().notEmpty()
+    .withMessage('File name is required'),
+  body('files.*.size').isInt({ min: 0 }).toInt()
+    .withMessage('File size must be a whole number of bytes'),
+  body('files.*.contentType').optional().isString(),
+  body('files.*.sha256').optional({ values: 'null' }).isHash('sha256')
+    .withMessage('SHA-256 must be 64 hexadecimal characters'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await directUploadService.createUploads(req.user.id, req.user.username, req.params.name, {
+        batchId: req.body.batchId,
+        prefix: req.body.prefix,
+        files: req.body.files
+      });
+
+      res.status(201).json({
+        success: true,
+        data: result,
+        message: `Presigned ${result.uploads.length} upload(s) to ${req.params.name}/${result.uploadPrefix}`
+      });
+    } catch (error) {
+      sendDirectUploadError(res, error, 'presigning uploads');
+    }
+  }
+);
+
+// POST /api/s3-buckets/:name/presigned-uploads/:batchId/parts - Presign part URLs of a multipart direct upload
+router.post('/:name/presigned-uploads/:batchId/parts',
+  authenticate,
+  validateDirectUploadBatchId,
+  body('key').isString().notEmpty().withMessage('File key is required'),
+  body('uploadId').isString().trim().notEmpty()
+    .withMessage('Upload ID is required'),
+  body('partNumbers').isArray({ min: 1, max: directUploadService.MAX_PARTS_PER_REQUEST })
+    .withMessage(`Between 1 and ${directUploadService.MAX_PARTS_PER_REQUEST} part numbers are required`),
+  body('partNumbers.*').isInt({ min: 1, max: 10000 }).toInt()
+    .withMessage('Part numbers must be between 1 and 10000'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id: userId, username } = req.user;
+      const { name: bucketName, batchId } = req.params;
+      const result = await directUploadService.presignParts(userId, username, bucketName, batchId, req.body);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      sendDirectUploadError(res, error, 'presigning upload parts');
+    }
+  }
+);
+
+// POST /api/s3-buckets/:name/presigned-uploads/:batchId/complete - Verify an uploaded file and record it
+// Send the etag S3 answered the PUT with, or the uploadId and the partNumber and etag of every part. The object's
+// size, ETag and SHA-256 are checked; an object that does not match is deleted so the file can be sent again.
+router.post('/:name/presigned-uploads/:batchId/complete',
+  authenticate,
+  validateDirectUploadBatchId,
+  body('key').isString().notEmpty().withMessage('File key is required'),
+  body('size').isInt({ min: 0 }).toInt()
+    .withMessage('File size must be a whole number of bytes'),
+  body('sha256').optional({ values: 'null' }).isHash('sha256')
+    .withMessage('SHA-256 must be 64 hexadecimal characters'),
+  body('etag').if(body('uploadId').not().exists()).isString()
+    .notEmpty()
+    .withMessage('The ETag S3 answered the upload with is required'),
+  body('uploadId').optional().isString().trim()
+    .notEmpty(),
+  body('parts').if(body('uploadId').exists()).isArray({ min: 1, max: 10000 })
+    .withMessage('The parts of the multipart upload are required'),
+  body('parts.*.partNumber').optional().isInt({ min: 1, max: 10000 }).toInt(),
+  body('parts.*.etag').optional().isString().notEmpty(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id: userId, username } = req.user;
+      const { name: bucketName, batchId } = req.params;
+      const result = await directUploadService.completeUpload(userId, username, bucketName, batchId, req.body);
+
+      eventService.publish(userId, eventService.EVENT_TYPES.UPLOAD_PROGRESS, {
+        bucketName,
+        key: result.key,
+        status: 'completed',
+        uploadedBytes: result.size
+      });
+
+      res.json({
+        success: true,
+        data: result,
+        message: `${result.key} verified and recorded`
+      });
+    } catch (error) {
+      sendDirectUploadError(res, error, 'completing the direct upload');
+    }
+  }
+);
+
+// PUT /api/s3-buckets/:name/stream/:key - Stream the raw request body to S3 as a multipart upload
+// Send the file as the request body (e.g. application/octet-stream); set the stored content type with ?contentType=.
+// Pass ?resumable=true to keep uploaded parts on failure and ?uploadId= to resume that upload.
+router.put('/:name/stream/*',
+  authenticate,
+  query('uploadId').optional().isString().trim()
+    .notEmpty(),
+  query('partSizeMB').optional().isInt({ min: 5, max: 5120 }).withMessage('Part size must be between 5 and 5120 MB'),
+  query('concurrency').optional().isInt({ min: 1, max: 16 }).withMessage('Concurrency must be between 1 and 16'),
+  query('resumable').optional().isBoolean(),
+  query('contentType').optional().isString().trim(),
+  handleValidationErrors,
+  async (req, res) => {
+    const bucketName = req.params.name;
+    const key = req.params[0];
+
+    if (!key || key.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'File key is required'
+      });
+    }
+
+    // JSON and form bodies have already been consumed by the body parsers
+    if (req.is(['application/json', 'application/x-www-form-urlencoded'])) {
+      return res.status(400).json({
+        success: false,
+        error: 'Stream uploads must be sent as a raw body; use ?contentType= to set the stored content type'
+      });
+    }
+
+    extendRequestTimeout(req);
+    try {
+      const result = await s3Service.uploadStream(req.user.id, bucketName, key, req, {
+        contentType: req.query.contentType || req.headers['content-type'] || 'application/octet-stream',
+        partSize: req.query.partSizeMB ? parseInt(req.query.partSizeMB, 10) * 1024 * 1024 : undefined,
+        concurrency: req.query.concurrency ? parseInt(req.query.concurrency, 10) : undefined,
+        uploadId: req.query.uploadId,
+        resumable: req.query.resumable === 'true',
+        onProgress: (progress) => {
+          eventService.publish(req.user.id, eventService.EVENT_TYPES.UPLOAD_PROGRESS, {
+            bucketName,
+            key,
+            status: 'uploading',
+            partsCompleted: progress.partsCompleted,
+            uploadedBytes: progress.uploadedBytes,
+            totalBytes: parseInt(req.headers['content-length'], 10) || null
+          });
+        }
+      });
+
+      eventService.publish(req.user.id, eventService.EVENT_TYPES.UPLOAD_PROGRESS, {
+        bucketName,
+        key,
+        status: 'completed',
+        uploadedBytes: result.size
+      });
+
+      res.json({
+        success: true,
+        data: result,
+        message: 'File uploaded successfully'
+      });
+    } catch (error) {
+      console.error('Error streaming file to S3:', error);
+
+      // Handle specific AWS errors
+      if (error.code === 'NoSuchBucket') {
+        return res.status(404).json({
+          success: false,
+          error: 'Bucket not found'
+        });
+      }
+
+      if (error.code === 'NoSuchUpload') {
+        return res.status(404).json({
+          success: false,
+          error: 'Multipart upload not found'
+        });
+      }
+
+      if (error.code === 'AccessDenied') {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied. Please check your AWS credentials and permissions.'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: `Failed to upload file: ${error.message}`,
+        uploadId: error.uploadId,
+        completedParts: error.completedParts
+      });
+    }
+  }
+);
+
+// GET /api/s3-buckets/:name/multipart-uploads - List unfinished multipart uploads
+router.get('/:name/multipart-uploads',
+  authenticate,
+  query('prefix').optional().isString(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const uploads = await s3Service.listMultipartUploads(req.user.id, req.params.name, req.query.prefix || '');
+
+      res.json({
+        success: true,
+        data: {
+          totalCount: uploads.length,
+          results: uploads
+        }
+      });
+    } catch (error) {
+      console.error('Error listing multipart uploads:', error);
+
+      if (error.code === 'NoSuchBucket') {
+        return res.status(404).json({
+          success: false,
+          error: 'Bucket not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: `Failed to list multipart uploads: ${error.message}`
+      });
+    }
+  }
+);
+
+// GET /api/s3-buckets/:name/multipart-uploads/:uploadId/parts?key= - List parts of an unfinished upload
+router.get('/:name/multipart-uploads/:uploadId/parts',
+  authenticate,
+  query('key').isString().trim().notEmpty()
+    .withMessage('File key is required'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { name: bucketName, uploadId } = req.params;
+      const parts = await s3Service.listMultipartParts(req.user.id, bucketName, req.query.key, uploadId);
+
+      res.json({
+        success: true,
+        data: {
+          uploadId,
+          key: req.query.key,
+          totalCount: parts.length,
+          uploadedBytes: parts.reduce((sum, part) => sum + part.size, 0),
+          results: parts
+        }
+      });
+    } catch (error) {
+      console.error('Error listing multipart upload parts:', error);
+
+      if (error.code === 'NoSuchUpload') {
+        return res.status(404).json({
+          success: false,
+          error: 'Multipart upload not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: `Failed to list upload parts: ${error.message}`
+      });
+    }
+  }
+);
+
+// DELETE /api/s3-buckets/:name/multipart-uploads/:uploadId?key= - Abort an unfinished upload
+router.delete('/:name/multipart-uploads/:uploadId',
+  authenticate,
+  query('key').isString().trim().notEmpty()
+    .withMessage('File key is required'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      await s3Service.abortMultipartUpload(req.user.id, req.params.name, req.query.key, req.params.uploadId);
+
+      res.json({
+        success: true,
+        message: 'Multipart upload aborted successfully'
+      });
+    } catch (error) {
+      console.error('Error aborting multipart upload:', error);
+
+      if (error.code === 'NoSuchUpload') {
+        return res.status(404).json({
+          success: false,
+          error: 'Multipart upload not found'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: `Failed to abort multipart upload: ${error.message}`
+      });
+    }
+  }
+);
+
 // GET /api/s3-buckets/:name/download/:key - Download a file from S3 bucket
 router.get('/:name/download/*', authenticate, async (req, res) => {
   try {
@@ -535,32 +974,4 @@ router.get('/:name/download/*', authenticate, async (req, res) => {
   }
 });
 
-// GET /api/s3-buckets/test-connection - Test S3 connection
-router.get('/test-connection', authenticate, async (req, res) => {
-  try {
-    const result = await s3Service.testConnection(req.user.id);
-    
-    res.json({
-      success: true,
-      data: result,
-      message: 'S3 connection test successful'
-    });
-  } catch (error) {
-    console.error('Error testing S3 connection:', error);
-    
-    // Check if it's a credentials error
-    if (error.message.includes('S3 credentials not configured')) {
-      return res.status(400).json({
-        success: false,
-        error: 'S3 credentials not configured. Please configure your AWS credentials in the Config page.'
-      });
-    }
-    
-    res.status(500).json({
-      success: false,
-      error: `S3 connection test failed: ${error.message}`
-    });
-  }
-});
-
 module.exports = router;
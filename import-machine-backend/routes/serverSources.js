@@ -0,0 +1,223 @@
+const express = require('express');
+const {
+  body, param, query, validationResult,
+} = require('express-validator');
+const { UniqueConstraintError } = require('sequelize');
+const { ServerSource } = require('../models');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const serverSourceService = require('../services/serverSourceService');
+
+const router = express.Router();
+
+// Validation middleware
+const validateSourceId = param('id')
+  .isUUID()
+  .withMessage('Invalid server source ID format');
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array(),
+    });
+  }
+  return next();
+};
+
+const isAdmin = (req) => req.user.role === 'admin';
+
+// Map a server source failure onto a response
+const sendSourceError = (res, error, action) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+    });
+  }
+  if (error instanceof UniqueConstraintError) {
+    return res.status(409).json({
+      success: false,
+      error: 'A server source with this name already exists',
+    });
+  }
+  console.error(`Error trying to ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: `Failed to ${action}: ${error.message}`,
+  });
+};
+
+/**
+ * @route   GET /api/server-sources
+ * @desc    List server sources: enabled ones for users, all of them with their root paths for admins
+ * @access  Private
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const sources = isAdmin(req)
+      ? await ServerSource.findAll({ order: [['name', 'ASC']] })
+      : await ServerSource.findEnabled();
+    const results = sources.map((source) => serverSourceService.describe(source, isAdmin(req)));
+
+    return res.json({
+      success: true,
+      data: {
+        totalCount: results.length,
+        results,
+      },
+    });
+  } catch (error) {
+    return sendSourceError(res, error, 'fetch server sources');
+  }
+});
+
+/**
+ * @route   POST /api/server-sources
+ * @desc    Allow a directory on the backend host to be browsed and ingested from
+ * @access  Private (Admin)
+ */
+router.post(
+  '/',
+  authenticate,
+  requireAdmin,
+  body('name').isString().trim().isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and must be at most 100 characters'),
+  body('rootPath').isString().trim().notEmpty()
+    .withMessage('Root path is required'),
+  body('description').optional({ nullable: true }).isString().trim(),
+  body('enabled').optional().isBoolean().toBoolean(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const rootPath = await serverSourceService.checkRootPath(req.body.rootPath);
+      const source = await ServerSource.create({
+        name: req.body.name,
+        rootPath,
+        description: req.body.description || null,
+        enabled: req.body.enabled !== false,
+        createdBy: req.user.username,
+      });
+
+      return res.status(201).json({
+        success: true,
+        data: serverSourceService.describe(source, true),
+        message: 'Server source created successfully',
+      });
+    } catch (error) {
+      return sendSourceError(res, error, 'create server source');
+    }
+  },
+);
+
+/**
+ * @route   PUT /api/server-sources/:id
+ * @desc    Rename, move, describe, enable or disable a server source
+ * @access  Private (Admin)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  requireAdmin,
+  validateSourceId,
+  body('name').optional().isString().trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be at most 100 characters'),
+  body('rootPath').optional().isString().trim()
+    .notEmpty()
+    .withMessage('Root path must not be empty'),
+  body('description').optional({ nullable: true }).isString().trim(),
+  body('enabled').optional().isBoolean().toBoolean(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const source = await ServerSource.findByPk(req.params.id);
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          error: 'Server source not found',
+        });
+      }
+
+      const updates = {};
+      ['name', 'description', 'enabled'].forEach((field) => {
+        if (req.body[field] !== undefined) {
+          updates[field] = req.body[field];
+        }
+      });
+      if (req.body.rootPath !== undefined) {
+        updates.rootPath = await serverSourceService.checkRootPath(req.body.rootPath);
+      }
+      await source.update(updates);
+
+      return res.json({
+        success: true,
+        data: serverSourceService.describe(source, true),
+        message: 'Server source updated successfully',
+      });
+    } catch (error) {
+      return sendSourceError(res, error, 'update server source');
+    }
+  },
+);
+
+/**
+ * @route   DELETE /api/server-sources/:id
+ * @desc    Remove a server source; files already ingested from it are not affected
+ * @access  Private (Admin)
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  requireAdmin,
+  validateSourceId,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const deleted = await ServerSource.destroy({ where: { id: req.params.id } });
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Server source not found',
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Server source deleted successfully',
+      });
+    } catch (error) {
+      return sendSourceError(res, error, 'delete server source');
+    }
+  },
+);
+
+/**
+ * @route   GET /api/server-sources/:id/browse?path=
+ * @desc    List the folders and EML files of a directory inside a server source
+ * @access  Private
+ */
+router.get(
+  '/:id/browse',
+  authenticate,
+  validateSourceId,
+  query('path').optional().isString(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const source = await serverSourceService.getEnabledSource(req.params.id);
+      const listing = await serverSourceService.listDirectory(source, req.query.path || '');
+
+      return res.json({
+        success: true,
+        data: listing,
+      });
+    } catch (error) {
+      return sendSourceError(res, error, 'browse server source');
+    }
+  },
+);
+
+module.exports = router;
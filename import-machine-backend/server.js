@@ -11,13 +11,28 @@ const { router: ingestionPointsRoutes } = require('./routes/ingestionPoints');
 const importJobsRoutes = require('./routes/importJobs');
 const importJobBatchesRoutes = require('./routes/importJobBatches');
 const s3BucketsRoutes = require('./routes/s3Buckets');
+const packagesRoutes = require('./routes/packages');
+const serverSourcesRoutes = require('./routes/serverSources');
+const quarantineRoutes = require('./routes/quarantine');
+const manifestsRoutes = require('./routes/manifests');
+const batchesRoutes = require('./routes/batches');
+const importAttemptsRoutes = require('./routes/importAttempts');
+const importFilesRoutes = require('./routes/importFiles');
+const jobsRoutes = require('./routes/jobs');
+const eventsRoutes = require('./routes/events');
 const awsAuthRoutes = require('./routes/awsAuth');
 const healthRoutes = require('./routes/health');
 const authRoutes = require('./routes/auth');
 const logsRoutes = require('./routes/logs');
 const passport = require('passport');
 const { initializeDatabase } = require('./models');
+const jobQueueService = require('./services/jobQueueService');
+const batchStatusPoller = require('./services/batchStatusPoller');
+const packagingService = require('./services/packagingService');
+const eventService = require('./services/eventService');
+const { registerJobHandlers } = require('./services/jobHandlers');
 const loggingMiddleware = require('./middleware/logging');
+const { requestTimeout } = require('./middleware/requestTimeout');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -45,8 +60,9 @@ app.use(cors({
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID', 'Upload-Offset'],
+  exposedHeaders: ['Upload-Offset', 'Upload-Length']
 }));
 
 // Rate limiting - increased limits to prevent crashes during development
@@ -74,6 +90,9 @@ if (process.env.NODE_ENV === 'development') {
 // Custom API logging middleware - logs all API requests to separate files
 app.use(loggingMiddleware);
 
+// Deadline for receiving each request; upload handlers extend it for their streamed bodies
+app.use(requestTimeout);
+
 // Body parsing middleware (100mb for large EML zip uploads - 1000+ files)
 app.use(express.json({ limit: '100mb' }));
 app.use(express.urlencoded({ extended: true, limit: '100mb' }));
@@ -88,6 +107,15 @@ app.use('/api/ingestion-points', ingestionPointsRoutes);
 app.use('/api/import-jobs', importJobsRoutes);
 app.use('/api/import-job-batches', importJobBatchesRoutes);
 app.use('/api/s3-buckets', s3BucketsRoutes);
+app.use('/api/packages', packagesRoutes);
+app.use('/api/server-sources', serverSourcesRoutes);
+app.use('/api/quarantine', quarantineRoutes);
+app.use('/api/manifests', manifestsRoutes);
+app.use('/api/batches', batchesRoutes);
+app.use('/api/import-attempts', importAttemptsRoutes);
+app.use('/api/import-files', importFilesRoutes);
+app.use('/api/jobs', jobsRoutes);
+app.use('/api/events', eventsRoutes);
 app.use('/api/aws-auth', awsAuthRoutes);
 app.use('/api/health', healthRoutes);
 app.use('/api/logs', logsRoutes);
@@ -146,7 +174,7 @@ process.on('unhandledRejection', (reason, promise) => {
 });
 
 // Start server
-app.listen(PORT, '0.0.0.0', async () => {
+const server = app.listen(PORT, '0.0.0.0', async () => {
   console.log(`🚀 Import Machine Backend server running on port ${PORT}`);
   
   // Initialize database
@@ -156,6 +184,25 @@ app.listen(PORT, '0.0.0.0', async () => {
     console.error('❌ Failed to initialize database:', error);
     process.exit(1);
   }
+
+  // Start the background job worker, the archive batch status sweep and the expiry of abandoned uploads. Every
+  // instance runs a worker: jobs that read files spooled on an instance only run on that instance's JOB_NODE_ID.
+  registerJobHandlers();
+  jobQueueService.start();
+  batchStatusPoller.start();
+  packagingService.startExpirySweep();
 });
 
+// Let running jobs finish before the process exits; jobs that do not are picked up again after their lock expires
+process.on('SIGTERM', async () => {
+  batchStatusPoller.stop();
+  packagingService.stopExpirySweep();
+  eventService.closeAll();
+  await jobQueueService.stop();
+  process.exit(0);
+});
+
+// The request deadline is kept per request by the requestTimeout middleware, which upload handlers can extend
+server.requestTimeout = 0;
+
 module.exports = app;
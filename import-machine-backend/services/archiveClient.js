@@ -0,0 +1,337 @@
+const axios = require('axios');
+const { getConfig } = require('../config/shared');
+
+const USER_AGENT = 'Import-Machine-Backend/1.0.0';
+const REQUEST_TIMEOUT_MS = 30000;
+
+// Failed attempts are retried after about 0.5s, 1s, 2s, ... capped at 8s, with jitter
+const MAX_RETRIES = process.env.ARCHIVE_MAX_RETRIES === undefined
+  ? 3
+  : Math.max(0, parseInt(process.env.ARCHIVE_MAX_RETRIES, 10) || 0);
+const RETRY_BASE_MS = 500;
+const RETRY_MAX_MS = 8000;
+
+// A 429 asking to wait longer than this is not waited out; the caller gets the error with the delay instead
+const RETRY_AFTER_MAX_MS = (parseInt(process.env.ARCHIVE_RETRY_AFTER_MAX_SECONDS, 10) || 30) * 1000;
+
+// After this many failed attempts in a row an archive's circuit opens and its requests fail fast for the cooldown
+const BREAKER_THRESHOLD = parseInt(process.env.ARCHIVE_BREAKER_THRESHOLD, 10) || 5;
+const BREAKER_COOLDOWN_MS = (parseInt(process.env.ARCHIVE_BREAKER_COOLDOWN_SECONDS, 10) || 30) * 1000;
+
+const ARCHIVE_ERROR_CODES = {
+  NOT_CONFIGURED: 'ARCHIVE_NOT_CONFIGURED',
+  BAD_REQUEST: 'ARCHIVE_BAD_REQUEST',
+  UNAUTHORIZED: 'ARCHIVE_UNAUTHORIZED',
+  FORBIDDEN: 'ARCHIVE_FORBIDDEN',
+  NOT_FOUND: 'ARCHIVE_NOT_FOUND',
+  CONFLICT: 'ARCHIVE_CONFLICT',
+  RATE_LIMITED: 'ARCHIVE_RATE_LIMITED',
+  SERVER_ERROR: 'ARCHIVE_SERVER_ERROR',
+  HTTP_ERROR: 'ARCHIVE_HTTP_ERROR',
+  TIMEOUT: 'ARCHIVE_TIMEOUT',
+  UNREACHABLE: 'ARCHIVE_UNREACHABLE',
+  CIRCUIT_OPEN: 'ARCHIVE_CIRCUIT_OPEN',
+};
+
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open',
+};
+
+// Methods that can be sent again after a timeout or a 5xx without risking a duplicate in the archive
+const IDEMPOTENT_METHODS = ['get', 'head', 'put', 'delete', 'options'];
+
+// Network failures where the request may have reached the archive, and ones where it surely did not
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+const CONNECTION_RESET_CODES = ['ECONNRESET', 'EPIPE'];
+
+// Archive responses by HTTP status, with the message routes answer with
+const HTTP_ERRORS = {
+  400: [ARCHIVE_ERROR_CODES.BAD_REQUEST, 'The archive system rejected the request. Please check your input.'],
+  401: [ARCHIVE_ERROR_CODES.UNAUTHORIZED, 'Authentication failed. Please check your API token.'],
+  403: [ARCHIVE_ERROR_CODES.FORBIDDEN, 'Access denied. Please check your API token permissions.'],
+  404: [ARCHIVE_ERROR_CODES.NOT_FOUND, 'Not found in the archive system.'],
+  409: [ARCHIVE_ERROR_CODES.CONFLICT, 'The archive system reported a conflict with an existing resource.'],
+  429: [ARCHIVE_ERROR_CODES.RATE_LIMITED, 'Too many requests to archive system. Please try again later.'],
+};
+
+/**
+ * Error with a code from ARCHIVE_ERROR_CODES and the HTTP status routes answer with.
+ * `retryable` tells the job queue whether the request is worth trying again later.
+ * @param {string} code - One of ARCHIVE_ERROR_CODES
+ * @param {number} status - HTTP status for the route's response
+ * @param {string} message - Message for the route's response
+ * @param {Object} fields - archiveStatus, details, retryable, retryAfterMs
+ * @returns {Error} The error
+ */
+const archiveError = (code, status, message, fields = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  error.archiveStatus = fields.archiveStatus || null;
+  error.details = fields.details;
+  error.retryable = Boolean(fields.retryable);
+  error.retryAfterMs = fields.retryAfterMs || null;
+  return error;
+};
+
+const sleep = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+const computeBackoff = (attempt) => {
+  const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+  return Math.round(delay * (0.5 + Math.random() / 2));
+};
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (/^\d+$/.test(String(value).trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Turn an axios failure into an archive error
+const toArchiveError = (error) => {
+  if (error.response) {
+    const {
+      status, statusText, data, headers,
+    } = error.response;
+    const fields = { archiveStatus: status, details: data };
+
+    if (status === 429) {
+      const [code, message] = HTTP_ERRORS[429];
+      const retryAfterMs = parseRetryAfter(headers && headers['retry-after']);
+      return archiveError(code, status, message, { ...fields, retryable: true, retryAfterMs });
+    }
+    if (HTTP_ERRORS[status]) {
+      const [code, message] = HTTP_ERRORS[status];
+      return archiveError(code, status, message, fields);
+    }
+    if (status >= 500) {
+      return archiveError(ARCHIVE_ERROR_CODES.SERVER_ERROR, status, 'Archive system error. Please try again later.', {
+        ...fields,
+        retryable: true,
+      });
+    }
+    return archiveError(ARCHIVE_ERROR_CODES.HTTP_ERROR, status, `Archive API error: ${status} ${statusText}`, {
+      ...fields,
+      retryable: status === 408,
+    });
+  }
+
+  if (TIMEOUT_CODES.includes(error.code)) {
+    const message = 'Request to archive system timed out. Please try again later.';
+    return archiveError(ARCHIVE_ERROR_CODES.TIMEOUT, 504, message, { retryable: true });
+  }
+  if (error.code === 'ENOTFOUND') {
+    const message = 'Archive system URL not found. Please check the archive Web UI URL configuration.';
+    return archiveError(ARCHIVE_ERROR_CODES.UNREACHABLE, 503, message, { retryable: true });
+  }
+  if (error.request) {
+    const message = 'No response from archive system. Please check the archive Web UI URL and network connectivity.';
+    return archiveError(ARCHIVE_ERROR_CODES.UNREACHABLE, 503, message, { retryable: true });
+  }
+  return error;
+};
+
+/**
+ * The one way the backend talks to the archive system. Requests carry the PWSAK2 token of the user's
+ * configuration, failures that look transient are retried with jittered backoff, a 429 is retried after the
+ * delay its Retry-After asks for, and every archive gets a circuit breaker so an archive that is down is not
+ * hammered by every route and background job at once. Failures are thrown as archive errors with a code from
+ * ARCHIVE_ERROR_CODES and the HTTP status routes answer with.
+ *
+ * Timeouts, 5xx responses and reset connections are only retried for idempotent methods, since a POST that
+ * reached the archive may already have created what it asked for; 429 and refused connections are retried for
+ * every method.
+ */
+class ArchiveClient {
+  constructor() {
+    this.breakers = new Map(); // Circuit breaker state keyed by archive base URL
+  }
+
+  /**
+   * Circuit breaker of an archive, created closed
+   * @param {string} baseUrl - Archive base URL
+   * @returns {Object} Breaker state
+   */
+  getBreaker(baseUrl) {
+    const key = baseUrl.toLowerCase();
+    if (!this.breakers.has(key)) {
+      this.breakers.set(key, {
+        state: CIRCUIT_STATES.CLOSED,
+        failures: 0,
+        openedAt: null,
+        probing: false,
+      });
+    }
+    return this.breakers.get(key);
+  }
+
+  /**
+   * Let a request through the breaker, or fail it fast while the circuit is open.
+   * Once the cooldown is over a single request is let through to probe the archive.
+   * @param {Object} breaker - Breaker state
+   */
+  admit(breaker) {
+    if (breaker.state === CIRCUIT_STATES.CLOSED) {
+      return;
+    }
+
+    const remainingMs = breaker.openedAt + BREAKER_COOLDOWN_MS - Date.now();
+    if (breaker.state === CIRCUIT_STATES.OPEN && remainingMs <= 0) {
+      breaker.state = CIRCUIT_STATES.HALF_OPEN;
+    }
+    if (breaker.state === CIRCUIT_STATES.HALF_OPEN && !breaker.probing) {
+      breaker.probing = true;
+      return;
+    }
+
+    const retryAfterMs = Math.max(remainingMs, 1000);
+    const message = `The archive system is failing; requests to it are paused for ${Math.ceil(retryAfterMs / 1000)}s.`;
+    throw archiveError(ARCHIVE_ERROR_CODES.CIRCUIT_OPEN, 503, message, { retryable: true, retryAfterMs });
+  }
+
+  /**
+   * Record the outcome of an attempt. Only failures that say the archive is unwell count towards opening the
+   * circuit, and only an answer from the archive closes it; a 4xx answer means the archive is up. Errors that
+   * never reached the archive, such as a request that could not be built, leave the breaker as it is.
+   * @param {Object} breaker - Breaker state
+   * @param {Error|null} error - Error of the attempt, or null if it succeeded
+   */
+  record(breaker, error) {
+    breaker.probing = false;
+
+    const unhealthy = error && [
+      ARCHIVE_ERROR_CODES.SERVER_ERROR,
+      ARCHIVE_ERROR_CODES.TIMEOUT,
+      ARCHIVE_ERROR_CODES.UNREACHABLE,
+    ].includes(error.code);
+
+    if (!unhealthy) {
+      if (!error || (this.isArchiveError(error) && error.archiveStatus !== undefined)) {
+        breaker.state = CIRCUIT_STATES.CLOSED;
+        breaker.failures = 0;
+        breaker.openedAt = null;
+      }
+      return;
+    }
+
+    breaker.failures += 1;
+    if (breaker.state === CIRCUIT_STATES.HALF_OPEN || breaker.failures >= BREAKER_THRESHOLD) {
+      if (breaker.state !== CIRCUIT_STATES.OPEN) {
+        console.warn(`⚠️ Archive circuit opened after ${breaker.failures} failed attempt(s): ${error.message}`);
+      }
+      breaker.state = CIRCUIT_STATES.OPEN;
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Whether a failed attempt should be sent again
+   * @param {Error} error - Archive error of the attempt
+   * @param {string} method - HTTP method
+   * @param {Error} cause - The original axios error
+   * @returns {boolean} True if the request can be retried
+   */
+  shouldRetry(error, method, cause) {
+    if (error.code === ARCHIVE_ERROR_CODES.RATE_LIMITED) {
+      return error.retryAfterMs === null || error.retryAfterMs <= RETRY_AFTER_MAX_MS;
+    }
+    if (cause.code === 'ECONNREFUSED') {
+      return true;
+    }
+    if (!IDEMPOTENT_METHODS.includes(method)) {
+      return false;
+    }
+    return [ARCHIVE_ERROR_CODES.SERVER_ERROR, ARCHIVE_ERROR_CODES.TIMEOUT].includes(error.code)
+      || CONNECTION_RESET_CODES.includes(cause.code);
+  }
+
+  /**
+   * Send a request to an archive
+   * @param {{archiveWebUI: string, apiToken: string}} connection - Archive Web UI URL and API token
+   * @param {string} method - HTTP method
+   * @param {string} apiPath - Path below the archive Web UI URL
+   * @param {Object} options - data (request body), timeout in ms, retries
+   * @returns {Promise<Object>} Response body
+   */
+  async send(connection, method, apiPath, options = {}) {
+    const baseUrl = connection.archiveWebUI.replace(/\/$/, '');
+    const verb = method.toLowerCase();
+    const retries = options.retries === undefined ? MAX_RETRIES : options.retries;
+    const breaker = this.getBreaker(baseUrl);
+
+    // Strip PWSAK2 prefix if it exists in the stored token
+    const cleanApiToken = connection.apiToken.replace(/^PWSAK2\s+/, '');
+
+    for (let attempt = 0; ; attempt += 1) {
+      this.admit(breaker);
+
+      try {
+        const response = await axios({
+          method: verb,
+          url: `${baseUrl}${apiPath}`,
+          data: options.data,
+          headers: {
+            Authorization: `PWSAK2 ${cleanApiToken}`,
+            'Content-Type': 'application/json',
+            'User-Agent': USER_AGENT,
+          },
+          timeout: options.timeout || REQUEST_TIMEOUT_MS,
+        });
+        this.record(breaker, null);
+        return response.data;
+      } catch (cause) {
+        const error = toArchiveError(cause);
+        this.record(breaker, error);
+
+        if (attempt >= retries || !this.isArchiveError(error) || !this.shouldRetry(error, verb, cause)) {
+          throw error;
+        }
+
+        const delay = error.retryAfterMs === null ? computeBackoff(attempt) : error.retryAfterMs;
+        console.warn(`⚠️ Archive ${verb.toUpperCase()} ${apiPath} failed (${error.code}); `
+          + `retry ${attempt + 1} of ${retries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Send a request to the archive of a user's configuration
+   * @param {number} userId - The user ID
+   * @param {string} method - HTTP method
+   * @param {string} apiPath - Path below the archive Web UI URL
+   * @param {Object} options - data (request body), timeout in ms, retries
+   * @returns {Promise<Object>} Response body
+   */
+  async request(userId, method, apiPath, options = {}) {
+    const config = await getConfig(userId);
+    if (!config.archiveWebUI || !config.apiToken) {
+      const message = 'Configuration not set. Please configure archive Web UI and API token first.';
+      throw archiveError(ARCHIVE_ERROR_CODES.NOT_CONFIGURED, 400, message);
+    }
+    return this.send(config, method, apiPath, options);
+  }
+
+  /**
+   * Whether an error was thrown by this client
+   * @param {Error} error - Any error
+   * @returns {boolean} True for archive errors
+   */
+  isArchiveError(error) {
+    return Boolean(error && Object.values(ARCHIVE_ERROR_CODES).includes(error.code));
+  }
+}
+
+const archiveClient = new ArchiveClient();
+archiveClient.ARCHIVE_ERROR_CODES = ARCHIVE_ERROR_CODES;
+archiveClient.CIRCUIT_STATES = CIRCUIT_STATES;
+
+module.exports = archiveClient;
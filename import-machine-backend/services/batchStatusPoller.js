@@ -0,0 +1,104 @@
+const { User } = require('../models');
+const archiveClient = require('./archiveClient');
+const batchSubmissionService = require('./batchSubmissionService');
+const batchTrackingService = require('./batchTrackingService');
+const eventService = require('./eventService');
+
+// How often every import job with unfinished batches is checked for a polling job
+const SWEEP_INTERVAL_MS = (parseInt(process.env.BATCH_STATUS_SWEEP_INTERVAL_SECONDS, 10) || 300) * 1000;
+
+class BatchStatusPoller {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Fetch an import job's batch list and batch report from the archive and apply both to its local batches.
+   * The list is applied first so the report, which carries the counters, has the last word.
+   * Both are pushed to the user's event stream so open batch pages show them without asking the archive again.
+   * @param {number} userId - The user ID
+   * @param {string} createdBy - Username of the submitter
+   * @param {string} importJobAid - Import job AID
+   * @returns {Promise<Object>} Batches matched from each source and how many are still open
+   */
+  async pollImportJob(userId, createdBy, importJobAid) {
+    const [batchList, report] = await Promise.all([
+      archiveClient.request(userId, 'get', `${importJobAid}/batches/_query`),
+      archiveClient.request(userId, 'get', `${importJobAid}/batch-report`),
+    ]);
+
+    const listed = await batchTrackingService.applyBatchQuery(createdBy, importJobAid, batchList.results || []);
+    const reported = await batchTrackingService.applyBatchReport(createdBy, importJobAid, report.results || []);
+    const open = await batchTrackingService.countOpenBatches(createdBy, importJobAid);
+    const result = {
+      importJobAid,
+      listed,
+      updated: reported,
+      open,
+      polledAt: new Date().toISOString(),
+    };
+
+    eventService.publish(userId, eventService.EVENT_TYPES.ARCHIVE_POLL, {
+      ...result,
+      batches: batchList.results || [],
+      report: report.results || [],
+    });
+    return result;
+  }
+
+  /**
+   * Make sure every import job with unfinished batches has a polling job queued
+   * @returns {Promise<number>} Number of import jobs being polled
+   */
+  async sweep() {
+    const active = await batchTrackingService.findActiveImportJobs();
+    if (active.length === 0) {
+      return 0;
+    }
+
+    const users = await User.findAll({
+      where: { username: [...new Set(active.map((entry) => entry.createdBy))] },
+      attributes: ['id', 'username'],
+    });
+    const userIds = new Map(users.map((user) => [user.username, user.id]));
+
+    let scheduled = 0;
+    for (const { createdBy, importJobAid } of active) {
+      const userId = userIds.get(createdBy);
+      if (userId) {
+        const job = await batchSubmissionService.scheduleReportPolling(userId, createdBy, importJobAid, 0);
+        if (job) {
+          scheduled += 1;
+        }
+      }
+    }
+    return scheduled;
+  }
+
+  /**
+   * Start sweeping for active import jobs
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const run = () => this.sweep().catch((error) => {
+      console.error('❌ Batch status sweep failed:', error);
+    });
+
+    run();
+    this.timer = setInterval(run, SWEEP_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop sweeping
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new BatchStatusPoller();
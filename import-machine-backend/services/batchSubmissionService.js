@@ -0,0 +1,193 @@
+const path = require('path');
+const archiveClient = require('./archiveClient');
+const cacheService = require('./cacheService');
+const importJobCacheService = require('./importJobCacheService');
+const batchTrackingService = require('./batchTrackingService');
+const ingestionPointSettingsService = require('./ingestionPointSettingsService');
+const { getContainerBaseName } = require('./manifestService');
+const jobQueueService = require('./jobQueueService');
+
+const { aidToId } = batchTrackingService;
+
+// Delay before the first batch-report poll after a submission
+const REPORT_POLL_DELAY_MS = (parseInt(process.env.REPORT_POLL_INTERVAL_SECONDS, 10) || 60) * 1000;
+
+class BatchSubmissionService {
+  /**
+   * Get an import job, from the cache when possible
+   * @param {number} userId - The user ID
+   * @param {string} importJobAid - Import job AID
+   * @returns {Promise<Object>} The import job
+   */
+  async getImportJob(userId, importJobAid) {
+    const cached = await importJobCacheService.getCachedImportJob(userId, aidToId(importJobAid));
+    if (cached) {
+      return cached;
+    }
+
+    const importJob = await archiveClient.request(userId, 'get', importJobAid);
+    try {
+      await importJobCacheService.cacheImportJob(userId, importJob);
+    } catch (cacheError) {
+      console.error('Warning: Failed to cache import job:', cacheError);
+    }
+    return importJob;
+  }
+
+  /**
+   * Get an ingestion point, from the cache when possible
+   * @param {number} userId - The user ID
+   * @param {string} ingestionPointId - Ingestion point ID
+   * @returns {Promise<Object>} The ingestion point
+   */
+  async getIngestionPoint(userId, ingestionPointId) {
+    const cached = await cacheService.getCachedIngestionPoint(userId, ingestionPointId);
+    if (cached) {
+      return cached;
+    }
+
+    const apiPath = `/web.ui/api/ingestionPoints/${ingestionPointId}`;
+    const ingestionPoint = await archiveClient.request(userId, 'get', apiPath);
+    try {
+      await cacheService.cacheIngestionPoint(userId, ingestionPoint);
+    } catch (cacheError) {
+      console.error('Warning: Failed to cache ingestion point:', cacheError);
+    }
+    return ingestionPoint;
+  }
+
+  /**
+   * Resolve the S3 bucket and prefix an import job reads its containers from
+   * @param {number} userId - The user ID
+   * @param {string} importJobAid - Import job AID
+   * @returns {Promise<Object>} bucketName, prefix, region, importJob and ingestionPoint, with the container format
+   *   set for the ingestion point
+   */
+  async resolveDestination(userId, importJobAid) {
+    const importJob = await this.getImportJob(userId, importJobAid);
+    const ingestionPointRef = importJob.ingestionPointId || importJob.ingestionPoint;
+    if (!ingestionPointRef) {
+      const error = new Error('Import job is not linked to an ingestion point');
+      error.code = 'NO_S3_DESTINATION';
+      throw error;
+    }
+
+    const ingestionPoint = await this.getIngestionPoint(userId, aidToId(ingestionPointRef));
+    const typeDetails = ingestionPoint.typeDetails || {};
+    if (typeDetails.type !== 'importS3' || !typeDetails.bucketName) {
+      const error = new Error(`Ingestion point "${ingestionPoint.name}" is not an S3 ingestion point`);
+      error.code = 'NO_S3_DESTINATION';
+      throw error;
+    }
+
+    const prefix = (typeDetails.bucketPrefix || '').replace(/^\/+/, '');
+    const settings = await ingestionPointSettingsService.getSettings(userId, ingestionPointRef);
+
+    return {
+      bucketName: typeDetails.bucketName,
+      prefix: prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix,
+      region: typeDetails.awsRegion || null,
+      importJob: { aid: importJob.aid || importJobAid, name: importJob.name },
+      ingestionPoint: {
+        id: aidToId(ingestionPointRef),
+        name: ingestionPoint.name,
+        containerFormat: settings.containerFormat,
+      },
+    };
+  }
+
+  /**
+   * Create a batch in the archive and record the attempt on the matching local batch.
+   * Tracking failures are logged and never fail the submission.
+   * @param {number} userId - The user ID
+   * @param {string} createdBy - Username of the submitter
+   * @param {string} importJobAid - Import job AID
+   * @param {Object} batchData - name, description, containerType, container, manifest and manifestDigest
+   * @param {Batch} localBatch - Local batch, when already known; otherwise matched by manifest digest
+   * @returns {Promise<Object>} The archive's response
+   */
+  async submitBatch(userId, createdBy, importJobAid, batchData, localBatch = null) {
+    let tracking = null;
+    try {
+      const batch = localBatch || await batchTrackingService.findBatchForSubmission(createdBy, batchData);
+      if (batch) {
+        tracking = { batch, attempt: await batchTrackingService.startAttempt(batch) };
+      }
+    } catch (error) {
+      console.error('⚠️ Warning: Failed to start tracking batch submission:', error);
+    }
+
+    let archiveBatch;
+    try {
+      archiveBatch = await archiveClient.request(userId, 'post', `${importJobAid}/batches`, { data: batchData });
+    } catch (error) {
+      if (tracking) {
+        await tracking.attempt.markFailed(error.message).catch((trackingError) => {
+          console.error(`⚠️ Warning: Failed to record failed submission of batch ${tracking.batch.id}:`, trackingError);
+        });
+      }
+      throw error;
+    }
+
+    if (tracking) {
+      try {
+        await batchTrackingService.markSubmitted(tracking.batch, { importJobAid, name: batchData.name, archiveBatch });
+      } catch (error) {
+        console.error(`⚠️ Warning: Failed to record submission of batch ${tracking.batch.id}:`, error);
+      }
+      await this.scheduleReportPolling(userId, createdBy, importJobAid);
+    }
+
+    return archiveBatch;
+  }
+
+  /**
+   * Queue batch-report polling for an import job, unless it is already being polled
+   * @param {number} userId - The user ID
+   * @param {string} createdBy - Username of the submitter
+   * @param {string} importJobAid - Import job AID
+   * @param {number} delayMs - Delay before the first poll
+   * @returns {Promise<Job|null>} The polling job, or null if it could not be queued
+   */
+  async scheduleReportPolling(userId, createdBy, importJobAid, delayMs = REPORT_POLL_DELAY_MS) {
+    try {
+      return await jobQueueService.enqueue(jobQueueService.JOB_TYPES.POLL_BATCH_REPORT, { importJobAid }, {
+        userId,
+        createdBy,
+        runAt: new Date(Date.now() + delayMs),
+        dedupeKey: `${jobQueueService.JOB_TYPES.POLL_BATCH_REPORT}:${userId}:${importJobAid}`,
+      });
+    } catch (error) {
+      console.error(`⚠️ Warning: Failed to schedule batch-report polling for ${importJobAid}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Submit a packaged container to an import job.
+   * The container and manifest are named relative to the ingestion point's prefix they were uploaded to.
+   * @param {Object} session - The packaging session
+   * @param {Object} container - Completed container
+   * @returns {Promise<Object>} The archive's response
+   */
+  async submitContainer(session, container) {
+    const { importJobAid, batchName, description } = session.submission;
+    const baseName = batchName || getContainerBaseName(container.containerName);
+    const name = batchName && session.containers.length > 1
+      ? `${baseName} (${container.index} of ${session.containers.length})`
+      : baseName;
+
+    const batch = container.batchId ? await batchTrackingService.findById(container.batchId) : null;
+
+    return this.submitBatch(session.userId, session.createdBy, importJobAid, {
+      name,
+      description: description || '',
+      containerType: session.containerFormat,
+      container: container.containerName,
+      manifest: path.posix.basename(container.manifestKey),
+      manifestDigest: container.manifestDigest,
+    }, batch);
+  }
+}
+
+module.exports = new BatchSubmissionService();
@@ -0,0 +1,841 @@
+const { Op } = require('sequelize');
+const {
+  Batch, ImportAttempt, ImportFile, BatchStatusTransition,
+} = require('../models');
+const eventService = require('./eventService');
+
+// Rows are inserted in slices so a 10,000 message container does not become one huge statement
+const INSERT_CHUNK_SIZE = 1000;
+
+// Archive batch-report statuses mapped onto local batch statuses
+const REPORT_STATUS = {
+  done: Batch.STATUS.COMPLETED,
+  failed: Batch.STATUS.FAILED,
+  validation_failed: Batch.STATUS.FAILED,
+  processing: Batch.STATUS.RUNNING,
+  pending: Batch.STATUS.RUNNING,
+};
+
+const OPEN_BATCH_STATUSES = [Batch.STATUS.PENDING, Batch.STATUS.RUNNING];
+
+const OPEN_FILE_STATUSES = [ImportFile.STATUS.PENDING, ImportFile.STATUS.QUEUED, ImportFile.STATUS.PROCESSING];
+
+// Message statuses of a batch report that lists its messages
+const INGESTED_MESSAGE_STATUSES = ['archived', 'deduplicated', 'ingested'];
+const FAILED_MESSAGE_STATUSES = ['failed', 'rejected', 'validation_failed'];
+
+// Hashes are looked up in slices to keep the IN lists of dedup queries bounded
+const LOOKUP_CHUNK_SIZE = 1000;
+
+// Last path segment of an archive aid such as /web.ui/api/imports/123/batches/456
+const aidToId = (aid) => (aid ? String(aid).split('/').filter(Boolean).pop() : null);
+
+const STATUS_NAMES = Object.fromEntries(Object.entries(Batch.STATUS).map(([name, value]) => [value, name]));
+
+// Find the local batch an archive batch refers to, by archive ID, aid or batch name
+const findArchiveBatch = (batches, { id = null, aid = null, name = null }) => {
+  const archiveId = id || aidToId(aid);
+  return batches.find(({ metadata }) => (archiveId && String(archiveId) === String(metadata.archive_batch_id))
+    || (aid && aid === metadata.archive_batch_aid)
+    || (name && name === metadata.archive_batch_name));
+};
+
+/**
+ * Match the files of a batch with the messages its batch report lists, on reconciliation ID. Files recorded before
+ * reconciliation IDs were have none, so they are matched on container entry ID (the file's path in the container)
+ * or SHA-256 instead.
+ * @param {Array<ImportFile>} files - Files of the batch
+ * @param {Array<Object>} messages - Messages of the batch's batch-report result
+ * @returns {{matches: Map<ImportFile, Object>, unmatched: Array<Object>}} The message of each matched file, and the
+ *   messages no file matched
+ */
+const matchReportMessages = (files, messages) => {
+  const index = (key, normalize = (value) => value) => {
+    const byKey = new Map();
+    messages.filter((message) => message[key]).forEach((message) => {
+      const value = normalize(String(message[key]));
+      if (!byKey.has(value)) {
+        byKey.set(value, message);
+      }
+    });
+    return byKey;
+  };
+  const byReconciliationId = index('reconciliationId', (value) => value.toLowerCase());
+  const byEntryId = index('containerEntryId');
+  const bySha256 = index('sha256', (value) => value.toLowerCase());
+
+  const unmatched = new Set(messages);
+  const matches = new Map();
+  files.forEach((file) => {
+    const candidates = file.reconciliation_id
+      ? [byReconciliationId.get(file.reconciliation_id)]
+      : [byEntryId.get(file.path), bySha256.get(file.getSha256Hex())];
+    const message = candidates.find((candidate) => candidate && unmatched.has(candidate));
+    if (message) {
+      unmatched.delete(message);
+      matches.set(file, message);
+    }
+  });
+  return { matches, unmatched: [...unmatched] };
+};
+
+class BatchTrackingService {
+  /**
+   * Create the local batch for a planned container, with one import file row per EML.
+   * Duplicates left out of the container are recorded on the batch as SKIPPED_DEDUP and messages that failed
+   * validation as QUARANTINED, so file_count_discovered counts them while file_count_expected only counts
+   * what is sent to the archive.
+   * @param {Object} options - Batch options
+   * @param {string} options.createdBy - Username of the uploader
+   * @param {string} options.sourceSystem - Where the messages came from (e.g. "upload")
+   * @param {Object} options.metadata - Extra batch metadata (upload set, bucket, keys, ...)
+   * @param {Array<{name: string, size: number, sha256: string, reconciliationId: string}>} options.files - Files in
+   *   the container
+   * @param {Array<{name: string, size: number, sha256: string}>} options.skippedFiles - Duplicates left out
+   * @param {Array<{name: string, size: number, sha256: string, reason: string}>} options.quarantinedFiles - Messages
+   *   that failed validation
+   * @param {number} options.status - Initial batch status
+   * @returns {Promise<Batch>} The new batch
+   */
+  async createBatch({
+    createdBy, sourceSystem, metadata, files, skippedFiles = [], quarantinedFiles = [],
+    status = Batch.STATUS.PENDING,
+  }) {
+    const batch = await Batch.create({
+      source_system: sourceSystem,
+      created_by: createdBy,
+      status,
+      file_count_expected: files.length,
+      file_count_discovered: files.length + skippedFiles.length + quarantinedFiles.length,
+      metadata,
+    });
+    await this.recordTransition(batch, null, { source: BatchStatusTransition.SOURCE.PACKAGING });
+
+    const skippedAt = new Date();
+    const entries = [
+      ...files.map((file) => ({ file, status: ImportFile.STATUS.QUEUED, ingestedAt: null })),
+      ...skippedFiles.map((file) => ({ file, status: ImportFile.STATUS.SKIPPED_DEDUP, ingestedAt: skippedAt })),
+      ...quarantinedFiles.map((file) => ({
+        file, status: ImportFile.STATUS.QUARANTINED, ingestedAt: null, lastError: file.reason,
+      })),
+    ];
+
+    for (let start = 0; start < entries.length; start += INSERT_CHUNK_SIZE) {
+      const rows = entries.slice(start, start + INSERT_CHUNK_SIZE).map((entry) => ({
+        import_id: batch.id,
+        path: entry.file.name,
+        size_bytes: entry.file.size,
+        sha256: Buffer.from(entry.file.sha256, 'hex'),
+        status: entry.status,
+        ingested_at: entry.ingestedAt,
+        last_error: entry.lastError || null,
+        reconciliation_id: entry.file.reconciliationId || null,
+      }));
+      await ImportFile.bulkCreate(rows);
+    }
+
+    return batch;
+  }
+
+  /**
+   * Find files already ingested for a customer GUID that have one of the given content hashes
+   * @param {string} customerGUID - Customer GUID the batches were packaged for
+   * @param {Array<string>} sha256Hexes - Content hashes to look up
+   * @returns {Promise<Map<string, Object>>} Earliest ingested copy per hash: importFileId, batchId, path, ingestedAt
+   */
+  async findIngestedDuplicates(customerGUID, sha256Hexes) {
+    const originals = new Map();
+    const hashes = [...new Set(sha256Hexes)];
+
+    for (let start = 0; start < hashes.length; start += LOOKUP_CHUNK_SIZE) {
+      const files = await ImportFile.findAll({
+        where: {
+          sha256: hashes.slice(start, start + LOOKUP_CHUNK_SIZE).map((hex) => Buffer.from(hex, 'hex')),
+          status: ImportFile.STATUS.INGESTED,
+        },
+        include: [{
+          model: Batch,
+          as: 'batch',
+          attributes: [],
+          where: { metadata: { customer_guid: customerGUID } },
+        }],
+        order: [['id', 'ASC']],
+      });
+
+      files.forEach((file) => {
+        const hex = file.getSha256Hex();
+        if (!originals.has(hex)) {
+          originals.set(hex, {
+            importFileId: file.id,
+            batchId: file.import_id,
+            path: file.path,
+            ingestedAt: file.ingested_at,
+          });
+        }
+      });
+    }
+
+    return originals;
+  }
+
+  /**
+   * Record that a container and its manifest are in S3
+   * @param {string} batchId - Local batch ID
+   * @param {Object} container - Completed container (hash, size, manifest digest)
+   * @returns {Promise<Batch>} The updated batch
+   */
+  async markContainerUploaded(batchId, container) {
+    const batch = await Batch.findByPk(batchId);
+
+    await batch.update({
+      manifest_sha256: Buffer.from(container.manifestDigest, 'hex'),
+      metadata: {
+        ...batch.metadata,
+        container_hash: container.containerHash,
+        container_size: container.containerSize,
+        uploaded_at: new Date().toISOString(),
+      },
+    });
+
+    return batch;
+  }
+
+  /**
+   * Fail a batch whose container could not be built or uploaded
+   * @param {string} batchId - Local batch ID
+   * @param {string} errorMessage - Why packaging failed
+   */
+  async markContainerFailed(batchId, errorMessage) {
+    const batch = await Batch.findByPk(batchId);
+    if (batch) {
+      await this.updateBatchStatus(batch, { status: Batch.STATUS.FAILED }, {
+        source: BatchStatusTransition.SOURCE.PACKAGING,
+        details: { error: errorMessage },
+      });
+    }
+    await ImportFile.update({
+      status: ImportFile.STATUS.FAILED,
+      last_error: errorMessage,
+    }, {
+      where: { import_id: batchId, status: OPEN_FILE_STATUSES },
+    });
+  }
+
+  /**
+   * Get a batch by ID
+   * @param {string} batchId - Local batch ID
+   * @returns {Promise<Batch|null>} The batch
+   */
+  async findById(batchId) {
+    return Batch.findByPk(batchId);
+  }
+
+  /**
+   * Find the local batch an archive submission refers to.
+   * The manifest digest identifies a container uniquely; the container name is the fallback.
+   * @param {string} createdBy - Username of the submitter
+   * @param {Object} submission - manifestDigest and container from the archive request
+   * @returns {Promise<Batch|null>} The matching batch
+   */
+  async findBatchForSubmission(createdBy, { manifestDigest, container }) {
+    if (manifestDigest && /^[a-fA-F0-9]{64}$/.test(manifestDigest)) {
+      const batch = await Batch.findOne({
+        where: { created_by: createdBy, manifest_sha256: Buffer.from(manifestDigest, 'hex') },
+        order: [['created_at', 'DESC']],
+      });
+      if (batch) {
+        return batch;
+      }
+    }
+
+    if (container) {
+      const containerName = container.split('/').pop();
+      return Batch.findOne({
+        where: { created_by: createdBy, metadata: { container_name: containerName } },
+        order: [['created_at', 'DESC']],
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Open an import attempt for a batch that is about to be submitted to the archive
+   * @param {Batch} batch - Local batch
+   * @returns {Promise<ImportAttempt>} The new attempt
+   */
+  async startAttempt(batch) {
+    return ImportAttempt.create({
+      import_id: batch.id,
+      status: ImportAttempt.STATUS.RUNNING,
+      started_at: new Date(),
+    });
+  }
+
+  /**
+   * Record a successful archive submission on the batch and its files
+   * @param {Batch} batch - Local batch
+   * @param {Object} submission - importJobAid, batch name and the archive's response
+   * @returns {Promise<Batch>} The updated batch
+   */
+  async markSubmitted(batch, { importJobAid, name, archiveBatch }) {
+    await this.updateBatchStatus(batch, {
+      status: Batch.STATUS.RUNNING,
+      metadata: {
+        ...batch.metadata,
+        import_job_aid: importJobAid,
+        archive_batch_name: name,
+        archive_batch_aid: (archiveBatch && archiveBatch.aid) || null,
+        archive_batch_id: (archiveBatch && (archiveBatch.id || aidToId(archiveBatch.aid))) || null,
+        submitted_at: new Date().toISOString(),
+      },
+    }, {
+      source: BatchStatusTransition.SOURCE.SUBMISSION,
+      archiveStatus: (archiveBatch && archiveBatch.status) || null,
+      details: { importJobAid, archiveBatchAid: (archiveBatch && archiveBatch.aid) || null },
+    });
+
+    await ImportFile.update({ status: ImportFile.STATUS.PROCESSING }, {
+      where: { import_id: batch.id, status: OPEN_FILE_STATUSES },
+    });
+
+    return batch;
+  }
+
+  /**
+   * Apply archive batch-report results to the local batches of an import job
+   * @param {string} createdBy - Username of the requester
+   * @param {string} importJobAid - Import job the report belongs to
+   * @param {Array<Object>} results - batch-report results
+   * @returns {Promise<number>} Number of local batches updated
+   */
+  async applyBatchReport(createdBy, importJobAid, results) {
+    const batches = await this.findImportJobBatches(createdBy, importJobAid);
+
+    let updated = 0;
+    for (const report of results) {
+      const batch = findArchiveBatch(batches, { id: report.batchId, name: report.batchName });
+
+      if (batch) {
+        await this.applyReportToBatch(batch, report);
+        updated += 1;
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Apply the batch list of an import job (batches/_query) to its local batches.
+   * The list only carries each batch's status, so it settles failed batches but leaves ingested counters
+   * and completed files to the batch report.
+   * @param {string} createdBy - Username of the requester
+   * @param {string} importJobAid - Import job the batches belong to
+   * @param {Array<Object>} results - batches/_query results
+   * @returns {Promise<number>} Number of local batches updated
+   */
+  async applyBatchQuery(createdBy, importJobAid, results) {
+    const batches = await this.findImportJobBatches(createdBy, importJobAid);
+
+    let updated = 0;
+    for (const archiveBatch of results) {
+      const batch = findArchiveBatch(batches, { aid: archiveBatch.aid, name: archiveBatch.name });
+      const status = REPORT_STATUS[archiveBatch.status];
+
+      if (batch && status !== undefined) {
+        await this.updateBatchStatus(batch, { status }, {
+          source: BatchStatusTransition.SOURCE.BATCH_QUERY,
+          archiveStatus: archiveBatch.status,
+        });
+        if (status === Batch.STATUS.FAILED) {
+          await this.settleFiles(batch, status, {
+            reason: `Archive reported batch status "${archiveBatch.status}"`,
+          });
+        }
+        updated += 1;
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Get the local batches submitted to an import job
+   * @param {string} createdBy - Username of the submitter
+   * @param {string} importJobAid - Import job AID
+   * @returns {Promise<Array<Batch>>} The batches
+   */
+  async findImportJobBatches(createdBy, importJobAid) {
+    return Batch.findAll({
+      where: {
+        created_by: createdBy,
+        metadata: { import_job_aid: importJobAid },
+      },
+    });
+  }
+
+  /**
+   * Count the local batches of an import job the archive has not finished with yet
+   * @param {string} createdBy - Username of the submitter
+   * @param {string} importJobAid - Import job AID
+   * @returns {Promise<number>} Number of pending or running batches
+   */
+  async countOpenBatches(createdBy, importJobAid) {
+    return Batch.count({
+      where: {
+        created_by: createdBy,
+        status: OPEN_BATCH_STATUSES,
+        metadata: { import_job_aid: importJobAid },
+      },
+    });
+  }
+
+  /**
+   * Find the import jobs that have submitted batches the archive has not finished with yet
+   * @returns {Promise<Array<{createdBy: string, importJobAid: string}>>} One entry per user and import job
+   */
+  async findActiveImportJobs() {
+    const rows = await Batch.findAll({
+      attributes: [
+        'created_by',
+        [Batch.sequelize.literal('metadata->>\'import_job_aid\''), 'import_job_aid'],
+      ],
+      where: {
+        status: OPEN_BATCH_STATUSES,
+        metadata: { import_job_aid: { [Op.ne]: null } },
+      },
+      group: ['created_by', Batch.sequelize.literal('metadata->>\'import_job_aid\'')],
+      raw: true,
+    });
+
+    return rows.map((row) => ({ createdBy: row.created_by, importJobAid: row.import_job_aid }));
+  }
+
+  /**
+   * Update one batch, its files and its open attempt from a batch-report entry.
+   * The report only carries counters, so individual files are settled only when the
+   * counters account for every file in the container.
+   * @param {Batch} batch - Local batch
+   * @param {Object} report - One batch-report result
+   */
+  async applyReportToBatch(batch, report) {
+    const status = REPORT_STATUS[report.batchStatus];
+    const ingested = (Number(report.totalArchived) || 0) + (Number(report.totalDeduplicated) || 0);
+
+    await this.updateBatchStatus(batch, {
+      status: status === undefined ? batch.status : status,
+      file_count_ingested: ingested,
+      metadata: {
+        ...batch.metadata,
+        archive_report: {
+          batchStatus: report.batchStatus,
+          totalMessages: report.totalMessages,
+          totalProcessed: report.totalProcessed,
+          totalArchived: report.totalArchived,
+          totalDeduplicated: report.totalDeduplicated,
+          validationFailReason: report.validationFailReason || null,
+          lastUpdatedAt: report.lastUpdatedAt,
+        },
+      },
+    }, {
+      source: BatchStatusTransition.SOURCE.BATCH_REPORT,
+      archiveStatus: report.batchStatus,
+      occurredAt: report.lastUpdatedAt ? new Date(report.lastUpdatedAt) : new Date(),
+      details: report.validationFailReason ? { validationFailReason: report.validationFailReason } : null,
+    });
+
+    await this.settleFiles(batch, status, {
+      ingested,
+      messages: Array.isArray(report.messages) ? report.messages : null,
+      reason: report.validationFailReason || `Archive reported batch status "${report.batchStatus}"`,
+      settledAt: report.lastUpdatedAt || new Date(),
+    });
+  }
+
+  /**
+   * Settle the open files and attempt of a batch the archive has finished with
+   * @param {Batch} batch - Local batch
+   * @param {number} status - Batch status reported by the archive
+   * @param {Object} outcome - ingested count, the report's messages if it lists them, failure reason and
+   *   settlement time. Files are all marked ingested when the count covers the batch; otherwise they are settled
+   *   one by one from the listed messages, or all failed if the report does not say which ones were ingested.
+   */
+  async settleFiles(batch, status, {
+    ingested = null, messages = null, reason = null, settledAt = new Date(),
+  } = {}) {
+    if (status !== Batch.STATUS.COMPLETED && status !== Batch.STATUS.FAILED) {
+      return;
+    }
+
+    const attempt = await ImportAttempt.findOne({
+      where: { import_id: batch.id, status: [ImportAttempt.STATUS.PENDING, ImportAttempt.STATUS.RUNNING] },
+      order: [['started_at', 'DESC']],
+    });
+
+    if (status === Batch.STATUS.COMPLETED) {
+      const expected = Number(batch.file_count_expected) || 0;
+      if (ingested !== null && ingested >= expected) {
+        await ImportFile.update({
+          status: ImportFile.STATUS.INGESTED,
+          ingested_at: settledAt,
+        }, {
+          where: { import_id: batch.id, status: OPEN_FILE_STATUSES },
+        });
+      } else if (messages) {
+        await this.settleListedFiles(batch, messages, settledAt);
+      } else {
+        await ImportFile.update({
+          status: ImportFile.STATUS.FAILED,
+          last_error: `The archive reported ${ingested || 0} of ${expected} messages ingested; `
+            + 'its batch report does not say which ones',
+        }, {
+          where: { import_id: batch.id, status: OPEN_FILE_STATUSES },
+        });
+      }
+      if (attempt) {
+        await attempt.markCompleted();
+      }
+    } else {
+      await ImportFile.update({
+        status: ImportFile.STATUS.FAILED,
+        last_error: reason,
+        attempt_count: Batch.sequelize.literal('attempt_count + 1'),
+      }, {
+        where: { import_id: batch.id, status: OPEN_FILE_STATUSES },
+      });
+      if (attempt) {
+        await attempt.markFailed(reason);
+      }
+    }
+  }
+
+  /**
+   * Settle the open files of a completed batch one by one from the messages its batch report lists (see
+   * matchReportMessages). Files the report does not list were not ingested and are failed.
+   * @param {Batch} batch - Local batch
+   * @param {Array<Object>} messages - Messages of the batch's batch-report result
+   * @param {Date|string} settledAt - When the archive finished the batch
+   */
+  async settleListedFiles(batch, messages, settledAt) {
+    const files = await ImportFile.findAll({
+      where: { import_id: batch.id, status: OPEN_FILE_STATUSES },
+      attributes: ['id', 'path', 'sha256', 'reconciliation_id'],
+    });
+    const { matches } = matchReportMessages(files, messages);
+
+    // Files that end the same way are updated together
+    const ingestedIds = [];
+    const failedIds = new Map();
+    files.forEach((file) => {
+      const message = matches.get(file);
+      if (message && INGESTED_MESSAGE_STATUSES.includes(message.status)) {
+        ingestedIds.push(file.id);
+        return;
+      }
+      let reason = 'The archive\'s batch report does not list this message';
+      if (message && FAILED_MESSAGE_STATUSES.includes(message.status)) {
+        reason = message.reason || `Archive reported message status "${message.status}"`;
+      } else if (message) {
+        reason = `Archive finished the batch with message status "${message.status}"`;
+      }
+      failedIds.set(reason, [...(failedIds.get(reason) || []), file.id]);
+    });
+
+    if (ingestedIds.length > 0) {
+      await ImportFile.update({ status: ImportFile.STATUS.INGESTED, ingested_at: settledAt }, {
+        where: { id: ingestedIds },
+      });
+    }
+    for (const [reason, ids] of failedIds) {
+      await ImportFile.update({ status: ImportFile.STATUS.FAILED, last_error: reason }, { where: { id: ids } });
+    }
+  }
+
+  /**
+   * Update a batch and record a transition when its local status or the archive's status for it changes
+   * @param {Batch} batch - Local batch
+   * @param {Object} fields - Batch fields to update
+   * @param {Object} transition - source, archiveStatus, occurredAt and details of the change
+   * @returns {Promise<BatchStatusTransition|null>} The recorded transition, or null if nothing changed
+   */
+  async updateBatchStatus(batch, fields, {
+    source, archiveStatus = null, occurredAt = new Date(), details = null,
+  }) {
+    const fromStatus = batch.status;
+    const previousArchiveStatus = (batch.metadata && batch.metadata.archive_status) || null;
+    const statusChanged = fields.status !== undefined && fields.status !== fromStatus;
+    const archiveStatusChanged = archiveStatus !== null && archiveStatus !== previousArchiveStatus;
+
+    await batch.update(archiveStatus === null ? fields : {
+      ...fields,
+      metadata: {
+        ...(fields.metadata || batch.metadata),
+        archive_status: archiveStatus,
+      },
+    });
+
+    if (!statusChanged && !archiveStatusChanged) {
+      return null;
+    }
+    return this.recordTransition(batch, fromStatus, {
+      source, archiveStatus, occurredAt, details,
+    });
+  }
+
+  /**
+   * Record a batch's current state in its status history and push it to the submitter's event stream
+   * @param {Batch} batch - Local batch, already updated
+   * @param {number|null} fromStatus - Status before the change; null for the first entry
+   * @param {Object} transition - source, archiveStatus, occurredAt and details of the change
+   * @returns {Promise<BatchStatusTransition|null>} The transition, or null if it could not be recorded
+   */
+  async recordTransition(batch, fromStatus, {
+    source, archiveStatus = null, occurredAt = new Date(), details = null,
+  }) {
+    try {
+      const transition = await BatchStatusTransition.create({
+        import_id: batch.id,
+        from_status: fromStatus,
+        to_status: batch.status,
+        archive_status: archiveStatus,
+        file_count_ingested: batch.file_count_ingested,
+        source,
+        details,
+        occurred_at: Number.isNaN(occurredAt.getTime()) ? new Date() : occurredAt,
+      });
+
+      const metadata = batch.metadata || {};
+      eventService.publishToUsername(batch.created_by, eventService.EVENT_TYPES.BATCH_STATUS, {
+        batchId: batch.id,
+        importJobAid: metadata.import_job_aid || null,
+        archiveBatchId: metadata.archive_batch_id || null,
+        archiveBatchName: metadata.archive_batch_name || null,
+        fromStatus: fromStatus === null ? null : STATUS_NAMES[fromStatus],
+        toStatus: STATUS_NAMES[batch.status],
+        archiveStatus,
+        fileCountExpected: batch.file_count_expected,
+        fileCountIngested: batch.file_count_ingested,
+        source,
+        occurredAt: transition.occurred_at,
+      });
+      return transition;
+    } catch (error) {
+      console.error(`⚠️ Warning: Failed to record status transition of batch ${batch.id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the status history of the local batches of an import job
+   * @param {string} createdBy - Username of the submitter
+   * @param {string} importJobAid - Import job AID
+   * @returns {Promise<Array<Object>>} Batches with their transitions, oldest first
+   */
+  async getImportJobHistory(createdBy, importJobAid) {
+    const batches = await Batch.findAll({
+      where: {
+        created_by: createdBy,
+        metadata: { import_job_aid: importJobAid },
+      },
+      attributes: { exclude: ['manifest_sha256'] },
+      include: [{ model: BatchStatusTransition, as: 'transitions' }],
+      order: [
+        ['created_at', 'ASC'],
+        [{ model: BatchStatusTransition, as: 'transitions' }, 'occurred_at', 'ASC'],
+        [{ model: BatchStatusTransition, as: 'transitions' }, 'id', 'ASC'],
+      ],
+    });
+
+    return batches.map((batch) => ({
+      batchId: batch.id,
+      status: batch.getStatusName(),
+      archiveStatus: batch.metadata.archive_status || null,
+      archiveBatchId: batch.metadata.archive_batch_id || null,
+      archiveBatchAid: batch.metadata.archive_batch_aid || null,
+      archiveBatchName: batch.metadata.archive_batch_name || null,
+      containerName: batch.metadata.container_name || null,
+      fileCountExpected: batch.file_count_expected,
+      fileCountIngested: batch.file_count_ingested,
+      transitions: batch.transitions.map((transition) => ({
+        fromStatus: transition.from_status === null ? null : STATUS_NAMES[transition.from_status],
+        toStatus: STATUS_NAMES[transition.to_status],
+        archiveStatus: transition.archive_status,
+        fileCountIngested: transition.file_count_ingested,
+        source: transition.source,
+        details: transition.details,
+        occurredAt: transition.occurred_at,
+      })),
+    }));
+  }
+
+  /**
+   * Find batches created from an upload set
+   * @param {string} uploadSetId - Upload set ID
+   * @returns {Promise<Array<Batch>>} Batches in container order
+   */
+  async findByUploadSet(uploadSetId) {
+    return Batch.findAll({
+      where: { metadata: { upload_set_id: uploadSetId } },
+      order: [[Batch.sequelize.literal('(metadata->>\'container_index\')::int'), 'ASC']],
+      attributes: { exclude: ['manifest_sha256'] },
+    });
+  }
+
+  /**
+   * Report the duplicates skipped while packaging an upload set and where each original is.
+   * The original is the earliest ingested copy with the same hash and customer GUID or, for duplicates
+   * within the upload set itself, the earliest copy that was packaged.
+   * @param {string} uploadSetId - Upload set ID
+   * @returns {Promise<Object>} skippedCount, skippedBytes and one entry per skipped file
+   */
+  async getDedupReport(uploadSetId) {
+    const batches = await this.findByUploadSet(uploadSetId);
+    const batchById = new Map(batches.map((batch) => [batch.id, batch]));
+
+    const skipped = batches.length === 0 ? [] : await ImportFile.findAll({
+      where: { import_id: [...batchById.keys()], status: ImportFile.STATUS.SKIPPED_DEDUP },
+      order: [['id', 'ASC']],
+    });
+
+    const customerGUID = batches.length > 0 ? batches[0].metadata.customer_guid : null;
+    const originals = new Map();
+    const hashes = [...new Set(skipped.map((file) => file.getSha256Hex()))];
+
+    for (let start = 0; start < hashes.length; start += LOOKUP_CHUNK_SIZE) {
+      const files = await ImportFile.findAll({
+        where: {
+          sha256: hashes.slice(start, start + LOOKUP_CHUNK_SIZE).map((hex) => Buffer.from(hex, 'hex')),
+          status: [...OPEN_FILE_STATUSES, ImportFile.STATUS.INGESTED],
+        },
+        include: [{
+          model: Batch,
+          as: 'batch',
+          attributes: ['id', 'status', 'metadata', 'created_at'],
+          where: { metadata: { customer_guid: customerGUID } },
+        }],
+        order: [['id', 'ASC']],
+      });
+
+      files.forEach((file) => {
+        const hex = file.getSha256Hex();
+        const current = originals.get(hex);
+        if (!current || (file.status === ImportFile.STATUS.INGESTED && current.status !== ImportFile.STATUS.INGESTED)) {
+          originals.set(hex, file);
+        }
+      });
+    }
+
+    const results = skipped.map((file) => {
+      const hex = file.getSha256Hex();
+      const original = originals.get(hex);
+      return {
+        id: file.id,
+        path: file.path,
+        sizeBytes: Number(file.size_bytes),
+        sha256: hex,
+        batchId: file.import_id,
+        skippedAt: file.ingested_at,
+        original: original ? {
+          importFileId: original.id,
+          path: original.path,
+          status: original.getStatusName(),
+          ingestedAt: original.ingested_at,
+          batchId: original.import_id,
+          batchCreatedAt: original.batch.created_at,
+          containerName: original.batch.metadata.container_name || null,
+          archiveBatchName: original.batch.metadata.archive_batch_name || null,
+          sameUploadSet: batchById.has(original.import_id),
+        } : null,
+      };
+    });
+
+    return {
+      uploadSetId,
+      customerGUID,
+      skippedCount: results.length,
+      skippedBytes: results.reduce((sum, file) => sum + file.sizeBytes, 0),
+      results,
+    };
+  }
+
+  /**
+   * List quarantined files from batches created by a user, newest first
+   * @param {string} createdBy - Username of the uploader
+   * @param {Object} options - Filters and paging
+   * @param {string} options.uploadSetId - Only files from this upload set
+   * @param {number} options.limit - Page size
+   * @param {number} options.offset - Rows to skip
+   * @returns {Promise<{count: number, rows: Array<ImportFile>}>} Matching files with their batch
+   */
+  async findQuarantined(createdBy, { uploadSetId = null, limit = 50, offset = 0 } = {}) {
+    const batchWhere = { created_by: createdBy };
+    if (uploadSetId) {
+      batchWhere.metadata = { upload_set_id: uploadSetId };
+    }
+
+    return ImportFile.findAndCountAll({
+      where: { status: ImportFile.STATUS.QUARANTINED },
+      include: [{
+        model: Batch,
+        as: 'batch',
+        attributes: ['id', 'metadata', 'created_at'],
+        where: batchWhere,
+      }],
+      order: [['id', 'DESC']],
+      limit,
+      offset,
+    });
+  }
+
+  /**
+   * Get quarantined files from batches created by a user
+   * @param {string} createdBy - Username of the uploader
+   * @param {Array<number>} fileIds - Import file IDs
+   * @returns {Promise<Array<ImportFile>>} The files that exist, are quarantined and belong to the user
+   */
+  async findQuarantinedFiles(createdBy, fileIds) {
+    return ImportFile.findAll({
+      where: { id: fileIds, status: ImportFile.STATUS.QUARANTINED },
+      include: [{
+        model: Batch,
+        as: 'batch',
+        attributes: ['id', 'metadata', 'created_at'],
+        where: { created_by: createdBy },
+      }],
+      order: [['id', 'ASC']],
+    });
+  }
+
+  /**
+   * Record corrected content for a quarantined file
+   * @param {ImportFile} file - Quarantined import file
+   * @param {Object} content - size, sha256 (hex) and the remaining validation errors, if any
+   * @returns {Promise<ImportFile>} The updated file
+   */
+  async updateQuarantinedFile(file, { size, sha256, lastError }) {
+    return file.update({
+      size_bytes: size,
+      sha256: Buffer.from(sha256, 'hex'),
+      last_error: lastError,
+    });
+  }
+
+  /**
+   * Remove quarantined files that were discarded or handed to a new upload set, which tracks them from then on
+   * @param {Array<number>} fileIds - Import file IDs
+   */
+  async removeQuarantined(fileIds) {
+    await ImportFile.destroy({ where: { id: fileIds, status: ImportFile.STATUS.QUARANTINED } });
+  }
+}
+
+const batchTrackingService = new BatchTrackingService();
+batchTrackingService.OPEN_FILE_STATUSES = OPEN_FILE_STATUSES;
+batchTrackingService.INGESTED_MESSAGE_STATUSES = INGESTED_MESSAGE_STATUSES;
+batchTrackingService.FAILED_MESSAGE_STATUSES = FAILED_MESSAGE_STATUSES;
+batchTrackingService.BATCH_STATUS = Batch.STATUS;
+batchTrackingService.findArchiveBatch = findArchiveBatch;
+batchTrackingService.matchReportMessages = matchReportMessages;
+batchTrackingService.aidToId = aidToId;
+
+module.exports = batchTrackingService;
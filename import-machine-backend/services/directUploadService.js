@@ -0,0 +1,508 @@
+const crypto = require('crypto');
+const {
+  sequelize, Batch, ImportFile, BatchStatusTransition,
+} = require('../models');
+const s3Service = require('./s3Service');
+const batchTrackingService = require('./batchTrackingService');
+
+// How long presigned URLs stay valid; the browser asks for URLs shortly before it sends each file or part
+const URL_EXPIRY_SECONDS = Math.min(
+  7 * 24 * 3600,
+  Math.max(60, parseInt(process.env.DIRECT_UPLOAD_URL_EXPIRY_SECONDS, 10) || 900),
+);
+
+// Files presigned per request, and part URLs per request
+const MAX_FILES_PER_REQUEST = 1000;
+const MAX_PARTS_PER_REQUEST = 100;
+
+// S3 keys are at most 1024 bytes long
+const MAX_KEY_BYTES = 1024;
+
+const SOURCE_SYSTEM = 'direct-upload';
+
+// Uploaded objects wait under this folder of the destination until they are packaged
+const UPLOAD_FOLDER = 'direct-uploads';
+
+// Uploaded object key: <folder>direct-uploads/<batchId>/<name>
+const UPLOAD_KEY_PATTERN = new RegExp(`(?:^|/)${UPLOAD_FOLDER}/([0-9a-f-]{36})/`);
+
+// Error with a code and the HTTP status routes answer with
+const directUploadError = (code, status, message) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+// Serializes the presign and complete requests of one batch until the transaction ends
+const lockBatch = (batch, transaction) => sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:lockKey))', {
+  replacements: { lockKey: `direct-uploads:${batch.id}` },
+  transaction,
+});
+
+const normalizePrefix = (prefix) => {
+  const trimmed = (prefix || '').replace(/^\/+/, '');
+  return trimmed && !trimmed.endsWith('/') ? `${trimmed}/` : trimmed;
+};
+
+const stripQuotes = (etag) => (etag || '').replace(/"/g, '');
+
+// ETag S3 gives a multipart object whose parts have plain MD5 ETags: the MD5 of the parts' binary MD5s, then the
+// part count. Parts of SSE-KMS objects have other ETags, so nothing can be expected of those.
+const expectedMultipartETag = (parts) => {
+  const md5s = parts.map((part) => stripQuotes(part.etag));
+  if (!md5s.every((md5) => /^[0-9a-f]{32}$/i.test(md5))) {
+    return null;
+  }
+  const digest = crypto.createHash('md5').update(Buffer.concat(md5s.map((md5) => Buffer.from(md5, 'hex'))));
+  return `${digest.digest('hex')}-${parts.length}`;
+};
+
+/**
+ * Lets the browser upload straight to S3. The server presigns PUT URLs, or the part URLs of a multipart upload, for
+ * keys under a per-batch folder of the chosen destination, signed with the user's own S3 credentials. Once a file is
+ * in S3 the browser reports it; the server checks its size and ETag and records it as an import file of the
+ * upload's direct-upload batch. Packaging the uploaded objects is then an S3 repackaging of that folder.
+ */
+class DirectUploadService {
+  /**
+   * Find a direct-upload batch of the user for a bucket
+   * @param {string} username - Username of the uploader
+   * @param {string} bucketName - Bucket of the request
+   * @param {string} batchId - Local batch ID
+   * @returns {Promise<Batch>} The batch
+   */
+  async findBatch(username, bucketName, batchId) {
+    const batch = await Batch.findOne({
+      where: { id: batchId, created_by: username, source_system: SOURCE_SYSTEM },
+    });
+    if (!batch || batch.metadata.bucket_name !== bucketName) {
+      throw directUploadError('NOT_FOUND', 404, `Direct upload ${batchId} not found in bucket ${bucketName}`);
+    }
+    return batch;
+  }
+
+  /**
+   * Key of an uploaded file: the file's relative path under the upload folder of the batch
+   * @param {Batch} batch - Direct-upload batch
+   * @param {string} name - File name, with the folders of a folder selection
+   * @returns {string} Object key
+   */
+  keyFor(batch, name) {
+    const segments = String(name || '').split('/');
+    const invalid = segments.some((segment) => segment === '' || segment === '.' || segment === '..'
+      || [...segment].some((c) => c.charCodeAt(0) < 0x20 || c === '\x7f' || c === '\\'));
+    if (invalid) {
+      throw directUploadError('INVALID_NAME', 400, `"${name}" is not a valid file name for an S3 key`);
+    }
+
+    const key = `${batch.metadata.upload_prefix}${segments.join('/')}`;
+    if (Buffer.byteLength(key) > MAX_KEY_BYTES) {
+      throw directUploadError('INVALID_NAME', 400, `The S3 key for "${name}" is longer than ${MAX_KEY_BYTES} bytes`);
+    }
+    return key;
+  }
+
+  /**
+   * Check that a key belongs to the upload folder of a batch
+   * @param {Batch} batch - Direct-upload batch
+   * @param {string} key - Object key from the browser
+   * @returns {string} The key
+   */
+  assertKeyInBatch(batch, key) {
+    const name = typeof key === 'string' && key.startsWith(batch.metadata.upload_prefix)
+      ? key.slice(batch.metadata.upload_prefix.length)
+      : null;
+    if (name === null || this.keyFor(batch, name) !== key) {
+      throw directUploadError('INVALID_KEY', 403, `${key} is not part of direct upload ${batch.id}`);
+    }
+    return key;
+  }
+
+  /**
+   * Presign the uploads of a set of files. The first request creates the direct-upload batch; later requests for
+   * the same upload pass its batchId and add their files to it.
+   * @param {number} userId - The user ID
+   * @param {string} username - Username of the uploader
+   * @param {string} bucketName - Destination bucket
+   * @param {Object} request - Request body
+   * @param {string} request.batchId - Batch of an earlier request of the same upload
+   * @param {string} request.prefix - Destination folder the containers are packaged into
+   * @param {Array<{name: string, size: number, contentType: string, sha256: string}>} request.files - Files to send;
+   *   sha256 (hex) is optional and makes S3 check the content of single-PUT uploads
+   * @returns {Promise<Object>} batchId, uploadPrefix, destinationPrefix, expiresAt and one upload per file
+   */
+  async createUploads(userId, username, bucketName, { batchId = null, prefix = '', files }) {
+    if (files.length > MAX_FILES_PER_REQUEST) {
+      throw directUploadError('TOO_MANY_FILES', 400, `At most ${MAX_FILES_PER_REQUEST} files can be presigned at once`);
+    }
+
+    let batch;
+    if (batchId) {
+      batch = await this.findBatch(username, bucketName, batchId);
+    } else {
+      const destinationPrefix = normalizePrefix(prefix);
+      const id = crypto.randomUUID();
+      batch = await Batch.create({
+        id,
+        source_system: SOURCE_SYSTEM,
+        created_by: username,
+        status: Batch.STATUS.PENDING,
+        file_count_expected: 0,
+        metadata: {
+          bucket_name: bucketName,
+          destination_prefix: destinationPrefix,
+          upload_prefix: `${destinationPrefix}${UPLOAD_FOLDER}/${id}/`,
+        },
+      });
+      await batchTrackingService.recordTransition(batch, null, { source: BatchStatusTransition.SOURCE.DIRECT_UPLOAD });
+    }
+
+    const keys = files.map((file) => this.keyFor(batch, file.name));
+    const repeated = keys.find((key, index) => keys.indexOf(key) !== index);
+    if (repeated) {
+      throw directUploadError('DUPLICATE_NAME', 400, `${repeated} is listed more than once`);
+    }
+    await this.reserveKeys(batch, keys);
+
+    try {
+      return {
+        batchId: batch.id,
+        bucketName,
+        uploadPrefix: batch.metadata.upload_prefix,
+        destinationPrefix: batch.metadata.destination_prefix,
+        expiresAt: new Date(Date.now() + URL_EXPIRY_SECONDS * 1000).toISOString(),
+        uploads: await this.presignUploads(userId, bucketName, files, keys),
+      };
+    } catch (error) {
+      await this.releaseKeys(batch, keys);
+      throw error;
+    }
+  }
+
+  /**
+   * Add keys to the presigned keys of a batch and count them as expected files. A key that is still presigned
+   * belongs to an upload or multipart upload the browser was already given; once its upload completes, the key is
+   * taken by the recorded import file instead.
+   * @param {Batch} batch - Direct-upload batch
+   * @param {Array<string>} keys - Keys about to be presigned
+   */
+  async reserveKeys(batch, keys) {
+    await sequelize.transaction(async (transaction) => {
+      await lockBatch(batch, transaction);
+      await batch.reload({ transaction });
+
+      const presigned = new Set(batch.metadata.presigned_keys || []);
+      const taken = keys.find((key) => presigned.has(key));
+      if (taken) {
+        throw directUploadError('DUPLICATE_NAME', 409, `${taken} was already presigned for direct upload ${batch.id}`);
+      }
+      const uploaded = await ImportFile.findOne({
+        where: { import_id: batch.id, path: keys },
+        attributes: ['path'],
+        transaction,
+      });
+      if (uploaded) {
+        const message = `${uploaded.path} was already uploaded in direct upload ${batch.id}`;
+        throw directUploadError('DUPLICATE_NAME', 409, message);
+      }
+      await batch.update({
+        metadata: { ...batch.metadata, presigned_keys: [...presigned, ...keys] },
+      }, { transaction });
+      await batch.increment('file_count_expected', { by: keys.length, transaction });
+    });
+  }
+
+  /**
+   * Give back keys whose uploads could not be presigned, so they can be requested again
+   * @param {Batch} batch - Direct-upload batch
+   * @param {Array<string>} keys - Keys reserved by reserveKeys
+   */
+  async releaseKeys(batch, keys) {
+    await sequelize.transaction(async (transaction) => {
+      await lockBatch(batch, transaction);
+      await batch.reload({ transaction });
+
+      const released = new Set(keys);
+      await batch.update({
+        metadata: {
+          ...batch.metadata,
+          presigned_keys: (batch.metadata.presigned_keys || []).filter((key) => !released.has(key)),
+        },
+      }, { transaction });
+      await batch.decrement('file_count_expected', { by: keys.length, transaction });
+    });
+  }
+
+  /**
+   * Presign a single PUT, or create a multipart upload, for each file
+   * @param {number} userId - The user ID
+   * @param {string} bucketName - Destination bucket
+   * @param {Array<Object>} files - Files of the request
+   * @param {Array<string>} keys - Key of each file
+   * @returns {Promise<Array<Object>>} One upload per file
+   */
+  async presignUploads(userId, bucketName, files, keys) {
+    const uploads = [];
+    for (const [index, file] of files.entries()) {
+      const key = keys[index];
+      const contentType = file.contentType || 'application/octet-stream';
+      // A file that fits in one part is sent with a single PUT
+      const plan = s3Service.planMultipartParts(file.size);
+
+      if (plan.partCount === 1) {
+        const checksumSha256 = file.sha256 ? Buffer.from(file.sha256, 'hex').toString('base64') : null;
+        const url = await s3Service.getPresignedPutUrl(userId, bucketName, key, {
+          contentType, checksumSha256, expiresSeconds: URL_EXPIRY_SECONDS,
+        });
+        uploads.push({
+          name: file.name,
+          key,
+          size: file.size,
+          method: 'PUT',
+          url,
+          // Headers the PUT must carry; the checksum header is part of the signature
+          headers: {
+            'Content-Type': contentType,
+            ...(checksumSha256 ? { 'x-amz-checksum-sha256': checksumSha256 } : {}),
+          },
+        });
+      } else {
+        const uploadId = await s3Service.createMultipartUpload(userId, bucketName, key, contentType);
+        uploads.push({
+          name: file.name,
+          key,
+          size: file.size,
+          method: 'MULTIPART',
+          uploadId,
+          partSize: plan.partSize,
+          partCount: plan.partCount,
+        });
+      }
+    }
+    return uploads;
+  }
+
+  /**
+   * Presign part URLs of a multipart upload of a direct upload
+   * @param {number} userId - The user ID
+   * @param {string} username - Username of the uploader
+   * @param {string} bucketName - Destination bucket
+   * @param {string} batchId - Direct-upload batch
+   * @param {{key: string, uploadId: string, partNumbers: Array<number>}} request - Which parts
+   * @returns {Promise<Object>} key, uploadId, expiresAt and the parts' URLs
+   */
+  async presignParts(userId, username, bucketName, batchId, { key, uploadId, partNumbers }) {
+    const batch = await this.findBatch(username, bucketName, batchId);
+    this.assertKeyInBatch(batch, key);
+    if (partNumbers.length > MAX_PARTS_PER_REQUEST) {
+      const message = `At most ${MAX_PARTS_PER_REQUEST} part URLs can be presigned at once`;
+      throw directUploadError('TOO_MANY_PARTS', 400, message);
+    }
+
+    const parts = [];
+    for (const partNumber of partNumbers) {
+      parts.push({
+        partNumber,
+        url: await s3Service.getPresignedPartUrl(userId, bucketName, key, uploadId, partNumber, URL_EXPIRY_SECONDS),
+      });
+    }
+
+    return {
+      key,
+      uploadId,
+      expiresAt: new Date(Date.now() + URL_EXPIRY_SECONDS * 1000).toISOString(),
+      parts,
+    };
+  }
+
+  /**
+   * Complete the multipart upload of a file after checking its parts against what S3 holds
+   * @returns {Promise<string>} ETag of the completed object
+   */
+  async completeParts(userId, bucketName, key, uploadId, size, parts) {
+    const numbers = parts.map((part) => part.partNumber);
+    if (numbers.some((number, index) => index > 0 && number <= numbers[index - 1])) {
+      throw directUploadError('INVALID_PARTS', 400, 'Parts must be listed once each, in ascending part number order');
+    }
+
+    const stored = new Map((await s3Service.listMultipartParts(userId, bucketName, key, uploadId))
+      .map((part) => [part.partNumber, part]));
+    const mismatched = parts.filter((part) => !stored.has(part.partNumber)
+      || stripQuotes(stored.get(part.partNumber).etag) !== stripQuotes(part.etag));
+    if (mismatched.length > 0) {
+      const listed = mismatched.map((part) => part.partNumber).join(', ');
+      throw directUploadError('VERIFICATION_FAILED', 422, `S3 does not hold part(s) ${listed} with the reported ETag`);
+    }
+    const storedSize = parts.reduce((sum, part) => sum + stored.get(part.partNumber).size, 0);
+    if (storedSize !== size) {
+      throw directUploadError('VERIFICATION_FAILED', 422, `The parts add up to ${storedSize} bytes, not ${size}`);
+    }
+
+    const { etag } = await s3Service.completeMultipartUpload(userId, bucketName, key, uploadId, parts);
+    const expected = expectedMultipartETag(parts);
+    if (expected && stripQuotes(etag) !== expected) {
+      const message = `S3 completed ${key} with ETag ${etag}, expected "${expected}"`;
+      throw directUploadError('VERIFICATION_FAILED', 422, message);
+    }
+    return etag;
+  }
+
+  /**
+   * SHA-256 of an object from the checksum S3 stored with it. Multipart objects and PUTs without a checksum have
+   * none; their SHA-256 is recorded when the object is packaged, which reads it anyway.
+   * @param {Object} object - The object's head
+   * @returns {string|null} Hex SHA-256
+   */
+  storedSha256(object) {
+    // Checksums of multipart objects are checksums of the part checksums, and end in -<parts>
+    if (!object.checksumSha256 || object.checksumSha256.includes('-')) {
+      return null;
+    }
+    return Buffer.from(object.checksumSha256, 'base64').toString('hex');
+  }
+
+  /**
+   * Record the SHA-256 packaging computed for an uploaded object whose import file has none yet
+   * @param {string} username - Username of the packaging job
+   * @param {string} bucketName - Bucket of the object
+   * @param {string} key - Object key
+   * @param {string} sha256 - Hex SHA-256 of the object's content
+   * @returns {Promise<boolean>} Whether an import file was updated
+   */
+  async recordPackagedSha256(username, bucketName, key, sha256) {
+    const match = key.match(UPLOAD_KEY_PATTERN);
+    if (!match) {
+      return false;
+    }
+    const batch = await Batch.findOne({
+      where: { id: match[1], created_by: username, source_system: SOURCE_SYSTEM },
+    });
+    if (!batch || batch.metadata.bucket_name !== bucketName) {
+      return false;
+    }
+    const [updated] = await ImportFile.update({ sha256: Buffer.from(sha256, 'hex') }, {
+      where: { import_id: batch.id, path: key, sha256: null },
+    });
+    return updated > 0;
+  }
+
+  /**
+   * Check an uploaded file in S3 and record it as an import file of its direct-upload batch. A file whose object
+   * does not match what the browser reports is deleted from S3, so it can be sent again.
+   * @param {number} userId - The user ID
+   * @param {string} username - Username of the uploader
+   * @param {string} bucketName - Destination bucket
+   * @param {string} batchId - Direct-upload batch
+   * @param {Object} request - key, size and sha256 of the file; etag of a PUT, or uploadId and the parts'
+   *   partNumber and etag of a multipart upload
+   * @returns {Promise<Object>} The recorded file and the batch's counts
+   */
+  async completeUpload(userId, username, bucketName, batchId, {
+    key, size, sha256 = null, etag = null, uploadId = null, parts = [],
+  }) {
+    const batch = await this.findBatch(username, bucketName, batchId);
+    this.assertKeyInBatch(batch, key);
+
+    // Completing twice, e.g. after a lost response, answers with what the first call recorded
+    const recorded = await ImportFile.findOne({ where: { import_id: batch.id, path: key } });
+    if (recorded) {
+      return this.describeCompletion(batch, recorded, null);
+    }
+
+    const expectedETag = uploadId
+      ? await this.completeParts(userId, bucketName, key, uploadId, size, parts)
+      : etag;
+
+    const object = await s3Service.headObject(userId, bucketName, key);
+    try {
+      if (object.size !== size) {
+        throw directUploadError('VERIFICATION_FAILED', 422, `${key} is ${object.size} bytes in S3, not ${size}`);
+      }
+      if (stripQuotes(object.etag) !== stripQuotes(expectedETag)) {
+        const message = `${key} has ETag ${object.etag} in S3, not ${expectedETag}`;
+        throw directUploadError('VERIFICATION_FAILED', 422, message);
+      }
+      const stored = this.storedSha256(object);
+      if (stored && sha256 && stored !== sha256.toLowerCase()) {
+        throw directUploadError('VERIFICATION_FAILED', 422, `The SHA-256 of ${key} in S3 does not match the file's`);
+      }
+
+      // A concurrent complete of the same file may have recorded it while this one checked S3
+      const { file, created } = await sequelize.transaction(async (transaction) => {
+        await lockBatch(batch, transaction);
+        const existing = await ImportFile.findOne({ where: { import_id: batch.id, path: key }, transaction });
+        if (existing) {
+          return { file: existing, created: false };
+        }
+        const recordedFile = await ImportFile.create({
+          import_id: batch.id,
+          path: key,
+          size_bytes: object.size,
+          sha256: stored ? Buffer.from(stored, 'hex') : null,
+          status: ImportFile.STATUS.PENDING,
+        }, { transaction });
+
+        // The import file holds the key from now on, so the batch only lists uploads still in flight
+        await batch.reload({ transaction });
+        await batch.update({
+          metadata: {
+            ...batch.metadata,
+            presigned_keys: (batch.metadata.presigned_keys || []).filter((presignedKey) => presignedKey !== key),
+          },
+        }, { transaction });
+        return { file: recordedFile, created: true };
+      });
+      if (!created) {
+        return this.describeCompletion(batch, file, null);
+      }
+      await this.countUploadedFile(batch);
+      return this.describeCompletion(batch, file, { etag: object.etag, verifiedBy: stored ? 's3-checksum' : 'etag' });
+    } catch (error) {
+      if (error.code === 'VERIFICATION_FAILED') {
+        // Best effort: the failed check is what the browser has to hear about
+        await s3Service.deleteObject(userId, bucketName, key).catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Count a recorded file on its batch: the batch is running from the first file and completed once every
+   * presigned file is in S3
+   * @param {Batch} batch - Direct-upload batch
+   */
+  async countUploadedFile(batch) {
+    await batch.increment('file_count_discovered');
+    await batch.reload();
+
+    const status = batch.file_count_discovered >= batch.file_count_expected
+      ? Batch.STATUS.COMPLETED
+      : Batch.STATUS.RUNNING;
+    await batchTrackingService.updateBatchStatus(batch, { status }, {
+      source: BatchStatusTransition.SOURCE.DIRECT_UPLOAD,
+    });
+  }
+
+  describeCompletion(batch, file, verification) {
+    return {
+      importFileId: file.id,
+      batchId: batch.id,
+      key: file.path,
+      size: Number(file.size_bytes),
+      sha256: file.getSha256Hex(),
+      etag: verification ? verification.etag : null,
+      verifiedBy: verification ? verification.verifiedBy : 'already-recorded',
+      fileCountExpected: Number(batch.file_count_expected),
+      fileCountUploaded: Number(batch.file_count_discovered),
+      batchStatus: batch.getStatusName(),
+    };
+  }
+}
+
+const directUploadService = new DirectUploadService();
+directUploadService.SOURCE_SYSTEM = SOURCE_SYSTEM;
+directUploadService.MAX_FILES_PER_REQUEST = MAX_FILES_PER_REQUEST;
+directUploadService.MAX_PARTS_PER_REQUEST = MAX_PARTS_PER_REQUEST;
+
+module.exports = directUploadService;
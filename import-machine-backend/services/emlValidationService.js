@@ -0,0 +1,370 @@
+const fs = require('fs');
+const { TextDecoder } = require('util');
+
+// RFC 5322 / MIME checks run on every EML before it is packaged
+
+const TRANSFER_ENCODINGS = ['7bit', '8bit', 'binary', 'quoted-printable', 'base64'];
+
+// Nested multiparts deeper than this are reported instead of being walked
+const MAX_MIME_DEPTH = 20;
+
+// Malformed header lines reported per entity before the rest are summarised
+const MAX_REPORTED_LINES = 3;
+
+const FIELD_NAME = /^([\x21-\x39\x3b-\x7e]+)[ \t]*:(.*)$/;
+const ENCODED_WORD = /=\?([^?\s]+)\?([BbQq])\?[^?\s]*\?=/g;
+const MESSAGE_ID = /^<[^<>\s@]+@[^<>\s]+>$/;
+const ADDRESS = /[^\s<>@,;:]+@[^\s<>@,;:]+/;
+const ADDRESSES = new RegExp(ADDRESS.source, 'g');
+
+const hasEightBitBytes = (buffer) => buffer.some((byte) => byte > 0x7f);
+
+const isValidUtf8 = (buffer) => {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// TextDecoder knows the WHATWG encoding labels, which cover the charsets seen in mail
+const isKnownCharset = (charset) => {
+  try {
+    return Boolean(new TextDecoder(charset.replace(/\*.*$/, '')).encoding);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Split an entity into its header section and body at the first empty line
+ * @param {Buffer} buffer - Raw entity
+ * @returns {{headerText: string, body: Buffer, hasBody: boolean}} Header section (latin1) and body bytes
+ */
+const splitEntity = (buffer) => {
+  const text = buffer.toString('latin1');
+  const leading = /^\r?\n/.exec(text);
+  if (leading) {
+    return { headerText: '', body: buffer.subarray(leading[0].length), hasBody: true };
+  }
+
+  const separator = /\r?\n\r?\n/.exec(text);
+  if (!separator) {
+    return { headerText: text, body: Buffer.alloc(0), hasBody: false };
+  }
+  return {
+    headerText: text.slice(0, separator.index),
+    body: buffer.subarray(separator.index + separator[0].length),
+    hasBody: true,
+  };
+};
+
+/**
+ * Parse and unfold a header section
+ * @param {string} headerText - Header section decoded as latin1
+ * @returns {{headers: Array<{name: string, value: string}>, malformed: Array<number>}} Fields and bad line numbers
+ */
+const parseHeaders = (headerText) => {
+  const headers = [];
+  const malformed = [];
+
+  headerText.split(/\r?\n/).forEach((line, index) => {
+    if (line === '') {
+      return;
+    }
+    if (/^[ \t]/.test(line)) {
+      if (headers.length === 0) {
+        malformed.push(index + 1);
+      } else {
+        headers[headers.length - 1].value += ` ${line.trim()}`;
+      }
+      return;
+    }
+
+    const match = FIELD_NAME.exec(line);
+    if (!match) {
+      malformed.push(index + 1);
+      return;
+    }
+    headers.push({ name: match[1], value: match[2].trim() });
+  });
+
+  return { headers, malformed };
+};
+
+const getHeaders = (headers, name) => headers
+  .filter((header) => header.name.toLowerCase() === name)
+  .map((header) => header.value);
+
+// Date header value as a timestamp, ignoring a trailing comment such as "(UTC)"; NaN if it cannot be parsed
+const parseDate = (value) => Date.parse(value.replace(/\s*\([^)]*\)\s*$/, ''));
+
+/**
+ * Parse a Content-Type value into type, subtype and lower-cased parameter names
+ * @param {string} value - Header value
+ * @returns {{type: string, subtype: string, params: Object}} Parsed content type
+ */
+const parseContentType = (value) => {
+  const [mediaType, ...rest] = value.split(';');
+  const [type = '', subtype = ''] = mediaType.trim().toLowerCase().split('/');
+  const params = {};
+
+  const paramPattern = /([^\s=;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g;
+  let match = paramPattern.exec(rest.join(';'));
+  while (match) {
+    params[match[1].toLowerCase()] = match[2].trim().replace(/^"(.*)"$/, '$1').replace(/\\(.)/g, '$1');
+    match = paramPattern.exec(rest.join(';'));
+  }
+
+  return { type, subtype, params };
+};
+
+const decodeQuotedPrintable = (buffer) => Buffer.from(
+  buffer.toString('latin1')
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+  'latin1',
+);
+
+const decodeBody = (body, transferEncoding) => {
+  if (transferEncoding === 'base64') {
+    return Buffer.from(body.toString('latin1').replace(/\s+/g, ''), 'base64');
+  }
+  if (transferEncoding === 'quoted-printable') {
+    return decodeQuotedPrintable(body);
+  }
+  return body;
+};
+
+/**
+ * Split a multipart body on its boundary
+ * @param {Buffer} body - Multipart body
+ * @param {string} boundary - Boundary parameter
+ * @returns {{parts: Array<Buffer>, found: boolean, closed: boolean}} Body parts and whether the delimiters were seen
+ */
+const splitMultipart = (body, boundary) => {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+  let current = null;
+  let found = false;
+  let closed = false;
+
+  for (const line of body.toString('latin1').split(/\r?\n/)) {
+    const trimmed = line.replace(/[ \t]+$/, '');
+    if (trimmed === `${delimiter}--`) {
+      if (current) {
+        parts.push(Buffer.from(current.join('\n'), 'latin1'));
+      }
+      found = true;
+      closed = true;
+      break;
+    }
+    if (trimmed === delimiter) {
+      if (current) {
+        parts.push(Buffer.from(current.join('\n'), 'latin1'));
+      }
+      found = true;
+      current = [];
+    } else if (current) {
+      current.push(line);
+    }
+  }
+
+  if (!closed && current) {
+    parts.push(Buffer.from(current.join('\n'), 'latin1'));
+  }
+  return { parts, found, closed };
+};
+
+// Report malformed header lines and charset problems in a header section
+const checkHeaderSection = (headerText, malformed, location, errors) => {
+  if (malformed.length > 0) {
+    const lines = malformed.slice(0, MAX_REPORTED_LINES).join(', ');
+    const more = malformed.length > MAX_REPORTED_LINES ? ` and ${malformed.length - MAX_REPORTED_LINES} more` : '';
+    errors.push(`${location}: malformed header line ${lines}${more}`);
+  }
+
+  const headerBytes = Buffer.from(headerText, 'latin1');
+  if (hasEightBitBytes(headerBytes) && !isValidUtf8(headerBytes)) {
+    errors.push(`${location}: header contains 8-bit characters that are not valid UTF-8`);
+  }
+
+  const unknownCharsets = new Set();
+  let match = ENCODED_WORD.exec(headerText);
+  while (match) {
+    if (!isKnownCharset(match[1])) {
+      unknownCharsets.add(match[1]);
+    }
+    match = ENCODED_WORD.exec(headerText);
+  }
+  unknownCharsets.forEach((charset) => errors.push(`${location}: encoded word uses unknown charset "${charset}"`));
+};
+
+/**
+ * Check the MIME structure of an entity and its parts
+ * @param {Array<Object>} headers - Entity headers
+ * @param {Buffer} body - Entity body
+ * @param {string} location - Where the entity sits in the message, for error messages
+ * @param {number} depth - Nesting depth
+ * @param {Array<string>} errors - Collected errors
+ */
+const checkEntity = (headers, body, location, depth, errors) => {
+  const contentType = parseContentType(getHeaders(headers, 'content-type')[0] || 'text/plain');
+  const transferEncoding = (getHeaders(headers, 'content-transfer-encoding')[0] || '7bit').toLowerCase();
+
+  if (!TRANSFER_ENCODINGS.includes(transferEncoding)) {
+    errors.push(`${location}: unknown Content-Transfer-Encoding "${transferEncoding}"`);
+    return;
+  }
+
+  if (contentType.type === 'multipart') {
+    const { boundary } = contentType.params;
+    if (!boundary) {
+      errors.push(`${location}: multipart/${contentType.subtype} has no boundary`);
+      return;
+    }
+    if (['base64', 'quoted-printable'].includes(transferEncoding)) {
+      errors.push(`${location}: multipart entity cannot use ${transferEncoding} encoding`);
+      return;
+    }
+    if (depth >= MAX_MIME_DEPTH) {
+      errors.push(`${location}: multipart nesting exceeds ${MAX_MIME_DEPTH} levels`);
+      return;
+    }
+
+    const { parts, found, closed } = splitMultipart(body, boundary);
+    if (!found) {
+      errors.push(`${location}: boundary "${boundary}" does not appear in the body`);
+      return;
+    }
+    if (!closed) {
+      errors.push(`${location}: closing boundary "--${boundary}--" is missing`);
+    }
+
+    parts.forEach((part, index) => {
+      const partLocation = depth === 0 ? `part ${index + 1}` : `${location}.${index + 1}`;
+      const { headerText, body: partBody } = splitEntity(part);
+      const { headers: partHeaders, malformed } = parseHeaders(headerText);
+      checkHeaderSection(headerText, malformed, partLocation, errors);
+      checkEntity(partHeaders, partBody, partLocation, depth + 1, errors);
+    });
+    return;
+  }
+
+  if (contentType.type === 'text') {
+    const charset = (contentType.params.charset || 'us-ascii').toLowerCase();
+    if (!isKnownCharset(charset)) {
+      errors.push(`${location}: unknown charset "${charset}"`);
+      return;
+    }
+
+    if (transferEncoding === '7bit' && hasEightBitBytes(body)) {
+      errors.push(`${location}: 8-bit data in a 7bit ${contentType.type}/${contentType.subtype} part`);
+      return;
+    }
+
+    if (['utf-8', 'utf8'].includes(charset) && !isValidUtf8(decodeBody(body, transferEncoding))) {
+      errors.push(`${location}: text is not valid UTF-8`);
+    }
+  }
+};
+
+/**
+ * Validate a raw EML message against RFC 5322 and the MIME structure it declares
+ * @param {Buffer} buffer - Raw message
+ * @returns {{valid: boolean, errors: Array<string>, headers: Array<{name: string, value: string}>}} Validation result
+ */
+const validateEml = (buffer) => {
+  const errors = [];
+  const { headerText, body, hasBody } = splitEntity(buffer);
+  const { headers, malformed } = parseHeaders(headerText);
+
+  if (headers.length === 0) {
+    errors.push('message: no parseable header fields');
+    return { valid: false, errors, headers };
+  }
+  checkHeaderSection(headerText, malformed, 'message', errors);
+  if (!hasBody && malformed.length > 0) {
+    errors.push('message: no empty line between the headers and the body');
+  }
+
+  const messageIds = getHeaders(headers, 'message-id');
+  if (messageIds.length === 0) {
+    errors.push('message: missing Message-ID header');
+  } else if (!MESSAGE_ID.test(messageIds[0])) {
+    errors.push(`message: malformed Message-ID "${messageIds[0]}"`);
+  }
+
+  const dates = getHeaders(headers, 'date');
+  if (dates.length === 0) {
+    errors.push('message: missing Date header');
+  } else if (Number.isNaN(parseDate(dates[0]))) {
+    errors.push(`message: unparseable Date "${dates[0]}"`);
+  }
+
+  ['from', 'to'].forEach((name) => {
+    const label = name === 'from' ? 'From' : 'To';
+    const values = getHeaders(headers, name);
+    if (values.length === 0) {
+      errors.push(`message: missing ${label} header`);
+    } else if (!ADDRESS.test(values.join(',')) && !/:\s*;/.test(values.join(','))) {
+      errors.push(`message: ${label} header has no address`);
+    }
+  });
+
+  ['date', 'from', 'message-id'].forEach((name) => {
+    if (getHeaders(headers, name).length > 1) {
+      errors.push(`message: more than one ${headers.find((header) => header.name.toLowerCase() === name).name} header`);
+    }
+  });
+
+  checkEntity(headers, body, 'message', 0, errors);
+
+  return { valid: errors.length === 0, errors, headers };
+};
+
+/**
+ * Read the header fields a manifest entry carries. Addresses are lower-cased and fields a message lacks are null.
+ * @param {Array<{name: string, value: string}>} headers - Parsed message headers, as returned by validateEml
+ * @returns {{messageId: string|null, date: string|null, from: string|null, to: Array<string>, subject: string|null}}
+ *   Message-ID, Date as an ISO timestamp, the first From address, the To addresses and the Subject as written
+ */
+const describeMessage = (headers) => {
+  const [messageId] = getHeaders(headers, 'message-id');
+  const [date] = getHeaders(headers, 'date');
+  const [subject] = getHeaders(headers, 'subject');
+  // Years outside 0000-9999 are written with a sign, which is no ISO timestamp a manifest accepts
+  const isoDate = date && !Number.isNaN(parseDate(date)) ? new Date(parseDate(date)).toISOString() : null;
+  const addresses = (name) => [...new Set((getHeaders(headers, name).join(',').match(ADDRESSES) || [])
+    .map((address) => address.toLowerCase()))];
+
+  return {
+    messageId: messageId || null,
+    date: isoDate && /^\d{4}-/.test(isoDate) ? isoDate : null,
+    from: addresses('from')[0] || null,
+    to: addresses('to'),
+    subject: subject || null,
+  };
+};
+
+/**
+ * Validate an EML file on disk
+ * @param {string} filePath - Path of the message
+ * @returns {Promise<Object>} Validation result, as returned by validateEml
+ */
+const validateEmlFile = async (filePath) => validateEml(await fs.promises.readFile(filePath));
+
+/**
+ * Join validation errors into the reason stored in an import file's last_error
+ * @param {Array<string>} errors - Validation errors
+ * @returns {string} Reason, at most 10000 characters
+ */
+const summarizeErrors = (errors) => errors.join('; ').slice(0, 10000);
+
+module.exports = {
+  validateEml,
+  describeMessage,
+  validateEmlFile,
+  summarizeErrors,
+};
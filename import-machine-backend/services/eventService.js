@@ -0,0 +1,185 @@
+const EVENT_TYPES = {
+  UPLOAD_PROGRESS: 'upload-progress',
+  PACKAGE_PROGRESS: 'package-progress',
+  BATCH_STATUS: 'batch-status',
+  ARCHIVE_POLL: 'archive-poll',
+};
+
+// A comment line is sent this often so proxies do not close idle connections
+const HEARTBEAT_INTERVAL_MS = (parseInt(process.env.EVENTS_HEARTBEAT_SECONDS, 10) || 25) * 1000;
+
+// Recent events of each user are kept so a client that reconnects with Last-Event-ID misses nothing,
+// as long as it reconnects within the replay window
+const REPLAY_BUFFER_SIZE = parseInt(process.env.EVENTS_REPLAY_BUFFER_SIZE, 10) || 200;
+const REPLAY_WINDOW_MS = 60 * 1000;
+
+// Browsers wait this long before reconnecting after the stream drops
+const RETRY_MS = 3000;
+
+const formatEvent = ({ id, type, data }) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+class EventService {
+  constructor() {
+    // userId -> Set of open responses
+    this.clients = new Map();
+    // userId -> recent events, oldest first
+    this.buffers = new Map();
+    // userId -> time the last stream of a user closed
+    this.idleSince = new Map();
+    // username -> userId of connected users, for publishers that only know the username
+    this.userIds = new Map();
+    this.lastEventId = 0;
+    this.heartbeat = null;
+  }
+
+  /**
+   * Turn a response into an event stream for a user and keep it open until the client disconnects
+   * @param {Object} req - Express request of an authenticated user
+   * @param {Object} res - Express response
+   */
+  connect(req, res) {
+    const { id: userId, username } = req.user;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      // no-transform keeps the compression middleware from buffering the stream
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+    if (lastEventId) {
+      (this.buffers.get(userId) || [])
+        .filter((event) => event.id > lastEventId)
+        .forEach((event) => res.write(formatEvent(event)));
+    }
+
+    if (!this.clients.has(userId)) {
+      this.clients.set(userId, new Set());
+    }
+    this.clients.get(userId).add(res);
+    this.idleSince.delete(userId);
+    this.userIds.set(username, userId);
+    this.startHeartbeat();
+
+    req.on('close', () => this.disconnect(userId, res));
+  }
+
+  disconnect(userId, res) {
+    const clients = this.clients.get(userId);
+    if (!clients) {
+      return;
+    }
+
+    clients.delete(res);
+    if (clients.size === 0) {
+      this.clients.delete(userId);
+      this.idleSince.set(userId, Date.now());
+    }
+    if (this.clients.size === 0) {
+      this.stopHeartbeat();
+    }
+  }
+
+  // Drop the replay buffer of a user who has not reconnected
+  forget(userId) {
+    this.buffers.delete(userId);
+    this.idleSince.delete(userId);
+    this.userIds.forEach((id, username) => {
+      if (id === userId) {
+        this.userIds.delete(username);
+      }
+    });
+  }
+
+  /**
+   * Send an event to every open stream of a user.
+   * Events of users without an open stream are dropped; pages load the current state when they open.
+   * @param {number} userId - The user ID
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} data - Event payload
+   */
+  publish(userId, type, data) {
+    const clients = this.clients.get(userId);
+    if (!clients) {
+      const idleSince = this.idleSince.get(userId);
+      if (idleSince && Date.now() - idleSince > REPLAY_WINDOW_MS) {
+        this.forget(userId);
+      }
+      if (!this.buffers.has(userId)) {
+        return;
+      }
+    }
+
+    this.lastEventId += 1;
+    const event = { id: this.lastEventId, type, data };
+
+    const buffer = this.buffers.get(userId) || [];
+    buffer.push(event);
+    if (buffer.length > REPLAY_BUFFER_SIZE) {
+      buffer.shift();
+    }
+    this.buffers.set(userId, buffer);
+
+    if (clients) {
+      const message = formatEvent(event);
+      clients.forEach((res) => res.write(message));
+    }
+  }
+
+  /**
+   * Send an event to a user known by username, e.g. the created_by of a batch
+   * @param {string} username - The username
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} data - Event payload
+   */
+  publishToUsername(username, type, data) {
+    const userId = this.userIds.get(username);
+    if (userId) {
+      this.publish(userId, type, data);
+    }
+  }
+
+  /**
+   * Whether a user has an open stream or may reconnect to one, so publishers can skip building payloads nobody receives
+   * @param {number} userId - The user ID
+   * @returns {boolean}
+   */
+  isConnected(userId) {
+    return this.clients.has(userId) || this.buffers.has(userId);
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) {
+      return;
+    }
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach((clients) => clients.forEach((res) => res.write(': heartbeat\n\n')));
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  /**
+   * Close every open stream, e.g. on shutdown
+   */
+  closeAll() {
+    this.clients.forEach((clients) => clients.forEach((res) => res.end()));
+    this.clients.clear();
+    this.buffers.clear();
+    this.idleSince.clear();
+    this.userIds.clear();
+    this.stopHeartbeat();
+  }
+}
+
+const eventService = new EventService();
+eventService.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = eventService;
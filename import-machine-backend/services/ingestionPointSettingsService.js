@@ -0,0 +1,72 @@
+const { IngestionPointSetting } = require('../models');
+const { DEFAULT_CONTAINER_FORMAT, isContainerFormat } = require('./manifestService');
+const { aidToId } = require('./batchTrackingService');
+
+// Error with a code and the HTTP status routes answer with
+const settingsError = (code, status, message) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+// Settings of an ingestion point, with defaults for the ones never saved
+const toSettings = (ingestionPointId, setting) => ({
+  ingestionPointId,
+  containerFormat: setting ? setting.containerFormat : DEFAULT_CONTAINER_FORMAT,
+  updatedAt: setting ? setting.updatedAt : null,
+});
+
+/**
+ * Packaging preferences kept per user and archive ingestion point, such as the container format that uploads
+ * into the ingestion point use unless the upload picks one itself.
+ */
+class IngestionPointSettingsService {
+  /**
+   * Get the settings of an ingestion point
+   * @param {number} userId - The user ID
+   * @param {string} ingestionPointId - Ingestion point ID or aid
+   * @returns {Promise<Object>} ingestionPointId, containerFormat and updatedAt
+   */
+  async getSettings(userId, ingestionPointId) {
+    const id = aidToId(ingestionPointId);
+    const setting = await IngestionPointSetting.findOne({ where: { userId, ingestionPointId: id } });
+    return toSettings(id, setting);
+  }
+
+  /**
+   * Save the settings of an ingestion point
+   * @param {number} userId - The user ID
+   * @param {string} ingestionPointId - Ingestion point ID or aid
+   * @param {Object} settings - Settings to change
+   * @param {string} settings.containerFormat - zip or tar.gz
+   * @returns {Promise<Object>} The saved settings
+   */
+  async updateSettings(userId, ingestionPointId, { containerFormat }) {
+    if (!isContainerFormat(containerFormat)) {
+      throw settingsError('INVALID_CONTAINER_FORMAT', 400, 'Container format must be either "zip" or "tar.gz"');
+    }
+
+    const id = aidToId(ingestionPointId);
+    const [setting] = await IngestionPointSetting.upsert({ userId, ingestionPointId: id, containerFormat });
+    return toSettings(id, setting);
+  }
+
+  /**
+   * Add each ingestion point's container format to a list of archive ingestion points
+   * @param {number} userId - The user ID
+   * @param {Array<Object>} ingestionPoints - Ingestion points as returned by the archive
+   * @returns {Promise<Array<Object>>} The ingestion points with containerFormat set
+   */
+  async withSettings(userId, ingestionPoints) {
+    const settings = await IngestionPointSetting.findByUser(userId);
+    const formats = new Map(settings.map((setting) => [setting.ingestionPointId, setting.containerFormat]));
+
+    return ingestionPoints.map((point) => ({
+      ...point,
+      containerFormat: formats.get(aidToId(point.id || point.aid)) || DEFAULT_CONTAINER_FORMAT,
+    }));
+  }
+}
+
+module.exports = new IngestionPointSettingsService();
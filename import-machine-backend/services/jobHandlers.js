@@ -0,0 +1,249 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { UploadSet, ServerSource } = require('../models');
+const jobQueueService = require('./jobQueueService');
+const packagingService = require('./packagingService');
+const serverSourceService = require('./serverSourceService');
+const s3RepackageService = require('./s3RepackageService');
+const s3Service = require('./s3Service');
+const batchSubmissionService = require('./batchSubmissionService');
+const batchStatusPoller = require('./batchStatusPoller');
+const eventService = require('./eventService');
+
+const { JOB_TYPES } = jobQueueService;
+
+// Queued S3 uploads are spooled here until the worker has sent them
+const UPLOAD_SPOOL_DIR = path.join(packagingService.workDir, 'uploads');
+
+// An import job is polled at this interval until every batch it holds has finished
+const REPORT_POLL_INTERVAL_MS = (parseInt(process.env.REPORT_POLL_INTERVAL_SECONDS, 10) || 60) * 1000;
+
+// Error that fails a job without further attempts
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+};
+
+/**
+ * Write the content of a queued S3 upload to disk so the request can return before it is sent
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<string>} Path of the spooled content
+ */
+const spoolUpload = async (buffer) => {
+  await fs.promises.mkdir(UPLOAD_SPOOL_DIR, { recursive: true });
+  const spoolPath = path.join(UPLOAD_SPOOL_DIR, crypto.randomUUID());
+  await fs.promises.writeFile(spoolPath, buffer);
+  return spoolPath;
+};
+
+/**
+ * Package an upload set whose files have been received.
+ * The job is pinned to the node holding the spooled files; after a restart or a failed attempt the session is
+ * rebuilt from the files recorded for the upload set.
+ */
+const runPackageJob = async (job, context) => {
+  const { uploadSetId, validate = true, releasedFrom = null } = job.payload;
+  const session = await packagingService.findPackagingSession(job.user_id, uploadSetId, job.created_by, {
+    validate, releasedFrom,
+  });
+
+  if (!session) {
+    const uploadSet = await UploadSet.findByPk(uploadSetId);
+    throw permanentError((uploadSet && uploadSet.error) || 'Upload set is no longer queued for packaging');
+  }
+
+  const containers = await packagingService.runBuild(session, { isLastAttempt: context.isLastAttempt });
+  return {
+    uploadSetId,
+    containerCount: containers.length,
+    fileCount: session.files.length,
+    skippedCount: session.skipped.length,
+    quarantinedCount: session.quarantined.length,
+    sourceCount: session.sources.length,
+  };
+};
+
+/**
+ * Read the files selected in a server source into their upload set, then queue it for packaging.
+ * Runs once: files already spooled would be spooled again by a retry.
+ */
+const runServerIngestJob = async (job, context) => {
+  const { uploadSetId, sourceId, paths } = job.payload;
+  const session = await packagingService.findSession(job.user_id, uploadSetId, job.created_by);
+  if (!session) {
+    throw permanentError('Upload set is no longer receiving files');
+  }
+
+  try {
+    const source = await ServerSource.findByPk(sourceId);
+    if (!source || !source.enabled) {
+      throw permanentError('Server source is no longer available');
+    }
+
+    await serverSourceService.ingest(session, source, paths, ({
+      filesFound, bytesFound, filesRead, bytesRead,
+    }) => {
+      context.setProgress({
+        filesFound, bytesFound, filesRead, bytesRead,
+      }).catch(() => {});
+    });
+
+    const packageJob = await packagingService.startBuild(session);
+    return {
+      uploadSetId,
+      fileCount: session.files.length,
+      rejectedCount: session.rejected.length,
+      packageJobId: packageJob.id,
+    };
+  } catch (error) {
+    await packagingService.failSession(session, error);
+    throw permanentError(error.message);
+  }
+};
+
+/**
+ * Stream the EML objects under an S3 prefix into their upload set, then queue it for packaging into the staging
+ * prefix. A retry continues after the last page of the listing an earlier attempt finished.
+ */
+const runS3RepackageJob = async (job, context) => {
+  const { uploadSetId, bucketName, prefix } = job.payload;
+  const session = await packagingService.findSession(job.user_id, uploadSetId, job.created_by);
+  if (!session) {
+    throw permanentError('Upload set is no longer receiving files; its spooled files are gone');
+  }
+  // An earlier attempt finished reading and queued the packaging job
+  if (session.status !== packagingService.STATUS.RECEIVING) {
+    return {
+      uploadSetId,
+      fileCount: session.files.length,
+      rejectedCount: session.rejected.length,
+      packageJobId: session.jobId,
+    };
+  }
+
+  try {
+    await s3RepackageService.ingest(session, bucketName, prefix, job.progress || {}, (checkpoint) => (
+      context.setProgress(checkpoint)
+    ));
+
+    const packageJob = await packagingService.startBuild(session);
+    return {
+      uploadSetId,
+      fileCount: session.files.length,
+      rejectedCount: session.rejected.length,
+      packageJobId: packageJob.id,
+    };
+  } catch (error) {
+    if (!context.isLastAttempt && jobQueueService.isRetryable(error)) {
+      throw error;
+    }
+    await packagingService.failSession(session, error);
+    throw permanentError(error.message);
+  }
+};
+
+/**
+ * Stream a spooled file to S3, resuming the multipart upload of an earlier attempt
+ */
+const runS3UploadJob = async (job, context) => {
+  const {
+    bucketName, key, contentType, spoolPath,
+  } = job.payload;
+  const previous = job.progress || {};
+  const publishProgress = (event) => eventService.publish(job.user_id, eventService.EVENT_TYPES.UPLOAD_PROGRESS, {
+    jobId: job.id, bucketName, key, ...event,
+  });
+
+  try {
+    const result = await s3Service.uploadStream(job.user_id, bucketName, key, fs.createReadStream(spoolPath), {
+      contentType,
+      uploadId: previous.uploadId || undefined,
+      resumable: !context.isLastAttempt,
+      onProgress: ({ uploadId, partsCompleted, uploadedBytes }) => {
+        context.setProgress({ uploadId, partsCompleted, uploadedBytes }).catch(() => {});
+        publishProgress({ status: 'uploading', partsCompleted, uploadedBytes });
+      },
+    });
+
+    await fs.promises.rm(spoolPath, { force: true });
+    publishProgress({ status: 'completed', uploadedBytes: result.size });
+    return {
+      bucketName, key, etag: result.etag, size: result.size,
+    };
+  } catch (error) {
+    const retry = !context.isLastAttempt && jobQueueService.isRetryable(error);
+    publishProgress({ status: retry ? 'retrying' : 'failed', error: error.message });
+
+    if (error.code === 'ENOENT') {
+      throw permanentError(`Content of ${key} is no longer available on this server`);
+    }
+    if (retry && error.uploadId) {
+      await context.setProgress({ ...previous, uploadId: error.uploadId });
+    }
+    if (!retry) {
+      if (error.uploadId) {
+        await s3Service.abortMultipartUpload(job.user_id, bucketName, key, error.uploadId).catch(() => {});
+      }
+      await fs.promises.rm(spoolPath, { force: true });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Submit a batch to an import job
+ */
+const runSubmitBatchJob = async (job) => {
+  const { importJobAid, batchData } = job.payload;
+  const archiveBatch = await batchSubmissionService.submitBatch(job.user_id, job.created_by, importJobAid, batchData);
+  return { importJobAid, archiveBatch };
+};
+
+/**
+ * Bring an import job's local batches up to date with the archive, and poll again while any of them is unfinished
+ */
+const runPollBatchReportJob = async (job) => {
+  const result = await batchStatusPoller.pollImportJob(job.user_id, job.created_by, job.payload.importJobAid);
+
+  if (result.open > 0) {
+    return jobQueueService.reschedule(REPORT_POLL_INTERVAL_MS, result);
+  }
+  return result;
+};
+
+/**
+ * Register the handler of every job type with the queue
+ */
+const registerJobHandlers = () => {
+  jobQueueService.registerHandler(JOB_TYPES.PACKAGE, runPackageJob, {
+    concurrency: parseInt(process.env.JOB_PACKAGE_CONCURRENCY, 10) || 1,
+    maxAttempts: 3,
+  });
+  jobQueueService.registerHandler(JOB_TYPES.SERVER_INGEST, runServerIngestJob, {
+    concurrency: parseInt(process.env.JOB_SERVER_INGEST_CONCURRENCY, 10) || 1,
+    maxAttempts: 1,
+  });
+  jobQueueService.registerHandler(JOB_TYPES.S3_REPACKAGE, runS3RepackageJob, {
+    concurrency: parseInt(process.env.JOB_S3_REPACKAGE_CONCURRENCY, 10) || 1,
+    maxAttempts: 5,
+  });
+  jobQueueService.registerHandler(JOB_TYPES.S3_UPLOAD, runS3UploadJob, {
+    concurrency: parseInt(process.env.JOB_S3_UPLOAD_CONCURRENCY, 10) || 2,
+    maxAttempts: 5,
+  });
+  jobQueueService.registerHandler(JOB_TYPES.SUBMIT_BATCH, runSubmitBatchJob, {
+    concurrency: parseInt(process.env.JOB_SUBMIT_CONCURRENCY, 10) || 2,
+    maxAttempts: 5,
+  });
+  jobQueueService.registerHandler(JOB_TYPES.POLL_BATCH_REPORT, runPollBatchReportJob, {
+    concurrency: parseInt(process.env.JOB_POLL_CONCURRENCY, 10) || 2,
+    maxAttempts: 5,
+  });
+};
+
+module.exports = {
+  registerJobHandlers,
+  spoolUpload,
+};
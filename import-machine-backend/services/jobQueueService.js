@@ -0,0 +1,447 @@
+const os = require('os');
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize, Job } = require('../models');
+
+const JOB_TYPES = {
+  PACKAGE: 'package',
+  SERVER_INGEST: 'server-ingest',
+  S3_REPACKAGE: 's3-repackage',
+  S3_UPLOAD: 's3-upload',
+  SUBMIT_BATCH: 'submit-batch',
+  POLL_BATCH_REPORT: 'poll-batch-report',
+};
+
+// Worker settings shared by every job type
+const WORKER_DEFAULTS = {
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000,
+  concurrency: parseInt(process.env.JOB_WORKER_CONCURRENCY, 10) || 4,
+  visibilityTimeoutMs: (parseInt(process.env.JOB_VISIBILITY_TIMEOUT_SECONDS, 10) || 300) * 1000,
+};
+
+// Failed attempts are retried after 5s, 10s, 20s, ... capped at 15 minutes, with jitter
+const BACKOFF_BASE_MS = 5000;
+const BACKOFF_MAX_MS = 15 * 60 * 1000;
+
+const ACTIVE_STATUSES = [Job.STATUS.QUEUED, Job.STATUS.RUNNING];
+
+/**
+ * Delay before the next attempt of a job that has failed `attempts` times
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const computeBackoff = (attempts) => {
+  const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+  return Math.round(delay * (0.5 + Math.random() / 2));
+};
+
+/**
+ * Whether a failed attempt is worth retrying. Errors can decide with `retryable`; archive and S3 client
+ * errors (4xx other than 408 and 429) are permanent, everything else is assumed to be transient.
+ * @param {Error} error - The failure
+ * @returns {boolean} True if the job should be retried
+ */
+const isRetryable = (error) => {
+  if (typeof error.retryable === 'boolean') {
+    return error.retryable;
+  }
+  const status = (error.response && error.response.status) || error.statusCode;
+  if (status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+  return true;
+};
+
+const describeError = (error) => {
+  const message = error.response
+    ? `Archive API error: ${error.response.status} ${error.response.statusText}`
+    : error.message;
+  return String(message || error).slice(0, 10000);
+};
+
+// Marks a handler result that asks for the job to run again later without counting a failed attempt
+const RESCHEDULE = Symbol('reschedule');
+
+class JobQueueService {
+  constructor() {
+    this.handlers = new Map(); // Handler and limits keyed by job type
+    this.running = new Map(); // In-flight jobs of this worker keyed by job ID
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    // Jobs whose input is on this machine's disk are only claimed by workers with the same node ID
+    this.nodeId = process.env.JOB_NODE_ID || os.hostname();
+    this.timer = null;
+    this.stopping = false;
+  }
+
+  /**
+   * Register the function that runs jobs of a type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (job, context) => result; may return reschedule(delayMs, result)
+   * @param {Object} options - Limits for this type
+   * @param {number} options.concurrency - Jobs of this type running at once across all workers
+   * @param {number} options.maxAttempts - Default attempts before a job fails for good
+   * @param {number} options.visibilityTimeoutMs - How long a claimed job stays invisible without a heartbeat
+   */
+  registerHandler(type, handler, {
+    concurrency = 1, maxAttempts = 5, visibilityTimeoutMs = WORKER_DEFAULTS.visibilityTimeoutMs,
+  } = {}) {
+    this.handlers.set(type, {
+      handler, concurrency, maxAttempts, visibilityTimeoutMs,
+    });
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type
+   * @param {Object} payload - Handler input
+   * @param {Object} options - Queue options
+   * @param {number} options.userId - User the job runs for
+   * @param {string} options.createdBy - Username of the user
+   * @param {number} options.priority - Higher runs first
+   * @param {Date} options.runAt - Earliest time to run
+   * @param {number} options.maxAttempts - Attempts before the job fails for good
+   * @param {string} options.dedupeKey - Return the queued or running job with this key instead of adding another
+   * @param {boolean} options.local - Only run the job on this node, for jobs that read files spooled here
+   * @returns {Promise<Job>} The queued job
+   */
+  async enqueue(type, payload = {}, {
+    userId = null, createdBy = null, priority = 0, runAt = new Date(), maxAttempts = null, dedupeKey = null,
+    local = false,
+  } = {}) {
+    if (dedupeKey) {
+      const existing = await Job.findOne({ where: { dedupe_key: dedupeKey, status: ACTIVE_STATUSES } });
+      if (existing) {
+        return existing;
+      }
+    }
+
+    const registered = this.handlers.get(type);
+    return Job.create({
+      type,
+      payload,
+      priority,
+      user_id: userId,
+      created_by: createdBy,
+      dedupe_key: dedupeKey,
+      node_id: local ? this.nodeId : null,
+      run_at: runAt,
+      max_attempts: maxAttempts || (registered ? registered.maxAttempts : 5),
+    });
+  }
+
+  /**
+   * Ask for a job to run again after a delay, for handlers that poll until something finishes
+   * @param {number} delayMs - Delay before the next run
+   * @param {Object} result - Result recorded on the job in the meantime
+   * @returns {Object} Value to return from the handler
+   */
+  reschedule(delayMs, result = null) {
+    return { [RESCHEDULE]: true, delayMs, result };
+  }
+
+  /**
+   * Claim the next runnable job of a type, honouring the type's concurrency limit across workers.
+   * Claims are serialized per type with an advisory lock so the running count cannot be overshot.
+   * @param {string} type - Job type
+   * @param {Object} options - Registered limits for the type
+   * @returns {Promise<Job|null>} The claimed job, or null if none is runnable
+   */
+  async claim(type, { concurrency, visibilityTimeoutMs }) {
+    return sequelize.transaction(async (transaction) => {
+      const replacements = {
+        type,
+        queued: Job.STATUS.QUEUED,
+        running: Job.STATUS.RUNNING,
+        workerId: this.workerId,
+        nodeId: this.nodeId,
+        visibilityMs: visibilityTimeoutMs,
+        lockKey: `jobs:${type}`,
+      };
+
+      await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:lockKey))', { replacements, transaction });
+
+      const [{ running }] = await sequelize.query(
+        'SELECT count(*)::int AS running FROM jobs WHERE type = :type AND status = :running AND locked_until > now()',
+        { replacements, type: QueryTypes.SELECT, transaction },
+      );
+      if (running >= concurrency) {
+        return null;
+      }
+
+      // Queued jobs that are due, and running jobs whose worker stopped renewing the visibility timeout, except
+      // jobs pinned to another node
+      const [job] = await sequelize.query(`
+        UPDATE jobs
+        SET status = :running,
+            attempts = attempts + 1,
+            locked_by = :workerId,
+            locked_until = now() + (:visibilityMs * interval '1 millisecond'),
+            started_at = now(),
+            updated_at = now()
+        WHERE id = (
+          SELECT id FROM jobs
+          WHERE type = :type
+            AND (node_id IS NULL OR node_id = :nodeId)
+            AND ((status = :queued AND run_at <= now())
+              OR (status = :running AND locked_until <= now() AND attempts < max_attempts))
+          ORDER BY priority DESC, run_at ASC, id ASC
+          LIMIT 1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `, {
+        replacements, type: QueryTypes.SELECT, transaction, model: Job, mapToModel: true,
+      });
+
+      return job || null;
+    });
+  }
+
+  /**
+   * Fail running jobs whose visibility timeout expired on their last attempt
+   * @returns {Promise<number>} Number of jobs failed
+   */
+  async failExpired() {
+    const [count] = await Job.update({
+      status: Job.STATUS.FAILED,
+      finished_at: new Date(),
+      locked_by: null,
+      locked_until: null,
+      last_error: 'Worker stopped before the job finished and no attempts are left',
+    }, {
+      where: {
+        status: Job.STATUS.RUNNING,
+        locked_until: { [Op.lte]: new Date() },
+        attempts: { [Op.gte]: sequelize.col('max_attempts') },
+      },
+    });
+    return count;
+  }
+
+  // Update a job this worker still holds; returns false if the lock was lost to another worker
+  async updateClaimed(job, fields) {
+    const [count] = await Job.update(fields, {
+      where: { id: job.id, status: Job.STATUS.RUNNING, locked_by: this.workerId },
+    });
+    if (count === 0) {
+      console.warn(`⚠️ Job ${job.id} (${job.type}) is no longer held by this worker`);
+    }
+    return count > 0;
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   * @param {Job} job - Claimed job
+   * @param {Object} options - Registered handler and limits for the type
+   */
+  async execute(job, { handler, visibilityTimeoutMs }) {
+    const extendLock = () => this.updateClaimed(job, {
+      locked_until: new Date(Date.now() + visibilityTimeoutMs),
+    });
+
+    // Renew the visibility timeout while the handler runs so no other worker picks the job up
+    const heartbeat = setInterval(() => {
+      extendLock().catch((error) => console.error(`⚠️ Warning: Failed to extend lock of job ${job.id}:`, error));
+    }, Math.max(1000, Math.floor(visibilityTimeoutMs / 2)));
+    heartbeat.unref();
+
+    const context = {
+      isLastAttempt: job.attempts >= job.max_attempts,
+      extendLock,
+      setProgress: (progress) => this.updateClaimed(job, { progress }),
+    };
+
+    try {
+      const outcome = await handler(job, context);
+
+      if (outcome && outcome[RESCHEDULE]) {
+        await this.updateClaimed(job, {
+          status: Job.STATUS.QUEUED,
+          attempts: 0,
+          run_at: new Date(Date.now() + outcome.delayMs),
+          locked_by: null,
+          locked_until: null,
+          result: outcome.result,
+        });
+      } else {
+        await this.updateClaimed(job, {
+          status: Job.STATUS.COMPLETED,
+          finished_at: new Date(),
+          locked_by: null,
+          locked_until: null,
+          result: outcome === undefined ? null : outcome,
+        });
+      }
+    } catch (error) {
+      const retry = isRetryable(error) && job.attempts < job.max_attempts;
+      const message = describeError(error);
+      console.error(`❌ Job ${job.id} (${job.type}) attempt ${job.attempts}/${job.max_attempts} failed:`, message);
+
+      await this.updateClaimed(job, {
+        status: retry ? Job.STATUS.QUEUED : Job.STATUS.FAILED,
+        run_at: retry ? new Date(Date.now() + computeBackoff(job.attempts)) : job.run_at,
+        finished_at: retry ? null : new Date(),
+        locked_by: null,
+        locked_until: null,
+        last_error: message,
+      });
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Claim and start jobs until the worker or a type runs out of slots
+   */
+  async poll() {
+    await this.failExpired();
+
+    for (const [type, options] of this.handlers) {
+      let runningOfType = [...this.running.values()].filter((entry) => entry.type === type).length;
+
+      while (!this.stopping && this.running.size < WORKER_DEFAULTS.concurrency && runningOfType < options.concurrency) {
+        const job = await this.claim(type, options);
+        if (!job) {
+          break;
+        }
+
+        const promise = this.execute(job, options).finally(() => this.running.delete(job.id));
+        this.running.set(job.id, { type, promise });
+        runningOfType += 1;
+      }
+    }
+  }
+
+  /**
+   * Start the worker loop
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.stopping = false;
+
+    const tick = async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        console.error('❌ Job worker poll failed:', error);
+      }
+      if (!this.stopping) {
+        this.timer = setTimeout(tick, WORKER_DEFAULTS.pollIntervalMs);
+      }
+    };
+
+    this.timer = setTimeout(tick, 0);
+  }
+
+  /**
+   * Stop claiming jobs and wait for the running ones to finish
+   * @param {number} timeoutMs - How long to wait before giving up; unfinished jobs are retried by another worker
+   */
+  async stop(timeoutMs = 30000) {
+    this.stopping = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    let timeout;
+    await Promise.race([
+      Promise.allSettled([...this.running.values()].map((entry) => entry.promise)),
+      new Promise((resolve) => { timeout = setTimeout(resolve, timeoutMs); }),
+    ]);
+    clearTimeout(timeout);
+  }
+
+  /**
+   * List a user's jobs, newest first
+   * @param {number} userId - The user ID
+   * @param {Object} options - status, type, limit and offset
+   * @returns {Promise<{count: number, rows: Array<Job>}>} Matching jobs
+   */
+  async listForUser(userId, {
+    status = null, type = null, limit = 50, offset = 0,
+  } = {}) {
+    const where = { user_id: userId };
+    if (status !== null) {
+      where.status = status;
+    }
+    if (type) {
+      where.type = type;
+    }
+    return Job.findAndCountAll({
+      where, order: [['id', 'DESC']], limit, offset,
+    });
+  }
+
+  /**
+   * Get one of a user's jobs
+   * @param {number} userId - The user ID
+   * @param {number} jobId - Job ID
+   * @returns {Promise<Job|null>} The job
+   */
+  async findForUser(userId, jobId) {
+    return Job.findOne({ where: { id: jobId, user_id: userId } });
+  }
+
+  /**
+   * Cancel a job that has not started yet
+   * @param {Job} job - The job
+   * @returns {Promise<boolean>} False if the job was no longer queued
+   */
+  async cancel(job) {
+    const [count] = await Job.update({
+      status: Job.STATUS.CANCELLED,
+      finished_at: new Date(),
+    }, {
+      where: { id: job.id, status: Job.STATUS.QUEUED },
+    });
+    return count > 0;
+  }
+
+  /**
+   * Queue a failed or cancelled job again with a fresh set of attempts
+   * @param {Job} job - The job
+   * @returns {Promise<boolean>} False if the job was still active or had completed
+   */
+  async retry(job) {
+    const [count] = await Job.update({
+      status: Job.STATUS.QUEUED,
+      attempts: 0,
+      run_at: new Date(),
+      finished_at: null,
+    }, {
+      where: { id: job.id, status: [Job.STATUS.FAILED, Job.STATUS.CANCELLED] },
+    });
+    return count > 0;
+  }
+
+  /**
+   * Serialize a job for API responses
+   * @param {Job} job - The job
+   * @returns {Object} Public job summary
+   */
+  describeJob(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.getStatusName(),
+      payload: job.payload,
+      attempts: job.attempts,
+      maxAttempts: job.max_attempts,
+      runAt: job.run_at,
+      startedAt: job.started_at,
+      finishedAt: job.finished_at,
+      progress: job.progress,
+      result: job.result,
+      lastError: job.last_error,
+      createdAt: job.created_at,
+      updatedAt: job.updated_at,
+    };
+  }
+}
+
+const jobQueueService = new JobQueueService();
+jobQueueService.JOB_TYPES = JOB_TYPES;
+jobQueueService.STATUS = Job.STATUS;
+jobQueueService.isRetryable = isRetryable;
+
+module.exports = jobQueueService;
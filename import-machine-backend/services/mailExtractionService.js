@@ -0,0 +1,651 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PSTFile, PSTAttachment } = require('pst-extractor');
+const MsgReader = require('@kenjiuno/msgreader').default;
+
+// Converts mailbox formats other than EML into individual RFC 822 messages that are packaged like uploaded EMLs.
+// Every extracted message carries the folder it was found in: the folder inside a PST, the mbox file (or its Gmail
+// label) and, for every format, the directories of the source file itself.
+
+const SOURCE_FORMATS = {
+  EML: 'eml',
+  MSG: 'msg',
+  MBOX: 'mbox',
+  PST: 'pst',
+};
+
+const FORMAT_BY_EXTENSION = {
+  '.eml': SOURCE_FORMATS.EML,
+  '.msg': SOURCE_FORMATS.MSG,
+  '.mbox': SOURCE_FORMATS.MBOX,
+  '.mbx': SOURCE_FORMATS.MBOX,
+  '.pst': SOURCE_FORMATS.PST,
+};
+
+const SUPPORTED_EXTENSIONS = Object.keys(FORMAT_BY_EXTENSION);
+
+// Why a file of any other type is rejected
+const UNSUPPORTED_FILE_REASON = 'Only .eml, .msg, .mbox and .pst files are accepted';
+
+// PST items that are mail; contacts, appointments, tasks and notes are counted but not extracted
+const PST_MAIL_CLASSES = /^(IPM\.Note|IPM\.Schedule\.Meeting|IPM\.Post|REPORT\.)/i;
+
+// Header fields of the original message that describe its old MIME structure, which is rebuilt on extraction
+const MIME_FIELDS = ['mime-version', 'content-type', 'content-transfer-encoding', 'content-disposition'];
+
+// Extraction errors kept per source; the count of failed messages is always complete
+const MAX_REPORTED_ERRORS = 20;
+
+const CRLF = '\r\n';
+
+// Error with a code that marks a source file as unreadable
+const extractionError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Work out the format of a mail file from its name
+ * @param {string} fileName - File name or path
+ * @returns {string|null} One of SOURCE_FORMATS, or null if the file is not a supported mail file
+ */
+const detectFormat = (fileName) => (typeof fileName === 'string'
+  ? FORMAT_BY_EXTENSION[path.extname(fileName).toLowerCase()] || null
+  : null);
+
+const isSupportedFile = (fileName) => detectFormat(fileName) !== null;
+
+// Sources hold any number of messages and are extracted before packaging; EML files are packaged as they are
+const needsExtraction = (fileName) => {
+  const format = detectFormat(fileName);
+  return format !== null && format !== SOURCE_FORMATS.EML;
+};
+
+// Join folder path segments with forward slashes, dropping empty ones
+const joinFolder = (...segments) => segments
+  .flatMap((segment) => String(segment || '').split('/'))
+  .filter((segment) => segment && segment !== '.')
+  .join('/');
+
+const getStem = (originalName) => {
+  const baseName = path.posix.basename(originalName.replace(/\\/g, '/'));
+  return baseName.slice(0, baseName.length - path.posix.extname(baseName).length) || 'message';
+};
+
+// Folder a source file sits in, plus a folder named after the file for the formats holding many messages
+// (Thunderbird keeps subfolders of "Inbox" in an "Inbox.sbd" directory)
+const getSourceFolder = (originalName, format) => {
+  const directory = path.posix.dirname(originalName.replace(/\\/g, '/')).replace(/\.sbd(\/|$)/g, '$1');
+  if (format === SOURCE_FORMATS.MBOX || format === SOURCE_FORMATS.PST) {
+    return joinFolder(directory, getStem(originalName));
+  }
+  return joinFolder(directory);
+};
+
+const isAscii = (value) => /^[\x20-\x7e]*$/.test(value);
+
+// RFC 2047 encoded words of at most 45 UTF-8 bytes each, so folded lines stay within 78 characters
+const encodeWords = (value) => {
+  const words = [];
+  let current = '';
+  Array.from(value).forEach((character) => {
+    if (Buffer.byteLength(current + character) > 45) {
+      words.push(current);
+      current = '';
+    }
+    current += character;
+  });
+  words.push(current);
+  return words.map((word) => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join(`${CRLF} `);
+};
+
+const encodeHeaderValue = (value) => {
+  const text = String(value).replace(/[\r\n]+/g, ' ').trim();
+  return isAscii(text) ? text : encodeWords(text);
+};
+
+// Display name and address as a mailbox; addresses without an @ (e.g. Exchange X.500 names) are left out
+const formatMailbox = ({ name, email }) => {
+  const address = email && email.includes('@') ? email.trim() : null;
+  if (!address) {
+    return null;
+  }
+  if (!name || name === address) {
+    return address;
+  }
+  const displayName = isAscii(name) ? `"${name.replace(/["\\]/g, '\\$&')}"` : encodeWords(name);
+  return `${displayName} <${address}>`;
+};
+
+const formatMailboxList = (mailboxes) => mailboxes.map(formatMailbox).filter(Boolean).join(`,${CRLF} `);
+
+// RFC 5322 date-time in UTC
+const formatDate = (date) => date.toUTCString().replace(/GMT$/, '+0000');
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+const wrapBase64 = (buffer) => (buffer.toString('base64').match(/.{1,76}/g) || []).join(CRLF);
+
+// Boundaries are derived from the parts they separate, so extracting the same source twice gives identical
+// messages and duplicate detection still recognizes them
+const buildBoundary = (parts) => {
+  const hash = crypto.createHash('sha256');
+  parts.forEach((part) => hash.update(part));
+  return `----=_Part_${hash.digest('hex').slice(0, 32)}`;
+};
+
+const buildMultipart = (subtype, parts) => {
+  const boundary = buildBoundary(parts);
+  const body = Buffer.concat([
+    ...parts.flatMap((part) => [Buffer.from(`--${boundary}${CRLF}`), part, Buffer.from(CRLF)]),
+    Buffer.from(`--${boundary}--${CRLF}`),
+  ]);
+  return { contentType: `multipart/${subtype}; boundary="${boundary}"`, body };
+};
+
+// A MIME entity: its header fields, an empty line and its body
+const buildEntity = (fields, body) => Buffer.concat([
+  Buffer.from(fields.map(([name, value]) => `${name}: ${value}${CRLF}`).join('') + CRLF),
+  body,
+]);
+
+const buildTextPart = (subtype, text) => buildEntity([
+  ['Content-Type', `text/${subtype}; charset=utf-8`],
+  ['Content-Transfer-Encoding', 'base64'],
+], Buffer.from(wrapBase64(Buffer.from(text, 'utf8')) + CRLF));
+
+const buildAttachmentPart = ({
+  fileName, contentType, contentId, content, message,
+}) => {
+  const name = fileName || (message ? 'message.eml' : 'attachment');
+  const disposition = isAscii(name)
+    ? `attachment; filename="${name.replace(/["\\]/g, '\\$&')}"`
+    : `attachment; filename*=UTF-8''${encodeURIComponent(name)}`;
+  const fields = [];
+
+  // Embedded messages stay readable as messages; message/rfc822 parts must not be base64 encoded
+  if (message) {
+    fields.push(['Content-Type', 'message/rfc822']);
+    fields.push(['Content-Transfer-Encoding', message.some((byte) => byte > 0x7f) ? '8bit' : '7bit']);
+    fields.push(['Content-Disposition', disposition]);
+    return buildEntity(fields, message);
+  }
+
+  fields.push(['Content-Type', contentType || 'application/octet-stream']);
+  fields.push(['Content-Transfer-Encoding', 'base64']);
+  fields.push(['Content-Disposition', disposition]);
+  if (contentId) {
+    fields.push(['Content-ID', `<${contentId.replace(/^<|>$/g, '')}>`]);
+  }
+  return buildEntity(fields, Buffer.from(wrapBase64(content) + CRLF));
+};
+
+/**
+ * Keep the header fields of the original transport headers, except the ones describing its MIME structure
+ * @param {string} headerText - Transport message headers as stored by Outlook
+ * @returns {Array<{name: string, lines: Array<string>}>} Fields with their folded lines
+ */
+const parseTransportHeaders = (headerText) => {
+  const fields = [];
+  (headerText || '').split(/\r?\n/).forEach((line) => {
+    if (/^[ \t]/.test(line) && fields.length > 0) {
+      fields[fields.length - 1].lines.push(line);
+    } else if (/^[\x21-\x39\x3b-\x7e]+[ \t]*:/.test(line)) {
+      fields.push({ name: line.slice(0, line.indexOf(':')).trim(), lines: [line] });
+    }
+  });
+  return fields.filter((field) => !MIME_FIELDS.includes(field.name.toLowerCase()));
+};
+
+/**
+ * Compose an RFC 822 message from the properties of an Outlook item.
+ * The transport headers of received mail are kept as they were; fields they lack are filled in from the
+ * item's properties, and a missing Message-ID is derived from the message content.
+ * @param {Object} item - Message properties
+ * @param {string} item.transportHeaders - Original header section, if the item was received
+ * @param {{name: string, email: string}} item.from - Sender
+ * @param {Array<{name: string, email: string}>} item.to - To recipients
+ * @param {Array<{name: string, email: string}>} item.cc - Cc recipients
+ * @param {string} item.subject - Subject
+ * @param {Date} item.date - Sent or delivered date
+ * @param {string} item.messageId - Internet Message-ID
+ * @param {string} item.text - Plain text body
+ * @param {string} item.html - HTML body
+ * @param {Array<Object>} item.attachments - fileName, contentType, contentId and content, or message for an
+ *   embedded message that was already composed
+ * @returns {Buffer} The message
+ */
+const composeMessage = ({
+  transportHeaders, from, to = [], cc = [], subject, date, messageId, text, html, attachments = [],
+}) => {
+  const bodyParts = [];
+  if (text) {
+    bodyParts.push(buildTextPart('plain', text));
+  }
+  if (html) {
+    bodyParts.push(buildTextPart('html', html));
+  }
+  if (bodyParts.length === 0) {
+    bodyParts.push(buildTextPart('plain', ''));
+  }
+
+  let body = bodyParts.length > 1 ? buildMultipart('alternative', bodyParts) : null;
+  if (attachments.length > 0) {
+    const first = body ? buildEntity([['Content-Type', body.contentType]], body.body) : bodyParts[0];
+    body = buildMultipart('mixed', [first, ...attachments.map(buildAttachmentPart)]);
+  }
+
+  // A single body part brings its own Content-* fields; they go into the message header
+  let contentFields;
+  let content;
+  if (body) {
+    contentFields = [['Content-Type', body.contentType]];
+    content = body.body;
+  } else {
+    const separator = bodyParts[0].indexOf(`${CRLF}${CRLF}`);
+    contentFields = bodyParts[0].subarray(0, separator).toString().split(CRLF)
+      .map((line) => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]);
+    content = bodyParts[0].subarray(separator + 4);
+  }
+
+  const kept = parseTransportHeaders(transportHeaders);
+  const has = (name) => kept.some((field) => field.name.toLowerCase() === name);
+  const fields = [];
+  const fromValue = from ? formatMailbox(from) : null;
+  const toValue = formatMailboxList(to);
+  const ccValue = formatMailboxList(cc);
+
+  if (!has('date') && date) {
+    fields.push(['Date', formatDate(date)]);
+  }
+  if (!has('from') && fromValue) {
+    fields.push(['From', fromValue]);
+  }
+  if (!has('to') && toValue) {
+    fields.push(['To', toValue]);
+  }
+  if (!has('cc') && ccValue) {
+    fields.push(['Cc', ccValue]);
+  }
+  if (!has('subject') && subject) {
+    fields.push(['Subject', encodeHeaderValue(subject)]);
+  }
+  if (!has('message-id')) {
+    const id = messageId && /^<?[^<>\s@]+@[^<>\s]+>?$/.test(messageId.trim())
+      ? messageId.trim().replace(/^<?(.*?)>?$/, '<$1>')
+      : `<${crypto.createHash('sha256').update(fields.map((field) => field.join(':')).join(CRLF)).update(content)
+        .digest('hex')
+        .slice(0, 32)}@extracted.import-machine.invalid>`;
+    fields.push(['Message-ID', id]);
+  }
+  fields.push(['MIME-Version', '1.0'], ...contentFields);
+
+  const header = [
+    ...kept.map((field) => field.lines.join(CRLF)),
+    ...fields.map(([name, value]) => `${name}: ${value}`),
+  ].join(CRLF);
+
+  return Buffer.concat([Buffer.from(`${header}${CRLF}${CRLF}`, 'utf8'), content]);
+};
+
+// Read an attachment's data out of a PST in slices
+const readPstAttachment = (attachment) => {
+  const stream = attachment.fileInputStream;
+  if (!stream) {
+    return Buffer.alloc(0);
+  }
+
+  const chunks = [];
+  const slice = Buffer.alloc(8176);
+  let bytesRead;
+  do {
+    bytesRead = stream.read(slice);
+    if (bytesRead > 0) {
+      chunks.push(Buffer.from(slice.subarray(0, bytesRead)));
+    }
+  } while (bytesRead === slice.length);
+  return Buffer.concat(chunks);
+};
+
+const composePstMessage = (message) => {
+  const to = [];
+  const cc = [];
+  for (let index = 0; index < message.numberOfRecipients; index += 1) {
+    const recipient = message.getRecipient(index);
+    if (recipient) {
+      const mailbox = { name: recipient.displayName, email: recipient.smtpAddress || recipient.emailAddress };
+      // MAPI recipient types: 1 is To, 2 is Cc, 3 is Bcc (left out like in a received message)
+      if (recipient.recipientType === 1) {
+        to.push(mailbox);
+      } else if (recipient.recipientType === 2) {
+        cc.push(mailbox);
+      }
+    }
+  }
+
+  const attachments = [];
+  for (let index = 0; index < message.numberOfAttachments; index += 1) {
+    const attachment = message.getAttachment(index);
+    const fileName = attachment.longFilename || attachment.filename;
+    if (attachment.attachMethod === PSTAttachment.ATTACHMENT_METHOD_EMBEDDED) {
+      const embedded = attachment.embeddedPSTMessage;
+      if (embedded) {
+        attachments.push({
+          fileName: fileName || `${embedded.subject || 'message'}.eml`,
+          message: composePstMessage(embedded),
+        });
+      }
+    } else if (attachment.attachMethod !== PSTAttachment.ATTACHMENT_METHOD_NONE) {
+      attachments.push({
+        fileName,
+        contentType: attachment.mimeTag,
+        contentId: attachment.contentId,
+        content: readPstAttachment(attachment),
+      });
+    }
+  }
+
+  return composeMessage({
+    transportHeaders: message.transportMessageHeaders,
+    from: { name: message.senderName, email: message.senderEmailAddress },
+    to,
+    cc,
+    subject: message.subject,
+    date: message.clientSubmitTime || message.messageDeliveryTime,
+    messageId: message.internetMessageId,
+    text: message.body,
+    html: message.bodyHTML,
+    attachments,
+  });
+};
+
+/**
+ * Walk a PST folder tree depth first and yield every mail item with the folder path it was found in
+ * @param {string} filePath - Path of the PST file
+ * @param {string} baseFolder - Folder of the PST file itself
+ * @param {Object} stats - Extraction stats, updated with skipped non-mail items
+ */
+async function* extractPst(filePath, baseFolder, stats) {
+  let pstFile;
+  try {
+    pstFile = new PSTFile(filePath);
+  } catch (error) {
+    throw extractionError('UNREADABLE_SOURCE', `Not a readable PST file: ${error.message}`);
+  }
+
+  try {
+    const walk = function* walk(folder, folderPath) {
+      if (folder.contentCount > 0) {
+        let item = folder.getNextChild();
+        while (item) {
+          if (PST_MAIL_CLASSES.test(item.messageClass || '')) {
+            try {
+              yield { folder: folderPath, content: composePstMessage(item) };
+            } catch (error) {
+              yield { folder: folderPath, error: `Could not convert "${item.subject || 'message'}": ${error.message}` };
+            }
+          } else {
+            stats.itemsSkipped += 1;
+          }
+          item = folder.getNextChild();
+        }
+      }
+
+      if (folder.hasSubfolders) {
+        for (const subfolder of folder.getSubFolders()) {
+          yield* walk(subfolder, joinFolder(folderPath, subfolder.displayName));
+        }
+      }
+    };
+
+    // The root folder of a PST has no name; its children are the folders users see
+    for (const message of walk(pstFile.getRootFolder(), baseFolder)) {
+      yield message;
+    }
+  } finally {
+    pstFile.close();
+  }
+}
+
+const composeMsgFields = (reader, fields) => {
+  const recipients = fields.recipients || [];
+  const toMailbox = (recipient) => ({ name: recipient.name, email: recipient.smtpAddress || recipient.email });
+
+  const attachments = (fields.attachments || []).map((attachment) => {
+    if (attachment.innerMsgContent && attachment.innerMsgContentFields) {
+      const inner = attachment.innerMsgContentFields;
+      return {
+        fileName: `${inner.subject || attachment.name || 'message'}.eml`,
+        message: composeMsgFields(reader, inner),
+      };
+    }
+    const { fileName, content } = reader.getAttachment(attachment);
+    return {
+      fileName,
+      contentType: attachment.attachMimeTag,
+      contentId: attachment.pidContentId,
+      content: Buffer.from(content),
+    };
+  });
+
+  return composeMessage({
+    transportHeaders: fields.headers,
+    from: { name: fields.senderName, email: fields.senderSmtpAddress || fields.senderEmail },
+    to: recipients.filter((recipient) => recipient.recipType === 'to').map(toMailbox),
+    cc: recipients.filter((recipient) => recipient.recipType === 'cc').map(toMailbox),
+    subject: fields.subject,
+    date: toDate(fields.clientSubmitTime) || toDate(fields.messageDeliveryTime) || toDate(fields.creationTime),
+    messageId: fields.messageId,
+    text: fields.body,
+    html: fields.bodyHtml || (fields.html ? Buffer.from(fields.html).toString('utf8') : null),
+    attachments,
+  });
+};
+
+async function* extractMsg(filePath, baseFolder) {
+  const buffer = await fs.promises.readFile(filePath);
+  let reader;
+  let fields;
+  try {
+    reader = new MsgReader(new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength));
+    fields = reader.getFileData();
+  } catch (error) {
+    throw extractionError('UNREADABLE_SOURCE', `Not a readable MSG file: ${error.message}`);
+  }
+  if (fields.error) {
+    throw extractionError('UNREADABLE_SOURCE', `Not a readable MSG file: ${fields.error}`);
+  }
+
+  yield { folder: baseFolder, content: composeMsgFields(reader, fields) };
+}
+
+// Gmail labels of a Google Takeout message; the first one is used as its folder instead of the mbox file
+const getGmailFolder = (message) => {
+  const start = message.subarray(0, 64 * 1024).toString('latin1');
+  const separator = /\r?\n\r?\n/.exec(start);
+  const header = (separator ? start.slice(0, separator.index) : start).replace(/\r?\n[ \t]+/g, ' ');
+  const match = /^X-Gmail-Labels:[ \t]*(.*)$/im.exec(header);
+  if (!match) {
+    return null;
+  }
+  const [label] = match[1].split(',').map((value) => value.trim()).filter(Boolean);
+  return label || null;
+};
+
+/**
+ * Split an mbox file into its messages, streaming it line by line.
+ * Messages start at a "From " line at the top of the file or after an empty line; ">From " lines are
+ * unescaped the mboxrd way. Messages larger than maxMessageBytes are skipped and reported.
+ * @param {string} filePath - Path of the mbox file
+ * @param {string} baseFolder - Folder the mbox file stands for
+ * @param {string} directory - Folder the mbox file sits in, under which Gmail labels are placed
+ * @param {number} maxMessageBytes - Largest message kept in memory
+ */
+async function* extractMbox(filePath, baseFolder, directory, maxMessageBytes) {
+  let lines = [];
+  let size = 0;
+  let tooLarge = false;
+  let started = false;
+  let previousEmpty = true;
+  let leftover = Buffer.alloc(0);
+
+  const finish = () => {
+    // The empty line before the next "From " line separates messages and is not part of this one
+    if (lines.length > 0 && /^\r?\n$/.test(lines[lines.length - 1].toString('latin1'))) {
+      size -= lines.pop().length;
+    }
+    const message = Buffer.concat(lines);
+    const label = tooLarge ? null : getGmailFolder(message);
+    const result = tooLarge
+      ? { folder: baseFolder, error: `Message exceeds the ${maxMessageBytes} byte limit`, size }
+      : { folder: label ? joinFolder(directory, label) : baseFolder, content: message };
+    lines = [];
+    size = 0;
+    tooLarge = false;
+    return result;
+  };
+
+  const readLine = function* readLine(line) {
+    const isEmpty = line.length <= 2 && /^\r?\n?$/.test(line.toString('latin1'));
+    if (previousEmpty && line.subarray(0, 5).toString('latin1') === 'From ') {
+      if (started) {
+        yield finish();
+      }
+      started = true;
+    } else if (!started) {
+      if (!isEmpty) {
+        throw extractionError('UNREADABLE_SOURCE', 'Not an mbox file: it does not start with a "From " line');
+      }
+    } else {
+      const unescaped = /^>+From /.test(line.subarray(0, 64).toString('latin1')) ? line.subarray(1) : line;
+      size += unescaped.length;
+      if (size > maxMessageBytes) {
+        tooLarge = true;
+        lines = [];
+      } else if (!tooLarge) {
+        lines.push(unescaped);
+      }
+    }
+    previousEmpty = isEmpty;
+  };
+
+  for await (const chunk of fs.createReadStream(filePath)) {
+    let data = leftover.length > 0 ? Buffer.concat([leftover, chunk]) : chunk;
+    let newline = data.indexOf(0x0a);
+    while (newline >= 0) {
+      yield* readLine(data.subarray(0, newline + 1));
+      data = data.subarray(newline + 1);
+      newline = data.indexOf(0x0a);
+    }
+    leftover = Buffer.from(data);
+  }
+  if (leftover.length > 0) {
+    yield* readLine(leftover);
+  }
+  if (started) {
+    yield finish();
+  }
+}
+
+/**
+ * Create the stats kept for one source file
+ * @param {Object} source - The source: name, format and size
+ * @returns {Object} Empty stats
+ */
+const createStats = (source) => ({
+  name: source.name,
+  format: source.format,
+  size: source.size,
+  status: 'pending',
+  messagesExtracted: 0,
+  messagesFailed: 0,
+  bytesExtracted: 0,
+  itemsSkipped: 0,
+  folders: [],
+  errors: [],
+  error: null,
+  startedAt: null,
+  completedAt: null,
+});
+
+/**
+ * Extract the messages of a source file.
+ * Yields {name, folder, content} for every message and {name, folder, error, size} for messages that cannot be
+ * converted; names are the folder path plus a file name numbered per source. Stats are updated as messages are
+ * yielded. A source that cannot be read at all throws.
+ * @param {Object} source - The source file
+ * @param {string} source.path - Where the file is stored
+ * @param {string} source.name - Original file name, with its path relative to the selection
+ * @param {string} source.format - One of SOURCE_FORMATS other than EML
+ * @param {Object} stats - Stats from createStats
+ * @param {Object} options - Extraction options
+ * @param {number} options.maxMessageBytes - Messages larger than this are reported instead of extracted
+ */
+async function* extractMessages(source, stats, { maxMessageBytes }) {
+  const baseFolder = getSourceFolder(source.name, source.format);
+  const folders = new Map(stats.folders.map((folder) => [folder.path, folder]));
+  const stem = getStem(source.name);
+  let sequence = 0;
+  let messages;
+
+  if (source.format === SOURCE_FORMATS.PST) {
+    messages = extractPst(source.path, baseFolder, stats);
+  } else if (source.format === SOURCE_FORMATS.MSG) {
+    messages = extractMsg(source.path, baseFolder);
+  } else if (source.format === SOURCE_FORMATS.MBOX) {
+    const directory = getSourceFolder(source.name, SOURCE_FORMATS.EML);
+    messages = extractMbox(source.path, baseFolder, directory, maxMessageBytes);
+  } else {
+    throw extractionError('UNSUPPORTED_FORMAT', `${source.name} is not a PST, MBOX or MSG file`);
+  }
+
+  for await (const extracted of messages) {
+    sequence += 1;
+    const fileName = source.format === SOURCE_FORMATS.MSG
+      ? `${stem}.eml`
+      : `${stem}-${String(sequence).padStart(6, '0')}.eml`;
+    const message = extracted.content && extracted.content.length > maxMessageBytes
+      ? {
+        folder: extracted.folder,
+        error: `Message exceeds the ${maxMessageBytes} byte limit`,
+        size: extracted.content.length,
+      }
+      : extracted;
+    message.name = joinFolder(message.folder, fileName);
+    if (!folders.has(message.folder)) {
+      const folder = { path: message.folder, messages: 0 };
+      folders.set(message.folder, folder);
+      stats.folders.push(folder);
+    }
+
+    if (message.error) {
+      yield message;
+      stats.messagesFailed += 1;
+      if (stats.errors.length < MAX_REPORTED_ERRORS) {
+        stats.errors.push(`${message.folder || '/'}: ${message.error}`);
+      }
+    } else {
+      yield message;
+      stats.messagesExtracted += 1;
+      stats.bytesExtracted += message.content.length;
+      folders.get(message.folder).messages += 1;
+    }
+  }
+}
+
+module.exports = {
+  SOURCE_FORMATS,
+  SUPPORTED_EXTENSIONS,
+  UNSUPPORTED_FILE_REASON,
+  detectFormat,
+  isSupportedFile,
+  needsExtraction,
+  composeMessage,
+  createStats,
+  extractMessages,
+};
@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const path = require('path');
+const Ajv = require('ajv');
+const { v5: uuidv5 } = require('uuid');
+const manifestSchemaV1 = require('../schemas/manifest-1.0.schema.json');
+const manifestSchemaV11 = require('../schemas/manifest-1.1.schema.json');
+
+// Manifest generation and validation shared by every packaging path (browser uploads, server sources,
+// S3 repackaging) and by the manifest validation endpoint
+
+// Container formats, as named in archive batches (containerType)
+const CONTAINER_FORMATS = {
+  ZIP: 'zip',
+  TAR_GZ: 'tar.gz',
+};
+
+// Container types written to the manifest, by container format
+const CONTAINER_TYPES = {
+  [CONTAINER_FORMATS.ZIP]: 'container/zip',
+  [CONTAINER_FORMATS.TAR_GZ]: 'container/tar.gz',
+};
+
+// Format used when neither the upload nor its ingestion point picks one
+const DEFAULT_CONTAINER_FORMAT = Object.values(CONTAINER_FORMATS).includes(process.env.PACKAGING_CONTAINER_FORMAT)
+  ? process.env.PACKAGING_CONTAINER_FORMAT
+  : CONTAINER_FORMATS.ZIP;
+
+const CONTAINER_EXTENSION = /\.(zip|tar\.gz)$/;
+
+const isContainerFormat = (format) => Object.values(CONTAINER_FORMATS).includes(format);
+
+// JSON Schema of each manifest version; new manifests are generated and checked against MANIFEST_VERSION
+const MANIFEST_SCHEMAS = Object.fromEntries([
+  ['1.0', manifestSchemaV1],
+  ['1.1', manifestSchemaV11],
+]);
+const MANIFEST_VERSION = '1.1';
+
+const ajv = new Ajv({ allErrors: true });
+const schemaValidators = new Map(Object.entries(MANIFEST_SCHEMAS)
+  .map(([version, schema]) => [version, ajv.compile(schema)]));
+
+// Namespace of reconciliation IDs; changing it would give every message a new ID
+const RECONCILIATION_NAMESPACE = 'f9a6b853-23c2-4991-86f3-fcfd012df37a';
+
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const NIL_GUID_PATTERN = /^[0-]+$/;
+
+// Error with a code and, for validation failures, the individual problems
+const manifestError = (code, message, details = null) => {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Check that a customer GUID is a real GUID: well-formed and not the nil GUID
+ * @param {string} value - Customer GUID
+ * @returns {boolean} True if manifests can be generated for it
+ */
+const isCustomerGuid = (value) => typeof value === 'string'
+  && GUID_PATTERN.test(value)
+  && !NIL_GUID_PATTERN.test(value);
+
+// Readable message for a schema violation
+const describeSchemaError = (error) => {
+  if (error.keyword === 'not') {
+    return 'must not be the nil GUID';
+  }
+  if (error.keyword === 'additionalProperties') {
+    return `must not have the additional property "${error.params.additionalProperty}"`;
+  }
+  return error.message;
+};
+
+// Rules a JSON Schema cannot express: the container type must match the container name, and entries must be unique
+const checkConsistency = (manifest) => {
+  const errors = [];
+  const format = Object.keys(CONTAINER_TYPES).find((name) => manifest.container.endsWith(`.${name}`));
+  if (CONTAINER_TYPES[format] !== manifest.container_type) {
+    errors.push({
+      path: '/container_type',
+      message: `"${manifest.container_type}" does not match the container name "${manifest.container}"`,
+    });
+  }
+
+  ['container_entry_id', 'reconciliation_id'].forEach((field) => {
+    const seen = new Set();
+    manifest.entries.forEach((entry, index) => {
+      if (seen.has(entry[field])) {
+        errors.push({
+          path: `/entries/${index}/${field}`,
+          message: `duplicates "${entry[field]}" of an earlier entry`,
+        });
+      }
+      seen.add(entry[field]);
+    });
+  });
+  return errors;
+};
+
+/**
+ * Validate a manifest against the JSON Schema of a manifest version
+ * @param {Object} manifest - Manifest object
+ * @param {string} version - Manifest version to validate against; defaults to the current one
+ * @returns {{valid: boolean, version: string, errors: Array<{path: string, message: string}>}} Validation result
+ */
+const validateManifest = (manifest, version = MANIFEST_VERSION) => {
+  const validate = schemaValidators.get(version);
+  if (!validate) {
+    const known = Object.keys(MANIFEST_SCHEMAS).join(', ');
+    throw manifestError('UNKNOWN_VERSION', `Unknown manifest version "${version}"; known versions are ${known}`);
+  }
+
+  const errors = validate(manifest)
+    ? checkConsistency(manifest)
+    : validate.errors.map((error) => ({ path: error.instancePath || '/', message: describeSchemaError(error) }));
+  return { valid: errors.length === 0, version, errors };
+};
+
+/**
+ * Validate a generated manifest against the current version and refuse it if it does not conform
+ * @param {Object} manifest - Manifest object
+ * @returns {Object} The manifest
+ */
+const assertValidManifest = (manifest) => {
+  const { valid, errors } = validateManifest(manifest);
+  if (!valid) {
+    const summary = errors.map((error) => `${error.path} ${error.message}`).join('; ');
+    throw manifestError(
+      'INVALID_MANIFEST',
+      `Manifest for ${manifest.container} does not match manifest schema ${MANIFEST_VERSION}: ${summary}`,
+      errors,
+    );
+  }
+  return manifest;
+};
+
+/**
+ * Build the container name used for a new batch
+ * @param {Date} date - Timestamp to embed in the name
+ * @param {number|null} part - 1-based container number when a selection is split into several containers
+ * @param {string} format - Container format, which sets the extension
+ * @returns {string} Container file name
+ */
+const buildContainerName = (date = new Date(), part = null, format = CONTAINER_FORMATS.ZIP) => {
+  const timestamp = date.toISOString().replace(/[:.]/g, '-');
+  const suffix = part ? `_part${String(part).padStart(3, '0')}` : '';
+  return `compressed_messages_${timestamp}${suffix}.${format}`;
+};
+
+/**
+ * Strip the container extension from a container name or key
+ * @param {string} containerName - Container name or S3 key
+ * @returns {string} The name without .zip or .tar.gz
+ */
+const getContainerBaseName = (containerName) => containerName.replace(CONTAINER_EXTENSION, '');
+
+/**
+ * Derive the manifest key that sits next to a container key
+ * @param {string} containerKey - S3 key of the container
+ * @returns {string} S3 key of the manifest
+ */
+const getManifestKey = (containerKey) => `${getContainerBaseName(containerKey)}.manifest.json`;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Derive the reconciliation ID of a message. The same content sent for the same customer to the same ingestion
+ * point always gets the same ID, so retries and re-uploads can be joined to the import files of earlier attempts.
+ * @param {string} customerGUID - Customer GUID from the user's configuration
+ * @param {string} ingestionPoint - ID of the ingestion point the message is sent to, or s3://bucket/prefix for an
+ *   upload outside an import job
+ * @param {string} contentHash - SHA-256 hex digest of the message
+ * @returns {string} UUIDv5
+ */
+const buildReconciliationId = (customerGUID, ingestionPoint, contentHash) => uuidv5(
+  [customerGUID.toLowerCase(), ingestionPoint, contentHash.toLowerCase()].join('\n'),
+  RECONCILIATION_NAMESPACE,
+);
+
+// Folder a packaged file was found in: the folder of an extracted message, else the directory of the file's name
+const getEntryFolder = (entry) => {
+  const folder = entry.origin ? entry.origin.folder : path.posix.dirname(entry.originalName || entry.name);
+  return folder && folder !== '.' ? folder : null;
+};
+
+// Drop the fields a message does not have; the per-entry metadata of a manifest is optional
+const compact = (fields) => Object.fromEntries(Object.entries(fields)
+  .filter(([, value]) => value !== null && value !== undefined));
+
+/**
+ * Describe one packaged file as a manifest entry, with the metadata read from its headers and the upload's tags
+ * @param {Object} entry - Packaged file: reconciliation ID, name, sha256, size and, once inspected, the message
+ *   header fields
+ * @param {string|null} custodian - Custodian of the upload
+ * @returns {Object} Manifest entry
+ */
+const describeEntry = (entry, custodian) => {
+  const message = entry.message || {};
+  const tags = compact({ custodian, folder: getEntryFolder(entry) });
+
+  return compact({
+    reconciliation_id: entry.reconciliationId,
+    container_entry_id: entry.name,
+    message_id: message.messageId,
+    sha256: entry.sha256,
+    size: entry.size,
+    date: message.date,
+    from: message.from,
+    to: message.to && message.to.length > 0 ? message.to : null,
+    subject_hash: message.subject ? sha256(message.subject) : null,
+    tags: Object.keys(tags).length > 0 ? tags : null,
+  });
+};
+
+/**
+ * Generate the manifest for a packaged container.
+ * Refuses to run without a real customer GUID; a manifest for the wrong customer would be imported silently.
+ * @param {Object} options - Manifest options
+ * @param {string} options.customerGUID - Customer GUID from the user's configuration
+ * @param {string} options.containerName - Name of the container file
+ * @param {string} options.containerHash - SHA-256 hex digest of the container
+ * @param {string} options.containerFormat - Format the container was written in
+ * @param {Array<Object>} options.entries - Files packaged into the container
+ * @param {string|null} options.custodian - Custodian tagged on every entry, if the upload names one
+ * @returns {Object} Manifest object
+ */
+const generateManifest = ({
+  customerGUID, containerName, containerHash, containerFormat = CONTAINER_FORMATS.ZIP, entries, custodian = null,
+}) => {
+  if (!isCustomerGuid(customerGUID)) {
+    throw manifestError(
+      'INVALID_CUSTOMER_GUID',
+      `Customer GUID "${customerGUID || ''}" is not a valid GUID. Please configure it in the Config page.`,
+    );
+  }
+
+  return {
+    customer_guid: customerGUID,
+    container_type: CONTAINER_TYPES[containerFormat],
+    container: containerName,
+    container_hash: containerHash,
+    entries: entries.map((entry) => describeEntry(entry, custodian)),
+  };
+};
+
+/**
+ * Serialize a manifest and compute the digest submitted to the archive
+ * @param {Object} manifest - Manifest object
+ * @returns {{body: string, digest: string}} Manifest JSON and its SHA-256 hex digest
+ */
+const serializeManifest = (manifest) => {
+  const body = JSON.stringify(manifest, null, 2);
+  const digest = sha256(body);
+  return { body, digest };
+};
+
+module.exports = {
+  CONTAINER_FORMATS,
+  CONTAINER_TYPES,
+  DEFAULT_CONTAINER_FORMAT,
+  MANIFEST_SCHEMAS,
+  MANIFEST_VERSION,
+  isContainerFormat,
+  isCustomerGuid,
+  buildReconciliationId,
+  validateManifest,
+  assertValidManifest,
+  buildContainerName,
+  getContainerBaseName,
+  getManifestKey,
+  generateManifest,
+  serializeManifest,
+};
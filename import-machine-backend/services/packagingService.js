@@ -0,0 +1,1528 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const { Op } = require('sequelize');
+const archiver = require('archiver');
+const s3Service = require('./s3Service');
+const batchTrackingService = require('./batchTrackingService');
+const batchSubmissionService = require('./batchSubmissionService');
+const jobQueueService = require('./jobQueueService');
+const eventService = require('./eventService');
+const { validateEmlFile, describeMessage, summarizeErrors } = require('./emlValidationService');
+const {
+  detectFormat,
+  needsExtraction,
+  createStats,
+  extractMessages,
+} = require('./mailExtractionService');
+const { UploadSet, UploadFile } = require('../models');
+const { getConfig } = require('../config/shared');
+const {
+  CONTAINER_FORMATS,
+  DEFAULT_CONTAINER_FORMAT,
+  MANIFEST_VERSION,
+  buildContainerName,
+  buildReconciliationId,
+  getManifestKey,
+  generateManifest,
+  assertValidManifest,
+  isCustomerGuid,
+  serializeManifest,
+} = require('./manifestService');
+
+const STATUS = {
+  RECEIVING: 'receiving',
+  PACKAGING: 'packaging',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+const CONTAINER_STATUS = {
+  PENDING: 'pending',
+  PACKAGING: 'packaging',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+const SUBMISSION_STATUS = {
+  SUBMITTED: 'submitted',
+  FAILED: 'failed',
+};
+
+const MB = 1024 * 1024;
+
+// Stands in for the container hash when manifests are checked before their container exists
+const DRAFT_CONTAINER_HASH = '0'.repeat(64);
+
+// Split limits applied when an upload does not override them
+const DEFAULT_LIMITS = {
+  maxContainerBytes: (parseInt(process.env.PACKAGING_MAX_CONTAINER_MB, 10) || 1024) * MB,
+  maxContainerEntries: parseInt(process.env.PACKAGING_MAX_CONTAINER_ENTRIES, 10) || 10000,
+  maxMessageBytes: (parseInt(process.env.PACKAGING_MAX_MESSAGE_MB, 10) || 50) * MB,
+};
+
+// Finished sessions stay queryable for an hour so the Upload page can pick up the result
+const SESSION_TTL_MS = 60 * 60 * 1000;
+
+// Upload sets still receiving files after this long without a file or chunk arriving are given up on, and their
+// spooled files and partial uploads deleted
+const RECEIVING_EXPIRY_MS = (parseFloat(process.env.UPLOAD_SET_EXPIRY_HOURS) || 24) * 60 * 60 * 1000;
+
+// How often upload sets are checked for expiry
+const EXPIRY_SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+// While a session is packaged its progress is pushed to the owner's event stream at most this often
+const PROGRESS_EVENT_INTERVAL_MS = 500;
+
+/**
+ * Merge per-upload limit overrides with the configured defaults
+ * @param {Object} overrides - Optional maxContainerBytes, maxContainerEntries and maxMessageBytes
+ * @returns {Object} Effective limits
+ */
+const resolveLimits = (overrides = {}) => {
+  const limits = { ...DEFAULT_LIMITS };
+  Object.keys(DEFAULT_LIMITS).forEach((name) => {
+    const value = parseInt(overrides[name], 10);
+    if (value > 0) {
+      limits[name] = value;
+    }
+  });
+
+  // A single message must always fit into a container on its own
+  limits.maxMessageBytes = Math.min(limits.maxMessageBytes, limits.maxContainerBytes);
+  return limits;
+};
+
+/**
+ * Split files into containers, in selection order, without exceeding the byte or entry limits.
+ * Sizes are uncompressed message sizes, so the resulting containers are never larger than planned.
+ * @param {Array<{size: number}>} files - Files to package
+ * @param {Object} limits - Effective limits
+ * @returns {Array<Array<Object>>} Files grouped per container
+ */
+const planContainers = (files, limits) => {
+  const containers = [];
+  let current = [];
+  let currentBytes = 0;
+
+  files.forEach((file) => {
+    const full = current.length >= limits.maxContainerEntries
+      || (current.length > 0 && currentBytes + file.size > limits.maxContainerBytes);
+
+    if (full) {
+      containers.push(current);
+      current = [];
+      currentBytes = 0;
+    }
+    current.push(file);
+    currentBytes += file.size;
+  });
+
+  if (current.length > 0) {
+    containers.push(current);
+  }
+  return containers;
+};
+
+// Pass-through stream that hashes and counts everything written through it, optionally capped at maxBytes
+const createHashingStream = (maxBytes = null) => {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (maxBytes && size > maxBytes) {
+        const error = new Error(`Message exceeds the ${maxBytes} byte limit`);
+        error.code = 'MESSAGE_TOO_LARGE';
+        callback(error);
+        return;
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+
+  return {
+    stream,
+    digest: () => hash.digest('hex'),
+    getSize: () => size,
+  };
+};
+
+// Pick a container entry name that does not collide with files already in the session
+const reserveEntryName = (session, fileName) => {
+  const baseName = path.basename(fileName.replace(/\\/g, '/')) || 'message.eml';
+  const extension = path.extname(baseName);
+  const stem = baseName.slice(0, baseName.length - extension.length);
+
+  let candidate = baseName;
+  let counter = 1;
+  while (session.entryNames.has(candidate.toLowerCase())) {
+    candidate = `${stem}_${counter}${extension}`;
+    counter += 1;
+  }
+
+  session.entryNames.add(candidate.toLowerCase());
+  return candidate;
+};
+
+// Delete a session's spool directory; failures are logged, never thrown
+const removeSpool = async (session) => {
+  try {
+    await fs.promises.rm(session.dir, { recursive: true, force: true });
+  } catch (error) {
+    console.error(`⚠️ Warning: Failed to remove spool directory for session ${session.id}:`, error);
+  }
+};
+
+/**
+ * Pick out messages that must not be sent to the archive again: content already ingested for the
+ * customer GUID, and repeats of a message earlier in the same selection
+ * @param {Array<Object>} files - Spooled files, in selection order
+ * @param {string} customerGUID - Customer GUID the containers are packaged for
+ * @returns {Promise<Array<Object>>} Skipped files, each with the original it duplicates
+ */
+const findDuplicates = async (files, customerGUID) => {
+  const ingested = await batchTrackingService.findIngestedDuplicates(customerGUID, files.map((file) => file.sha256));
+  const firstCopies = new Map();
+  const skipped = [];
+
+  files.forEach((file) => {
+    const duplicate = { name: file.name, size: file.size, sha256: file.sha256 };
+    const ingestedCopy = ingested.get(file.sha256);
+    const firstCopy = firstCopies.get(file.sha256);
+
+    if (ingestedCopy) {
+      skipped.push({ ...duplicate, original: { ...ingestedCopy, sameUploadSet: false } });
+    } else if (firstCopy) {
+      skipped.push({ ...duplicate, original: { path: firstCopy.name, batchId: null, sameUploadSet: true } });
+    } else {
+      firstCopies.set(file.sha256, file);
+    }
+  });
+
+  return skipped;
+};
+
+// Error with a code routes can map onto an HTTP status
+const packagingError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Persist session state to its upload set record; the in-memory session stays authoritative
+const saveUploadSet = async (session, fields) => {
+  try {
+    await session.uploadSet.update(fields);
+  } catch (error) {
+    console.error(`⚠️ Warning: Failed to save upload set ${session.id}:`, error);
+  }
+};
+
+// Container details stored on the upload set (manifests stay in memory, they can be large)
+const toContainerRecord = (container) => ({
+  index: container.index,
+  containerName: container.containerName,
+  containerKey: container.containerKey,
+  manifestKey: container.manifestKey,
+  fileCount: container.fileCount,
+  totalBytes: container.totalBytes,
+  status: container.status,
+  containerHash: container.containerHash || null,
+  containerSize: container.containerSize || null,
+  manifestDigest: container.manifestDigest || null,
+  manifestVersion: container.manifestVersion || null,
+  batchId: container.batchId || null,
+  submission: container.submission || null,
+  error: container.error || null,
+});
+
+// Session progress with the overall percentage, as reported by the API and the event stream
+const describeProgress = (session) => {
+  const { progress } = session;
+  // Once containers are planned, skipped duplicates no longer count towards the bytes to package
+  const bytesToPackage = session.containers.length > 0
+    ? session.containers.reduce((sum, container) => sum + container.totalBytes, 0)
+    : session.totalBytes;
+  let percent = bytesToPackage > 0
+    ? Math.min(100, Math.round((progress.bytesPackaged / bytesToPackage) * 100))
+    : 0;
+  // Files read from a server source count towards the reading phase until every one is spooled
+  if (progress.phase === 'reading') {
+    percent = progress.bytesFound > 0 ? Math.min(100, Math.round((progress.bytesRead / progress.bytesFound) * 100)) : 0;
+  }
+  if (progress.phase === 'extracting') {
+    percent = Math.round((progress.sourcesExtracted / session.sources.length) * 100);
+  }
+
+  return {
+    ...progress,
+    totalFiles: session.files.length,
+    percent: session.status === STATUS.COMPLETED ? 100 : percent,
+  };
+};
+
+// What reconciliation IDs are scoped to: the ingestion point of an import job upload, else the S3 destination
+const getIngestionPointKey = (session) => (session.submission && session.submission.ingestionPointId
+  ? String(session.submission.ingestionPointId)
+  : `s3://${session.bucketName}/${session.prefix}`);
+
+// In-memory packaging session for an upload set that is receiving files
+const buildSession = (uploadSet, {
+  createdBy, validate = true, releasedFrom = null, dir,
+}) => ({
+  id: uploadSet.id,
+  userId: uploadSet.userId,
+  createdBy,
+  uploadSet,
+  bucketName: uploadSet.bucketName,
+  prefix: uploadSet.prefix,
+  limits: uploadSet.limits,
+  containerFormat: uploadSet.containerFormat,
+  custodian: uploadSet.custodian,
+  submission: uploadSet.submission,
+  validate,
+  releasedFrom,
+  dir,
+  status: STATUS.RECEIVING,
+  files: [],
+  sources: [],
+  rejected: [],
+  skipped: [],
+  quarantined: [],
+  entryNames: new Set(),
+  nextIndex: 0,
+  totalBytes: 0,
+  containers: [],
+  progress: {
+    phase: STATUS.RECEIVING,
+    filesFound: 0,
+    bytesFound: 0,
+    filesRead: 0,
+    bytesRead: 0,
+    sourcesExtracted: 0,
+    messagesExtracted: 0,
+    filesValidated: 0,
+    filesPackaged: 0,
+    bytesPackaged: 0,
+    containersCompleted: 0,
+    currentContainer: 0,
+    partsUploaded: 0,
+    bytesUploaded: 0,
+  },
+  error: null,
+  createdAt: uploadSet.createdAt,
+  updatedAt: new Date(),
+});
+
+// Spool path of the file at a position in the selection; the position also orders the files on restore.
+// PST, MBOX and MSG sources keep their own extension so a restored session can tell them from messages.
+const getSpoolPath = (session, index, format = 'eml') => path.join(
+  session.dir,
+  `${String(index).padStart(6, '0')}.${format}`,
+);
+
+const hashFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+};
+
+// Add a spooled file to the session and record it so the session can be restored after a restart. Messages
+// extracted from a source are not recorded: a restored session extracts its sources again.
+const addFile = async (session, file) => {
+  session.files.push(file);
+  session.totalBytes += file.size;
+  session.updatedAt = new Date();
+
+  if (file.uploadId || file.origin) {
+    return;
+  }
+  try {
+    await UploadFile.create({
+      uploadSetId: session.id,
+      name: file.originalName,
+      size: file.size,
+      offset: file.size,
+      status: UploadFile.STATUS.COMPLETED,
+      entryName: file.name,
+      spoolPath: file.path,
+      sha256: file.sha256,
+    });
+  } catch (error) {
+    console.error(`⚠️ Warning: Failed to record file ${file.name} of session ${session.id}:`, error);
+  }
+};
+
+// Add a spooled PST, MBOX or MSG file to the session; its messages are extracted when the session is packaged
+const addSource = async (session, source) => {
+  session.sources.push(source);
+  session.updatedAt = new Date();
+
+  if (source.uploadId) {
+    return;
+  }
+  try {
+    await UploadFile.create({
+      uploadSetId: session.id,
+      name: source.name,
+      size: source.size,
+      offset: source.size,
+      status: UploadFile.STATUS.COMPLETED,
+      spoolPath: source.path,
+      sha256: source.sha256,
+    });
+  } catch (error) {
+    console.error(`⚠️ Warning: Failed to record source ${source.name} of session ${session.id}:`, error);
+  }
+};
+
+// Source file details and extraction stats stored on the upload set and the first batch
+const toSourceRecord = (source) => ({ ...source.stats, sha256: source.sha256 });
+
+class PackagingService {
+  constructor() {
+    this.sessions = new Map(); // Packaging sessions keyed by upload set ID
+    this.restoring = new Map(); // Pending session restores keyed by upload set ID
+    this.workDir = process.env.PACKAGING_WORK_DIR || path.join(__dirname, '..', 'data', 'packaging');
+    this.quarantineDir = path.join(this.workDir, 'quarantine');
+    this.expiryTimer = null;
+  }
+
+  /**
+   * Get the default container split limits
+   * @returns {Object} Default limits
+   */
+  getDefaultLimits() {
+    return { ...DEFAULT_LIMITS };
+  }
+
+  /**
+   * Create an upload set and the packaging session that EML files are streamed into
+   * @param {number} userId - The user ID
+   * @param {Object} options - Destination options
+   * @param {string} options.createdBy - Username recorded on the batches created for this upload
+   * @param {string} options.bucketName - Destination S3 bucket
+   * @param {string} options.prefix - Destination folder inside the bucket
+   * @param {Object} options.limits - Optional container split limit overrides
+   * @param {string} options.containerFormat - Format the containers are written in: zip or tar.gz
+   * @param {string} options.custodian - Optional custodian tagged on every manifest entry
+   * @param {Object} options.submission - Optional import job to submit every container to (importJobAid,
+   *   batchName, description)
+   * @param {boolean} options.validate - Quarantine messages that fail EML validation instead of packaging them
+   * @param {Object} options.releasedFrom - Quarantined files this upload set was created from, recorded on its batches
+   * @returns {Promise<Object>} The new session
+   */
+  async createSession(userId, {
+    createdBy, bucketName, prefix = '', limits = {}, containerFormat = DEFAULT_CONTAINER_FORMAT, custodian = null,
+    submission = null, validate = true, releasedFrom = null,
+  }) {
+    const normalizedPrefix = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+    const effectiveLimits = resolveLimits(limits);
+
+    const uploadSet = await UploadSet.create({
+      userId,
+      bucketName,
+      prefix: normalizedPrefix,
+      limits: effectiveLimits,
+      containerFormat,
+      custodian: custodian || null,
+      submission,
+      status: STATUS.RECEIVING,
+    });
+
+    const session = buildSession(uploadSet, {
+      createdBy, validate, releasedFrom, dir: this.getSpoolDir(uploadSet.id),
+    });
+    await fs.promises.mkdir(session.dir, { recursive: true });
+
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * Resolve where an upload goes: an explicit bucket and prefix, or the ingestion point behind an import job
+   * whose containers are each submitted as an archive batch. Without a container format of its own, an upload
+   * to an import job uses the one set for its ingestion point.
+   * @param {number} userId - The user ID
+   * @param {Object} options - Destination options from the request
+   * @param {string} options.importJobAid - Import job to upload to and submit to
+   * @param {string} options.bucketName - Destination S3 bucket when no import job is given
+   * @param {string} options.prefix - Destination folder when no import job is given
+   * @param {string} options.batchName - Archive batch name for import job submissions
+   * @param {string} options.description - Archive batch description for import job submissions
+   * @param {string} options.containerFormat - Container format chosen for this upload, if any
+   * @returns {Promise<Object>} bucketName, prefix, containerFormat and submission, as accepted by createSession
+   */
+  async resolveDestination(userId, {
+    importJobAid, bucketName, prefix, batchName, description, containerFormat,
+  }) {
+    if (!importJobAid) {
+      return {
+        bucketName,
+        prefix: prefix || '',
+        containerFormat: containerFormat || DEFAULT_CONTAINER_FORMAT,
+        submission: null,
+      };
+    }
+
+    const destination = await batchSubmissionService.resolveDestination(userId, importJobAid);
+    return {
+      bucketName: destination.bucketName,
+      prefix: destination.prefix,
+      containerFormat: containerFormat || destination.ingestionPoint.containerFormat,
+      submission: {
+        importJobAid,
+        importJobName: destination.importJob.name || null,
+        ingestionPointId: destination.ingestionPoint.id,
+        batchName: batchName || null,
+        description: description || null,
+      },
+    };
+  }
+
+  /**
+   * Get a session owned by a user
+   * @param {number} userId - The user ID
+   * @param {string} sessionId - The session ID
+   * @returns {Object|null} The session, or null if it does not exist for this user
+   */
+  getSession(userId, sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.userId !== userId) {
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Get where a session's files are spooled until they are packaged
+   * @param {string} uploadSetId - The upload set ID
+   * @returns {string} Spool directory
+   */
+  getSpoolDir(uploadSetId) {
+    return path.join(this.workDir, uploadSetId);
+  }
+
+  /**
+   * Get a session owned by a user, restoring it from its upload set if the server restarted while it was
+   * still receiving files
+   * @param {number} userId - The user ID
+   * @param {string} sessionId - The session ID
+   * @param {string} createdBy - Username recorded on the batches if the session has to be restored
+   * @returns {Promise<Object|null>} The session, or null if it does not exist for this user or cannot be restored
+   */
+  async findSession(userId, sessionId, createdBy) {
+    const session = this.getSession(userId, sessionId);
+    if (session) {
+      return session;
+    }
+
+    // Requests for the same upload set that arrive together share one restore
+    if (!this.restoring.has(sessionId)) {
+      const restore = UploadSet.findByUserAndId(userId, sessionId)
+        .then((uploadSet) => (uploadSet && uploadSet.status === STATUS.RECEIVING
+          ? this.restoreSession(uploadSet, createdBy)
+          : null))
+        .finally(() => this.restoring.delete(sessionId));
+      this.restoring.set(sessionId, restore);
+    }
+    return this.restoring.get(sessionId);
+  }
+
+  /**
+   * Get the session of an upload set queued for packaging, for the packaging job. If the server restarted or an
+   * earlier attempt failed, the session is rebuilt from its recorded files. Packaging that was interrupted after its
+   * batches were recorded cannot start over, since containers may already be in S3 or with the archive: the upload
+   * set and its unfinished batches are marked failed instead.
+   * @param {number} userId - The user ID
+   * @param {string} uploadSetId - The upload set ID
+   * @param {string} createdBy - Username recorded on the batches
+   * @param {Object} options - Packaging options the session was queued with
+   * @param {boolean} options.validate - Quarantine messages that fail validation
+   * @param {Object} options.releasedFrom - Quarantined files this upload set releases
+   * @returns {Promise<Object|null>} The session, or null if the upload set cannot be packaged
+   */
+  async findPackagingSession(userId, uploadSetId, createdBy, options = {}) {
+    const session = this.getSession(userId, uploadSetId);
+    if (session) {
+      return session.status === STATUS.PACKAGING ? session : null;
+    }
+
+    const uploadSet = await UploadSet.findByUserAndId(userId, uploadSetId);
+    if (!uploadSet || uploadSet.status !== STATUS.PACKAGING) {
+      return null;
+    }
+
+    const batches = await batchTrackingService.findByUploadSet(uploadSetId);
+    if (batches.length > 0) {
+      const message = 'Packaging was interrupted after its batches were recorded. '
+        + 'Upload the files of the failed batches again.';
+      const unfinished = batches.filter((batch) => batch.status === batchTrackingService.BATCH_STATUS.PENDING
+        && !batch.metadata.uploaded_at);
+      for (const batch of unfinished) {
+        await batchTrackingService.markContainerFailed(batch.id, message);
+      }
+      await uploadSet.update({ status: STATUS.FAILED, error: message });
+      await removeSpool({ id: uploadSetId, dir: this.getSpoolDir(uploadSetId) });
+      return null;
+    }
+
+    return this.restoreSession(uploadSet, createdBy, options);
+  }
+
+  /**
+   * Rebuild the session of an upload set that is still receiving files, or is queued for packaging, from its
+   * recorded files. An upload set whose spool directory is gone cannot be resumed and is marked failed.
+   * @param {UploadSet} uploadSet - The upload set record
+   * @param {string} createdBy - Username recorded on the batches created for this upload
+   * @param {Object} options - Packaging options, which are not stored on the upload set
+   * @param {boolean} options.validate - Quarantine messages that fail validation
+   * @param {Object} options.releasedFrom - Quarantined files this upload set releases
+   * @returns {Promise<Object|null>} The restored session, or null if the upload set cannot be restored
+   */
+  async restoreSession(uploadSet, createdBy, { validate = true, releasedFrom = null } = {}) {
+    if (![STATUS.RECEIVING, STATUS.PACKAGING].includes(uploadSet.status)) {
+      return null;
+    }
+
+    const dir = this.getSpoolDir(uploadSet.id);
+    try {
+      await fs.promises.access(dir);
+    } catch (error) {
+      await uploadSet.update({ status: STATUS.FAILED, error: 'Spooled files are no longer available on the server' });
+      return null;
+    }
+
+    const session = buildSession(uploadSet, {
+      createdBy, validate, releasedFrom, dir,
+    });
+    if (uploadSet.status === STATUS.PACKAGING) {
+      session.status = STATUS.PACKAGING;
+      session.progress.phase = 'queued';
+    }
+    const uploads = await UploadFile.findByUploadSet(uploadSet.id, {
+      status: [UploadFile.STATUS.COMPLETED, UploadFile.STATUS.REJECTED],
+    });
+
+    uploads
+      .filter((upload) => upload.status === UploadFile.STATUS.COMPLETED)
+      .sort((a, b) => a.spoolPath.localeCompare(b.spoolPath))
+      .forEach((upload) => {
+        session.nextIndex = Math.max(session.nextIndex, parseInt(path.basename(upload.spoolPath), 10) + 1);
+        if (needsExtraction(upload.spoolPath)) {
+          const source = {
+            name: upload.name,
+            format: detectFormat(upload.spoolPath),
+            path: upload.spoolPath,
+            size: Number(upload.size),
+            sha256: upload.sha256,
+            uploadId: upload.id,
+          };
+          session.sources.push({ ...source, stats: createStats(source) });
+          return;
+        }
+
+        session.files.push({
+          name: upload.entryName,
+          originalName: upload.name,
+          path: upload.spoolPath,
+          size: Number(upload.size),
+          sha256: upload.sha256,
+          uploadId: upload.id,
+        });
+        session.entryNames.add(upload.entryName.toLowerCase());
+        session.totalBytes += Number(upload.size);
+      });
+    uploads
+      .filter((upload) => upload.status === UploadFile.STATUS.REJECTED)
+      .forEach((upload) => {
+        session.rejected.push({ name: upload.name, size: Number(upload.size), reason: upload.error });
+      });
+
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * Record a file that will not be packaged
+   * @param {Object} session - The packaging session
+   * @param {string} fileName - Original file name
+   * @param {string} reason - Why the file was rejected
+   * @param {number} size - Bytes received before the file was rejected
+   * @returns {Object} The rejection record
+   */
+  rejectFile(session, fileName, reason, size = null) {
+    const rejection = { name: fileName, size, reason };
+    session.rejected.push(rejection);
+    session.updatedAt = new Date();
+    return rejection;
+  }
+
+  /**
+   * Spool an incoming EML stream to disk, hashing it on the way through.
+   * PST, MBOX and MSG files are spooled whole and their messages are extracted when the session is packaged.
+   * @param {Object} session - The packaging session
+   * @param {string} fileName - Original file name
+   * @param {stream.Readable} source - File contents
+   * @returns {Promise<Object|null>} The spooled file or source record, or null if the message exceeded the size
+   *   limit
+   */
+  async spoolFile(session, fileName, source) {
+    if (session.status !== STATUS.RECEIVING) {
+      source.resume();
+      throw new Error('Package is no longer accepting files');
+    }
+
+    if (needsExtraction(fileName)) {
+      return this.spoolSource(session, fileName, source);
+    }
+    return this.spoolMessage(session, fileName, source);
+  }
+
+  /**
+   * Spool one message, whether received or extracted from a source
+   * @param {Object} session - The packaging session
+   * @param {string} fileName - Original file name, or the folder path and name of an extracted message
+   * @param {stream.Readable} source - Message contents
+   * @param {Object} origin - Source file, format and folder of an extracted message
+   * @returns {Promise<Object|null>} The spooled file record, or null if the message exceeded the size limit
+   */
+  async spoolMessage(session, fileName, source, origin = null) {
+    const index = session.nextIndex;
+    session.nextIndex += 1;
+
+    const spoolPath = getSpoolPath(session, index);
+    const hashing = createHashingStream(session.limits.maxMessageBytes);
+    const output = fs.createWriteStream(spoolPath);
+
+    try {
+      await new Promise((resolve, reject) => {
+        source.on('error', reject);
+        hashing.stream.on('error', reject);
+        output.on('error', reject);
+        output.on('finish', resolve);
+        source.pipe(hashing.stream).pipe(output);
+      });
+    } catch (error) {
+      output.destroy();
+      if (error.code !== 'MESSAGE_TOO_LARGE') {
+        throw error;
+      }
+
+      // Drain the rest of the oversized message and drop what was spooled
+      source.unpipe();
+      source.resume();
+      await fs.promises.rm(spoolPath, { force: true });
+      this.rejectFile(session, fileName, error.message, hashing.getSize());
+      return null;
+    }
+
+    const file = {
+      name: reserveEntryName(session, fileName),
+      originalName: fileName,
+      path: spoolPath,
+      size: hashing.getSize(),
+      sha256: hashing.digest(),
+      ...(origin ? { origin } : {}),
+    };
+
+    await addFile(session, file);
+    return file;
+  }
+
+  /**
+   * Spool a PST, MBOX or MSG file whole; the message size limit does not apply to it
+   * @param {Object} session - The packaging session
+   * @param {string} fileName - Original file name
+   * @param {stream.Readable} source - File contents
+   * @returns {Promise<Object>} The source record
+   */
+  async spoolSource(session, fileName, source) {
+    const format = detectFormat(fileName);
+    const index = session.nextIndex;
+    session.nextIndex += 1;
+
+    const spoolPath = getSpoolPath(session, index, format);
+    const hashing = createHashingStream();
+    const output = fs.createWriteStream(spoolPath);
+
+    try {
+      await new Promise((resolve, reject) => {
+        source.on('error', reject);
+        output.on('error', reject);
+        output.on('finish', resolve);
+        source.pipe(hashing.stream).pipe(output);
+      });
+    } catch (error) {
+      output.destroy();
+      await fs.promises.rm(spoolPath, { force: true });
+      throw error;
+    }
+
+    const record = {
+      name: fileName,
+      format,
+      path: spoolPath,
+      size: hashing.getSize(),
+      sha256: hashing.digest(),
+    };
+    const added = { ...record, stats: createStats(record) };
+    await addSource(session, added);
+    return added;
+  }
+
+  /**
+   * Move a file that was uploaded in chunks into the spool once all of its bytes have arrived
+   * @param {Object} session - The packaging session
+   * @param {UploadFile} upload - The finished upload
+   * @param {string} partPath - Where the upload's bytes were written
+   * @returns {Promise<Object>} The spooled file or source record
+   */
+  async addUploadedFile(session, upload, partPath) {
+    if (session.status !== STATUS.RECEIVING) {
+      throw packagingError('INVALID_STATE', 'Package is no longer accepting files');
+    }
+
+    const index = session.nextIndex;
+    session.nextIndex += 1;
+
+    const format = needsExtraction(upload.name) ? detectFormat(upload.name) : 'eml';
+    const spoolPath = getSpoolPath(session, index, format);
+    const sha256 = await hashFile(partPath);
+    await fs.promises.rename(partPath, spoolPath);
+
+    if (format !== 'eml') {
+      const record = {
+        name: upload.name,
+        format,
+        path: spoolPath,
+        size: Number(upload.size),
+        sha256,
+        uploadId: upload.id,
+      };
+      const source = { ...record, stats: createStats(record) };
+      await addSource(session, source);
+      return source;
+    }
+
+    const file = {
+      name: reserveEntryName(session, upload.name),
+      originalName: upload.name,
+      path: spoolPath,
+      size: Number(upload.size),
+      sha256,
+      uploadId: upload.id,
+    };
+
+    await addFile(session, file);
+    return file;
+  }
+
+  /**
+   * Queue a session for packaging by the job worker
+   * @param {Object} session - The packaging session
+   * @returns {Promise<Job>} The queued packaging job
+   */
+  async startBuild(session) {
+    if (session.status !== STATUS.RECEIVING) {
+      throw packagingError('INVALID_STATE', `Package is already ${session.status}`);
+    }
+
+    if (session.files.length === 0 && session.sources.length === 0) {
+      throw packagingError('INVALID_STATE', 'Package does not contain any files');
+    }
+
+    session.status = STATUS.PACKAGING;
+    session.progress.phase = 'queued';
+    session.updatedAt = new Date();
+
+    try {
+      // The spooled files are on this node, so the job is pinned to it
+      const job = await jobQueueService.enqueue(jobQueueService.JOB_TYPES.PACKAGE, {
+        uploadSetId: session.id,
+        validate: session.validate,
+        releasedFrom: session.releasedFrom,
+      }, {
+        userId: session.userId,
+        createdBy: session.createdBy,
+        local: true,
+      });
+      session.jobId = job.id;
+      await saveUploadSet(session, { status: STATUS.PACKAGING });
+      this.publishProgress(session);
+      return job;
+    } catch (error) {
+      session.status = STATUS.RECEIVING;
+      session.progress.phase = STATUS.RECEIVING;
+      throw error;
+    }
+  }
+
+  /**
+   * Package a queued session, recording the failure on the session and its batches if it does not finish.
+   * Called by the packaging job handler on the node that holds the session's spooled files. A transient failure
+   * before any batch was recorded leaves the session queued, with its spooled files, for the next attempt.
+   * @param {Object} session - The packaging session
+   * @param {Object} options - Job attempt
+   * @param {boolean} options.isLastAttempt - Whether a failure is final
+   * @returns {Promise<Array<Object>>} Container results
+   */
+  async runBuild(session, { isLastAttempt = true } = {}) {
+    session.progress.phase = STATUS.PACKAGING;
+    session.updatedAt = new Date();
+    const progressEvents = setInterval(() => this.publishProgress(session), PROGRESS_EVENT_INTERVAL_MS);
+    let retrying = false;
+
+    try {
+      return await this.build(session);
+    } catch (error) {
+      if (!isLastAttempt && !session.batchesRecorded && jobQueueService.isRetryable(error)) {
+        console.error(`❌ Packaging failed for session ${session.id}, will retry:`, error);
+        // The next attempt rebuilds the session from its recorded files
+        retrying = true;
+        session.progress.phase = 'queued';
+        this.sessions.delete(session.id);
+        throw error;
+      }
+
+      console.error(`❌ Packaging failed for session ${session.id}:`, error);
+      session.status = STATUS.FAILED;
+      session.progress.phase = STATUS.FAILED;
+      session.error = error.message;
+      await this.failPendingBatches(session, error.message);
+      await saveUploadSet(session, {
+        status: STATUS.FAILED,
+        error: error.message,
+        containers: session.containers.map(toContainerRecord),
+      });
+      throw error;
+    } finally {
+      clearInterval(progressEvents);
+      session.updatedAt = new Date();
+      this.publishProgress(session);
+      if (!retrying) {
+        this.scheduleCleanup(session);
+      }
+    }
+  }
+
+  /**
+   * Push a session's progress to its owner's event stream if it changed since the last event
+   * @param {Object} session - The packaging session
+   */
+  publishProgress(session) {
+    if (!eventService.isConnected(session.userId)) {
+      return;
+    }
+
+    const event = {
+      id: session.id,
+      status: session.status,
+      containerCount: session.containers.length,
+      progress: describeProgress(session),
+      error: session.error,
+    };
+    const snapshot = JSON.stringify(event);
+    if (snapshot === session.lastProgressEvent) {
+      return;
+    }
+
+    session.lastProgressEvent = snapshot;
+    eventService.publish(session.userId, eventService.EVENT_TYPES.PACKAGE_PROGRESS, event);
+  }
+
+  /**
+   * Split the session into containers and package each one in turn
+   * @param {Object} session - The packaging session
+   * @returns {Promise<Array<Object>>} Container results
+   */
+  async build(session) {
+    const config = await getConfig(session.userId);
+    if (!config.customerGUID) {
+      throw new Error('Customer GUID not configured. Please configure it in the Config page.');
+    }
+    if (!isCustomerGuid(config.customerGUID)) {
+      throw new Error(`Customer GUID "${config.customerGUID}" is not a valid GUID. `
+        + 'Please correct it in the Config page.');
+    }
+
+    await this.extractSources(session);
+    await this.validateFiles(session);
+    const quarantinedNames = new Set(session.quarantined.map((file) => file.name));
+    const validFiles = session.files.filter((file) => !quarantinedNames.has(file.name));
+
+    session.skipped = await findDuplicates(validFiles, config.customerGUID);
+    const skippedNames = new Set(session.skipped.map((file) => file.name));
+    const packagedFiles = validFiles.filter((file) => !skippedNames.has(file.name));
+    const groups = planContainers(packagedFiles, session.limits);
+    const createdAt = new Date();
+
+    // Reconciliation IDs are fixed before the batches are recorded, so import files and manifest entries share them
+    const ingestionPoint = getIngestionPointKey(session);
+    packagedFiles.forEach((file) => {
+      file.reconciliationId = buildReconciliationId(config.customerGUID, ingestionPoint, file.sha256);
+    });
+
+    session.containers = groups.map((files, index) => {
+      const part = groups.length > 1 ? index + 1 : null;
+      const containerName = buildContainerName(createdAt, part, session.containerFormat);
+      const containerKey = `${session.prefix}${containerName}`;
+      return {
+        index: index + 1,
+        containerName,
+        containerKey,
+        manifestKey: getManifestKey(containerKey),
+        fileCount: files.length,
+        totalBytes: files.reduce((sum, file) => sum + file.size, 0),
+        status: CONTAINER_STATUS.PENDING,
+        files,
+      };
+    });
+
+    // Every manifest must conform to the schema before anything is uploaded; only the hash is filled in later
+    session.containers.forEach((container) => assertValidManifest(generateManifest({
+      customerGUID: config.customerGUID,
+      containerName: container.containerName,
+      containerHash: DRAFT_CONTAINER_HASH,
+      containerFormat: session.containerFormat,
+      entries: container.files,
+      custodian: session.custodian,
+    })));
+
+    // One tracking batch per container, so the archive submission and report can be traced back to each file.
+    // Skipped duplicates and quarantined messages are recorded on the first batch of the upload set.
+    // From here on a failed build is not retried.
+    session.batchesRecorded = true;
+    const releaseMetadata = session.releasedFrom ? { released_from_quarantine: session.releasedFrom } : {};
+    const sourceMetadata = session.sources.length > 0 ? { source_files: session.sources.map(toSourceRecord) } : {};
+    for (const container of session.containers) {
+      const batch = await batchTrackingService.createBatch({
+        createdBy: session.createdBy,
+        sourceSystem: 'upload',
+        metadata: {
+          upload_set_id: session.id,
+          container_index: container.index,
+          bucket_name: session.bucketName,
+          container_name: container.containerName,
+          container_format: session.containerFormat,
+          container_key: container.containerKey,
+          manifest_key: container.manifestKey,
+          manifest_version: MANIFEST_VERSION,
+          customer_guid: config.customerGUID,
+          ...(session.custodian ? { custodian: session.custodian } : {}),
+          ...releaseMetadata,
+          ...(container.index === 1 ? sourceMetadata : {}),
+        },
+        files: container.files,
+        skippedFiles: container.index === 1 ? session.skipped : [],
+        quarantinedFiles: container.index === 1 ? session.quarantined : [],
+      });
+      container.batchId = batch.id;
+    }
+
+    let recordBatchId = session.containers.length > 0 ? session.containers[0].batchId : null;
+    if (session.containers.length === 0) {
+      // Every message was a duplicate or quarantined: nothing to upload, but those files are still recorded
+      const batch = await batchTrackingService.createBatch({
+        createdBy: session.createdBy,
+        sourceSystem: 'upload',
+        metadata: {
+          upload_set_id: session.id,
+          bucket_name: session.bucketName,
+          customer_guid: config.customerGUID,
+          ...releaseMetadata,
+          ...sourceMetadata,
+        },
+        files: [],
+        skippedFiles: session.skipped,
+        quarantinedFiles: session.quarantined,
+        status: batchTrackingService.BATCH_STATUS.COMPLETED,
+      });
+      recordBatchId = batch.id;
+    }
+
+    await this.moveToQuarantine(session, recordBatchId);
+
+    // Point repeats within the selection at the batch holding their first copy
+    const batchIdByFile = new Map();
+    session.containers.forEach((container) => {
+      container.files.forEach((file) => batchIdByFile.set(file.name, container.batchId));
+    });
+    session.skipped
+      .filter((file) => file.original.sameUploadSet)
+      .forEach((file) => { file.original.batchId = batchIdByFile.get(file.original.path) || null; });
+
+    await saveUploadSet(session, {
+      status: STATUS.PACKAGING,
+      fileCount: session.files.length,
+      totalBytes: session.totalBytes,
+      containerCount: session.containers.length,
+      containers: session.containers.map(toContainerRecord),
+      rejectedFiles: session.rejected,
+      skippedFiles: session.skipped,
+      quarantinedFiles: session.quarantined,
+      sourceFiles: session.sources.map(toSourceRecord),
+    });
+
+    for (const container of session.containers) {
+      session.progress.currentContainer = container.index;
+      await this.buildContainer(session, container, config.customerGUID);
+      if (session.submission) {
+        await this.submitContainer(session, container);
+      }
+      session.progress.containersCompleted += 1;
+      await saveUploadSet(session, { containers: session.containers.map(toContainerRecord) });
+    }
+
+    session.status = STATUS.COMPLETED;
+    session.progress.phase = STATUS.COMPLETED;
+    await saveUploadSet(session, { status: STATUS.COMPLETED, completedAt: new Date() });
+
+    return session.containers;
+  }
+
+  /**
+   * Extract the messages of every PST, MBOX and MSG source into the spool, next to the EML files received as they
+   * are. Messages that cannot be converted are rejected; a source that cannot be read at all is rejected as a whole
+   * and the remaining sources are still extracted.
+   * @param {Object} session - The packaging session
+   * @returns {Promise<Array<Object>>} The sources with their extraction stats
+   */
+  async extractSources(session) {
+    const pending = session.sources.filter((source) => source.stats.status === 'pending');
+    if (pending.length === 0) {
+      return session.sources;
+    }
+
+    const { progress } = session;
+    progress.phase = 'extracting';
+
+    for (const source of pending) {
+      const { stats } = source;
+      stats.status = 'extracting';
+      stats.startedAt = new Date().toISOString();
+
+      try {
+        for await (const message of extractMessages(source, stats, session.limits)) {
+          const origin = { source: source.name, format: source.format, folder: message.folder };
+          if (message.error) {
+            this.rejectFile(session, message.name, message.error, message.size || null);
+          } else {
+            await this.spoolMessage(session, message.name, Readable.from([message.content]), origin);
+            progress.messagesExtracted += 1;
+          }
+          session.updatedAt = new Date();
+        }
+        stats.status = 'completed';
+      } catch (error) {
+        console.error(`❌ Failed to extract ${source.name} in session ${session.id}:`, error);
+        stats.status = 'failed';
+        stats.error = error.message;
+        const reason = `Could not extract ${source.format.toUpperCase()} file: ${error.message}`;
+        this.rejectFile(session, source.name, reason, source.size);
+      }
+
+      // The source stays in the spool until packaging finishes, for a retry to extract it again
+      stats.completedAt = new Date().toISOString();
+      progress.sourcesExtracted += 1;
+    }
+
+    progress.phase = STATUS.PACKAGING;
+    return session.sources;
+  }
+
+  /**
+   * Validate every spooled message and set aside the ones that fail. Every message, validated or not, keeps the
+   * header fields its manifest entry carries.
+   * @param {Object} session - The packaging session
+   * @returns {Promise<Array<Object>>} Quarantined files, each with the reason it failed
+   */
+  async validateFiles(session) {
+    session.progress.phase = 'validating';
+
+    for (const file of session.files) {
+      const { valid, errors, headers } = await validateEmlFile(file.path);
+      file.message = describeMessage(headers);
+      if (session.validate && !valid) {
+        session.quarantined.push({
+          name: file.name,
+          size: file.size,
+          sha256: file.sha256,
+          reason: summarizeErrors(errors),
+        });
+      }
+      session.progress.filesValidated += 1;
+      session.updatedAt = new Date();
+    }
+
+    session.progress.phase = STATUS.PACKAGING;
+    return session.quarantined;
+  }
+
+  /**
+   * Get where a quarantined message is kept until it is fixed, included or discarded
+   * @param {string} batchId - Batch the quarantined file is recorded on
+   * @param {string} name - Entry name of the file
+   * @returns {string} Path of the quarantined copy
+   */
+  getQuarantinePath(batchId, name) {
+    return path.join(this.quarantineDir, batchId, path.basename(name));
+  }
+
+  /**
+   * Move quarantined messages out of the spool, which is removed once packaging finishes
+   * @param {Object} session - The packaging session
+   * @param {string} batchId - Batch the quarantined files are recorded on
+   */
+  async moveToQuarantine(session, batchId) {
+    if (session.quarantined.length === 0) {
+      return;
+    }
+
+    const spoolPaths = new Map(session.files.map((file) => [file.name, file.path]));
+    await fs.promises.mkdir(path.join(this.quarantineDir, batchId), { recursive: true });
+
+    for (const file of session.quarantined) {
+      file.batchId = batchId;
+      try {
+        await fs.promises.rename(spoolPaths.get(file.name), this.getQuarantinePath(batchId, file.name));
+      } catch (error) {
+        console.error(`⚠️ Warning: Failed to quarantine ${file.name} from session ${session.id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Build one container, ZIP or tar.gz as the session asks, and its manifest and push both to S3
+   * @param {Object} session - The packaging session
+   * @param {Object} container - Planned container
+   * @param {string} customerGUID - Customer GUID from the user's configuration
+   * @returns {Promise<Object>} The completed container
+   */
+  async buildContainer(session, container, customerGUID) {
+    const { progress } = session;
+    const bytesBefore = progress.bytesPackaged;
+
+    container.status = CONTAINER_STATUS.PACKAGING;
+    progress.phase = STATUS.PACKAGING;
+    progress.partsUploaded = 0;
+    progress.bytesUploaded = 0;
+
+    // Stream the archive through a hash into S3 so the container is never held in memory
+    const tarGz = session.containerFormat === CONTAINER_FORMATS.TAR_GZ;
+    const archive = tarGz
+      ? archiver('tar', { gzip: true, gzipOptions: { level: 6 } })
+      : archiver('zip', { zlib: { level: 6 } });
+    const hashing = createHashingStream();
+
+    archive.on('entry', () => {
+      progress.filesPackaged += 1;
+      session.updatedAt = new Date();
+    });
+    archive.on('progress', (archiveProgress) => {
+      progress.bytesPackaged = bytesBefore + archiveProgress.fs.processedBytes;
+    });
+    archive.on('warning', (warning) => {
+      console.warn(`⚠️ Packaging warning for session ${session.id}:`, warning.message);
+    });
+    archive.on('error', (error) => hashing.stream.destroy(error));
+
+    const upload = s3Service.uploadStream(
+      session.userId,
+      session.bucketName,
+      container.containerKey,
+      archive.pipe(hashing.stream),
+      {
+        contentType: tarGz ? 'application/gzip' : 'application/zip',
+        onProgress: ({ partsCompleted, uploadedBytes }) => {
+          progress.partsUploaded = partsCompleted;
+          progress.bytesUploaded = uploadedBytes;
+        },
+      },
+    );
+
+    container.files.forEach((file) => {
+      archive.file(file.path, { name: file.name });
+    });
+
+    try {
+      await Promise.all([upload, archive.finalize()]);
+    } catch (error) {
+      archive.abort();
+      container.status = CONTAINER_STATUS.FAILED;
+      container.error = error.message;
+      throw error;
+    }
+
+    const containerHash = hashing.digest();
+    const manifest = assertValidManifest(generateManifest({
+      customerGUID,
+      containerName: container.containerName,
+      containerHash,
+      containerFormat: session.containerFormat,
+      entries: container.files,
+      custodian: session.custodian,
+    }));
+    const { body, digest } = serializeManifest(manifest);
+
+    progress.phase = 'uploading_manifest';
+    await s3Service.uploadFile(
+      session.userId,
+      session.bucketName,
+      container.manifestKey,
+      Buffer.from(body),
+      'application/json',
+    );
+
+    Object.assign(container, {
+      containerHash,
+      containerSize: hashing.getSize(),
+      manifestDigest: digest,
+      manifestVersion: MANIFEST_VERSION,
+      status: CONTAINER_STATUS.COMPLETED,
+      manifest,
+    });
+
+    try {
+      await batchTrackingService.markContainerUploaded(container.batchId, container);
+    } catch (error) {
+      console.error(`⚠️ Warning: Failed to record upload of batch ${container.batchId}:`, error);
+    }
+
+    return container;
+  }
+
+  /**
+   * Create the archive batch for an uploaded container.
+   * A rejected submission is recorded on the container and does not stop the remaining containers.
+   * @param {Object} session - The packaging session
+   * @param {Object} container - Completed container
+   * @returns {Promise<Object>} The container's submission record
+   */
+  async submitContainer(session, container) {
+    session.progress.phase = 'submitting';
+
+    try {
+      const archiveBatch = await batchSubmissionService.submitContainer(session, container);
+      container.submission = {
+        status: SUBMISSION_STATUS.SUBMITTED,
+        importJobAid: session.submission.importJobAid,
+        archiveBatchAid: (archiveBatch && archiveBatch.aid) || null,
+        submittedAt: new Date().toISOString(),
+      };
+    } catch (error) {
+      console.error(`❌ Failed to submit container ${container.containerKey} to the archive:`, error.message);
+      container.submission = {
+        status: SUBMISSION_STATUS.FAILED,
+        importJobAid: session.submission.importJobAid,
+        error: error.message,
+      };
+    }
+
+    return container.submission;
+  }
+
+  /**
+   * Fail the tracking batches of every container that did not make it to S3
+   * @param {Object} session - The packaging session
+   * @param {string} errorMessage - Why packaging stopped
+   */
+  async failPendingBatches(session, errorMessage) {
+    const unfinished = session.containers.filter((container) => container.batchId
+      && container.status !== CONTAINER_STATUS.COMPLETED);
+
+    for (const container of unfinished) {
+      try {
+        await batchTrackingService.markContainerFailed(container.batchId, container.error || errorMessage);
+      } catch (error) {
+        console.error(`⚠️ Warning: Failed to mark batch ${container.batchId} as failed:`, error);
+      }
+    }
+  }
+
+  /**
+   * Fail a session that never reached packaging, e.g. because its files could not be read
+   * @param {Object} session - The packaging session
+   * @param {Error} error - Why the session failed
+   */
+  async failSession(session, error) {
+    session.status = STATUS.FAILED;
+    session.progress.phase = STATUS.FAILED;
+    session.error = error.message;
+    session.updatedAt = new Date();
+    await saveUploadSet(session, {
+      status: STATUS.FAILED,
+      error: error.message,
+      fileCount: session.files.length,
+      totalBytes: session.totalBytes,
+      rejectedFiles: session.rejected,
+      sourceFiles: session.sources.map(toSourceRecord),
+    });
+    this.publishProgress(session);
+    this.scheduleCleanup(session);
+  }
+
+  /**
+   * Discard a session, its spooled files and its upload set record
+   * @param {Object} session - The packaging session
+   */
+  async discardSession(session) {
+    this.sessions.delete(session.id);
+    await removeSpool(session);
+    await session.uploadSet.destroy();
+  }
+
+  // Remove spooled files once packaging has finished and forget the session after the TTL
+  scheduleCleanup(session) {
+    removeSpool(session);
+    setTimeout(() => this.sessions.delete(session.id), SESSION_TTL_MS).unref();
+  }
+
+  /**
+   * Fail the upload sets that have been receiving files without any activity for longer than
+   * UPLOAD_SET_EXPIRY_HOURS, and delete their spooled files and partial uploads. Activity is the upload set's own
+   * last change, a file or chunk recorded for it, or a file spooled into its session on this instance.
+   * @returns {Promise<number>} Number of upload sets expired
+   */
+  async expireStaleUploadSets() {
+    const cutoff = new Date(Date.now() - RECEIVING_EXPIRY_MS);
+    const uploadSets = await UploadSet.findAll({
+      where: { status: STATUS.RECEIVING, updatedAt: { [Op.lt]: cutoff } },
+    });
+
+    let expired = 0;
+    for (const uploadSet of uploadSets) {
+      const session = this.sessions.get(uploadSet.id);
+      const lastUpload = await UploadFile.max('updatedAt', { where: { uploadSetId: uploadSet.id } });
+      const active = (session && session.updatedAt >= cutoff) || (lastUpload && new Date(lastUpload) >= cutoff);
+
+      if (!active) {
+        const hours = Math.round(RECEIVING_EXPIRY_MS / (60 * 60 * 1000));
+        await uploadSet.update({
+          status: STATUS.FAILED,
+          error: `Upload expired after ${hours} hours without files arriving`,
+        });
+        if (session) {
+          session.status = STATUS.FAILED;
+          this.sessions.delete(session.id);
+        }
+        await removeSpool({ id: uploadSet.id, dir: this.getSpoolDir(uploadSet.id) });
+        expired += 1;
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * Start checking for upload sets that stopped receiving files
+   */
+  startExpirySweep() {
+    if (this.expiryTimer) {
+      return;
+    }
+
+    const run = () => this.expireStaleUploadSets().catch((error) => {
+      console.error('❌ Upload set expiry sweep failed:', error);
+    });
+
+    run();
+    this.expiryTimer = setInterval(run, EXPIRY_SWEEP_INTERVAL_MS);
+    this.expiryTimer.unref();
+  }
+
+  /**
+   * Stop checking for expired upload sets
+   */
+  stopExpirySweep() {
+    clearInterval(this.expiryTimer);
+    this.expiryTimer = null;
+  }
+
+  /**
+   * Serialize a session for API responses
+   * @param {Object} session - The packaging session
+   * @returns {Object} Public session summary
+   */
+  toSummary(session) {
+    return {
+      id: session.id,
+      status: session.status,
+      jobId: session.jobId || null,
+      bucketName: session.bucketName,
+      prefix: session.prefix,
+      limits: session.limits,
+      containerFormat: session.containerFormat,
+      custodian: session.custodian,
+      submission: session.submission,
+      fileCount: session.files.length,
+      totalBytes: session.totalBytes,
+      containerCount: session.containers.length,
+      progress: describeProgress(session),
+      containers: session.containers.map((container) => {
+        const record = toContainerRecord(container);
+        return container.manifest ? { ...record, manifest: container.manifest } : record;
+      }),
+      sources: session.sources.map(toSourceRecord),
+      rejected: session.rejected,
+      skipped: session.skipped,
+      quarantined: session.quarantined,
+      error: session.error,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+    };
+  }
+
+  /**
+   * Serialize a stored upload set whose session is no longer in memory
+   * @param {UploadSet} uploadSet - The upload set record
+   * @returns {Object} Public summary in the same shape as toSummary
+   */
+  describeUploadSet(uploadSet) {
+    const completed = uploadSet.status === STATUS.COMPLETED;
+
+    return {
+      id: uploadSet.id,
+      status: uploadSet.status,
+      bucketName: uploadSet.bucketName,
+      prefix: uploadSet.prefix,
+      limits: uploadSet.limits,
+      containerFormat: uploadSet.containerFormat,
+      custodian: uploadSet.custodian,
+      submission: uploadSet.submission,
+      fileCount: uploadSet.fileCount,
+      totalBytes: Number(uploadSet.totalBytes),
+      containerCount: uploadSet.containerCount,
+      progress: {
+        phase: uploadSet.status,
+        containersCompleted: uploadSet.containers
+          .filter((container) => container.status === CONTAINER_STATUS.COMPLETED).length,
+        totalFiles: uploadSet.fileCount,
+        percent: completed ? 100 : 0,
+      },
+      containers: uploadSet.containers,
+      sources: uploadSet.sourceFiles,
+      rejected: uploadSet.rejectedFiles,
+      skipped: uploadSet.skippedFiles,
+      quarantined: uploadSet.quarantinedFiles,
+      error: uploadSet.error,
+      createdAt: uploadSet.createdAt,
+      updatedAt: uploadSet.updatedAt,
+      completedAt: uploadSet.completedAt,
+    };
+  }
+}
+
+const packagingService = new PackagingService();
+packagingService.STATUS = STATUS;
+packagingService.CONTAINER_STATUS = CONTAINER_STATUS;
+packagingService.SUBMISSION_STATUS = SUBMISSION_STATUS;
+packagingService.planContainers = planContainers;
+
+module.exports = packagingService;
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { UploadSet } = require('../models');
+const batchTrackingService = require('./batchTrackingService');
+const packagingService = require('./packagingService');
+const { validateEml, summarizeErrors } = require('./emlValidationService');
+
+// Inspecting a message returns at most this much of it as text
+const PREVIEW_BYTES = 64 * 1024;
+
+// Error with a code the quarantine routes map onto an HTTP status
+const quarantineError = (code, message, details = null) => {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+class QuarantineService {
+  /**
+   * Get where a quarantined file's content is kept
+   * @param {ImportFile} file - Quarantined import file
+   * @returns {string} Path of the quarantined copy
+   */
+  getContentPath(file) {
+    return packagingService.getQuarantinePath(file.import_id, file.path);
+  }
+
+  /**
+   * Read a quarantined file's content
+   * @param {ImportFile} file - Quarantined import file
+   * @returns {Promise<Buffer>} Raw message
+   */
+  async readContent(file) {
+    try {
+      return await fs.promises.readFile(this.getContentPath(file));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw quarantineError('CONTENT_MISSING', `Content of quarantined file ${file.path} is no longer available`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Serialize a quarantined file for list responses
+   * @param {ImportFile} file - Quarantined import file, with its batch
+   * @returns {Object} Public file summary
+   */
+  describeFile(file) {
+    return {
+      id: file.id,
+      path: file.path,
+      sizeBytes: Number(file.size_bytes),
+      sha256: file.getSha256Hex(),
+      reason: file.last_error,
+      batchId: file.import_id,
+      uploadSetId: file.batch ? file.batch.metadata.upload_set_id || null : null,
+      bucketName: file.batch ? file.batch.metadata.bucket_name || null : null,
+      quarantinedAt: file.created_at,
+      updatedAt: file.updated_at,
+    };
+  }
+
+  /**
+   * List a user's quarantined files
+   * @param {string} createdBy - Username of the uploader
+   * @param {Object} options - uploadSetId, page and limit
+   * @returns {Promise<Object>} Files and pagination
+   */
+  async listFiles(createdBy, { uploadSetId = null, page = 1, limit = 50 } = {}) {
+    const { count, rows } = await batchTrackingService.findQuarantined(createdBy, {
+      uploadSetId,
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return {
+      files: rows.map((file) => this.describeFile(file)),
+      pagination: {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit),
+      },
+    };
+  }
+
+  /**
+   * Get one of a user's quarantined files
+   * @param {string} createdBy - Username of the uploader
+   * @param {number} fileId - Import file ID
+   * @returns {Promise<ImportFile|null>} The file, or null if it is not quarantined for this user
+   */
+  async getFile(createdBy, fileId) {
+    const [file] = await batchTrackingService.findQuarantinedFiles(createdBy, [fileId]);
+    return file || null;
+  }
+
+  /**
+   * Re-run validation on a quarantined file and return its headers and a text preview
+   * @param {ImportFile} file - Quarantined import file
+   * @returns {Promise<Object>} File summary with validation, headers and preview
+   */
+  async inspect(file) {
+    const content = await this.readContent(file);
+    const { valid, errors, headers } = validateEml(content);
+
+    return {
+      ...this.describeFile(file),
+      validation: { valid, errors },
+      headers,
+      preview: content.subarray(0, PREVIEW_BYTES).toString('utf8'),
+      previewTruncated: content.length > PREVIEW_BYTES,
+    };
+  }
+
+  /**
+   * Replace a quarantined file's content with a corrected message.
+   * The file stays quarantined until it is included; last_error is cleared once it validates.
+   * @param {ImportFile} file - Quarantined import file
+   * @param {Buffer} content - Corrected message
+   * @returns {Promise<Object>} The inspected file after the fix
+   */
+  async fix(file, content) {
+    const { errors } = validateEml(content);
+
+    await fs.promises.writeFile(this.getContentPath(file), content);
+    await batchTrackingService.updateQuarantinedFile(file, {
+      size: content.length,
+      sha256: crypto.createHash('sha256').update(content).digest('hex'),
+      lastError: errors.length > 0 ? summarizeErrors(errors) : null,
+    });
+
+    return this.inspect(file);
+  }
+
+  /**
+   * Package quarantined files into a new upload set with the destination and submission of the one they came from.
+   * Without force every file must pass validation; with force they are included as they are.
+   * @param {number} userId - The user ID
+   * @param {string} createdBy - Username of the uploader
+   * @param {Array<number>} fileIds - Import file IDs, all from the same upload set
+   * @param {Object} options - Include options
+   * @param {boolean} options.force - Include files that still fail validation
+   * @returns {Promise<Object>} The packaging session building the new upload set
+   */
+  async include(userId, createdBy, fileIds, { force = false } = {}) {
+    const files = await batchTrackingService.findQuarantinedFiles(createdBy, fileIds);
+    if (files.length !== new Set(fileIds).size) {
+      const found = new Set(files.map((file) => String(file.id)));
+      const missing = fileIds.filter((id) => !found.has(String(id)));
+      throw quarantineError('NOT_FOUND', 'Some files are not quarantined', missing);
+    }
+
+    const uploadSetIds = new Set(files.map((file) => file.batch.metadata.upload_set_id));
+    if (uploadSetIds.size !== 1) {
+      throw quarantineError('MIXED_UPLOAD_SETS', 'Files to include must come from the same upload set');
+    }
+
+    const uploadSet = await UploadSet.findByUserAndId(userId, [...uploadSetIds][0]);
+    if (!uploadSet) {
+      throw quarantineError('NOT_FOUND', 'The upload set these files came from no longer exists');
+    }
+
+    // Every file is read up front, so missing content is reported before a new upload set is created
+    const invalid = [];
+    for (const file of files) {
+      const { errors } = validateEml(await this.readContent(file));
+      if (errors.length > 0) {
+        invalid.push({ id: file.id, path: file.path, errors });
+      }
+    }
+    if (invalid.length > 0 && !force) {
+      throw quarantineError('VALIDATION_FAILED', `${invalid.length} file(s) still fail validation`, invalid);
+    }
+
+    const session = await packagingService.createSession(userId, {
+      createdBy,
+      bucketName: uploadSet.bucketName,
+      prefix: uploadSet.prefix,
+      limits: uploadSet.limits,
+      containerFormat: uploadSet.containerFormat,
+      custodian: uploadSet.custodian,
+      submission: uploadSet.submission,
+      validate: false,
+      releasedFrom: {
+        upload_set_id: uploadSet.id,
+        import_file_ids: files.map((file) => file.id),
+        forced: force,
+        forced_import_file_ids: force ? invalid.map((result) => result.id) : [],
+      },
+    });
+
+    try {
+      for (const file of files) {
+        const source = fs.createReadStream(this.getContentPath(file));
+        const spooled = await packagingService.spoolFile(session, file.path, source);
+        if (!spooled) {
+          throw quarantineError('VALIDATION_FAILED', `${file.path} exceeds the upload set's message size limit`);
+        }
+      }
+      await packagingService.startBuild(session);
+    } catch (error) {
+      await packagingService.discardSession(session);
+      throw error;
+    }
+
+    await batchTrackingService.removeQuarantined(files.map((file) => file.id));
+    await Promise.all(files.map((file) => fs.promises.rm(this.getContentPath(file), { force: true })));
+
+    return session;
+  }
+
+  /**
+   * Discard quarantined files for good
+   * @param {Array<ImportFile>} files - Quarantined import files
+   */
+  async discard(files) {
+    await batchTrackingService.removeQuarantined(files.map((file) => file.id));
+    await Promise.all(files.map((file) => fs.promises.rm(this.getContentPath(file), { force: true })));
+  }
+}
+
+module.exports = new QuarantineService();
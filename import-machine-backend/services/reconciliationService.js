@@ -0,0 +1,269 @@
+const { Op } = require('sequelize');
+const { ImportFile } = require('../models');
+const batchTrackingService = require('./batchTrackingService');
+
+// Per-file outcome of a reconciliation
+const RECONCILIATION_STATUS = {
+  INGESTED: 'ingested',
+  FAILED: 'failed',
+  MISSING: 'missing',
+  UNEXPECTED: 'unexpected',
+  PENDING: 'pending',
+};
+
+// Archive batch statuses the archive has finished with, and the message statuses of a per-message report
+const FINISHED_BATCH_STATUSES = ['done', 'failed', 'validation_failed'];
+const FAILED_BATCH_STATUSES = ['failed', 'validation_failed'];
+const { INGESTED_MESSAGE_STATUSES, FAILED_MESSAGE_STATUSES } = batchTrackingService;
+
+// Import files that were never put into a container are not part of what was sent
+const UNSENT_FILE_STATUSES = [ImportFile.STATUS.SKIPPED_DEDUP, ImportFile.STATUS.QUARANTINED];
+
+// Files are read in slices so a large import job does not become one huge query
+const LOOKUP_CHUNK_SIZE = 1000;
+
+const CSV_COLUMNS = [
+  ['reconciliation_id', 'reconciliationId'],
+  ['path', 'path'],
+  ['sha256', 'sha256'],
+  ['size_bytes', 'sizeBytes'],
+  ['batch_id', 'batchId'],
+  ['batch_name', 'batchName'],
+  ['status', 'status'],
+  ['reason', 'reason'],
+];
+
+// Quote a CSV field, and keep spreadsheet programs from evaluating values that look like formulas
+const toCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = /^[=+\-@\t\r]/.test(String(value)) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const countStatuses = (files) => Object.fromEntries(Object.values(RECONCILIATION_STATUS)
+  .map((status) => [status, files.filter((file) => file.status === status).length]));
+
+/**
+ * Work out what happened to the files of one batch from its batch-report result.
+ * A result that lists its messages is joined on reconciliation IDs, or entry names and hashes for files sent
+ * without one (see batchTrackingService.matchReportMessages); otherwise only the batch counters are known,
+ * so a finished batch whose counters fall short leaves every file not yet ingested locally as missing.
+ * @param {Array<ImportFile>} files - Files sent in the batch
+ * @param {Object|null} report - The batch's batch-report result, or null if the archive does not list the batch
+ * @returns {{files: Array<Object>, unexpected: Array<Object>, unexpectedCount: number}} Outcome per file, messages
+ *   the archive reported that were not sent, and how many there are
+ */
+const reconcileBatchFiles = (files, report) => {
+  const outcome = (file, status, reason = null) => ({ file, status, reason });
+
+  if (!report) {
+    const reason = 'The batch is not in the archive\'s batch report';
+    return {
+      files: files.map((file) => outcome(file, RECONCILIATION_STATUS.MISSING, reason)),
+      unexpected: [],
+      unexpectedCount: 0,
+    };
+  }
+
+  const finished = FINISHED_BATCH_STATUSES.includes(report.batchStatus);
+
+  if (Array.isArray(report.messages)) {
+    const { matches, unmatched } = batchTrackingService.matchReportMessages(files, report.messages);
+    const results = files.map((file) => {
+      const message = matches.get(file);
+      if (!message) {
+        const reason = file.reconciliation_id
+          ? 'The archive\'s batch report does not list this message'
+          : 'Sent without a reconciliation ID, and the batch report lists no message with its entry name or SHA-256';
+        return finished
+          ? outcome(file, RECONCILIATION_STATUS.MISSING, reason)
+          : outcome(file, RECONCILIATION_STATUS.PENDING);
+      }
+      if (INGESTED_MESSAGE_STATUSES.includes(message.status)) {
+        return outcome(file, RECONCILIATION_STATUS.INGESTED);
+      }
+      if (FAILED_MESSAGE_STATUSES.includes(message.status)) {
+        const reason = message.reason || `Archive reported message status "${message.status}"`;
+        return outcome(file, RECONCILIATION_STATUS.FAILED, reason);
+      }
+      return outcome(file, RECONCILIATION_STATUS.PENDING);
+    });
+    return { files: results, unexpected: unmatched, unexpectedCount: unmatched.length };
+  }
+
+  const unexpectedCount = Math.max((Number(report.totalMessages) || 0) - files.length, 0);
+
+  if (FAILED_BATCH_STATUSES.includes(report.batchStatus)) {
+    const reason = report.validationFailReason || `Archive reported batch status "${report.batchStatus}"`;
+    return {
+      files: files.map((file) => outcome(file, RECONCILIATION_STATUS.FAILED, reason)),
+      unexpected: [],
+      unexpectedCount,
+    };
+  }
+
+  if (!finished) {
+    return {
+      files: files.map((file) => outcome(file, RECONCILIATION_STATUS.PENDING)),
+      unexpected: [],
+      unexpectedCount,
+    };
+  }
+
+  const ingested = (Number(report.totalArchived) || 0) + (Number(report.totalDeduplicated) || 0);
+  const shortfall = `The archive reported ${ingested} of ${files.length} messages ingested; `
+    + 'its batch report does not say which ones';
+  return {
+    files: files.map((file) => (ingested >= files.length || file.status === ImportFile.STATUS.INGESTED
+      ? outcome(file, RECONCILIATION_STATUS.INGESTED)
+      : outcome(file, RECONCILIATION_STATUS.MISSING, shortfall))),
+    unexpected: [],
+    unexpectedCount,
+  };
+};
+
+/**
+ * Joins the manifest entries sent to an import job, as recorded in its local batches and import files, with the
+ * outcomes the archive reports for them. Every sent file ends up ingested, failed, missing or, while the archive
+ * is still working on its batch, pending; messages the archive reports that were never sent are unexpected.
+ */
+class ReconciliationService {
+  /**
+   * Load the files sent in a set of batches
+   * @param {Array<Batch>} batches - Local batches
+   * @returns {Promise<Map<string, Array<ImportFile>>>} Files by batch ID, in the order they were recorded
+   */
+  async findSentFiles(batches) {
+    const filesByBatch = new Map(batches.map((batch) => [batch.id, []]));
+    const batchIds = [...filesByBatch.keys()];
+
+    for (let start = 0; start < batchIds.length; start += LOOKUP_CHUNK_SIZE) {
+      const files = await ImportFile.findAll({
+        where: {
+          import_id: batchIds.slice(start, start + LOOKUP_CHUNK_SIZE),
+          status: { [Op.notIn]: UNSENT_FILE_STATUSES },
+        },
+        attributes: ['id', 'import_id', 'path', 'size_bytes', 'sha256', 'status', 'reconciliation_id'],
+        order: [['id', 'ASC']],
+      });
+      files.forEach((file) => filesByBatch.get(file.import_id).push(file));
+    }
+    return filesByBatch;
+  }
+
+  /**
+   * Reconcile an import job's sent files against its batch report
+   * @param {string} createdBy - Username of the submitter
+   * @param {string} importJobAid - Import job AID
+   * @param {Array<Object>} results - batch-report results
+   * @returns {Promise<Object>} summary counts, one entry per batch and one per file
+   */
+  async reconcile(createdBy, importJobAid, results) {
+    const batches = await batchTrackingService.findImportJobBatches(createdBy, importJobAid);
+    const filesByBatch = await this.findSentFiles(batches);
+
+    const reportByBatch = new Map();
+    const unmatchedReports = [];
+    results.forEach((report) => {
+      const batch = batchTrackingService.findArchiveBatch(batches, { id: report.batchId, name: report.batchName });
+      if (batch && !reportByBatch.has(batch.id)) {
+        reportByBatch.set(batch.id, report);
+      } else {
+        unmatchedReports.push(report);
+      }
+    });
+
+    const files = [];
+    const batchSummaries = [];
+    const describeUnexpected = (batch, report, message) => ({
+      reconciliationId: message.reconciliationId || null,
+      path: null,
+      sha256: null,
+      sizeBytes: null,
+      batchId: batch ? batch.id : null,
+      batchName: report.batchName || null,
+      status: RECONCILIATION_STATUS.UNEXPECTED,
+      reason: 'The archive reported a message that was not sent in this batch',
+    });
+
+    batches.forEach((batch) => {
+      const report = reportByBatch.get(batch.id) || null;
+      const batchName = batch.metadata.archive_batch_name || batch.metadata.container_name || null;
+      const outcome = reconcileBatchFiles(filesByBatch.get(batch.id), report);
+      const rows = [
+        ...outcome.files.map(({ file, status, reason }) => ({
+          reconciliationId: file.reconciliation_id,
+          path: file.path,
+          sha256: file.getSha256Hex(),
+          sizeBytes: file.size_bytes === null ? null : Number(file.size_bytes),
+          batchId: batch.id,
+          batchName,
+          status,
+          reason,
+        })),
+        ...outcome.unexpected.map((message) => describeUnexpected(batch, report, message)),
+      ];
+      files.push(...rows);
+
+      batchSummaries.push({
+        batchId: batch.id,
+        batchName,
+        archiveBatchId: batch.metadata.archive_batch_id || null,
+        containerName: batch.metadata.container_name || null,
+        archiveStatus: report ? report.batchStatus : null,
+        sent: outcome.files.length,
+        ...countStatuses(rows),
+        unexpected: outcome.unexpectedCount,
+      });
+    });
+
+    // Batches in the report that were not submitted from here: everything in them is unexpected
+    unmatchedReports.forEach((report) => {
+      const messages = Array.isArray(report.messages) ? report.messages : [];
+      files.push(...messages.map((message) => describeUnexpected(null, report, message)));
+      batchSummaries.push({
+        batchId: null,
+        batchName: report.batchName || null,
+        archiveBatchId: report.batchId || null,
+        containerName: null,
+        archiveStatus: report.batchStatus || null,
+        sent: 0,
+        ...countStatuses([]),
+        unexpected: Array.isArray(report.messages) ? messages.length : Number(report.totalMessages) || 0,
+      });
+    });
+
+    const summary = batchSummaries.reduce((totals, batch) => {
+      Object.keys(totals).forEach((key) => { totals[key] += batch[key]; });
+      return totals;
+    }, { sent: 0, ...countStatuses([]) });
+
+    return {
+      importJobAid,
+      reconciledAt: new Date().toISOString(),
+      summary,
+      batches: batchSummaries,
+      files,
+    };
+  }
+
+  /**
+   * Serialize the per-file rows of a reconciliation as CSV
+   * @param {Array<Object>} files - Per-file rows, as returned by reconcile
+   * @returns {string} CSV with a header row
+   */
+  toCsv(files) {
+    const lines = [
+      CSV_COLUMNS.map(([header]) => header).join(','),
+      ...files.map((file) => CSV_COLUMNS.map(([, key]) => toCsvField(file[key])).join(',')),
+    ];
+    return `${lines.join('\r\n')}\r\n`;
+  }
+}
+
+const reconciliationService = new ReconciliationService();
+reconciliationService.RECONCILIATION_STATUS = RECONCILIATION_STATUS;
+
+module.exports = reconciliationService;
@@ -0,0 +1,297 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { Op, fn, col } = require('sequelize');
+const { UploadSet, UploadFile } = require('../models');
+const packagingService = require('./packagingService');
+const { isSupportedFile, needsExtraction, UNSUPPORTED_FILE_REASON } = require('./mailExtractionService');
+
+const { STATUS: UPLOAD_STATUS } = UploadFile;
+
+// Unfinished upload sets offered for resuming, newest first
+const RESUMABLE_LIMIT = 20;
+
+// Error with a code and the HTTP status routes answer with
+const uploadError = (code, status, message) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+// Pass-through stream that counts bytes and fails once more arrive than the upload has left
+const createByteLimiter = (maxBytes) => {
+  let size = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        callback(uploadError('CHUNK_TOO_LARGE', 413, 'Chunk extends past the end of the upload'));
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+};
+
+/**
+ * Receives the files of an upload set in chunks, tus style: every file is registered with its size, then its bytes
+ * are appended at the offset the server has stored, so an upload interrupted by a refresh or a dropped connection
+ * continues where it stopped. Offsets are kept in upload_files; the bytes in a part file next to the spool.
+ */
+class ResumableUploadService {
+  constructor() {
+    this.active = new Set(); // Upload IDs with a chunk being written
+  }
+
+  getPartPath(session, upload) {
+    return path.join(session.dir, 'parts', `${upload.id}.part`);
+  }
+
+  /**
+   * Register files about to be uploaded. Files registered before under the same fingerprint are returned as they
+   * are, with the offset to continue from.
+   * @param {Object} session - The packaging session
+   * @param {Array<{name: string, size: number, fingerprint: string}>} files - Files selected in the browser
+   * @returns {Promise<Array<UploadFile>>} One upload per file, in the order given
+   */
+  async createUploads(session, files) {
+    const existing = await UploadFile.findAll({
+      where: {
+        uploadSetId: session.id,
+        fingerprint: files.map((file) => file.fingerprint),
+      },
+    });
+    const byFingerprint = new Map(existing.map((upload) => [upload.fingerprint, upload]));
+
+    const records = [];
+    files.forEach((file) => {
+      if (byFingerprint.has(file.fingerprint)) {
+        return;
+      }
+
+      let error = null;
+      if (!isSupportedFile(file.name)) {
+        error = UNSUPPORTED_FILE_REASON;
+      } else if (!needsExtraction(file.name) && file.size > session.limits.maxMessageBytes) {
+        error = `Message exceeds the ${session.limits.maxMessageBytes} byte limit`;
+      }
+      if (error) {
+        packagingService.rejectFile(session, file.name, error, file.size);
+      }
+
+      const record = {
+        uploadSetId: session.id,
+        name: file.name,
+        fingerprint: file.fingerprint,
+        size: file.size,
+        status: error ? UPLOAD_STATUS.REJECTED : UPLOAD_STATUS.UPLOADING,
+        error,
+      };
+      records.push(record);
+      byFingerprint.set(file.fingerprint, record);
+    });
+
+    if (records.length > 0) {
+      await fs.promises.mkdir(path.join(session.dir, 'parts'), { recursive: true });
+      const created = await UploadFile.bulkCreate(records, { returning: true });
+      created.forEach((upload) => byFingerprint.set(upload.fingerprint, upload));
+    }
+
+    return files.map((file) => byFingerprint.get(file.fingerprint));
+  }
+
+  /**
+   * Get one upload of a session
+   * @param {Object} session - The packaging session
+   * @param {string} uploadId - The upload ID
+   * @returns {Promise<UploadFile|null>} The upload
+   */
+  getUpload(session, uploadId) {
+    return UploadFile.findOne({
+      where: { id: uploadId, uploadSetId: session.id },
+    });
+  }
+
+  /**
+   * List the uploads of a session
+   * @param {Object} session - The packaging session
+   * @param {string} status - Optional status filter
+   * @returns {Promise<Array<UploadFile>>} Uploads in the order they were registered
+   */
+  listUploads(session, status = null) {
+    return UploadFile.findByUploadSet(session.id, status ? { status } : {});
+  }
+
+  /**
+   * Append the bytes of a request to an upload at the given offset.
+   * Whatever arrived before the request was interrupted is kept, so the client asks for the offset and continues.
+   * @param {Object} session - The packaging session
+   * @param {UploadFile} upload - The upload
+   * @param {number} offset - Offset the client is sending from; must match the stored offset
+   * @param {stream.Readable} source - Chunk contents
+   * @returns {Promise<UploadFile>} The upload with its new offset, completed once every byte has arrived
+   */
+  async appendChunk(session, upload, offset, source) {
+    if (session.status !== packagingService.STATUS.RECEIVING) {
+      throw uploadError('INVALID_STATE', 409, `Package is already ${session.status}`);
+    }
+    if (upload.status !== UPLOAD_STATUS.UPLOADING) {
+      throw uploadError('INVALID_STATE', 409, `Upload is already ${upload.status}`);
+    }
+    if (this.active.has(upload.id)) {
+      throw uploadError('UPLOAD_LOCKED', 423, 'Another chunk of this upload is still being written');
+    }
+    if (offset !== Number(upload.offset)) {
+      throw uploadError('OFFSET_MISMATCH', 409, `Upload is at offset ${upload.offset}, not ${offset}`);
+    }
+
+    this.active.add(upload.id);
+    try {
+      const partPath = this.getPartPath(session, upload);
+      const size = Number(upload.size);
+
+      // Drop bytes past the stored offset: they were written by a chunk whose new offset was never recorded
+      const handle = await fs.promises.open(partPath, 'a');
+      await handle.truncate(offset);
+      await handle.close();
+
+      let failure = null;
+      try {
+        await pipeline(
+          source,
+          createByteLimiter(size - offset),
+          fs.createWriteStream(partPath, { flags: 'r+', start: offset }),
+        );
+      } catch (error) {
+        failure = error;
+      }
+
+      const { size: written } = await fs.promises.stat(partPath);
+      await upload.update({ offset: Math.min(written, size) });
+      if (failure) {
+        throw failure;
+      }
+
+      return written === size ? await this.completeUpload(session, upload, partPath) : upload;
+    } finally {
+      this.active.delete(upload.id);
+    }
+  }
+
+  /**
+   * Spool an upload whose bytes have all arrived
+   * @param {Object} session - The packaging session
+   * @param {UploadFile} upload - The upload
+   * @param {string} partPath - Where its bytes were written
+   * @returns {Promise<UploadFile>} The completed upload
+   */
+  async completeUpload(session, upload, partPath) {
+    const file = await packagingService.addUploadedFile(session, upload, partPath);
+    return upload.update({
+      status: UPLOAD_STATUS.COMPLETED,
+      entryName: file.name,
+      spoolPath: file.path,
+      sha256: file.sha256,
+    });
+  }
+
+  /**
+   * Reject every upload that has not finished, e.g. when the package is built without them
+   * @param {Object} session - The packaging session
+   * @returns {Promise<number>} Number of uploads rejected
+   */
+  async rejectUnfinished(session) {
+    const unfinished = await this.listUploads(session, UPLOAD_STATUS.UPLOADING);
+    const reason = 'Upload did not finish before packaging started';
+
+    for (const upload of unfinished) {
+      packagingService.rejectFile(session, upload.name, reason, Number(upload.size));
+      await upload.update({ status: UPLOAD_STATUS.REJECTED, error: reason });
+      await fs.promises.rm(this.getPartPath(session, upload), { force: true });
+    }
+    return unfinished.length;
+  }
+
+  /**
+   * Find a user's upload sets that are still receiving files, with how far their uploads got
+   * @param {number} userId - The user ID
+   * @returns {Promise<Array<Object>>} Resumable upload sets, newest first
+   */
+  async findResumable(userId) {
+    const uploadSets = await UploadSet.findAll({
+      where: { userId, status: packagingService.STATUS.RECEIVING },
+      order: [['createdAt', 'DESC']],
+      limit: RESUMABLE_LIMIT,
+    });
+    if (uploadSets.length === 0) {
+      return [];
+    }
+
+    const counts = await UploadFile.findAll({
+      attributes: [
+        'uploadSetId',
+        'status',
+        [fn('COUNT', col('id')), 'files'],
+        [fn('SUM', col('size')), 'bytes'],
+        [fn('SUM', col('offset')), 'uploadedBytes'],
+      ],
+      where: { uploadSetId: { [Op.in]: uploadSets.map((uploadSet) => uploadSet.id) } },
+      group: ['uploadSetId', 'status'],
+      raw: true,
+    });
+
+    return uploadSets.map((uploadSet) => {
+      const files = { uploading: 0, completed: 0, rejected: 0 };
+      let totalBytes = 0;
+      let uploadedBytes = 0;
+
+      counts
+        .filter((row) => row.uploadSetId === uploadSet.id)
+        .forEach((row) => {
+          files[row.status] = Number(row.files);
+          if (row.status !== UPLOAD_STATUS.REJECTED) {
+            totalBytes += Number(row.bytes);
+            uploadedBytes += Number(row.uploadedBytes);
+          }
+        });
+
+      return {
+        id: uploadSet.id,
+        bucketName: uploadSet.bucketName,
+        prefix: uploadSet.prefix,
+        submission: uploadSet.submission,
+        files,
+        totalBytes,
+        uploadedBytes,
+        createdAt: uploadSet.createdAt,
+        updatedAt: uploadSet.updatedAt,
+      };
+    });
+  }
+
+  /**
+   * Serialize an upload for API responses
+   * @param {UploadFile} upload - The upload
+   * @returns {Object} Public upload record
+   */
+  describe(upload) {
+    return {
+      id: upload.id,
+      name: upload.name,
+      fingerprint: upload.fingerprint,
+      size: Number(upload.size),
+      offset: Number(upload.offset),
+      status: upload.status,
+      entryName: upload.entryName || null,
+      sha256: upload.sha256 || null,
+      error: upload.error || null,
+    };
+  }
+}
+
+const resumableUploadService = new ResumableUploadService();
+resumableUploadService.UPLOAD_STATUS = UPLOAD_STATUS;
+
+module.exports = resumableUploadService;
@@ -0,0 +1,170 @@
+const s3Service = require('./s3Service');
+const packagingService = require('./packagingService');
+const directUploadService = require('./directUploadService');
+const { isSupportedFile } = require('./mailExtractionService');
+
+// Progress of a repackaging job is pushed to the event stream at most this often; checkpoints are stored per page
+const PROGRESS_INTERVAL_MS = 1000;
+
+// Error with a code and the HTTP status routes answer with; the job is not retried
+const repackageError = (code, status, message) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  error.retryable = false;
+  return error;
+};
+
+const normalizePrefix = (prefix) => {
+  const trimmed = (prefix || '').replace(/^\/+/, '');
+  return trimmed && !trimmed.endsWith('/') ? `${trimmed}/` : trimmed;
+};
+
+/**
+ * Turns loose EML objects under an S3 prefix into ZIP containers and manifests under a staging prefix.
+ * PST, MBOX and MSG objects are read the same way and their messages are extracted when the upload set is packaged.
+ * The objects are streamed from S3 into an upload set, page by page, and the upload set is then packaged like an
+ * upload. A job interrupted while reading continues after the last page it finished; objects it had already
+ * spooled are not read again.
+ */
+class S3RepackageService {
+  /**
+   * Work out where the containers of a prefix are staged
+   * @param {string} prefix - Source prefix
+   * @param {string} stagingPrefix - Requested staging prefix; defaults to `staging/<prefix>`
+   * @returns {{prefix: string, stagingPrefix: string}} Both prefixes, normalized with a trailing slash
+   */
+  resolvePrefixes(prefix, stagingPrefix) {
+    const source = normalizePrefix(prefix);
+    const staging = normalizePrefix(stagingPrefix) || `staging/${source}`;
+
+    if (staging === source) {
+      throw repackageError('INVALID_PREFIX', 400, 'The staging prefix must differ from the source prefix');
+    }
+    return { prefix: source, stagingPrefix: staging };
+  }
+
+  /**
+   * Count the mail objects under a prefix, following every page of the listing
+   * @param {number} userId - The user ID
+   * @param {string} bucketName - The bucket
+   * @param {string} prefix - Source prefix
+   * @returns {Promise<{filesFound: number, bytesFound: number, otherObjects: number}>} Counts
+   */
+  async scan(userId, bucketName, prefix) {
+    const counts = { filesFound: 0, bytesFound: 0, otherObjects: 0 };
+    let continuationToken = null;
+
+    do {
+      const page = await s3Service.listBucketObjects(userId, bucketName, prefix, { continuationToken });
+      page.objects.forEach((object) => {
+        if (isSupportedFile(object.key)) {
+          counts.filesFound += 1;
+          counts.bytesFound += object.size;
+        } else if (!object.key.endsWith('/')) {
+          counts.otherObjects += 1;
+        }
+      });
+      ({ continuationToken } = page);
+    } while (continuationToken);
+
+    return counts;
+  }
+
+  /**
+   * Stream the mail objects under a prefix into a packaging session.
+   * The checkpoint passed to onCheckpoint after the scan and after every page is what a later attempt resumes from.
+   * @param {Object} session - The packaging session, still receiving files
+   * @param {string} bucketName - The bucket
+   * @param {string} prefix - Source prefix
+   * @param {Object} checkpoint - Checkpoint of an earlier attempt, if any
+   * @param {Function} onCheckpoint - Awaited with the checkpoint and read counts as they advance
+   * @returns {Promise<Object>} The session
+   */
+  async ingest(session, bucketName, prefix, checkpoint = {}, onCheckpoint = async () => {}) {
+    const { progress } = session;
+    let state = { ...checkpoint };
+
+    if (state.filesFound === undefined) {
+      progress.phase = 'scanning';
+      packagingService.publishProgress(session);
+
+      const counts = await this.scan(session.userId, bucketName, prefix);
+      if (counts.filesFound === 0) {
+        const message = `No .eml, .msg, .mbox or .pst objects found under s3://${bucketName}/${prefix}`;
+        throw repackageError('NO_FILES', 400, message);
+      }
+      state = { ...counts, startAfter: null };
+      await onCheckpoint(state);
+    }
+
+    // Objects spooled or rejected by an earlier attempt, by their key relative to the prefix
+    const received = new Set([
+      ...session.files.map((file) => file.originalName),
+      ...session.sources.map((source) => source.name),
+      ...session.rejected.map((file) => file.name),
+    ]);
+
+    progress.phase = 'reading';
+    progress.filesFound = state.filesFound;
+    progress.bytesFound = state.bytesFound;
+    progress.filesRead = received.size;
+    progress.bytesRead = session.sources.reduce((sum, source) => sum + source.size, session.totalBytes);
+
+    const report = () => onCheckpoint({
+      ...state,
+      filesRead: progress.filesRead,
+      bytesRead: progress.bytesRead,
+    });
+
+    let lastReport = 0;
+    let continuationToken = null;
+    do {
+      const page = await s3Service.listBucketObjects(session.userId, bucketName, prefix, {
+        continuationToken,
+        startAfter: state.startAfter,
+      });
+
+      for (const object of page.objects) {
+        const name = object.key.slice(prefix.length);
+        if (isSupportedFile(object.key) && !received.has(name)) {
+          const source = await s3Service.getObjectStream(session.userId, bucketName, object.key);
+          try {
+            const spooled = await packagingService.spoolFile(session, name, source);
+            if (spooled) {
+              // Direct uploads S3 holds no SHA-256 of are hashed here rather than read back when they complete
+              await directUploadService.recordPackagedSha256(session.createdBy, bucketName, object.key, spooled.sha256);
+            }
+          } catch (error) {
+            source.destroy();
+            if (error.code !== 'NoSuchKey') {
+              throw error;
+            }
+            packagingService.rejectFile(session, name, 'Object was deleted before it could be read', object.size);
+          }
+          received.add(name);
+          progress.filesRead += 1;
+          progress.bytesRead += object.size;
+
+          if (Date.now() - lastReport >= PROGRESS_INTERVAL_MS) {
+            lastReport = Date.now();
+            packagingService.publishProgress(session);
+          }
+        }
+      }
+
+      ({ continuationToken } = page);
+      if (page.objects.length > 0) {
+        state = { ...state, startAfter: page.objects[page.objects.length - 1].key };
+      }
+      await report();
+    } while (continuationToken);
+
+    packagingService.publishProgress(session);
+    return session;
+  }
+}
+
+const s3RepackageService = new S3RepackageService();
+
+module.exports = s3RepackageService;
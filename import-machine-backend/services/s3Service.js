@@ -1,6 +1,70 @@
+const crypto = require('crypto');
+const https = require('https');
+const tls = require('tls');
 const AWS = require('aws-sdk');
 const { getConfig } = require('../config/shared');
 
+// S3 rejects multipart parts smaller than 5 MB (except the last one) and allows at most 10,000 parts
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PARTS = 10000;
+// Largest part, and largest object a single PUT can store
+const MAX_PART_SIZE = 5 * 1024 * 1024 * 1024;
+
+const DEFAULT_PART_SIZE = Math.max(MIN_PART_SIZE, (parseInt(process.env.S3_MULTIPART_PART_SIZE_MB, 10) || 16) * 1024 * 1024);
+const DEFAULT_CONCURRENCY = Math.max(1, parseInt(process.env.S3_MULTIPART_CONCURRENCY, 10) || 4);
+
+// Sockets per client, as many as the SDK's own agent allows
+const MAX_SOCKETS = 50;
+
+// A connection test fails fast rather than waiting out retries against an endpoint that is down
+const TEST_CONNECT_TIMEOUT_MS = 5000;
+const TEST_TIMEOUT_MS = 15000;
+
+// Client options for a user's S3 settings. A custom endpoint points the client at an S3-compatible service
+// (MinIO, Ceph, Wasabi); its certificate can be checked against a private CA, or for test setups not at all.
+const buildClientOptions = (s3Settings) => {
+  const options = {
+    accessKeyId: s3Settings.accessKeyId,
+    secretAccessKey: s3Settings.secretAccessKey,
+    region: s3Settings.region || 'us-east-1',
+    signatureVersion: s3Settings.signatureVersion || 'v4',
+    s3ForcePathStyle: s3Settings.forcePathStyle === true
+  };
+
+  if (s3Settings.endpoint) {
+    options.endpoint = s3Settings.endpoint;
+    const verify = s3Settings.tlsVerify !== false;
+    if (s3Settings.endpoint.startsWith('https:') && (!verify || s3Settings.caCertificate)) {
+      options.httpOptions = {
+        agent: new https.Agent({
+          keepAlive: true,
+          maxSockets: MAX_SOCKETS,
+          rejectUnauthorized: verify,
+          // The CA is trusted in addition to the public roots, not instead of them
+          ca: s3Settings.caCertificate ? [...tls.rootCertificates, s3Settings.caCertificate] : undefined
+        })
+      };
+    }
+  }
+
+  return options;
+};
+
+// An ETag of a non-encrypted part is the quoted MD5 of its contents
+const partMatchesETag = (buffer, etag) => {
+  const md5 = crypto.createHash('md5').update(buffer).digest('hex');
+  return etag && etag.replace(/"/g, '') === md5;
+};
+
+// Object of a listObjectsV2 listing as returned by the listing methods
+const toObjectRecord = (object) => ({
+  key: object.Key,
+  size: object.Size,
+  lastModified: object.LastModified,
+  storageClass: object.StorageClass || 'STANDARD',
+  etag: object.ETag
+});
+
 class S3Service {
   constructor() {
     this.s3Instances = new Map(); // Cache S3 instances per user
@@ -21,12 +85,8 @@ class S3Service {
         throw new Error('S3 credentials not configured. Please configure your AWS credentials in the Config page.');
       }
 
-      // Create AWS S3 instance with user's credentials
-      const s3 = new AWS.S3({
-        accessKeyId: config.s3Settings.accessKeyId,
-        secretAccessKey: config.s3Settings.secretAccessKey,
-        region: config.s3Settings.region || 'us-east-1'
-      });
+      // Create S3 instance with user's credentials, for AWS or the user's S3-compatible endpoint
+      const s3 = new AWS.S3(buildClientOptions(config.s3Settings));
 
       // Cache the instance
       this.s3Instances.set(userId, s3);
@@ -104,7 +164,7 @@ class S3Service {
       const s3 = await this.getS3Instance(userId);
       
       // First, check if bucket is empty
-      const objects = await this.listBucketObjects(userId, bucketName);
+      const { objects } = await this.listBucketObjects(userId, bucketName, '', { maxKeys: 1 });
       if (objects.length > 0) {
         throw new Error('Cannot delete bucket: bucket is not empty');
       }
@@ -118,11 +178,20 @@ class S3Service {
     }
   }
 
-  // List objects in a bucket
-  async listBucketObjects(userId, bucketName, prefix = '', maxKeys = 1000) {
+  // List one page of the objects under a prefix. Pass the returned continuationToken to get the next page, or
+  // startAfter to continue after a key, e.g. the last key of a page handled before an interruption.
+  // With a delimiter, keys below the next delimiter are grouped into folders (S3 common prefixes) instead.
+  async listBucketObjects(userId, bucketName, prefix = '', options = {}) {
+    const {
+      continuationToken = null,
+      startAfter = null,
+      delimiter = null,
+      maxKeys = 1000
+    } = options;
+
     try {
       const s3 = await this.getS3Instance(userId);
-      
+
       const params = {
         Bucket: bucketName,
         MaxKeys: maxKeys
@@ -131,16 +200,22 @@ class S3Service {
       if (prefix) {
         params.Prefix = prefix;
       }
+      if (delimiter) {
+        params.Delimiter = delimiter;
+      }
+      if (continuationToken) {
+        params.ContinuationToken = continuationToken;
+      } else if (startAfter) {
+        params.StartAfter = startAfter;
+      }
 
       const result = await s3.listObjectsV2(params).promise();
-      
-      return result.Contents.map(object => ({
-        key: object.Key,
-        size: object.Size,
-        lastModified: object.LastModified,
-        storageClass: object.StorageClass || 'STANDARD',
-        etag: object.ETag
-      }));
+
+      return {
+        objects: (result.Contents || []).map(toObjectRecord),
+        folders: (result.CommonPrefixes || []).map(commonPrefix => commonPrefix.Prefix),
+        continuationToken: result.IsTruncated ? result.NextContinuationToken : null
+      };
     } catch (error) {
       console.error('Error listing bucket objects for bucket:', bucketName, error);
       throw error;
@@ -175,18 +250,37 @@ class S3Service {
     }
   }
 
-  // Test S3 connection
-  async testConnection(userId) {
+  // Test S3 connection, with the saved settings or with settings that are not saved yet.
+  // The test goes through the same endpoint, addressing style, TLS options and signature version as real requests.
+  async testConnection(userId, s3Settings = null) {
     try {
-      const s3 = await this.getS3Instance(userId);
-      
+      const settings = s3Settings || (await getConfig(userId)).s3Settings;
+      if (!settings || !settings.accessKeyId || !settings.secretAccessKey) {
+        throw new Error('S3 credentials not configured. Please configure your AWS credentials in the Config page.');
+      }
+
+      const options = buildClientOptions(settings);
+      const s3 = new AWS.S3({
+        ...options,
+        maxRetries: 0,
+        httpOptions: {
+          ...options.httpOptions,
+          connectTimeout: TEST_CONNECT_TIMEOUT_MS,
+          timeout: TEST_TIMEOUT_MS
+        }
+      });
+
       // Try to list buckets to test connection
       const result = await s3.listBuckets().promise();
       
       return {
         success: true,
         bucketCount: result.Buckets.length,
-        owner: result.Owner
+        owner: result.Owner,
+        endpoint: settings.endpoint || null,
+        region: options.region,
+        forcePathStyle: options.s3ForcePathStyle,
+        signatureVersion: options.signatureVersion
       };
     } catch (error) {
       console.error('Error testing S3 connection for user:', userId, error);
@@ -220,6 +314,401 @@ class S3Service {
     }
   }
 
+  // Upload a stream to S3 using a multipart upload without buffering the whole object.
+  // Parts are read sequentially from the stream and uploaded with bounded concurrency, so memory use
+  // stays around partSize * concurrency. Passing the uploadId of an earlier, unfinished upload resumes it:
+  // the stream is read again from the start and parts S3 already holds (same size and MD5) are skipped.
+  // On failure the upload is aborted unless `resumable` is set, in which case the error carries the uploadId.
+  async uploadStream(userId, bucketName, key, stream, options = {}) {
+    const {
+      contentType = 'application/octet-stream',
+      partSize = DEFAULT_PART_SIZE,
+      concurrency = DEFAULT_CONCURRENCY,
+      resumable = false,
+      onProgress = null
+    } = options;
+
+    if (partSize < MIN_PART_SIZE) {
+      throw new Error(`Part size must be at least ${MIN_PART_SIZE} bytes`);
+    }
+
+    const s3 = await this.getS3Instance(userId);
+    let uploadId = options.uploadId || null;
+    const existingParts = new Map();
+    const completedParts = [];
+    const inFlight = new Set();
+    let totalBytes = 0;
+    let uploadedBytes = 0;
+    let partNumber = 0;
+    let pending = [];
+    let pendingBytes = 0;
+    let failure = null;
+
+    if (uploadId) {
+      const parts = await this.listMultipartParts(userId, bucketName, key, uploadId);
+      parts.forEach((part) => existingParts.set(part.partNumber, part));
+    }
+
+    const startUpload = async () => {
+      if (!uploadId) {
+        const created = await s3.createMultipartUpload({
+          Bucket: bucketName,
+          Key: key,
+          ContentType: contentType
+        }).promise();
+        uploadId = created.UploadId;
+      }
+    };
+
+    const sendPart = async (number, buffer) => {
+      const existing = existingParts.get(number);
+      let etag;
+      let skipped = false;
+
+      if (existing && existing.size === buffer.length && partMatchesETag(buffer, existing.etag)) {
+        etag = existing.etag;
+        skipped = true;
+      } else {
+        const result = await s3.uploadPart({
+          Bucket: bucketName,
+          Key: key,
+          UploadId: uploadId,
+          PartNumber: number,
+          Body: buffer
+        }).promise();
+        etag = result.ETag;
+      }
+
+      completedParts.push({ PartNumber: number, ETag: etag });
+      uploadedBytes += buffer.length;
+
+      if (onProgress) {
+        onProgress({
+          uploadId,
+          partNumber: number,
+          partSize: buffer.length,
+          skipped,
+          partsCompleted: completedParts.length,
+          uploadedBytes
+        });
+      }
+    };
+
+    const queuePart = async (buffer) => {
+      partNumber += 1;
+      if (partNumber > MAX_PARTS) {
+        throw new Error(`Object exceeds ${MAX_PARTS} parts; increase the part size`);
+      }
+
+      const promise = sendPart(partNumber, buffer)
+        .catch((error) => {
+          failure = failure || error;
+        })
+        .finally(() => inFlight.delete(promise));
+      inFlight.add(promise);
+
+      if (inFlight.size >= concurrency) {
+        await Promise.race(inFlight);
+      }
+    };
+
+    const takePart = () => {
+      const buffer = Buffer.concat(pending, pendingBytes);
+      const part = buffer.subarray(0, partSize);
+      const rest = buffer.subarray(partSize);
+      pending = rest.length > 0 ? [rest] : [];
+      pendingBytes = rest.length;
+      return part;
+    };
+
+    try {
+      for await (const chunk of stream) {
+        const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+        pending.push(data);
+        pendingBytes += data.length;
+        totalBytes += data.length;
+
+        while (pendingBytes >= partSize && !failure) {
+          await startUpload();
+          await queuePart(takePart());
+        }
+
+        if (failure) {
+          throw failure;
+        }
+      }
+
+      // Small objects that never filled a part go up in a single request
+      if (!uploadId && partNumber === 0) {
+        const body = Buffer.concat(pending, pendingBytes);
+        const result = await s3.putObject({
+          Bucket: bucketName,
+          Key: key,
+          Body: body,
+          ContentType: contentType
+        }).promise();
+
+        if (onProgress) {
+          onProgress({
+            uploadId: null,
+            partNumber: 1,
+            partSize: body.length,
+            skipped: false,
+            partsCompleted: 1,
+            uploadedBytes: body.length
+          });
+        }
+
+        return {
+          success: true,
+          etag: result.ETag,
+          key,
+          uploadId: null,
+          parts: 1,
+          size: body.length
+        };
+      }
+
+      await startUpload();
+      if (pendingBytes > 0) {
+        await queuePart(takePart());
+      }
+      await Promise.all(inFlight);
+
+      if (failure) {
+        throw failure;
+      }
+
+      completedParts.sort((a, b) => a.PartNumber - b.PartNumber);
+      const result = await s3.completeMultipartUpload({
+        Bucket: bucketName,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: { Parts: completedParts }
+      }).promise();
+
+      return {
+        success: true,
+        location: result.Location,
+        etag: result.ETag,
+        key: result.Key || key,
+        uploadId,
+        parts: completedParts.length,
+        size: totalBytes
+      };
+    } catch (error) {
+      // Let in-flight parts settle before deciding what to do with the upload
+      await Promise.allSettled(inFlight);
+      if (typeof stream.destroy === 'function') {
+        stream.destroy();
+      }
+
+      if (uploadId && !resumable) {
+        // Best effort: a failed abort is already logged and must not mask the original error
+        await this.abortMultipartUpload(userId, bucketName, key, uploadId).catch(() => {});
+      } else if (uploadId) {
+        error.uploadId = uploadId;
+        error.completedParts = completedParts.length;
+      }
+
+      console.error('Error streaming upload to S3:', error);
+      throw error;
+    }
+  }
+
+  // Part size and count for a multipart upload of a known size: the default part size, or larger parts when the
+  // object would otherwise need more than MAX_PARTS
+  planMultipartParts(size, partSize = DEFAULT_PART_SIZE) {
+    const planned = Math.min(MAX_PART_SIZE, Math.max(partSize, MIN_PART_SIZE, Math.ceil(size / MAX_PARTS)));
+    return {
+      partSize: planned,
+      partCount: Math.max(1, Math.ceil(size / planned))
+    };
+  }
+
+  // Presigned URL the browser PUTs an object to. With a SHA-256 (base64) the checksum header is signed as well, so
+  // S3 rejects content that does not match it; the browser must then send that header with the same value.
+  async getPresignedPutUrl(userId, bucketName, key, options = {}) {
+    const { contentType = 'application/octet-stream', checksumSha256 = null, expiresSeconds = 900 } = options;
+    try {
+      const s3 = await this.getS3Instance(userId);
+      const params = {
+        Bucket: bucketName,
+        Key: key,
+        ContentType: contentType,
+        Expires: expiresSeconds
+      };
+      if (checksumSha256) {
+        params.ChecksumSHA256 = checksumSha256;
+      }
+
+      return await s3.getSignedUrlPromise('putObject', params);
+    } catch (error) {
+      console.error('Error presigning upload URL:', error);
+      throw error;
+    }
+  }
+
+  // Start a multipart upload whose parts are sent by someone else, e.g. the browser through presigned part URLs
+  async createMultipartUpload(userId, bucketName, key, contentType = 'application/octet-stream') {
+    try {
+      const s3 = await this.getS3Instance(userId);
+      const result = await s3.createMultipartUpload({
+        Bucket: bucketName,
+        Key: key,
+        ContentType: contentType
+      }).promise();
+
+      return result.UploadId;
+    } catch (error) {
+      console.error('Error starting multipart upload:', error);
+      throw error;
+    }
+  }
+
+  // Presigned URL the browser PUTs one part of a multipart upload to
+  async getPresignedPartUrl(userId, bucketName, key, uploadId, partNumber, expiresSeconds = 900) {
+    try {
+      const s3 = await this.getS3Instance(userId);
+      return await s3.getSignedUrlPromise('uploadPart', {
+        Bucket: bucketName,
+        Key: key,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+        Expires: expiresSeconds
+      });
+    } catch (error) {
+      console.error('Error presigning part upload URL:', error);
+      throw error;
+    }
+  }
+
+  // Complete a multipart upload from its parts' numbers and ETags
+  async completeMultipartUpload(userId, bucketName, key, uploadId, parts) {
+    try {
+      const s3 = await this.getS3Instance(userId);
+      const result = await s3.completeMultipartUpload({
+        Bucket: bucketName,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: {
+          Parts: parts.map(part => ({ PartNumber: part.partNumber, ETag: part.etag }))
+        }
+      }).promise();
+
+      return { key: result.Key, etag: result.ETag };
+    } catch (error) {
+      console.error('Error completing multipart upload:', uploadId, error);
+      throw error;
+    }
+  }
+
+  // Size, ETag and content type of an object, and its SHA-256 checksum (base64) if S3 stored one for it
+  async headObject(userId, bucketName, key) {
+    const s3 = await this.getS3Instance(userId);
+    const result = await s3.headObject({
+      Bucket: bucketName,
+      Key: key,
+      ChecksumMode: 'ENABLED'
+    }).promise();
+
+    return {
+      key,
+      size: result.ContentLength,
+      etag: result.ETag,
+      contentType: result.ContentType || 'application/octet-stream',
+      lastModified: result.LastModified,
+      checksumSha256: result.ChecksumSHA256 || null
+    };
+  }
+
+  // Delete one object
+  async deleteObject(userId, bucketName, key) {
+    try {
+      const s3 = await this.getS3Instance(userId);
+      await s3.deleteObject({ Bucket: bucketName, Key: key }).promise();
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting object:', key, error);
+      throw error;
+    }
+  }
+
+  // List the parts already uploaded for an unfinished multipart upload
+  async listMultipartParts(userId, bucketName, key, uploadId) {
+    try {
+      const s3 = await this.getS3Instance(userId);
+      const parts = [];
+      let marker;
+
+      do {
+        const params = {
+          Bucket: bucketName,
+          Key: key,
+          UploadId: uploadId
+        };
+        if (marker) {
+          params.PartNumberMarker = marker;
+        }
+
+        const result = await s3.listParts(params).promise();
+        result.Parts.forEach((part) => parts.push({
+          partNumber: part.PartNumber,
+          etag: part.ETag,
+          size: part.Size,
+          lastModified: part.LastModified
+        }));
+        marker = result.IsTruncated ? result.NextPartNumberMarker : null;
+      } while (marker);
+
+      return parts;
+    } catch (error) {
+      console.error('Error listing multipart upload parts:', error);
+      throw error;
+    }
+  }
+
+  // List unfinished multipart uploads in a bucket
+  async listMultipartUploads(userId, bucketName, prefix = '') {
+    try {
+      const s3 = await this.getS3Instance(userId);
+      const params = { Bucket: bucketName };
+
+      if (prefix) {
+        params.Prefix = prefix;
+      }
+
+      const result = await s3.listMultipartUploads(params).promise();
+
+      return result.Uploads.map(upload => ({
+        key: upload.Key,
+        uploadId: upload.UploadId,
+        initiated: upload.Initiated,
+        storageClass: upload.StorageClass || 'STANDARD'
+      }));
+    } catch (error) {
+      console.error('Error listing multipart uploads for bucket:', bucketName, error);
+      throw error;
+    }
+  }
+
+  // Abort a multipart upload and discard its parts
+  async abortMultipartUpload(userId, bucketName, key, uploadId) {
+    try {
+      const s3 = await this.getS3Instance(userId);
+      await s3.abortMultipartUpload({
+        Bucket: bucketName,
+        Key: key,
+        UploadId: uploadId
+      }).promise();
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error aborting multipart upload:', uploadId, error);
+      throw error;
+    }
+  }
+
   // Create a folder in S3 (by uploading an empty object with trailing slash)
   async createFolder(userId, bucketName, folderPath) {
     try {
@@ -276,6 +765,12 @@ class S3Service {
     }
   }
 
+  // Stream the content of an object without buffering it; errors such as NoSuchKey are emitted by the stream
+  async getObjectStream(userId, bucketName, key) {
+    const s3 = await this.getS3Instance(userId);
+    return s3.getObject({ Bucket: bucketName, Key: key }).createReadStream();
+  }
+
   // Clear cached S3 instance for a user (useful when credentials change)
   clearUserCache(userId) {
     this.s3Instances.delete(userId);
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Envelope format: enc:v1:<master key ID>:<wrapped data key>:<encrypted secret>, each part base64 of IV, tag and
+// ciphertext. Values without the prefix were stored before encryption was set up and are read as they are.
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+const encryptionError = (code, status, message) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const missingKeyError = (keyId) => encryptionError('MASTER_KEY_MISSING', 500, 'A stored secret is encrypted with '
+  + `master key ${keyId}, which is not configured. Add it to CONFIG_PREVIOUS_MASTER_KEYS or CONFIG_MASTER_KEY_FILE.`);
+
+// A master key is 32 bytes, written as 64 hex characters or as base64 (openssl rand -base64 32)
+const parseKey = (text, source) => {
+  const value = text.trim();
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw encryptionError('INVALID_MASTER_KEY', 500, `${source} is not a 32-byte key in hex or base64`);
+  }
+  return key;
+};
+
+// Master keys are told apart by a digest, so the stored values name the key they need without revealing it
+const keyIdOf = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+};
+
+const open = (key, sealed, aad) => {
+  const data = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_BYTES));
+  decipher.setAAD(aad);
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+};
+
+/**
+ * Envelope encryption of stored secrets. Every secret is encrypted with its own random data key, and the data key
+ * is encrypted ("wrapped") with the server's master key. Rotating the master key only rewraps the data keys.
+ *
+ * The current master key is CONFIG_MASTER_KEY, or else the first key in CONFIG_MASTER_KEY_FILE (one key per line).
+ * The other keys in the file and those in CONFIG_PREVIOUS_MASTER_KEYS (comma-separated) only decrypt, so values
+ * written under an earlier key stay readable until they are rewrapped.
+ */
+class SecretEncryptionService {
+  constructor() {
+    this.keyRing = null;
+  }
+
+  /**
+   * Read the master keys from the environment and the key file, once
+   * @returns {{current: {id: string, key: Buffer}|null, keys: Map<string, Buffer>}} The key ring
+   */
+  getKeyRing() {
+    if (this.keyRing) {
+      return this.keyRing;
+    }
+
+    const configured = [];
+    if (process.env.CONFIG_MASTER_KEY) {
+      configured.push(parseKey(process.env.CONFIG_MASTER_KEY, 'CONFIG_MASTER_KEY'));
+    }
+    if (process.env.CONFIG_MASTER_KEY_FILE) {
+      fs.readFileSync(process.env.CONFIG_MASTER_KEY_FILE, 'utf8').split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line && !line.startsWith('#'))
+        .forEach((line, index) => configured.push(parseKey(line, `Line ${index + 1} of CONFIG_MASTER_KEY_FILE`)));
+    }
+    (process.env.CONFIG_PREVIOUS_MASTER_KEYS || '').split(',')
+      .filter((value) => value.trim())
+      .forEach((value) => configured.push(parseKey(value, 'A key in CONFIG_PREVIOUS_MASTER_KEYS')));
+
+    const keys = new Map(configured.map((key) => [keyIdOf(key), key]));
+    this.keyRing = {
+      current: configured.length > 0 ? { id: keyIdOf(configured[0]), key: configured[0] } : null,
+      keys,
+    };
+    if (!this.keyRing.current) {
+      console.warn('⚠️  No CONFIG_MASTER_KEY or CONFIG_MASTER_KEY_FILE set: '
+        + 'API tokens and S3 secrets are stored unencrypted');
+    }
+    return this.keyRing;
+  }
+
+  // Forget the loaded keys, so the next use reads them again
+  reload() {
+    this.keyRing = null;
+  }
+
+  isEnabled() {
+    return this.getKeyRing().current !== null;
+  }
+
+  // ID of the current master key, or null when encryption is not set up
+  currentKeyId() {
+    const { current } = this.getKeyRing();
+    return current ? current.id : null;
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+  }
+
+  // ID of the master key a stored value is wrapped with, or null for a plaintext value
+  keyIdOfValue(value) {
+    return this.isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+  }
+
+  /**
+   * Encrypt a secret under the current master key. Empty values stay empty, and without a master key the value is
+   * returned as it is.
+   * @param {string} plaintext - The secret
+   * @param {string} context - What the secret belongs to, e.g. "configurations:12:apiToken"; decrypting needs the
+   *   same context, so a stored value cannot be copied to another user or field
+   * @returns {string} The stored value
+   */
+  encrypt(plaintext, context) {
+    const { current } = this.getKeyRing();
+    if (!plaintext || !current) {
+      return plaintext;
+    }
+
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+    const wrapped = seal(current.key, dataKey, Buffer.from(`${PREFIX}${current.id}`));
+    const payload = seal(dataKey, Buffer.from(plaintext, 'utf8'), Buffer.from(context));
+    return `${PREFIX}${current.id}:${wrapped}:${payload}`;
+  }
+
+  /**
+   * Decrypt a stored value; plaintext values are returned as they are
+   * @param {string} value - The stored value
+   * @param {string} context - The context it was encrypted with
+   * @returns {string} The secret
+   */
+  decrypt(value, context) {
+    if (!this.isEncrypted(value)) {
+      return value;
+    }
+
+    const [keyId, wrapped, payload] = value.slice(PREFIX.length).split(':');
+    const masterKey = this.getKeyRing().keys.get(keyId);
+    if (!masterKey) {
+      throw missingKeyError(keyId);
+    }
+
+    try {
+      const dataKey = open(masterKey, wrapped, Buffer.from(`${PREFIX}${keyId}`));
+      return open(dataKey, payload, Buffer.from(context)).toString('utf8');
+    } catch (error) {
+      throw encryptionError('DECRYPTION_FAILED', 500, `A stored secret could not be decrypted (${context})`);
+    }
+  }
+
+  /**
+   * Bring a stored value to the current master key: plaintext is encrypted, and the data key of a value wrapped
+   * with an earlier master key is rewrapped. The secret itself is not re-encrypted.
+   * @param {string} value - The stored value
+   * @param {string} context - The context it was encrypted with
+   * @returns {string} The value to store, the same one if nothing changed
+   */
+  rewrap(value, context) {
+    const { current } = this.getKeyRing();
+    if (!value || !current) {
+      return value;
+    }
+    if (!this.isEncrypted(value)) {
+      return this.encrypt(value, context);
+    }
+
+    const [keyId, wrapped, payload] = value.slice(PREFIX.length).split(':');
+    if (keyId === current.id) {
+      return value;
+    }
+    const masterKey = this.getKeyRing().keys.get(keyId);
+    if (!masterKey) {
+      throw missingKeyError(keyId);
+    }
+    const dataKey = open(masterKey, wrapped, Buffer.from(`${PREFIX}${keyId}`));
+    return `${PREFIX}${current.id}:${seal(current.key, dataKey, Buffer.from(`${PREFIX}${current.id}`))}:${payload}`;
+  }
+
+  // A secret as GET responses show it: the last four characters, as toSafeJSON has always shown them
+  mask(secret) {
+    return secret ? `***${secret.slice(-4)}` : '';
+  }
+}
+
+const secretEncryptionService = new SecretEncryptionService();
+secretEncryptionService.PREFIX = PREFIX;
+
+module.exports = secretEncryptionService;
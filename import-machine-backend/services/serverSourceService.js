@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const { ServerSource } = require('../models');
+const packagingService = require('./packagingService');
+const { detectFormat, isSupportedFile } = require('./mailExtractionService');
+
+// Progress of a server ingest is pushed to the event stream and stored on its job at most this often
+const PROGRESS_INTERVAL_MS = 1000;
+
+// Error with a code and the HTTP status routes answer with
+const sourceError = (code, status, message) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+// Path relative to a source root with forward slashes, as shown to users and stored on spooled files
+const toRelativePath = (root, target) => path.relative(root, target).split(path.sep).join('/');
+
+// Through path.relative rather than a prefix check, which would turn a root of / into the prefix //. A name such as
+// "..notes" inside the root is not a step up.
+const isWithinRoot = (root, target) => {
+  const relative = path.relative(root, target);
+  return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+};
+
+/**
+ * Lets users browse admin-approved directories on the backend host and ingest the mail files in them: EML files,
+ * and PST, MBOX and MSG files whose messages are extracted when the upload set is packaged.
+ * Every path a user sends is relative to a source's root and resolved through realpath, so neither `..`
+ * segments nor symbolic links can reach anything outside the root.
+ */
+class ServerSourceService {
+  /**
+   * Check that a root path can be used for a source
+   * @param {string} rootPath - Absolute directory path
+   * @returns {Promise<string>} The normalized root path
+   */
+  async checkRootPath(rootPath) {
+    if (!path.isAbsolute(rootPath)) {
+      throw sourceError('INVALID_ROOT', 400, 'Root path must be absolute');
+    }
+
+    const normalized = path.resolve(rootPath);
+    let stats;
+    try {
+      stats = await fs.promises.stat(normalized);
+    } catch (error) {
+      const reason = error.code || error.message;
+      throw sourceError('INVALID_ROOT', 400, `Root path ${normalized} is not accessible: ${reason}`);
+    }
+    if (!stats.isDirectory()) {
+      throw sourceError('INVALID_ROOT', 400, `Root path ${normalized} is not a directory`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Get a source users may read from
+   * @param {string} sourceId - The source ID
+   * @returns {Promise<ServerSource>} The enabled source
+   */
+  async getEnabledSource(sourceId) {
+    const source = await ServerSource.findByPk(sourceId);
+    if (!source || !source.enabled) {
+      throw sourceError('SOURCE_NOT_FOUND', 404, 'Server source not found');
+    }
+    return source;
+  }
+
+  /**
+   * Resolve a path inside a source, refusing anything that would leave its root
+   * @param {ServerSource} source - The source
+   * @param {string} relativePath - Path relative to the source root; empty for the root itself
+   * @returns {Promise<{root: string, target: string, relativePath: string}>} Real paths of the root and target
+   */
+  async resolvePath(source, relativePath = '') {
+    if (typeof relativePath !== 'string' || relativePath.includes('\0')) {
+      throw sourceError('INVALID_PATH', 400, 'Invalid path');
+    }
+
+    const segments = relativePath.split(/[\\/]+/).filter((segment) => segment && segment !== '.');
+    if (segments.includes('..')) {
+      throw sourceError('INVALID_PATH', 400, 'Paths must not contain ".." segments');
+    }
+
+    let root;
+    try {
+      root = await fs.promises.realpath(source.rootPath);
+    } catch (error) {
+      throw sourceError('SOURCE_UNAVAILABLE', 503, `Server source ${source.name} is not accessible`);
+    }
+
+    let target;
+    try {
+      target = await fs.promises.realpath(path.join(root, ...segments));
+    } catch (error) {
+      throw sourceError('PATH_NOT_FOUND', 404, `Path ${relativePath} does not exist`);
+    }
+
+    // A symbolic link inside the root may still point outside of it
+    if (!isWithinRoot(root, target)) {
+      throw sourceError('OUTSIDE_ROOT', 403, `Path ${relativePath} is outside the server source`);
+    }
+
+    return { root, target, relativePath: toRelativePath(root, target) };
+  }
+
+  /**
+   * List the folders and mail files of a directory inside a source
+   * @param {ServerSource} source - The source
+   * @param {string} relativePath - Directory relative to the source root
+   * @returns {Promise<Object>} The directory, its parent and its entries, folders first
+   */
+  async listDirectory(source, relativePath = '') {
+    const { root, target, relativePath: normalized } = await this.resolvePath(source, relativePath);
+    const stats = await fs.promises.stat(target);
+    if (!stats.isDirectory()) {
+      throw sourceError('NOT_A_DIRECTORY', 400, `Path ${normalized} is not a directory`);
+    }
+
+    const dirents = await fs.promises.readdir(target, { withFileTypes: true });
+    const entries = [];
+    let otherFiles = 0;
+
+    for (const dirent of dirents) {
+      const entryPath = path.join(target, dirent.name);
+      let realPath = entryPath;
+      if (dirent.isSymbolicLink()) {
+        realPath = await fs.promises.realpath(entryPath).catch(() => null);
+      }
+
+      // Broken links and links that leave the root are not listed
+      const entryStats = realPath && isWithinRoot(root, realPath)
+        ? await fs.promises.stat(realPath).catch(() => null)
+        : null;
+
+      if (entryStats && entryStats.isDirectory()) {
+        entries.push({
+          name: dirent.name,
+          path: toRelativePath(root, entryPath),
+          type: 'folder',
+          modifiedAt: entryStats.mtime,
+        });
+      } else if (entryStats && entryStats.isFile() && isSupportedFile(dirent.name)) {
+        entries.push({
+          name: dirent.name,
+          path: toRelativePath(root, entryPath),
+          type: 'file',
+          format: detectFormat(dirent.name),
+          size: entryStats.size,
+          modifiedAt: entryStats.mtime,
+        });
+      } else {
+        otherFiles += 1;
+      }
+    }
+
+    entries.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type.localeCompare(b.type)));
+
+    return {
+      source: { id: source.id, name: source.name },
+      path: normalized,
+      parent: normalized ? toRelativePath(root, path.dirname(target)) : null,
+      entries,
+      otherFiles,
+    };
+  }
+
+  /**
+   * Find every mail file under the selected paths; folders are walked recursively.
+   * Files reachable through several selections or links are returned once.
+   * @param {ServerSource} source - The source
+   * @param {Array<string>} selections - Files and folders relative to the source root
+   * @returns {Promise<Array<{path: string, relativePath: string, size: number}>>} Files in a stable order
+   */
+  async collectFiles(source, selections) {
+    const files = new Map();
+    const visited = new Set();
+
+    const walk = async (root, directory) => {
+      if (visited.has(directory)) {
+        return;
+      }
+      visited.add(directory);
+
+      const dirents = await fs.promises.readdir(directory, { withFileTypes: true });
+      dirents.sort((a, b) => a.name.localeCompare(b.name));
+
+      for (const dirent of dirents) {
+        const realPath = await fs.promises.realpath(path.join(directory, dirent.name)).catch(() => null);
+        if (realPath && isWithinRoot(root, realPath)) {
+          const stats = await fs.promises.stat(realPath);
+          if (stats.isDirectory()) {
+            await walk(root, realPath);
+          } else if (stats.isFile() && isSupportedFile(dirent.name) && !files.has(realPath)) {
+            files.set(realPath, { path: realPath, relativePath: toRelativePath(root, realPath), size: stats.size });
+          }
+        }
+      }
+    };
+
+    for (const selection of selections) {
+      const { root, target, relativePath } = await this.resolvePath(source, selection);
+      const stats = await fs.promises.stat(target);
+      if (stats.isDirectory()) {
+        await walk(root, target);
+      } else if (stats.isFile() && isSupportedFile(target) && !files.has(target)) {
+        files.set(target, { path: target, relativePath, size: stats.size });
+      }
+    }
+
+    return Array.from(files.values());
+  }
+
+  /**
+   * Spool the selected files of a source into a packaging session, reporting progress as they are read
+   * @param {Object} session - The packaging session, still receiving files
+   * @param {ServerSource} source - The source
+   * @param {Array<string>} selections - Files and folders relative to the source root
+   * @param {Function} onProgress - Called with the session progress at most once per PROGRESS_INTERVAL_MS
+   * @returns {Promise<Object>} The session
+   */
+  async ingest(session, source, selections, onProgress = () => {}) {
+    const { progress } = session;
+    progress.phase = 'scanning';
+    packagingService.publishProgress(session);
+
+    const files = await this.collectFiles(source, selections);
+    if (files.length === 0) {
+      throw sourceError('NO_FILES', 400, 'The selected paths do not contain any .eml, .msg, .mbox or .pst files');
+    }
+
+    progress.phase = 'reading';
+    progress.filesFound = files.length;
+    progress.bytesFound = files.reduce((sum, file) => sum + file.size, 0);
+
+    let lastReport = 0;
+    for (const file of files) {
+      await packagingService.spoolFile(session, file.relativePath, fs.createReadStream(file.path));
+      progress.filesRead += 1;
+      progress.bytesRead += file.size;
+
+      if (Date.now() - lastReport >= PROGRESS_INTERVAL_MS) {
+        lastReport = Date.now();
+        packagingService.publishProgress(session);
+        onProgress(progress);
+      }
+    }
+
+    packagingService.publishProgress(session);
+    onProgress(progress);
+    return session;
+  }
+
+  /**
+   * Serialize a source for API responses; the root path on the server is only shown to admins
+   * @param {ServerSource} source - The source
+   * @param {boolean} isAdmin - Whether the requesting user is an admin
+   * @returns {Object} Public source record
+   */
+  describe(source, isAdmin) {
+    return {
+      id: source.id,
+      name: source.name,
+      description: source.description,
+      enabled: source.enabled,
+      ...(isAdmin ? { rootPath: source.rootPath, createdBy: source.createdBy } : {}),
+      createdAt: source.createdAt,
+      updatedAt: source.updatedAt,
+    };
+  }
+}
+
+const serverSourceService = new ServerSourceService();
+
+module.exports = serverSourceService;
@@ -0,0 +1,240 @@
+const axios = require('axios');
+const archiveClient = require('../services/archiveClient');
+
+jest.mock('axios', () => jest.fn());
+// The client only reads the user's configuration in request(); these tests pass the connection to send()
+jest.mock('../config/shared', () => ({ getConfig: jest.fn() }));
+
+const { ARCHIVE_ERROR_CODES, CIRCUIT_STATES } = archiveClient;
+
+const ARCHIVE_URL = 'http://archive.test';
+const connection = { archiveWebUI: ARCHIVE_URL, apiToken: 'test-token' };
+
+// Defaults of the ARCHIVE_* environment variables
+const BREAKER_THRESHOLD = 5;
+const BREAKER_COOLDOWN_MS = 30000;
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: {
+    status, statusText: '', data: {}, headers,
+  },
+});
+const networkError = (code) => Object.assign(new Error(code), { code, request: {} });
+
+// Settle a request while its backoff and Retry-After sleeps run on fake timers
+const settle = async (promise) => {
+  const outcome = promise.then((value) => ({ value }), (error) => ({ error }));
+  await jest.runAllTimersAsync();
+  return outcome;
+};
+
+const breaker = () => archiveClient.getBreaker(ARCHIVE_URL);
+
+// Open the circuit with unhealthy attempts that are not retried
+const openCircuit = async () => {
+  axios.mockRejectedValue(httpError(503));
+  for (let attempt = 0; attempt < BREAKER_THRESHOLD; attempt += 1) {
+    await settle(archiveClient.send(connection, 'get', '/web.ui/api/imports/_query', { retries: 0 }));
+  }
+  axios.mockReset();
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  axios.mockReset();
+  archiveClient.breakers.clear();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('shouldRetry', () => {
+  test('retries a GET that failed with a server error', async () => {
+    axios
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(httpError(502))
+      .mockResolvedValueOnce({ data: { totalCount: 0 } });
+
+    const { value } = await settle(archiveClient.send(connection, 'get', '/web.ui/api/imports/_query'));
+
+    expect(value).toEqual({ totalCount: 0 });
+    expect(axios).toHaveBeenCalledTimes(3);
+  });
+
+  test('gives up on a GET after the configured retries', async () => {
+    axios.mockRejectedValue(httpError(500));
+
+    const { error } = await settle(archiveClient.send(connection, 'get', '/web.ui/api/imports/1', { retries: 2 }));
+
+    expect(error.code).toBe(ARCHIVE_ERROR_CODES.SERVER_ERROR);
+    expect(axios).toHaveBeenCalledTimes(3);
+  });
+
+  test('retries a GET whose connection was reset', async () => {
+    axios.mockRejectedValueOnce(networkError('ECONNRESET')).mockResolvedValueOnce({ data: {} });
+
+    await settle(archiveClient.send(connection, 'get', '/web.ui/api/imports/1'));
+
+    expect(axios).toHaveBeenCalledTimes(2);
+  });
+
+  test.each([
+    ['a server error', httpError(503), ARCHIVE_ERROR_CODES.SERVER_ERROR],
+    ['a timeout', networkError('ECONNABORTED'), ARCHIVE_ERROR_CODES.TIMEOUT],
+    ['a reset connection', networkError('ECONNRESET'), ARCHIVE_ERROR_CODES.UNREACHABLE],
+  ])('does not retry a POST after %s, since it may have reached the archive', async (_, failure, code) => {
+    axios.mockRejectedValue(failure);
+
+    const { error } = await settle(archiveClient.send(connection, 'post', '/web.ui/api/imports/1/batches'));
+
+    expect(error.code).toBe(code);
+    expect(axios).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries a POST whose connection was refused, since it never reached the archive', async () => {
+    axios.mockRejectedValueOnce(networkError('ECONNREFUSED')).mockResolvedValueOnce({ data: { id: 7 } });
+
+    const { value } = await settle(archiveClient.send(connection, 'post', '/web.ui/api/imports/1/batches'));
+
+    expect(value).toEqual({ id: 7 });
+    expect(axios).toHaveBeenCalledTimes(2);
+  });
+
+  test('retries a rate-limited POST after the delay Retry-After asks for', async () => {
+    axios.mockRejectedValueOnce(httpError(429, { 'retry-after': '2' })).mockResolvedValueOnce({ data: {} });
+
+    const request = archiveClient.send(connection, 'post', '/web.ui/api/imports/1/batches');
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(axios).toHaveBeenCalledTimes(1);
+    await settle(request);
+
+    expect(axios).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not wait out a Retry-After above the cap', async () => {
+    axios.mockRejectedValue(httpError(429, { 'retry-after': '120' }));
+
+    const { error } = await settle(archiveClient.send(connection, 'get', '/web.ui/api/imports/1'));
+
+    expect(error.code).toBe(ARCHIVE_ERROR_CODES.RATE_LIMITED);
+    expect(error.retryAfterMs).toBe(120000);
+    expect(axios).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not retry a client error', async () => {
+    axios.mockRejectedValue(httpError(404));
+
+    const { error } = await settle(archiveClient.send(connection, 'get', '/web.ui/api/imports/99'));
+
+    expect(error.code).toBe(ARCHIVE_ERROR_CODES.NOT_FOUND);
+    expect(axios).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('record', () => {
+  test('opens the circuit after the threshold of unhealthy attempts in a row', async () => {
+    await openCircuit();
+
+    expect(breaker()).toMatchObject({ state: CIRCUIT_STATES.OPEN, failures: BREAKER_THRESHOLD });
+  });
+
+  test('does not count client errors, which mean the archive is up', async () => {
+    axios.mockRejectedValue(httpError(503));
+    for (let attempt = 0; attempt < BREAKER_THRESHOLD - 1; attempt += 1) {
+      await settle(archiveClient.send(connection, 'get', '/web.ui/api/imports/1', { retries: 0 }));
+    }
+    axios.mockRejectedValue(httpError(404));
+    await settle(archiveClient.send(connection, 'get', '/web.ui/api/imports/1', { retries: 0 }));
+
+    expect(breaker()).toMatchObject({ state: CIRCUIT_STATES.CLOSED, failures: 0 });
+  });
+
+  test('leaves the breaker alone on errors that did not come from the archive', async () => {
+    axios.mockRejectedValue(httpError(503));
+    for (let attempt = 0; attempt < BREAKER_THRESHOLD - 1; attempt += 1) {
+      await settle(archiveClient.send(connection, 'get', '/web.ui/api/imports/1', { retries: 0 }));
+    }
+    axios.mockRejectedValue(new TypeError('Cannot read properties of undefined'));
+
+    const { error } = await settle(archiveClient.send(connection, 'get', '/web.ui/api/imports/1'));
+
+    expect(error).toBeInstanceOf(TypeError);
+    expect(axios).toHaveBeenCalledTimes(BREAKER_THRESHOLD);
+    expect(breaker()).toMatchObject({ state: CIRCUIT_STATES.CLOSED, failures: BREAKER_THRESHOLD - 1 });
+  });
+
+  test('keeps a breaker per archive', async () => {
+    await openCircuit();
+    axios.mockResolvedValue({ data: {} });
+
+    await settle(archiveClient.send({ ...connection, archiveWebUI: 'http://other-archive.test' }, 'get', '/x'));
+
+    expect(axios).toHaveBeenCalledTimes(1);
+    expect(breaker().state).toBe(CIRCUIT_STATES.OPEN);
+  });
+});
+
+describe('admit', () => {
+  test('fails requests fast while the circuit is open, with the rest of the cooldown', async () => {
+    await openCircuit();
+    jest.advanceTimersByTime(10000);
+
+    const { error } = await settle(archiveClient.send(connection, 'get', '/web.ui/api/imports/1'));
+
+    expect(error.code).toBe(ARCHIVE_ERROR_CODES.CIRCUIT_OPEN);
+    expect(error.retryable).toBe(true);
+    expect(error.retryAfterMs).toBe(BREAKER_COOLDOWN_MS - 10000);
+    expect(axios).not.toHaveBeenCalled();
+  });
+
+  test('lets one probe through after the cooldown and closes the circuit when it succeeds', async () => {
+    await openCircuit();
+    jest.advanceTimersByTime(BREAKER_COOLDOWN_MS);
+
+    let answerProbe;
+    axios.mockReturnValueOnce(new Promise((resolve) => { answerProbe = resolve; }));
+    const probe = archiveClient.send(connection, 'get', '/web.ui/api/imports/1');
+    expect(breaker()).toMatchObject({ state: CIRCUIT_STATES.HALF_OPEN, probing: true });
+
+    // Other requests still fail fast while the probe is out
+    const { error } = await settle(archiveClient.send(connection, 'get', '/web.ui/api/imports/2'));
+    expect(error.code).toBe(ARCHIVE_ERROR_CODES.CIRCUIT_OPEN);
+    expect(error.retryAfterMs).toBe(1000);
+
+    answerProbe({ data: { id: 1 } });
+    const { value } = await settle(probe);
+
+    expect(value).toEqual({ id: 1 });
+    expect(axios).toHaveBeenCalledTimes(1);
+    expect(breaker()).toMatchObject({
+      state: CIRCUIT_STATES.CLOSED, failures: 0, openedAt: null, probing: false,
+    });
+  });
+
+  test('lets the next request probe when the probe fails without reaching the archive', async () => {
+    await openCircuit();
+    jest.advanceTimersByTime(BREAKER_COOLDOWN_MS);
+    axios.mockRejectedValueOnce(new TypeError('Cannot read properties of undefined'));
+
+    await settle(archiveClient.send(connection, 'get', '/web.ui/api/imports/1'));
+
+    expect(breaker()).toMatchObject({ state: CIRCUIT_STATES.HALF_OPEN, probing: false });
+  });
+
+  test('opens the circuit again for a full cooldown when the probe fails', async () => {
+    await openCircuit();
+    jest.advanceTimersByTime(BREAKER_COOLDOWN_MS);
+    axios.mockRejectedValue(httpError(503));
+    const probedAt = Date.now();
+
+    const { error } = await settle(archiveClient.send(connection, 'get', '/web.ui/api/imports/1'));
+
+    // The probe's own retry is refused by the reopened circuit
+    expect(error.code).toBe(ARCHIVE_ERROR_CODES.CIRCUIT_OPEN);
+    expect(axios).toHaveBeenCalledTimes(1);
+    expect(breaker()).toMatchObject({ state: CIRCUIT_STATES.OPEN, openedAt: probedAt, probing: false });
+  });
+});
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const archiver = require('archiver');
+const { createMockArchive } = require('../mock-archive');
+const archiveClient = require('../services/archiveClient');
+const {
+  buildReconciliationId, generateManifest, serializeManifest, getManifestKey,
+} = require('../services/manifestService');
+
+// The client only reads the user's configuration in request(); these tests pass the connection to send()
+jest.mock('../config/shared', () => ({ getConfig: jest.fn() }));
+
+const CUSTOMER_GUID = '3f2b8c1e-5a4d-4e9b-8c7a-1d2e3f4a5b6c';
+const BUCKET = 'mock-archive-imports';
+const PREFIX = 'imports/';
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const buildMessage = (index) => Buffer.from([
+  `Message-ID: <message-${index}@example.com>`,
+  'From: sender@example.com',
+  'To: recipient@example.com',
+  `Subject: Message ${index}`,
+  'Date: Mon, 15 Jan 2024 10:00:00 +0000',
+  '',
+  `Body of message ${index}`,
+  '',
+].join('\r\n'));
+
+const zip = (files) => new Promise((resolve, reject) => {
+  const archive = archiver('zip');
+  const chunks = [];
+  archive.on('data', (chunk) => chunks.push(chunk));
+  archive.on('end', () => resolve(Buffer.concat(chunks)));
+  archive.on('error', reject);
+  files.forEach((file) => archive.append(file.content, { name: file.name }));
+  archive.finalize();
+});
+
+describe('mock archive', () => {
+  let s3Dir;
+  let mockArchive;
+  let archiveUrl;
+  let s3Url;
+  let connection;
+
+  beforeAll(async () => {
+    s3Dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-archive-test-'));
+    mockArchive = createMockArchive({
+      archivePort: 0, s3Port: 0, s3Dir, tickMs: 20, messagesPerTick: 2, failures: {},
+    });
+    ({ archiveUrl, s3Url } = await mockArchive.start());
+    connection = { archiveWebUI: archiveUrl, apiToken: 'PWSAK2 test-token' };
+  });
+
+  afterEach(async () => {
+    await axios.post(`${archiveUrl}/_mock/reset`);
+  });
+
+  afterAll(async () => {
+    await mockArchive.stop();
+    fs.rmSync(s3Dir, { recursive: true, force: true });
+  });
+
+  // Package messages the way the backend does, put the container and manifest into the S3 stand-in and submit
+  // the batch to the seeded import job
+  const submitBatch = async (importJobAid, name, messageCount) => {
+    const files = Array.from({ length: messageCount }, (_, index) => {
+      const content = buildMessage(index);
+      return {
+        name: `message-${index}.eml`,
+        content,
+        sha256: sha256(content),
+        size: content.length,
+        reconciliationId: buildReconciliationId(CUSTOMER_GUID, 'mock-s3', sha256(content)),
+      };
+    });
+    const container = await zip(files);
+    const containerName = `${name}.zip`;
+    const manifest = generateManifest({
+      customerGUID: CUSTOMER_GUID,
+      containerName,
+      containerHash: sha256(container),
+      entries: files,
+    });
+    const { body, digest } = serializeManifest(manifest);
+    const manifestName = getManifestKey(containerName);
+
+    await axios.put(`${s3Url}/${BUCKET}/${PREFIX}${containerName}`, container);
+    await axios.put(`${s3Url}/${BUCKET}/${PREFIX}${manifestName}`, body, {
+      headers: { 'Content-Type': 'application/json' },
+    });
+
+    const batch = await archiveClient.send(connection, 'post', `${importJobAid}/batches`, {
+      data: {
+        name,
+        description: `${messageCount} test messages`,
+        containerType: 'zip',
+        container: containerName,
+        manifest: manifestName,
+        manifestDigest: digest,
+      },
+    });
+    return { batch, files };
+  };
+
+  // Poll the batch report until the batch is done or failed
+  const waitForReport = async (importJobAid, batchId) => {
+    const deadline = Date.now() + 5000;
+    while (Date.now() < deadline) {
+      const report = await archiveClient.send(connection, 'get', `${importJobAid}/batch-report`);
+      const result = report.results.find((entry) => entry.batchId === batchId);
+      if (['done', 'failed', 'validation_failed'].includes(result.batchStatus)) {
+        return result;
+      }
+      await new Promise((resolve) => { setTimeout(resolve, 20); });
+    }
+    throw new Error(`Batch ${batchId} did not finish`);
+  };
+
+  const findImportJob = async () => {
+    const imports = await archiveClient.send(connection, 'get', '/web.ui/api/imports/_query');
+    return imports.results[0].aid;
+  };
+
+  test('ingests a submitted batch and reports every message as archived', async () => {
+    const importJobAid = await findImportJob();
+    const { batch, files } = await submitBatch(importJobAid, 'batch-archived', 3);
+    expect(batch.status).toBe('pending');
+
+    const report = await waitForReport(importJobAid, batch.id);
+
+    expect(report).toMatchObject({
+      batchName: 'batch-archived',
+      batchStatus: 'done',
+      totalMessages: 3,
+      totalProcessed: 3,
+      totalArchived: 3,
+      totalDeduplicated: 0,
+      validationFailReason: null,
+    });
+    expect(report.messages.map((message) => message.reconciliationId).sort())
+      .toEqual(files.map((file) => file.reconciliationId).sort());
+  });
+
+  test('reports a batch that fails during ingestion when batch failures are injected', async () => {
+    await axios.put(`${archiveUrl}/_mock/failures`, { batchFailRate: 1 });
+    const importJobAid = await findImportJob();
+    const { batch } = await submitBatch(importJobAid, 'batch-failed', 4);
+
+    const report = await waitForReport(importJobAid, batch.id);
+
+    expect(report).toMatchObject({
+      batchStatus: 'failed',
+      totalMessages: 4,
+      totalProcessed: 2,
+      totalArchived: 2,
+      validationFailReason: 'Injected failure: the batch failed during ingestion',
+    });
+
+    const batches = await archiveClient.send(connection, 'get', `${importJobAid}/batches/_query`);
+    expect(batches.results.find((entry) => entry.id === batch.id).status).toBe('failed');
+  });
+});
@@ -4,6 +4,7 @@ import { ThemeProvider as MuiThemeProvider, Box, CssBaseline, useMediaQuery } fr
 import { ThemeProvider, useTheme } from './contexts/ThemeContext';
 import { ConfigProvider } from './contexts/ConfigContext';
 import { AuthProvider } from './contexts/AuthContext';
+import { EventsProvider } from './contexts/EventsContext';
 import { DrawerProvider, useDrawer } from './contexts/DrawerContext';
 import Navigation from './components/Navigation';
 import ProtectedRoute from './components/ProtectedRoute';
@@ -27,13 +28,19 @@ import S3Bucket from './pages/S3Bucket';
 import S3Folder from './pages/S3Folder';
 import ImportNow from './pages/ImportNow';
 import Upload from './pages/Upload';
+import UploadBatch from './pages/UploadBatch';
+import ServerImport from './pages/ServerImport';
+import Quarantine from './pages/Quarantine';
+import Jobs from './pages/Jobs';
 
 function App() {
   return (
     <ThemeProvider>
       <AuthProvider>
         <ConfigProvider>
-          <AppContent />
+          <EventsProvider>
+            <AppContent />
+          </EventsProvider>
         </ConfigProvider>
       </AuthProvider>
     </ThemeProvider>
@@ -163,6 +170,26 @@ function AppLayout() {
             <Upload />
           </ProtectedRoute>
         } />
+        <Route path="/upload-batch" element={
+          <ProtectedRoute>
+            <UploadBatch />
+          </ProtectedRoute>
+        } />
+        <Route path="/server-import" element={
+          <ProtectedRoute>
+            <ServerImport />
+          </ProtectedRoute>
+        } />
+        <Route path="/quarantine" element={
+          <ProtectedRoute>
+            <Quarantine />
+          </ProtectedRoute>
+        } />
+        <Route path="/jobs" element={
+          <ProtectedRoute>
+            <Jobs />
+          </ProtectedRoute>
+        } />
         </Routes>
         </Box>
       </Box>
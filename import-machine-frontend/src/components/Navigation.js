@@ -38,7 +38,11 @@ import {
   Work as WorkIcon,
   Lock as LockIcon,
   Storage as StorageIcon,
-  CloudUpload as CloudUploadIcon
+  CloudUpload as CloudUploadIcon,
+  Publish as PublishIcon,
+  Dns as DnsIcon,
+  ReportProblem as ReportProblemIcon,
+  PendingActions as PendingActionsIcon
 } from '@mui/icons-material';
 import { Link as RouterLink, useLocation } from 'react-router-dom';
 import { useTheme } from '../contexts/ThemeContext';
@@ -94,6 +98,10 @@ function Navigation() {
       { path: '/import-jobs', label: 'Import Jobs', icon: <WorkIcon /> },
       { path: '/s3-bucket', label: 'S3 Bucket', icon: <StorageIcon /> },
       { path: '/upload', label: 'Upload', icon: <CloudUploadIcon /> },
+      { path: '/upload-batch', label: 'Upload & Submit', icon: <PublishIcon /> },
+      { path: '/server-import', label: 'Server Import', icon: <DnsIcon /> },
+      { path: '/quarantine', label: 'Quarantine', icon: <ReportProblemIcon /> },
+      { path: '/jobs', label: 'Jobs', icon: <PendingActionsIcon /> },
     ];
 
     const authItems = isAuthenticated 
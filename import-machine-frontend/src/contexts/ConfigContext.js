@@ -12,6 +12,18 @@ export const useConfig = () => {
   return context;
 };
 
+// An empty endpoint means AWS S3; S3-compatible services (MinIO, Ceph, Wasabi) are reached through their endpoint URL
+export const DEFAULT_S3_SETTINGS = {
+  accessKeyId: '',
+  secretAccessKey: '',
+  region: 'us-east-1',
+  endpoint: '',
+  forcePathStyle: false,
+  tlsVerify: true,
+  caCertificate: '',
+  signatureVersion: 'v4',
+};
+
 function applyConfigFromResponse(data) {
   const d = data || {};
   const s3 = d.s3Settings || {};
@@ -22,6 +34,12 @@ function applyConfigFromResponse(data) {
     s3Settings: {
       accessKeyId: s3.accessKeyId ?? '',
       secretAccessKey: s3.secretAccessKey ?? '',
+      region: s3.region || DEFAULT_S3_SETTINGS.region,
+      endpoint: s3.endpoint ?? '',
+      forcePathStyle: s3.forcePathStyle === true,
+      tlsVerify: s3.tlsVerify !== false,
+      caCertificate: s3.caCertificate ?? '',
+      signatureVersion: s3.signatureVersion || DEFAULT_S3_SETTINGS.signatureVersion,
     },
   };
 }
@@ -33,10 +51,7 @@ export const ConfigProvider = ({ children }) => {
   const [archiveWebUI, setArchiveWebUI] = useState('');
   const [apiToken, setApiToken] = useState('');
   const [customerGUID, setCustomerGUID] = useState('');
-  const [s3Settings, setS3Settings] = useState({
-    accessKeyId: '',
-    secretAccessKey: ''
-  });
+  const [s3Settings, setS3Settings] = useState(DEFAULT_S3_SETTINGS);
   const [loading, setLoading] = useState(true);
 
   const loadBackendConfig = useCallback(async () => {
@@ -66,7 +81,8 @@ export const ConfigProvider = ({ children }) => {
             apiTokenPrefix: applied.apiToken ? applied.apiToken.substring(0, 10) + '...' : 'none',
             s3Settings: {
               accessKeyId: applied.s3Settings.accessKeyId ? 'set (' + applied.s3Settings.accessKeyId.substring(0, 8) + '...)' : 'not set',
-              secretAccessKey: applied.s3Settings.secretAccessKey ? 'set (' + applied.s3Settings.secretAccessKey.substring(0, 8) + '...)' : 'not set'
+              secretAccessKey: applied.s3Settings.secretAccessKey ? 'set (' + applied.s3Settings.secretAccessKey.substring(0, 8) + '...)' : 'not set',
+              endpoint: applied.s3Settings.endpoint || 'AWS S3'
             }
           });
 
@@ -94,7 +110,7 @@ export const ConfigProvider = ({ children }) => {
       setArchiveWebUI('');
       setApiToken('');
       setCustomerGUID('');
-      setS3Settings({ accessKeyId: '', secretAccessKey: '' });
+      setS3Settings(DEFAULT_S3_SETTINGS);
       setLoading(false);
       return;
     }
@@ -107,7 +123,7 @@ export const ConfigProvider = ({ children }) => {
       setArchiveWebUI('');
       setApiToken('');
       setCustomerGUID('');
-      setS3Settings({ accessKeyId: '', secretAccessKey: '' });
+      setS3Settings(DEFAULT_S3_SETTINGS);
     }
 
     loadBackendConfig();
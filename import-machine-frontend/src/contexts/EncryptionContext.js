@@ -73,10 +73,8 @@ export const EncryptionProvider = ({ children }) => {
       const data = await response.json();
       
       if (data.success) {
-        if (data.data.encryptionKey) {
-          setEncryptionKey(data.data.encryptionKey);
-          setIsEncrypted(true);
-        }
+        // The master key stays on the server; the response only tells whether the secrets are now encrypted
+        setIsEncrypted(data.data.isEncrypted);
         return { success: true, alreadyEncrypted: data.data.alreadyEncrypted };
       } else {
         throw new Error(data.error || 'Failed to setup encryption');
@@ -110,7 +108,7 @@ export const EncryptionProvider = ({ children }) => {
       
       if (data.success) {
         setEncryptionKey(data.data.encryptionKey);
-        setIsEncrypted(true);
+        setIsEncrypted(data.data.isEncrypted);
         return { 
           success: true, 
           config: data.data.config,
@@ -152,27 +150,9 @@ export const EncryptionProvider = ({ children }) => {
       const data = await response.json();
       
       if (data.success && data.data && data.data.isEncrypted) {
-        // Decrypt the configuration using the provided key
-        const decryptionResponse = await fetch(`${BACKEND_API_BASE}/api/config/decrypt-with-password`, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ password: 'dummy', encryptionKey: key }) // Backend will use encryptionKey if provided
-        });
-
-        const decryptionData = await decryptionResponse.json();
-        
-        if (decryptionData.success) {
-          return { 
-            success: true, 
-            config: decryptionData.data.config,
-            encryptionKey: key
-          };
-        } else {
-          throw new Error(decryptionData.error || 'Failed to decrypt configuration');
-        }
+        // The backend decrypts with its own master key and hands out no keys, so revealing the stored secrets
+        // takes the user's password through decryptConfiguration
+        throw new Error('Enter your password to show the stored secrets');
       } else {
         // Configuration is not encrypted, return as-is
         return { 
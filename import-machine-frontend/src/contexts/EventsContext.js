@@ -0,0 +1,181 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { BACKEND_API_BASE } from '../config';
+import { useAuth } from './AuthContext';
+
+const EventsContext = createContext();
+
+// Delay before reconnecting after the stream drops; doubles up to the maximum while the server is unreachable
+const RECONNECT_DELAY_MS = 3000;
+const MAX_RECONNECT_DELAY_MS = 60000;
+
+export const useEvents = () => {
+  const context = useContext(EventsContext);
+  if (!context) {
+    throw new Error('useEvents must be used within an EventsProvider');
+  }
+  return context;
+};
+
+// Call a handler with every event of a type while the component is mounted
+export const useEventSubscription = (type, handler) => {
+  const { subscribe } = useEvents();
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => subscribe(type, (data) => handlerRef.current(data)), [subscribe, type]);
+};
+
+// Parse one Server-Sent Events message into its type, id and data lines
+function parseEvent(block) {
+  const event = { type: 'message', id: null, data: [] };
+
+  block.split('\n').forEach(line => {
+    if (!line || line.startsWith(':')) return;
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+    if (field === 'event') event.type = value;
+    if (field === 'id') event.id = value;
+    if (field === 'data') event.data.push(value);
+  });
+
+  return event;
+}
+
+const wait = (ms, signal) => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
+
+// Keeps one event stream per signed-in user open and hands its events to the components that subscribe.
+// The stream is read with fetch rather than EventSource so the token goes in the Authorization header.
+export const EventsProvider = ({ children }) => {
+  const { token } = useAuth();
+  const listenersRef = useRef(new Map());
+  const connectedRef = useRef(false);
+  const [connected, setConnected] = useState(false);
+
+  const updateConnected = useCallback((value) => {
+    connectedRef.current = value;
+    setConnected(value);
+  }, []);
+
+  const dispatch = useCallback((type, data) => {
+    (listenersRef.current.get(type) || []).forEach(listener => {
+      try {
+        listener(data);
+      } catch (error) {
+        console.error(`Error handling ${type} event:`, error);
+      }
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!token) {
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    let lastEventId = null;
+    let reconnectDelay = RECONNECT_DELAY_MS;
+
+    const readStream = async () => {
+      const headers = { 'Authorization': `Bearer ${token}`, 'Accept': 'text/event-stream' };
+      if (lastEventId) {
+        headers['Last-Event-ID'] = lastEventId;
+      }
+
+      const response = await fetch(`${BACKEND_API_BASE}/api/events`, { headers, signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      updateConnected(true);
+      reconnectDelay = RECONNECT_DELAY_MS;
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+
+        buffer += decoder.decode(value, { stream: true });
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+          const event = parseEvent(buffer.slice(0, boundary));
+          buffer = buffer.slice(boundary + 2);
+          boundary = buffer.indexOf('\n\n');
+
+          if (event.id) lastEventId = event.id;
+          if (event.data.length > 0) dispatch(event.type, JSON.parse(event.data.join('\n')));
+        }
+      }
+    };
+
+    const run = async () => {
+      while (!controller.signal.aborted) {
+        try {
+          await readStream();
+        } catch (error) {
+          if (!controller.signal.aborted) {
+            console.error('Event stream error:', error);
+          }
+        }
+
+        updateConnected(false);
+        await wait(reconnectDelay, controller.signal);
+        reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+      }
+    };
+
+    run();
+    return () => controller.abort();
+  }, [token, dispatch, updateConnected]);
+
+  // Register a listener for an event type; returns the function that removes it
+  const subscribe = useCallback((type, listener) => {
+    const listeners = listenersRef.current;
+    if (!listeners.has(type)) {
+      listeners.set(type, new Set());
+    }
+    listeners.get(type).add(listener);
+    return () => listeners.get(type).delete(listener);
+  }, []);
+
+  // Resolve with the first event of a type that matches, or with null once the timeout passes
+  const waitForEvent = useCallback((type, predicate, timeoutMs) => new Promise(resolve => {
+    const timer = setTimeout(() => {
+      unsubscribe();
+      resolve(null);
+    }, timeoutMs);
+    const unsubscribe = subscribe(type, data => {
+      if (predicate(data)) {
+        clearTimeout(timer);
+        unsubscribe();
+        resolve(data);
+      }
+    });
+  }), [subscribe]);
+
+  // Current connection state for code that runs outside of rendering, e.g. long-running upload loops
+  const isConnected = useCallback(() => connectedRef.current, []);
+
+  const value = useMemo(() => ({
+    connected,
+    isConnected,
+    subscribe,
+    waitForEvent
+  }), [connected, isConnected, subscribe, waitForEvent]);
+
+  return (
+    <EventsContext.Provider value={value}>
+      {children}
+    </EventsContext.Provider>
+  );
+};
@@ -43,6 +43,7 @@ import {
 import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import { useConfig } from '../contexts/ConfigContext';
 import { useAuth } from '../contexts/AuthContext';
+import { useEventSubscription } from '../contexts/EventsContext';
 
 // Backend API base URL
 import { BACKEND_API_BASE } from '../config';
@@ -180,6 +181,13 @@ function BatchList() {
     fetchBatches();
   }, [fetchBatches]);
 
+  // While the import job has unfinished batches the server polls the archive and pushes the batch list here
+  useEventSubscription('archive-poll', (event) => {
+    if (event.importJobAid === importJobAid) {
+      setBatches(event.batches);
+    }
+  });
+
   const handleRefresh = () => {
     console.log('Manual refresh triggered');
     fetchBatches();
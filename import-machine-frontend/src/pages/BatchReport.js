@@ -16,6 +16,7 @@ import {
   TableContainer,
   TableHead,
   TableRow,
+  TablePagination,
   Chip,
   IconButton,
   Tooltip,
@@ -39,15 +40,36 @@ import {
   Work as WorkIcon,
   Assessment as AssessmentIcon,
   List as ListIcon,
-  Info as InfoIcon
+  Info as InfoIcon,
+  PendingActions as PendingActionsIcon,
+  Download as DownloadIcon
 } from '@mui/icons-material';
 import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import { useConfig } from '../contexts/ConfigContext';
 import { useAuth } from '../contexts/AuthContext';
+import { useEventSubscription } from '../contexts/EventsContext';
 
 // Backend API base URL
 import { BACKEND_API_BASE } from '../config';
 
+// What caused a recorded batch status change
+const TRANSITION_SOURCE_LABELS = {
+  'packaging': 'Packaging',
+  'submission': 'Submission',
+  'batch-query': 'Batch status poll',
+  'batch-report': 'Batch report',
+  'manual': 'Manual update'
+};
+
+// Outcome of a sent file in the reconciliation, in the order the summary shows them
+const RECONCILIATION_STATUSES = [
+  { status: 'ingested', label: 'Ingested', color: 'success' },
+  { status: 'failed', label: 'Failed', color: 'error' },
+  { status: 'missing', label: 'Missing', color: 'warning' },
+  { status: 'unexpected', label: 'Unexpected', color: 'secondary' },
+  { status: 'pending', label: 'Pending', color: 'info' }
+];
+
 function BatchReport() {
   const { importJobAid } = useParams();
   const navigate = useNavigate();
@@ -65,6 +87,13 @@ function BatchReport() {
   const [error, setError] = useState(null);
   const [batchReport, setBatchReport] = useState(null);
   const [expandedRows, setExpandedRows] = useState(new Set());
+  const [trackingMessage, setTrackingMessage] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [reconciliation, setReconciliation] = useState(null);
+  const [reconciliationError, setReconciliationError] = useState(null);
+  const [reconciliationStatus, setReconciliationStatus] = useState('');
+  const [reconciliationPage, setReconciliationPage] = useState(0);
+  const [reconciliationRowsPerPage, setReconciliationRowsPerPage] = useState(25);
 
   const fetchBatchReport = async () => {
     if (!archiveWebUI || !apiToken) {
@@ -102,18 +131,148 @@ function BatchReport() {
     }
   };
 
+  // Status history of the batches tracked locally; fetched after the report so it includes what the report changed
+  const fetchBatchHistory = async () => {
+    try {
+      const response = await fetch(`${BACKEND_API_BASE}/api/import-job-batches/${encodeURIComponent(importJobAid)}/history`, {
+        method: 'GET',
+        headers: { ...getAuthHeaders() }
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      setHistory(data.data.batches);
+    } catch (err) {
+      console.error('Error fetching batch history:', err);
+    }
+  };
+
+  // What happened to each file sent to the import job, joined with the batch report by reconciliation ID
+  const fetchReconciliation = async () => {
+    setReconciliationError(null);
+
+    try {
+      const params = new URLSearchParams({ page: String(reconciliationPage + 1), limit: String(reconciliationRowsPerPage) });
+      if (reconciliationStatus) {
+        params.set('status', reconciliationStatus);
+      }
+      const response = await fetch(`${BACKEND_API_BASE}/api/import-job-batches/${encodeURIComponent(importJobAid)}/reconciliation?${params}`, {
+        method: 'GET',
+        headers: { ...getAuthHeaders() }
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      setReconciliation(data.data);
+    } catch (err) {
+      console.error('Error fetching reconciliation:', err);
+      setReconciliationError(`Failed to reconcile sent files: ${err.message}`);
+    }
+  };
+
+  const loadReport = async () => {
+    await fetchBatchReport();
+    await fetchBatchHistory();
+  };
+
   useEffect(() => {
     if (importJobAid) {
-      fetchBatchReport();
+      loadReport();
     }
   }, [importJobAid]);
 
+  useEffect(() => {
+    if (importJobAid && archiveWebUI && apiToken) {
+      fetchReconciliation();
+    }
+  }, [importJobAid, archiveWebUI, apiToken, reconciliationStatus, reconciliationPage, reconciliationRowsPerPage]);
+
+  // While the import job has unfinished batches the server polls the archive and pushes the report here
+  useEventSubscription('archive-poll', (event) => {
+    if (event.importJobAid === importJobAid) {
+      setBatchReport({ totalCount: event.report.length, results: event.report, importJobAid });
+    }
+  });
+
+  // Status changes of the tracked batches are added to their history as they are recorded
+  useEventSubscription('batch-status', (event) => {
+    if (event.importJobAid !== importJobAid) return;
+
+    const { fromStatus, toStatus, archiveStatus, fileCountIngested, source, occurredAt } = event;
+    setHistory(current => current.map(tracked => (tracked.batchId !== event.batchId ? tracked : {
+      ...tracked,
+      status: toStatus,
+      archiveStatus: archiveStatus || tracked.archiveStatus,
+      fileCountIngested,
+      transitions: [...tracked.transitions, { fromStatus, toStatus, archiveStatus, fileCountIngested, source, occurredAt }]
+    })));
+  });
+
   const handleBackToImportJobs = () => {
     navigate('/import-jobs');
   };
 
   const handleRefresh = () => {
-    fetchBatchReport();
+    loadReport();
+    fetchReconciliation();
+  };
+
+  const handleReconciliationFilter = (status) => {
+    setReconciliationStatus(current => (current === status ? '' : status));
+    setReconciliationPage(0);
+  };
+
+  // Download the reconciliation, limited to the selected status, as CSV or JSON
+  const handleReconciliationExport = async (format) => {
+    try {
+      const params = new URLSearchParams({ format });
+      if (reconciliationStatus) {
+        params.set('status', reconciliationStatus);
+      }
+      const response = await fetch(`${BACKEND_API_BASE}/api/import-job-batches/${encodeURIComponent(importJobAid)}/reconciliation/export?${params}`, {
+        headers: getAuthHeaders()
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const url = URL.createObjectURL(await response.blob());
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `reconciliation${reconciliationStatus ? `_${reconciliationStatus}` : ''}.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting reconciliation:', err);
+      setReconciliationError(`Failed to export the reconciliation: ${err.message}`);
+    }
+  };
+
+  // Queue a background job that keeps applying the batch report to the tracked batches until they finish
+  const handleTrackInBackground = async () => {
+    setError(null);
+
+    try {
+      const response = await fetch(`${BACKEND_API_BASE}/api/jobs`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ type: 'poll-batch-report', payload: { importJobAid } })
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      setTrackingMessage(`The batch report is polled in the background as job ${data.data.id}; you can close this page.`);
+    } catch (err) {
+      console.error('Error queueing batch report polling:', err);
+      setError(`Failed to start background tracking: ${err.message}`);
+    }
   };
 
   const handleBatchList = () => {
@@ -182,6 +341,202 @@ function BatchReport() {
     return num.toLocaleString();
   };
 
+  // Local batch that was submitted as this archive batch
+  const findTrackedBatch = (batch) => history.find(tracked => (
+    tracked.archiveBatchId === batch.batchId || tracked.archiveBatchName === batch.batchName
+  ));
+
+  const renderStatusHistory = (batch) => {
+    const tracked = findTrackedBatch(batch);
+
+    if (!tracked) {
+      return (
+        <Typography variant="body2" color="text.secondary">
+          This batch was not submitted from Import Machine, so no status history is recorded for it.
+        </Typography>
+      );
+    }
+
+    return (
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Time</TableCell>
+            <TableCell>Status</TableCell>
+            <TableCell>Archive Status</TableCell>
+            <TableCell>Ingested</TableCell>
+            <TableCell>Source</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {tracked.transitions.map((transition, index) => (
+            <TableRow key={index}>
+              <TableCell>{formatDate(transition.occurredAt)}</TableCell>
+              <TableCell>
+                {transition.fromStatus ? `${transition.fromStatus} → ${transition.toStatus}` : transition.toStatus}
+              </TableCell>
+              <TableCell>{transition.archiveStatus || '-'}</TableCell>
+              <TableCell>
+                {formatNumber(transition.fileCountIngested)} / {formatNumber(tracked.fileCountExpected)}
+              </TableCell>
+              <TableCell>{TRANSITION_SOURCE_LABELS[transition.source] || transition.source}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    );
+  };
+
+  const getReconciliationLabel = (status) => (
+    RECONCILIATION_STATUSES.find(entry => entry.status === status) || { label: status, color: 'default' }
+  );
+
+  const renderReconciliation = () => {
+    const { summary, batches, files, pagination } = reconciliation;
+
+    return (
+      <Card sx={{ mt: 4 }}>
+        <CardContent>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2 }}>
+            <Typography variant="h5">
+              Reconciliation
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button size="small" variant="outlined" startIcon={<DownloadIcon />} onClick={() => handleReconciliationExport('csv')}>
+                CSV
+              </Button>
+              <Button size="small" variant="outlined" startIcon={<DownloadIcon />} onClick={() => handleReconciliationExport('json')}>
+                JSON
+              </Button>
+            </Box>
+          </Box>
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            {formatNumber(summary.sent)} files sent from Import Machine, reconciled {formatDate(reconciliation.reconciledAt)}.
+            Select a status to list only those files.
+          </Typography>
+          <Divider sx={{ my: 2 }} />
+
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 3 }}>
+            {RECONCILIATION_STATUSES.map(({ status, label, color }) => (
+              <Chip
+                key={status}
+                label={`${label}: ${formatNumber(summary[status])}`}
+                color={color}
+                variant={reconciliationStatus === status ? 'filled' : 'outlined'}
+                onClick={() => handleReconciliationFilter(status)}
+              />
+            ))}
+          </Box>
+
+          <TableContainer component={Paper} sx={{ mb: 3 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ fontWeight: 'bold' }}>Batch</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold' }}>Archive Status</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold' }}>Sent</TableCell>
+                  {RECONCILIATION_STATUSES.map(({ status, label }) => (
+                    <TableCell key={status} sx={{ fontWeight: 'bold' }}>{label}</TableCell>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {batches.map((batch, index) => (
+                  <TableRow key={batch.batchId || `unmatched-${index}`}>
+                    <TableCell>
+                      <Typography variant="body2">{batch.batchName || batch.containerName || '-'}</Typography>
+                      {!batch.batchId && (
+                        <Typography variant="caption" color="text.secondary" display="block">
+                          Not submitted from Import Machine
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>{batch.archiveStatus ? getStatusChip(batch.archiveStatus) : '-'}</TableCell>
+                    <TableCell>{formatNumber(batch.sent)}</TableCell>
+                    {RECONCILIATION_STATUSES.map(({ status }) => (
+                      <TableCell key={status}>{formatNumber(batch[status])}</TableCell>
+                    ))}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          <TableContainer component={Paper}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ fontWeight: 'bold' }}>Path</TableCell>
+                  {!isMobile && (
+                    <TableCell sx={{ fontWeight: 'bold' }}>Reconciliation ID</TableCell>
+                  )}
+                  {!isMobile && (
+                    <TableCell sx={{ fontWeight: 'bold' }}>Batch</TableCell>
+                  )}
+                  <TableCell sx={{ fontWeight: 'bold' }}>Status</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold' }}>Reason</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {files.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={isMobile ? 3 : 5} align="center">
+                      <Typography variant="body2" color="text.secondary">No files to show.</Typography>
+                    </TableCell>
+                  </TableRow>
+                ) : (
+                  files.map((file, index) => {
+                    const { label, color } = getReconciliationLabel(file.status);
+                    return (
+                      <TableRow key={`${file.reconciliationId}-${index}`} hover>
+                        <TableCell>
+                          <Typography variant="body2" sx={{ wordBreak: 'break-all' }}>{file.path || '-'}</Typography>
+                          {file.sizeBytes !== null && (
+                            <Typography variant="caption" color="text.secondary" display="block">
+                              {formatBytes(file.sizeBytes)}
+                            </Typography>
+                          )}
+                        </TableCell>
+                        {!isMobile && (
+                          <TableCell>
+                            <Typography variant="body2" sx={{ fontFamily: 'monospace', fontSize: '0.75rem' }}>
+                              {file.reconciliationId || '-'}
+                            </Typography>
+                          </TableCell>
+                        )}
+                        {!isMobile && (
+                          <TableCell>{file.batchName || '-'}</TableCell>
+                        )}
+                        <TableCell>
+                          <Chip label={label} color={color} size="small" variant="outlined" />
+                        </TableCell>
+                        <TableCell>
+                          <Typography variant="body2" color="text.secondary">{file.reason || '-'}</Typography>
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })
+                )}
+              </TableBody>
+            </Table>
+            <TablePagination
+              component="div"
+              count={pagination.total}
+              page={reconciliationPage}
+              onPageChange={(event, newPage) => setReconciliationPage(newPage)}
+              rowsPerPage={reconciliationRowsPerPage}
+              onRowsPerPageChange={(event) => {
+                setReconciliationRowsPerPage(parseInt(event.target.value, 10));
+                setReconciliationPage(0);
+              }}
+              rowsPerPageOptions={[10, 25, 50, 100]}
+            />
+          </TableContainer>
+        </CardContent>
+      </Card>
+    );
+  };
+
   if (!archiveWebUI || !apiToken) {
     return (
       <Box sx={{ p: 3, minHeight: 'calc(100vh - 64px)', display: 'flex', flexDirection: 'column', width: '100%' }}>
@@ -262,6 +617,14 @@ function BatchReport() {
               >
                 Refresh
               </Button>
+              <Button
+                variant="outlined"
+                startIcon={<PendingActionsIcon />}
+                onClick={handleTrackInBackground}
+                sx={{ flex: 1, minWidth: 0 }}
+              >
+                Track in Background
+              </Button>
               
               <Button
                 variant="contained"
@@ -298,6 +661,12 @@ function BatchReport() {
         </Alert>
       )}
 
+      {trackingMessage && (
+        <Alert severity="info" sx={{ mb: 3 }} onClose={() => setTrackingMessage(null)}>
+          {trackingMessage}
+        </Alert>
+      )}
+
       {/* Loading State */}
       {loading && (
         <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
@@ -472,6 +841,10 @@ function BatchReport() {
                                   </Box>
                                 )}
                               </Box>
+                              <Typography variant="h6" gutterBottom sx={{ mt: 3 }}>
+                                Status History
+                              </Typography>
+                              {renderStatusHistory(batch)}
                             </Box>
                           </Collapse>
                         </TableCell>
@@ -495,6 +868,14 @@ function BatchReport() {
           </CardContent>
         </Card>
       )}
+
+      {/* Reconciliation of the sent files */}
+      {reconciliationError && (
+        <Alert severity="error" sx={{ mt: 4 }} onClose={() => setReconciliationError(null)}>
+          {reconciliationError}
+        </Alert>
+      )}
+      {!loading && reconciliation && renderReconciliation()}
     </Box>
   );
 }
@@ -33,6 +33,7 @@ import {
 import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import { useConfig } from '../contexts/ConfigContext';
 import { useAuth } from '../contexts/AuthContext';
+import { useEventSubscription } from '../contexts/EventsContext';
 
 // Backend API base URL
 import { BACKEND_API_BASE } from '../config';
@@ -171,6 +172,13 @@ function BatchStats() {
     }
   }, [archiveWebUI, apiToken, fetchBatches]);
 
+  // While the import job has unfinished batches the server polls the archive and pushes the batch list here
+  useEventSubscription('archive-poll', (event) => {
+    if (event.importJobAid === importJobAid) {
+      setBatches(event.batches);
+    }
+  });
+
   const handleBackToImportJobs = () => {
     navigate('/import-jobs');
   };
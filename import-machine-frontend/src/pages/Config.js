@@ -14,6 +14,9 @@ import {
   Snackbar,
   InputAdornment,
   IconButton,
+  Switch,
+  FormControlLabel,
+  MenuItem,
   useMediaQuery,
   useTheme
 } from '@mui/material';
@@ -47,6 +50,7 @@ function Config() {
   const { getAuthHeaders } = useAuth();
   const [loading, setLoading] = useState(false);
   const [testing, setTesting] = useState(false);
+  const [testingS3, setTestingS3] = useState(false);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
   const [showApiToken, setShowApiToken] = useState(false);
   const [showSecretAccessKey, setShowSecretAccessKey] = useState(false);
@@ -63,7 +67,8 @@ function Config() {
   useEffect(() => {
     console.log('Config page - Received S3 settings from context:', {
       accessKeyId: s3Settings.accessKeyId ? 'set (' + s3Settings.accessKeyId.substring(0, 8) + '...)' : 'not set',
-      secretAccessKey: s3Settings.secretAccessKey ? 'set (' + s3Settings.secretAccessKey.substring(0, 8) + '...)' : 'not set'
+      secretAccessKey: s3Settings.secretAccessKey ? 'set (' + s3Settings.secretAccessKey.substring(0, 8) + '...)' : 'not set',
+      endpoint: s3Settings.endpoint || 'AWS S3'
     });
   }, [s3Settings]);
 
@@ -91,7 +96,8 @@ function Config() {
   useEffect(() => {
     console.log('Config page - S3 settings updated:', {
       accessKeyId: s3Settings.accessKeyId ? 'set (' + s3Settings.accessKeyId.substring(0, 8) + '...)' : 'not set',
-      secretAccessKey: s3Settings.secretAccessKey ? 'set (' + s3Settings.secretAccessKey.substring(0, 8) + '...)' : 'not set'
+      secretAccessKey: s3Settings.secretAccessKey ? 'set (' + s3Settings.secretAccessKey.substring(0, 8) + '...)' : 'not set',
+      endpoint: s3Settings.endpoint || 'AWS S3'
     });
   }, [s3Settings]);
 
@@ -108,6 +114,20 @@ function Config() {
     setShowSecretAccessKey(!showSecretAccessKey);
   };
 
+  // S3 settings as the backend takes them, for saving and for the S3 connection test
+  const buildS3Settings = () => ({
+    accessKeyId: (s3Settings.accessKeyId || '').trim(),
+    secretAccessKey: (s3Settings.secretAccessKey || '').trim(),
+    region: (s3Settings.region || '').trim(),
+    endpoint: (s3Settings.endpoint || '').trim(),
+    forcePathStyle: s3Settings.forcePathStyle,
+    tlsVerify: s3Settings.tlsVerify,
+    caCertificate: (s3Settings.caCertificate || '').trim(),
+    signatureVersion: s3Settings.signatureVersion
+  });
+
+  const isHttpsEndpoint = /^https:\/\//i.test((s3Settings.endpoint || '').trim());
+
   const handleSaveConfig = async () => {
     // Validate required fields
     if (!localArchiveWebUI.trim()) {
@@ -138,10 +158,7 @@ function Config() {
         archiveWebUI: localArchiveWebUI.trim(),
         apiToken: apiToken.trim(),
         customerGUID: customerGUID.trim(),
-        s3Settings: {
-          accessKeyId: (s3Settings.accessKeyId || '').trim(),
-          secretAccessKey: (s3Settings.secretAccessKey || '').trim()
-        }
+        s3Settings: buildS3Settings()
       };
 
       console.log('Saving configuration:', {
@@ -183,7 +200,8 @@ function Config() {
       } else {
         const errorData = await response.json();
         console.log('Error response data:', errorData);
-        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+        // Validation failures list each rejected field in errors
+        throw new Error(errorData.error || errorData.errors?.[0]?.msg || `HTTP error! status: ${response.status}`);
       }
     } catch (error) {
       console.error('Failed to save configuration:', error);
@@ -245,6 +263,48 @@ function Config() {
     }
   };
 
+  // Tests the S3 settings as entered, before they are saved, against AWS or the custom endpoint
+  const handleTestS3Connection = async () => {
+    if (!s3Settings.accessKeyId) {
+      setSnackbar({
+        open: true,
+        message: 'Please enter an Access Key ID before testing the S3 connection',
+        severity: 'warning'
+      });
+      return;
+    }
+
+    setTestingS3(true);
+    try {
+      const response = await fetch(`${BACKEND_API_BASE}/api/config/test-s3-connection`, {
+        method: 'POST',
+        headers: { ...getAuthHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ s3Settings: buildS3Settings() })
+      });
+
+      const data = await response.json();
+      if (response.ok && data.success) {
+        setSnackbar({
+          open: true,
+          message: `S3 connection successful! ${data.message}`,
+          severity: 'success'
+        });
+      } else {
+        // Validation failures list each rejected field in errors
+        throw new Error(data.error || data.errors?.[0]?.msg || `HTTP error! status: ${response.status}`);
+      }
+    } catch (error) {
+      console.error('S3 connection test failed:', error);
+      setSnackbar({
+        open: true,
+        message: `S3 connection test failed: ${error.message}`,
+        severity: 'error'
+      });
+    } finally {
+      setTestingS3(false);
+    }
+  };
+
   const handleRefreshConfig = async () => {
     try {
       await loadBackendConfig();
@@ -344,7 +404,7 @@ function Config() {
                   variant="outlined"
                   type={showApiToken ? 'text' : 'password'}
                   placeholder="Enter your API token (e.g., PWSAK2qDv8rI4=)"
-                  helperText="Enter the complete API token including PWSAK2 prefix"
+                  helperText="Enter the complete API token including PWSAK2 prefix. A saved token shows masked; leave it as it is to keep it"
                   size="small"
                   required
                   error={!apiToken.trim()}
@@ -374,8 +434,8 @@ function Config() {
                   value={customerGUID}
                   onChange={(e) => updateCustomerGUID(e.target.value)}
                   variant="outlined"
-                  placeholder="Enter your customer GUID"
-                  helperText="Enter your unique customer identifier"
+                  placeholder="e.g. 6f1c2d3e-4a5b-4c6d-8e7f-9a0b1c2d3e4f"
+                  helperText="Your unique customer identifier; manifests are only generated for a valid GUID"
                   size="small"
                 />
               </Box>
@@ -418,7 +478,7 @@ function Config() {
                   variant="outlined"
                   type={showSecretAccessKey ? 'text' : 'password'}
                   placeholder="Enter your secret access key"
-                  helperText="Your AWS Secret Access Key"
+                  helperText="Your AWS Secret Access Key. A saved key shows masked; leave it as it is to keep it"
                   size="small"
                   InputProps={{
                     endAdornment: (
@@ -436,8 +496,126 @@ function Config() {
                   }}
                 />
               </Box>
-              
 
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                <FormLabel sx={{ minWidth: '150px', fontWeight: 'bold' }}>
+                  Region:
+                </FormLabel>
+                <TextField
+                  fullWidth
+                  value={s3Settings.region}
+                  onChange={(e) => updateS3Settings('region', e.target.value)}
+                  variant="outlined"
+                  placeholder="us-east-1"
+                  helperText="AWS region, or the region your S3-compatible service expects (often us-east-1)"
+                  size="small"
+                />
+              </Box>
+
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                <FormLabel sx={{ minWidth: '150px', fontWeight: 'bold' }}>
+                  Endpoint URL:
+                </FormLabel>
+                <TextField
+                  fullWidth
+                  value={s3Settings.endpoint}
+                  onChange={(e) => updateS3Settings('endpoint', e.target.value)}
+                  variant="outlined"
+                  placeholder="e.g. https://minio.example.com:9000"
+                  helperText="For MinIO, Ceph, Wasabi and other S3-compatible storage; leave empty for AWS S3"
+                  size="small"
+                />
+              </Box>
+
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                <FormLabel sx={{ minWidth: '150px', fontWeight: 'bold' }}>
+                  Signature Version:
+                </FormLabel>
+                <TextField
+                  select
+                  fullWidth
+                  value={s3Settings.signatureVersion}
+                  onChange={(e) => updateS3Settings('signatureVersion', e.target.value)}
+                  variant="outlined"
+                  helperText="Signature Version 2 is only for older services that do not accept version 4"
+                  size="small"
+                >
+                  <MenuItem value="v4">Signature Version 4</MenuItem>
+                  <MenuItem value="v2">Signature Version 2</MenuItem>
+                </TextField>
+              </Box>
+
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+                <FormLabel sx={{ minWidth: '150px', fontWeight: 'bold' }}>
+                  Addressing:
+                </FormLabel>
+                <FormControlLabel
+                  control={(
+                    <Switch
+                      checked={s3Settings.forcePathStyle}
+                      onChange={(e) => updateS3Settings('forcePathStyle', e.target.checked)}
+                    />
+                  )}
+                  label="Path-style addressing (endpoint/bucket/key), which most S3-compatible services need"
+                />
+              </Box>
+
+              {isHttpsEndpoint && (
+                <>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+                    <FormLabel sx={{ minWidth: '150px', fontWeight: 'bold' }}>
+                      TLS:
+                    </FormLabel>
+                    <FormControlLabel
+                      control={(
+                        <Switch
+                          checked={s3Settings.tlsVerify}
+                          onChange={(e) => updateS3Settings('tlsVerify', e.target.checked)}
+                        />
+                      )}
+                      label="Verify the endpoint's TLS certificate"
+                    />
+                  </Box>
+                  {!s3Settings.tlsVerify && (
+                    <Alert severity="warning">
+                      TLS verification is off: anyone between this server and the endpoint can read the traffic.
+                      Only use this for test setups.
+                    </Alert>
+                  )}
+
+                  <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 2 }}>
+                    <FormLabel sx={{ minWidth: '150px', fontWeight: 'bold', pt: 1 }}>
+                      CA Certificate:
+                    </FormLabel>
+                    <TextField
+                      fullWidth
+                      multiline
+                      minRows={3}
+                      maxRows={10}
+                      value={s3Settings.caCertificate}
+                      onChange={(e) => updateS3Settings('caCertificate', e.target.value)}
+                      variant="outlined"
+                      placeholder="-----BEGIN CERTIFICATE-----"
+                      helperText="PEM certificate of a private CA that signed the endpoint's certificate; optional"
+                      size="small"
+                      disabled={!s3Settings.tlsVerify}
+                      InputProps={{ sx: { fontFamily: 'monospace', fontSize: '0.8rem' } }}
+                    />
+                  </Box>
+                </>
+              )}
+
+              <Box>
+                <Button
+                  variant="outlined"
+                  startIcon={testingS3 ? <CircularProgress size={20} /> : <TestIcon />}
+                  onClick={handleTestS3Connection}
+                  disabled={loading || testingS3 || !s3Settings.accessKeyId}
+                  sx={{ width: isMobile ? '100%' : 'auto' }}
+                >
+                  {testingS3 ? 'Testing...' : 'Test S3 Connection'}
+                </Button>
+              </Box>
             </Box>
           </CardContent>
         </Card>
@@ -511,6 +689,7 @@ function Config() {
                     ? '⚠️ Partially configured'
                     : '❌ Not configured'
                 }
+                {s3Settings.endpoint ? ` (endpoint ${s3Settings.endpoint})` : ''}
               </Typography>
             </Alert>
           </CardContent>
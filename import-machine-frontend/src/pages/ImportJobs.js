@@ -39,7 +39,8 @@ import {
   ArrowUpward as ArrowUpwardIcon,
   ArrowDownward as ArrowDownwardIcon,
   BarChart as BarChartIcon,
-  TableRows as TableRowsIcon
+  TableRows as TableRowsIcon,
+  Publish as PublishIcon
 } from '@mui/icons-material';
 import { useConfig } from '../contexts/ConfigContext';
 import { useAuth } from '../contexts/AuthContext';
@@ -187,6 +188,10 @@ function ImportJobs() {
     navigate(`/new-batch/${encodeURIComponent(id)}?name=${encodedName}`);
   };
 
+  const handleUploadBatch = (id) => {
+    navigate(`/upload-batch?importJobAid=${encodeURIComponent(id)}`);
+  };
+
   const handleViewImportJob = (id, name) => {
     console.log('View import job statistics:', id, 'with name:', name);
     const encodedName = encodeURIComponent(name || 'Import Job');
@@ -462,6 +467,15 @@ function ImportJobs() {
                    >
                      New Batch
                    </Button>
+                   <Button
+                     variant="outlined"
+                     size="medium"
+                     fullWidth
+                     startIcon={<PublishIcon />}
+                     onClick={() => handleUploadBatch(job.aid)}
+                   >
+                     Upload &amp; Submit
+                   </Button>
                  </Box>
               </Box>
             </Collapse>
@@ -23,7 +23,9 @@ import {
   useTheme,
   Card,
   CardContent,
-  Divider
+  Divider,
+  TextField,
+  MenuItem
 } from '@mui/material';
 import {
   Add as AddIcon,
@@ -41,6 +43,7 @@ import {
 import { useConfig } from '../contexts/ConfigContext';
 import { useAuth } from '../contexts/AuthContext';
 import { useNavigate } from 'react-router-dom';
+import { CONTAINER_FORMATS, DEFAULT_CONTAINER_FORMAT } from '../utils/packageUpload';
 
 // Backend API base URL
 import { BACKEND_API_BASE } from '../config';
@@ -193,6 +196,33 @@ function IngestionPoints() {
     console.log('View ingestion point:', id);
   };
 
+  // Save the container format that uploads into this ingestion point use unless they pick another one
+  const handleContainerFormatChange = async (point, containerFormat) => {
+    const id = String(point.aid).split('/').filter(Boolean).pop();
+
+    try {
+      const response = await fetch(`${BACKEND_API_BASE}/api/ingestion-points/${encodeURIComponent(id)}/settings`, {
+        method: 'PUT',
+        headers: {
+          ...getAuthHeaders(),
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ containerFormat })
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      setIngestionPoints(points => points.map(item => (
+        item.aid === point.aid ? { ...item, containerFormat: data.data.containerFormat } : item
+      )));
+    } catch (err) {
+      console.error('Error saving ingestion point settings:', err);
+      setError(`Failed to save the container format of ${point.name}: ${err.message}`);
+    }
+  };
+
   const handleRefresh = () => {
     console.log('Manual refresh triggered');
     fetchIngestionPoints();
@@ -482,6 +512,26 @@ function IngestionPoints() {
                               {point.typeDetails.importAwsRole || 'N/A'}
                             </Typography>
                           </Box>
+                          <Box sx={{ 
+                            display: 'flex', 
+                            flexDirection: isMobile ? 'column' : 'row',
+                            justifyContent: isMobile ? 'flex-start' : 'space-between',
+                            alignItems: isMobile ? 'flex-start' : 'center',
+                            gap: isMobile ? 0.5 : 0
+                          }}>
+                            <Typography variant="body2" color="text.secondary">Container Format:</Typography>
+                            <TextField
+                              select
+                              size="small"
+                              value={point.containerFormat || DEFAULT_CONTAINER_FORMAT}
+                              onChange={(e) => handleContainerFormatChange(point, e.target.value)}
+                              sx={{ minWidth: 200 }}
+                            >
+                              {CONTAINER_FORMATS.map(format => (
+                                <MenuItem key={format.value} value={format.value}>{format.label}</MenuItem>
+                              ))}
+                            </TextField>
+                          </Box>
                         </>
                       ) : point.typeDetails?.type === 'liveMta' ? (
                         <>
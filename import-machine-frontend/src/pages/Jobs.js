@@ -0,0 +1,350 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Button,
+  CircularProgress,
+  Alert,
+  Breadcrumbs,
+  Link,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Chip,
+  IconButton,
+  Tooltip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  useMediaQuery,
+  useTheme
+} from '@mui/material';
+import {
+  Home as HomeIcon,
+  Refresh as RefreshIcon,
+  Cancel as CancelIcon,
+  Replay as ReplayIcon
+} from '@mui/icons-material';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useEventSubscription } from '../contexts/EventsContext';
+import { BACKEND_API_BASE } from '../config';
+import { parseJsonResponse } from '../utils/packageUpload';
+
+// Jobs are refreshed while the page is open so progress of running work shows up without reloading
+const REFRESH_INTERVAL_MS = 5000;
+
+const JOB_TYPE_LABELS = {
+  package: 'Packaging',
+  'server-ingest': 'Server import',
+  's3-repackage': 'S3 repackaging',
+  's3-upload': 'S3 upload',
+  'submit-batch': 'Batch submission',
+  'poll-batch-report': 'Batch report polling'
+};
+
+const STATUS_COLORS = {
+  QUEUED: 'default',
+  RUNNING: 'info',
+  COMPLETED: 'success',
+  FAILED: 'error',
+  CANCELLED: 'warning'
+};
+
+// Jobs tied to an upload set cannot be cancelled or retried on their own
+const UPLOAD_SET_JOB_TYPES = ['package', 'server-ingest', 's3-repackage'];
+
+// One-line description of what a job works on
+const describeTarget = (job) => {
+  const { payload } = job;
+  switch (job.type) {
+    case 'package':
+    case 'server-ingest':
+      return `Upload set ${payload.uploadSetId}`;
+    case 's3-upload':
+      return `s3://${payload.bucketName}/${payload.key}`;
+    case 's3-repackage':
+      return `s3://${payload.bucketName}/${payload.prefix}`;
+    case 'submit-batch':
+      return `${payload.batchData?.name} → ${payload.importJobAid}`;
+    case 'poll-batch-report':
+      return payload.importJobAid;
+    default:
+      return '';
+  }
+};
+
+// Progress or outcome of a job, as far as its handler reports one
+const describeOutcome = (job) => {
+  if (job.lastError && job.status !== 'COMPLETED') {
+    return job.lastError;
+  }
+  if (job.type === 'poll-batch-report' && job.result) {
+    return `${job.result.open} batch(es) still open, last polled ${new Date(job.result.polledAt).toLocaleString()}`;
+  }
+  if (job.type === 's3-upload' && job.progress && job.status === 'RUNNING') {
+    return `${job.progress.partsCompleted} part(s) uploaded`;
+  }
+  if (['server-ingest', 's3-repackage'].includes(job.type) && job.progress?.filesFound && job.status === 'RUNNING') {
+    return `${job.progress.filesRead || 0} of ${job.progress.filesFound} file(s) read`;
+  }
+  if (['server-ingest', 's3-repackage'].includes(job.type) && job.result?.packageJobId) {
+    return `${job.result.fileCount} file(s) read, packaging as job ${job.result.packageJobId}`;
+  }
+  if (job.type === 'package' && job.result) {
+    return `${job.result.containerCount} container(s) from ${job.result.fileCount} file(s)`;
+  }
+  return '';
+};
+
+function Jobs() {
+  const navigate = useNavigate();
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('md'));
+  const { getAuthHeaders } = useAuth();
+
+  const [jobs, setJobs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const jobsRequest = async (path, method = 'GET') => {
+    const response = await fetch(`${BACKEND_API_BASE}/api/jobs${path}`, {
+      method,
+      headers: getAuthHeaders()
+    });
+
+    const { data, error: parseError } = await parseJsonResponse(response);
+    if (parseError) throw new Error(parseError);
+
+    if (!response.ok || !data?.success) {
+      throw new Error(data?.error || `HTTP error! status: ${response.status}`);
+    }
+
+    return data;
+  };
+
+  const fetchJobs = async (showLoading = true) => {
+    if (showLoading) setLoading(true);
+
+    try {
+      const params = new URLSearchParams({ page: String(page + 1), limit: String(rowsPerPage) });
+      if (statusFilter) params.set('status', statusFilter);
+      if (typeFilter) params.set('type', typeFilter);
+
+      const { data } = await jobsRequest(`?${params.toString()}`);
+      setJobs(data.jobs);
+      setTotal(data.pagination.total);
+    } catch (err) {
+      console.error('Error fetching jobs:', err);
+      setError(`Failed to fetch jobs: ${err.message}`);
+    } finally {
+      if (showLoading) setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchJobs();
+    const interval = setInterval(() => fetchJobs(false), REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [page, rowsPerPage, statusFilter, typeFilter]);
+
+  // Progress of queued S3 uploads is pushed between refreshes
+  useEventSubscription('upload-progress', (event) => {
+    if (!event.jobId || event.status !== 'uploading') return;
+    setJobs(current => current.map(job => (job.id !== event.jobId ? job : {
+      ...job,
+      progress: { ...job.progress, partsCompleted: event.partsCompleted, uploadedBytes: event.uploadedBytes }
+    })));
+  });
+
+  const handleAction = async (job, action) => {
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const { message } = await jobsRequest(`/${job.id}/${action}`, 'POST');
+      setSuccess(`Job ${job.id}: ${message}`);
+      fetchJobs(false);
+    } catch (err) {
+      console.error(`Error trying to ${action} job:`, err);
+      setError(`Failed to ${action} job ${job.id}: ${err.message}`);
+    }
+  };
+
+  return (
+    <Box sx={{ p: 3, display: 'flex', flexDirection: 'column', width: '100%' }}>
+      {/* Breadcrumbs */}
+      <Breadcrumbs sx={{ mb: 3 }}>
+        <Link
+          component="button"
+          variant="body1"
+          onClick={() => navigate('/')}
+          sx={{ display: 'flex', alignItems: 'center', textDecoration: 'none' }}
+        >
+          <HomeIcon sx={{ mr: 0.5 }} fontSize="small" />
+          Home
+        </Link>
+        <Typography color="text.primary">Jobs</Typography>
+      </Breadcrumbs>
+
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Typography variant="h4" component="h1" sx={{ fontWeight: 'bold', mb: 1 }}>
+            Background Jobs
+          </Typography>
+          <Typography variant="body1" color="text.secondary" sx={{ mb: 2 }}>
+            Packaging, queued uploads, batch submissions and batch-report polling run in the background, so they
+            keep going after you close the tab. Failed attempts are retried automatically with increasing delays.
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', flexDirection: isMobile ? 'column' : 'row' }}>
+            <FormControl size="small" sx={{ minWidth: 180 }}>
+              <InputLabel>Status</InputLabel>
+              <Select
+                value={statusFilter}
+                label="Status"
+                onChange={(event) => { setStatusFilter(event.target.value); setPage(0); }}
+              >
+                <MenuItem value="">All</MenuItem>
+                {Object.keys(STATUS_COLORS).map(status => (
+                  <MenuItem key={status} value={status}>{status}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <FormControl size="small" sx={{ minWidth: 200 }}>
+              <InputLabel>Type</InputLabel>
+              <Select
+                value={typeFilter}
+                label="Type"
+                onChange={(event) => { setTypeFilter(event.target.value); setPage(0); }}
+              >
+                <MenuItem value="">All</MenuItem>
+                {Object.entries(JOB_TYPE_LABELS).map(([type, label]) => (
+                  <MenuItem key={type} value={type}>{label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <Button
+              variant="outlined"
+              startIcon={<RefreshIcon />}
+              onClick={() => fetchJobs()}
+              disabled={loading}
+            >
+              Refresh
+            </Button>
+          </Box>
+        </CardContent>
+      </Card>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {success && (
+        <Alert severity="success" sx={{ mb: 3 }} onClose={() => setSuccess(null)}>
+          {success}
+        </Alert>
+      )}
+
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>ID</TableCell>
+              <TableCell>Type</TableCell>
+              <TableCell>Target</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Attempts</TableCell>
+              <TableCell>Details</TableCell>
+              <TableCell>Updated</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={8} align="center">
+                  <CircularProgress size={24} />
+                </TableCell>
+              </TableRow>
+            ) : jobs.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={8} align="center">
+                  No jobs
+                </TableCell>
+              </TableRow>
+            ) : (
+              jobs.map(job => (
+                <TableRow key={job.id} hover>
+                  <TableCell>{job.id}</TableCell>
+                  <TableCell>{JOB_TYPE_LABELS[job.type] || job.type}</TableCell>
+                  <TableCell sx={{ wordBreak: 'break-all' }}>{describeTarget(job)}</TableCell>
+                  <TableCell>
+                    <Chip label={job.status} color={STATUS_COLORS[job.status] || 'default'} size="small" />
+                    {job.status === 'QUEUED' && new Date(job.runAt) > new Date() && (
+                      <Typography variant="caption" display="block" color="text.secondary">
+                        Next run {new Date(job.runAt).toLocaleTimeString()}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>{job.attempts}/{job.maxAttempts}</TableCell>
+                  <TableCell sx={{ maxWidth: 360 }}>
+                    <Typography variant="body2" color={job.lastError && job.status !== 'COMPLETED' ? 'error' : 'text.secondary'}>
+                      {describeOutcome(job)}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>{new Date(job.updatedAt).toLocaleString()}</TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    {job.status === 'QUEUED' && !UPLOAD_SET_JOB_TYPES.includes(job.type) && (
+                      <Tooltip title="Cancel">
+                        <IconButton size="small" onClick={() => handleAction(job, 'cancel')}>
+                          <CancelIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                    {['FAILED', 'CANCELLED'].includes(job.status) && !UPLOAD_SET_JOB_TYPES.includes(job.type) && (
+                      <Tooltip title="Retry">
+                        <IconButton size="small" onClick={() => handleAction(job, 'retry')}>
+                          <ReplayIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+        <TablePagination
+          component="div"
+          count={total}
+          page={page}
+          onPageChange={(event, newPage) => setPage(newPage)}
+          rowsPerPage={rowsPerPage}
+          onRowsPerPageChange={(event) => {
+            setRowsPerPage(parseInt(event.target.value, 10));
+            setPage(0);
+          }}
+          rowsPerPageOptions={[10, 25, 50, 100]}
+        />
+      </TableContainer>
+    </Box>
+  );
+}
+
+export default Jobs;
@@ -0,0 +1,464 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Button,
+  CircularProgress,
+  Alert,
+  Breadcrumbs,
+  Link,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Checkbox,
+  Chip,
+  IconButton,
+  Tooltip,
+  TextField,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  List,
+  ListItem,
+  ListItemText,
+  useMediaQuery,
+  useTheme
+} from '@mui/material';
+import {
+  Home as HomeIcon,
+  Refresh as RefreshIcon,
+  Visibility as VisibilityIcon,
+  Download as DownloadIcon,
+  Delete as DeleteIcon,
+  Save as SaveIcon,
+  PlaylistAdd as PlaylistAddIcon,
+  PlaylistAddCheck as PlaylistAddCheckIcon
+} from '@mui/icons-material';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { BACKEND_API_BASE } from '../config';
+import { parseJsonResponse } from '../utils/packageUpload';
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+function Quarantine() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('md'));
+  const { getAuthHeaders } = useAuth();
+
+  // Files can be filtered to one upload set, e.g. when coming from the Upload page
+  const urlParams = new URLSearchParams(location.search);
+  const uploadSetId = urlParams.get('uploadSetId');
+
+  const [files, setFiles] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [inspected, setInspected] = useState(null);
+  const [editedContent, setEditedContent] = useState('');
+  const [inspectLoading, setInspectLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [including, setIncluding] = useState(false);
+
+  // Call the quarantine API; failures carry the per-file details the backend returns
+  const quarantineRequest = async (path, method = 'GET', body) => {
+    const response = await fetch(`${BACKEND_API_BASE}/api/quarantine${path}`, {
+      method,
+      headers: getAuthHeaders(),
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const { data, error: parseError } = await parseJsonResponse(response);
+    if (parseError) throw new Error(parseError);
+
+    if (!response.ok || !data?.success) {
+      const requestError = new Error(data?.error || `HTTP error! status: ${response.status}`);
+      requestError.details = data?.details;
+      throw requestError;
+    }
+
+    return data;
+  };
+
+  const fetchFiles = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const params = new URLSearchParams({ page: String(page + 1), limit: String(rowsPerPage) });
+      if (uploadSetId) {
+        params.set('uploadSetId', uploadSetId);
+      }
+      const { data } = await quarantineRequest(`?${params.toString()}`);
+      setFiles(data.files);
+      setTotal(data.pagination.total);
+      setSelectedIds(prev => prev.filter(id => data.files.some(file => file.id === id)));
+    } catch (err) {
+      console.error('Error fetching quarantined files:', err);
+      setError(`Failed to fetch quarantined files: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchFiles();
+  }, [page, rowsPerPage, uploadSetId]);
+
+  const handleToggle = (id) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(selected => selected !== id) : [...prev, id]));
+  };
+
+  const handleToggleAll = () => {
+    setSelectedIds(selectedIds.length === files.length ? [] : files.map(file => file.id));
+  };
+
+  const handleInspect = async (file) => {
+    setInspectLoading(true);
+    setInspected({ ...file, headers: [], validation: null });
+    setEditedContent('');
+
+    try {
+      const { data } = await quarantineRequest(`/${file.id}`);
+      setInspected(data);
+      setEditedContent(data.preview);
+    } catch (err) {
+      console.error('Error inspecting quarantined file:', err);
+      setError(`Failed to inspect ${file.path}: ${err.message}`);
+      setInspected(null);
+    } finally {
+      setInspectLoading(false);
+    }
+  };
+
+  const handleSaveFix = async () => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      const { data, message } = await quarantineRequest(`/${inspected.id}`, 'PUT', { content: editedContent });
+      setInspected(data);
+      setEditedContent(data.preview);
+      setSuccess(`${data.path}: ${message}`);
+      fetchFiles();
+    } catch (err) {
+      console.error('Error fixing quarantined file:', err);
+      setError(`Failed to save ${inspected.path}: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDownload = async (file) => {
+    try {
+      const response = await fetch(`${BACKEND_API_BASE}/api/quarantine/${file.id}/content`, {
+        headers: getAuthHeaders()
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const url = URL.createObjectURL(await response.blob());
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = file.path;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error downloading quarantined file:', err);
+      setError(`Failed to download ${file.path}: ${err.message}`);
+    }
+  };
+
+  const handleDiscard = async (file) => {
+    if (!window.confirm(`Discard ${file.path}? It will not be sent to the archive.`)) {
+      return;
+    }
+
+    try {
+      await quarantineRequest(`/${file.id}`, 'DELETE');
+      setSuccess(`${file.path} discarded`);
+      setInspected(null);
+      fetchFiles();
+    } catch (err) {
+      console.error('Error discarding quarantined file:', err);
+      setError(`Failed to discard ${file.path}: ${err.message}`);
+    }
+  };
+
+  // Package files into a new upload set; force includes files that still fail validation
+  const handleInclude = async (fileIds, force) => {
+    setIncluding(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const { message } = await quarantineRequest('/include', 'POST', { fileIds, force });
+      setSuccess(message);
+      setSelectedIds([]);
+      setInspected(null);
+      fetchFiles();
+    } catch (err) {
+      console.error('Error including quarantined files:', err);
+      const details = Array.isArray(err.details) && err.details.some(detail => detail.path)
+        ? ` (${err.details.map(detail => detail.path).join(', ')})`
+        : '';
+      setError(`Failed to include files: ${err.message}${details}`);
+    } finally {
+      setIncluding(false);
+    }
+  };
+
+  return (
+    <Box sx={{ p: 3, display: 'flex', flexDirection: 'column', width: '100%' }}>
+      {/* Breadcrumbs */}
+      <Breadcrumbs sx={{ mb: 3 }}>
+        <Link
+          component="button"
+          variant="body1"
+          onClick={() => navigate('/')}
+          sx={{ display: 'flex', alignItems: 'center', textDecoration: 'none' }}
+        >
+          <HomeIcon sx={{ mr: 0.5 }} fontSize="small" />
+          Home
+        </Link>
+        <Typography color="text.primary">Quarantine</Typography>
+      </Breadcrumbs>
+
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Typography variant="h4" component="h1" sx={{ fontWeight: 'bold', mb: 1 }}>
+            Quarantine
+          </Typography>
+          <Typography variant="body1" color="text.secondary" sx={{ mb: 2 }}>
+            Messages that failed EML validation are kept here instead of being packaged. Inspect them, fix and save
+            them, then include them in a new upload set with the same destination, or force-include them as they are.
+          </Typography>
+          {uploadSetId && (
+            <Chip
+              label={`Upload set ${uploadSetId}`}
+              onDelete={() => navigate('/quarantine')}
+              sx={{ mb: 2 }}
+            />
+          )}
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', flexDirection: isMobile ? 'column' : 'row' }}>
+            <Button
+              variant="outlined"
+              startIcon={<RefreshIcon />}
+              onClick={fetchFiles}
+              disabled={loading}
+            >
+              Refresh
+            </Button>
+            <Button
+              variant="contained"
+              startIcon={including ? <CircularProgress size={20} /> : <PlaylistAddCheckIcon />}
+              onClick={() => handleInclude(selectedIds, false)}
+              disabled={selectedIds.length === 0 || including}
+            >
+              Include Selected ({selectedIds.length})
+            </Button>
+            <Button
+              variant="outlined"
+              color="warning"
+              startIcon={<PlaylistAddIcon />}
+              onClick={() => handleInclude(selectedIds, true)}
+              disabled={selectedIds.length === 0 || including}
+            >
+              Force Include
+            </Button>
+          </Box>
+        </CardContent>
+      </Card>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {success && (
+        <Alert severity="success" sx={{ mb: 3 }} onClose={() => setSuccess(null)}>
+          {success}
+        </Alert>
+      )}
+
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell padding="checkbox">
+                <Checkbox
+                  checked={files.length > 0 && selectedIds.length === files.length}
+                  indeterminate={selectedIds.length > 0 && selectedIds.length < files.length}
+                  onChange={handleToggleAll}
+                />
+              </TableCell>
+              <TableCell>File</TableCell>
+              <TableCell>Reason</TableCell>
+              <TableCell>Size</TableCell>
+              <TableCell>Quarantined</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={6} align="center">
+                  <CircularProgress size={24} />
+                </TableCell>
+              </TableRow>
+            ) : files.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={6} align="center">
+                  No quarantined files
+                </TableCell>
+              </TableRow>
+            ) : (
+              files.map(file => (
+                <TableRow key={file.id} hover>
+                  <TableCell padding="checkbox">
+                    <Checkbox checked={selectedIds.includes(file.id)} onChange={() => handleToggle(file.id)} />
+                  </TableCell>
+                  <TableCell>{file.path}</TableCell>
+                  <TableCell>
+                    {file.reason ? file.reason : <Chip label="Fixed" color="success" size="small" />}
+                  </TableCell>
+                  <TableCell>{formatFileSize(file.sizeBytes)}</TableCell>
+                  <TableCell>{new Date(file.quarantinedAt).toLocaleString()}</TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <Tooltip title="Inspect and fix">
+                      <IconButton size="small" onClick={() => handleInspect(file)}>
+                        <VisibilityIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Download">
+                      <IconButton size="small" onClick={() => handleDownload(file)}>
+                        <DownloadIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Discard">
+                      <IconButton size="small" onClick={() => handleDiscard(file)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+        <TablePagination
+          component="div"
+          count={total}
+          page={page}
+          onPageChange={(event, newPage) => setPage(newPage)}
+          rowsPerPage={rowsPerPage}
+          onRowsPerPageChange={(event) => {
+            setRowsPerPage(parseInt(event.target.value, 10));
+            setPage(0);
+          }}
+          rowsPerPageOptions={[10, 25, 50, 100]}
+        />
+      </TableContainer>
+
+      {/* Inspect and fix dialog */}
+      <Dialog open={Boolean(inspected)} onClose={() => setInspected(null)} maxWidth="md" fullWidth>
+        <DialogTitle>{inspected?.path}</DialogTitle>
+        <DialogContent dividers>
+          {inspectLoading ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+              <CircularProgress />
+            </Box>
+          ) : inspected?.validation && (
+            <>
+              {inspected.validation.valid ? (
+                <Alert severity="success" sx={{ mb: 2 }}>
+                  The message passes validation and can be included.
+                </Alert>
+              ) : (
+                <Alert severity="warning" sx={{ mb: 2 }}>
+                  <List dense disablePadding>
+                    {inspected.validation.errors.map(validationError => (
+                      <ListItem key={validationError} disableGutters>
+                        <ListItemText primary={validationError} />
+                      </ListItem>
+                    ))}
+                  </List>
+                </Alert>
+              )}
+
+              <Typography variant="subtitle2" gutterBottom>
+                Message
+              </Typography>
+              {inspected.previewTruncated && (
+                <Alert severity="info" sx={{ mb: 1 }}>
+                  Only the first 64 KB are shown; download the message to fix it and upload it again.
+                </Alert>
+              )}
+              <TextField
+                value={editedContent}
+                onChange={(event) => setEditedContent(event.target.value)}
+                multiline
+                fullWidth
+                minRows={12}
+                maxRows={24}
+                disabled={inspected.previewTruncated}
+                InputProps={{ sx: { fontFamily: 'monospace', fontSize: '0.8rem' } }}
+              />
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setInspected(null)}>Close</Button>
+          <Button
+            color="error"
+            startIcon={<DeleteIcon />}
+            onClick={() => handleDiscard(inspected)}
+            disabled={!inspected?.validation}
+          >
+            Discard
+          </Button>
+          <Button
+            startIcon={saving ? <CircularProgress size={20} /> : <SaveIcon />}
+            onClick={handleSaveFix}
+            disabled={!inspected?.validation || inspected.previewTruncated || saving || editedContent === inspected.preview}
+          >
+            Save Fix
+          </Button>
+          <Button
+            variant="contained"
+            color={inspected?.validation?.valid ? 'primary' : 'warning'}
+            onClick={() => handleInclude([inspected.id], !inspected.validation.valid)}
+            disabled={!inspected?.validation || including}
+          >
+            {inspected?.validation?.valid ? 'Include' : 'Force Include'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default Quarantine;
@@ -43,6 +43,7 @@ import { useAuth } from '../contexts/AuthContext';
 
 // Backend API base URL
 import { BACKEND_API_BASE } from '../config';
+import { fetchAllFolders } from '../utils/s3Listing';
 
 function S3Bucket() {
   const theme = useTheme();
@@ -114,25 +115,9 @@ function S3Bucket() {
     setError(null);
 
     try {
-      const response = await fetch(`${BACKEND_API_BASE}/api/s3-buckets/${bucketName}/objects`, {
-        method: 'GET',
-        headers: getAuthHeaders()
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
-      
-      if (data.success && data.data?.results) {
-        // Filter to only show folders/prefixes, not individual files
-        const folders = filterFoldersOnly(data.data.results);
-        setBucketObjects(folders);
-      } else {
-        throw new Error('Invalid response format from backend');
-      }
+      // Top-level folders come from the S3 listing's common prefixes; deeper ones are opened from View Contents
+      const folders = await fetchAllFolders(getAuthHeaders(), bucketName);
+      setBucketObjects(folders);
     } catch (err) {
       console.error('Error fetching bucket objects:', err);
       setError(`Failed to fetch bucket objects: ${err.message}`);
@@ -142,53 +127,6 @@ function S3Bucket() {
     }
   };
 
-  // Filter function to only show folders/prefixes
-  const filterFoldersOnly = (objects) => {
-    const folders = new Set();
-    
-    objects.forEach(object => {
-      const key = object.key;
-      
-      // Skip if key is empty or null
-      if (!key || key.trim() === '') {
-        return;
-      }
-      
-      // If the key ends with '/', it's a folder
-      if (key.endsWith('/')) {
-        folders.add(key);
-      } else {
-        // Check if this object is part of a folder structure
-        // Extract the folder path (everything before the last '/')
-        const lastSlashIndex = key.lastIndexOf('/');
-        if (lastSlashIndex > 0) {
-          const folderPath = key.substring(0, lastSlashIndex + 1);
-          folders.add(folderPath);
-        }
-      }
-    });
-    
-    // Convert back to array, sort, and remove duplicates
-    return Array.from(folders)
-      .sort((a, b) => {
-        // Sort by folder depth first, then alphabetically
-        const aDepth = (a.match(/\//g) || []).length;
-        const bDepth = (b.match(/\//g) || []).length;
-        if (aDepth !== bDepth) {
-          return aDepth - bDepth;
-        }
-        return a.localeCompare(b);
-      })
-      .map(folderPath => ({
-        key: folderPath,
-        size: 0, // Folders don't have size
-        lastModified: null, // Folders don't have lastModified
-        storageClass: 'FOLDER',
-        etag: null,
-        isFolder: true
-      }));
-  };
-
   useEffect(() => {
     fetchBuckets();
     // Reset the incoming state flag when component mounts
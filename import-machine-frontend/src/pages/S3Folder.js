@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import {
   Typography,
@@ -9,7 +9,6 @@ import {
   Button,
   CircularProgress,
   Alert,
-  Paper,
   Table,
   TableBody,
   TableCell,
@@ -23,30 +22,45 @@ import {
   Link,
   IconButton,
   Tooltip,
-  Badge,
-  Stack
+  Stack,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  LinearProgress
 } from '@mui/material';
 import {
   ArrowBack as ArrowBackIcon,
   Refresh as RefreshIcon,
-  Cloud as CloudIcon,
   Storage as StorageIcon,
   Folder as FolderIcon,
   InsertDriveFile as FileIcon,
   NavigateNext as NavigateNextIcon,
   Download as DownloadIcon,
   Visibility as ViewIcon,
-  MoreVert as MoreIcon,
   Image as ImageIcon,
   VideoFile as VideoIcon,
   AudioFile as AudioIcon,
   Description as DocumentIcon,
   Archive as ArchiveIcon,
-  Code as CodeIcon
+  Code as CodeIcon,
+  Inventory2 as RepackageIcon,
+  CloudUpload as ImportIcon
 } from '@mui/icons-material';
-import { useConfig } from '../contexts/ConfigContext';
 import { useAuth } from '../contexts/AuthContext';
+import { useEvents } from '../contexts/EventsContext';
 import { BACKEND_API_BASE } from '../config';
+import {
+  PHASE_LABELS,
+  packageRequest,
+  waitForPackage,
+  describeSources,
+  CONTAINER_FORMATS,
+  DEFAULT_CONTAINER_FORMAT
+} from '../utils/packageUpload';
+import { fetchObjectsPage } from '../utils/s3Listing';
 
 function S3Folder() {
   const theme = useTheme();
@@ -54,14 +68,31 @@ function S3Folder() {
   const location = useLocation();
   const navigate = useNavigate();
   const { getAuthHeaders } = useAuth();
+  const events = useEvents();
   
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [folderContents, setFolderContents] = useState([]);
+  const [folders, setFolders] = useState([]);
+  const [files, setFiles] = useState([]);
+  const [nextContinuationToken, setNextContinuationToken] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Set when a next page fails; scrolling no longer loads pages until the user retries
+  const [loadMoreError, setLoadMoreError] = useState(false);
   const [currentPath, setCurrentPath] = useState('');
   const [bucketName, setBucketName] = useState('');
   const [bucketRegion, setBucketRegion] = useState('');
-  const [stats, setStats] = useState({ files: 0, folders: 0, totalSize: 0 });
+  const [showRepackageDialog, setShowRepackageDialog] = useState(false);
+  const [stagingPrefix, setStagingPrefix] = useState('');
+  const [containerFormat, setContainerFormat] = useState(DEFAULT_CONTAINER_FORMAT);
+  const [custodian, setCustodian] = useState('');
+  const [repackaging, setRepackaging] = useState(false);
+  const [repackagePhase, setRepackagePhase] = useState('');
+  const [repackageProgress, setRepackageProgress] = useState(0);
+  const [repackageMessage, setRepackageMessage] = useState(null);
+  const tableContainerRef = useRef(null);
+  const loadMoreRef = useRef(null);
+  // Increases with every new listing so pages of a folder that is no longer shown are dropped
+  const listingRef = useRef(0);
 
   // Get bucket and folder info from navigation state
   useEffect(() => {
@@ -82,41 +113,94 @@ function S3Folder() {
     }
   }, [bucketName, currentPath]);
 
+  // Load the next page of the listing once its last row scrolls into view. After a failed page the row stays in
+  // view, so it is not observed again, which would request the page over and over.
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextContinuationToken || loadingMore || loadMoreError) return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        fetchMoreContents();
+      }
+    }, { root: tableContainerRef.current, rootMargin: '200px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextContinuationToken, loadingMore, loadMoreError, loading]);
+
+  // Subfolders come from the listing's common prefixes; files are the objects directly in the folder
+  const toFolderItems = (page) => page.folders.map(folder => ({
+    key: folder.key,
+    name: folder.name,
+    isFolder: true
+  }));
+
+  const toFileItems = (page, folderPath) => page.results
+    .filter(object => object.key !== folderPath)
+    .map(object => ({
+      key: object.key,
+      name: object.key.substring(folderPath.length),
+      size: object.size || 0,
+      lastModified: object.lastModified,
+      storageClass: object.storageClass || 'STANDARD',
+      isFolder: false,
+      etag: object.etag
+    }));
+
   const fetchFolderContents = async () => {
     if (!bucketName || !currentPath) return;
 
+    listingRef.current += 1;
+    const listing = listingRef.current;
     setLoading(true);
     setError(null);
+    setLoadMoreError(false);
 
     try {
-      const response = await fetch(`${BACKEND_API_BASE}/api/s3-buckets/${bucketName}/objects?prefix=${encodeURIComponent(currentPath)}`, {
-        method: 'GET',
-        headers: getAuthHeaders()
-      });
+      const page = await fetchObjectsPage(getAuthHeaders(), bucketName, { prefix: currentPath, delimiter: '/' });
+      if (listing !== listingRef.current) return;
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+      setFolders(toFolderItems(page));
+      setFiles(toFileItems(page, currentPath));
+      setNextContinuationToken(page.nextContinuationToken);
+    } catch (err) {
+      console.error('Error fetching folder contents:', err);
+      setError(`Failed to fetch folder contents: ${err.message}`);
+    } finally {
+      if (listing === listingRef.current) {
+        setLoading(false);
       }
+    }
+  };
 
-      const data = await response.json();
-      
-      if (data.success && data.data?.results) {
-        // Filter to only show contents of the current folder (not subfolders)
-        const contents = filterCurrentFolderContents(data.data.results, currentPath);
-        setFolderContents(contents);
-        
-        // Calculate stats
-        const stats = calculateStats(contents);
-        setStats(stats);
-      } else {
-        throw new Error('Invalid response format from backend');
-      }
+  const fetchMoreContents = async () => {
+    if (!nextContinuationToken || loadingMore) return;
+
+    const listing = listingRef.current;
+    const retrying = loadMoreError;
+    setLoadingMore(true);
+    setLoadMoreError(false);
+
+    try {
+      const page = await fetchObjectsPage(getAuthHeaders(), bucketName, {
+        prefix: currentPath,
+        delimiter: '/',
+        continuationToken: nextContinuationToken
+      });
+      if (listing !== listingRef.current) return;
+
+      setFolders(previous => [...previous, ...toFolderItems(page)]);
+      setFiles(previous => [...previous, ...toFileItems(page, currentPath)]);
+      setNextContinuationToken(page.nextContinuationToken);
+      if (retrying) setError(null);
     } catch (err) {
-      console.error('Error fetching folder contents:', err);
+      console.error('Error fetching more folder contents:', err);
+      if (listing !== listingRef.current) return;
       setError(`Failed to fetch folder contents: ${err.message}`);
+      setLoadMoreError(true);
     } finally {
-      setLoading(false);
+      setLoadingMore(false);
     }
   };
 
@@ -192,58 +276,66 @@ function S3Folder() {
     }
   };
 
-  // Filter to show only contents of the current folder
-  const filterCurrentFolderContents = (objects, folderPath) => {
-    const contents = [];
-    const processedKeys = new Set();
-
-    objects.forEach(object => {
-      const key = object.key;
-      
-      // Skip if this is the folder itself or already processed
-      if (key === folderPath || processedKeys.has(key)) {
-        return;
-      }
+  const handleRefresh = () => {
+    fetchFolderContents();
+  };
 
-      // Check if this object is directly in the current folder
-      const relativePath = key.substring(folderPath.length);
-      const isDirectChild = !relativePath.includes('/') || (relativePath.startsWith('/') && relativePath.indexOf('/', 1) === -1);
+  const handleOpenRepackage = () => {
+    setStagingPrefix(`staging/${currentPath}`);
+    setShowRepackageDialog(true);
+  };
 
-      if (isDirectChild) {
-        const isFolder = key.endsWith('/') || relativePath.includes('/');
-        const displayName = isFolder ? 
-          relativePath.replace(/^\/|\/$/g, '') : 
-          relativePath.replace(/^\//, '');
+  // Package the loose EML objects under this folder into containers and manifests under the staging prefix.
+  // The server reads the objects and packages them in background jobs; the page only follows the progress.
+  const handleRepackage = async () => {
+    setShowRepackageDialog(false);
+    setRepackaging(true);
+    setRepackagePhase('queued');
+    setRepackageProgress(0);
+    setRepackageMessage(null);
 
-        // Skip empty names
-        if (!displayName || displayName.trim() === '') {
-          return;
-        }
+    try {
+      const created = await packageRequest(getAuthHeaders(), '/s3-source', 'POST', {
+        bucketName,
+        prefix: currentPath,
+        stagingPrefix,
+        containerFormat,
+        custodian: custodian.trim() || null
+      });
 
-        contents.push({
-          key: key,
-          name: displayName,
-          size: object.size || 0,
-          lastModified: object.lastModified,
-          storageClass: object.storageClass || 'STANDARD',
-          isFolder: isFolder,
-          etag: object.etag
-        });
-
-        processedKeys.add(key);
-      }
-    });
+      const pkg = await waitForPackage(getAuthHeaders(), created.id, events, (update) => {
+        setRepackagePhase(update.progress.phase);
+        setRepackageProgress(update.progress.percent);
+      });
 
-    return contents.sort((a, b) => {
-      // Folders first, then files, both alphabetically
-      if (a.isFolder && !b.isFolder) return -1;
-      if (!a.isFolder && b.isFolder) return 1;
-      return a.name.localeCompare(b.name);
-    });
+      const skippedNote = pkg.skipped.length > 0 ? ` ${pkg.skipped.length} duplicate(s) were skipped.` : '';
+      const quarantinedNote = pkg.quarantined.length > 0 ? ` ${pkg.quarantined.length} invalid message(s) were quarantined.` : '';
+      const rejectedNote = pkg.rejected.length > 0 ? ` ${pkg.rejected.length} object(s) could not be packaged.` : '';
+      setRepackageMessage({
+        severity: 'success',
+        text: `Repackaged ${pkg.fileCount} EML files into ${pkg.containerCount} container(s) with manifests under ${pkg.bucketName}/${pkg.prefix}.${describeSources(pkg)}${skippedNote}${quarantinedNote}${rejectedNote}`
+      });
+    } catch (err) {
+      console.error('Error repackaging folder:', err);
+      setRepackageMessage({ severity: 'error', text: `Failed to repackage ${currentPath}: ${err.message}` });
+    } finally {
+      setRepackaging(false);
+      setRepackagePhase('');
+      setRepackageProgress(0);
+    }
   };
 
-  const handleRefresh = () => {
-    fetchFolderContents();
+  const handleImportFolder = () => {
+    // Navigate to the Import Now page with bucket and folder information
+    navigate('/import-now', {
+      state: {
+        bucketInfo: {
+          bucketName,
+          folderPath: currentPath,
+          bucketRegion
+        }
+      }
+    });
   };
 
   const handleBackToBuckets = () => {
@@ -266,16 +358,6 @@ function S3Folder() {
     setCurrentPath(folderKey);
   };
 
-  const handleNavigateToParent = () => {
-    const parentPath = currentPath.substring(0, currentPath.lastIndexOf('/'));
-    if (parentPath) {
-      setCurrentPath(parentPath + '/');
-    } else {
-      // If we're at root, go back to buckets page
-      handleBackToBuckets();
-    }
-  };
-
   const handleDownloadFile = async (fileKey, fileName) => {
     try {
       setLoading(true);
@@ -352,6 +434,11 @@ function S3Folder() {
     }
   };
 
+  // Folders first, then files; each in the order S3 lists them, which is alphabetical
+  const folderContents = [...folders, ...files];
+  const stats = calculateStats(folderContents);
+  const moreSuffix = nextContinuationToken ? '+' : '';
+
   // Create breadcrumb navigation
   const createBreadcrumbs = () => {
     const pathParts = currentPath.split('/').filter(part => part.length > 0);
@@ -446,18 +533,18 @@ function S3Folder() {
           <Box sx={{ display: 'flex', gap: 3, mb: 2, flexWrap: 'wrap' }}>
             <Chip 
               icon={<FolderIcon />}
-              label={`${stats.folders} Folders`}
+              label={`${stats.folders}${moreSuffix} Folders`}
               color="primary"
               variant="outlined"
             />
             <Chip 
               icon={<FileIcon />}
-              label={`${stats.files} Files`}
+              label={`${stats.files}${moreSuffix} Files`}
               color="secondary"
               variant="outlined"
             />
             <Chip 
-              label={`Total Size: ${formatBytes(stats.totalSize)}`}
+              label={`Total Size: ${formatBytes(stats.totalSize)}${moreSuffix}`}
               color="info"
               variant="outlined"
             />
@@ -479,10 +566,54 @@ function S3Folder() {
             >
               Refresh
             </Button>
+            <Tooltip title="Package the .eml, .msg, .mbox and .pst files in this folder and its subfolders into containers with manifests">
+              <span>
+                <Button
+                  variant="contained"
+                  startIcon={<RepackageIcon />}
+                  onClick={handleOpenRepackage}
+                  disabled={loading || repackaging}
+                  sx={{ width: isMobile ? '100%' : 'auto' }}
+                >
+                  Repackage EMLs
+                </Button>
+              </span>
+            </Tooltip>
+            <Button
+              variant="outlined"
+              startIcon={<ImportIcon />}
+              onClick={handleImportFolder}
+              disabled={loading}
+              sx={{ width: isMobile ? '100%' : 'auto' }}
+            >
+              Import Now
+            </Button>
           </Box>
         </CardContent>
       </Card>
 
+      {/* Repackaging Progress */}
+      {repackaging && (
+        <Card sx={{ mb: 3 }}>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              {PHASE_LABELS[repackagePhase] || 'Repackaging'}...
+            </Typography>
+            <LinearProgress variant="determinate" value={repackageProgress} sx={{ mb: 2 }} />
+            <Typography variant="body2" color="text.secondary">
+              {repackageProgress}% complete. Repackaging runs as a background job that resumes where it stopped if it
+              is interrupted, so you can close this tab and follow it on the Jobs page.
+            </Typography>
+          </CardContent>
+        </Card>
+      )}
+
+      {repackageMessage && (
+        <Alert severity={repackageMessage.severity} sx={{ mb: 3 }} onClose={() => setRepackageMessage(null)}>
+          {repackageMessage.text}
+        </Alert>
+      )}
+
       {/* Error Alert */}
       {error && (
         <Alert severity="error" sx={{ mb: 3 }}>
@@ -506,7 +637,7 @@ function S3Folder() {
             </Typography>
             <Divider sx={{ mb: 3 }} />
             
-            <TableContainer sx={{ maxHeight: '70vh' }}>
+            <TableContainer ref={tableContainerRef} sx={{ maxHeight: '70vh' }}>
               <Table stickyHeader>
                 <TableHead>
                   <TableRow>
@@ -523,8 +654,8 @@ function S3Folder() {
                   </TableRow>
                 </TableHead>
                 <TableBody>
-                  {folderContents.map((item, index) => (
-                    <TableRow key={index} hover>
+                  {folderContents.map((item) => (
+                    <TableRow key={item.key} hover>
                       <TableCell>
                         <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                           {item.isFolder ? (
@@ -560,12 +691,14 @@ function S3Folder() {
                       </TableCell>
                       {!isMobile && (
                         <TableCell>
-                          <Chip 
-                            label={item.storageClass} 
-                            size="small" 
-                            color={getStorageClassColor(item.storageClass)}
-                            variant="outlined"
-                          />
+                          {item.isFolder ? '-' : (
+                            <Chip 
+                              label={item.storageClass} 
+                              size="small" 
+                              color={getStorageClassColor(item.storageClass)}
+                              variant="outlined"
+                            />
+                          )}
                         </TableCell>
                       )}
                       {!isMobile && (
@@ -604,6 +737,19 @@ function S3Folder() {
                       </TableCell>
                     </TableRow>
                   ))}
+                  {nextContinuationToken && (
+                    <TableRow ref={loadMoreRef}>
+                      <TableCell colSpan={isMobile ? 4 : 6} align="center">
+                        {loadingMore ? (
+                          <CircularProgress size={24} />
+                        ) : (
+                          <Button size="small" onClick={fetchMoreContents}>
+                            {loadMoreError ? 'Retry' : 'Load more'}
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  )}
                 </TableBody>
               </Table>
             </TableContainer>
@@ -622,6 +768,58 @@ function S3Folder() {
           </CardContent>
         </Card>
       )}
+
+      {/* Repackage Dialog */}
+      <Dialog open={showRepackageDialog} onClose={() => setShowRepackageDialog(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Repackage EML Files</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Every .eml object under {bucketName}/{currentPath}, including subfolders, is read by the server and
+            packaged into containers with manifests, split by the default container limits. The messages of
+            .msg, .mbox and .pst objects are extracted first. The containers are written to the staging folder
+            below; the original objects are left in place.
+          </Typography>
+          <TextField
+            autoFocus
+            margin="dense"
+            label="Staging Folder"
+            fullWidth
+            variant="outlined"
+            value={stagingPrefix}
+            onChange={(e) => setStagingPrefix(e.target.value)}
+            helperText={`Containers are written to ${bucketName}/${stagingPrefix}`}
+          />
+          <TextField
+            select
+            margin="dense"
+            label="Container Format"
+            fullWidth
+            variant="outlined"
+            value={containerFormat}
+            onChange={(e) => setContainerFormat(e.target.value)}
+          >
+            {CONTAINER_FORMATS.map(format => (
+              <MenuItem key={format.value} value={format.value}>{format.label}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            margin="dense"
+            label="Custodian (Optional)"
+            fullWidth
+            variant="outlined"
+            value={custodian}
+            onChange={(e) => setCustodian(e.target.value)}
+            helperText="Tagged on every manifest entry; each entry is also tagged with the folder it was found in"
+            inputProps={{ maxLength: 255 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setShowRepackageDialog(false)}>Cancel</Button>
+          <Button onClick={handleRepackage} variant="contained" disabled={!stagingPrefix.trim()}>
+            Repackage
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 }
@@ -0,0 +1,834 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Typography,
+  Card,
+  CardContent,
+  Box,
+  Divider,
+  Button,
+  CircularProgress,
+  Alert,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Grid,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  IconButton,
+  Tooltip,
+  LinearProgress,
+  Checkbox,
+  Switch,
+  Breadcrumbs,
+  Link
+} from '@mui/material';
+import {
+  Folder as FolderIcon,
+  Storage as StorageIcon,
+  Dns as DnsIcon,
+  Delete as DeleteIcon,
+  AttachFile as AttachFileIcon,
+  ArrowUpward as ArrowUpwardIcon,
+  Refresh as RefreshIcon,
+  Add as AddIcon,
+  PlayArrow as PlayArrowIcon,
+  ReportProblem as ReportProblemIcon
+} from '@mui/icons-material';
+import { useNavigate } from 'react-router-dom';
+import { useConfig } from '../contexts/ConfigContext';
+import { useAuth } from '../contexts/AuthContext';
+import { useEvents } from '../contexts/EventsContext';
+import { BACKEND_API_BASE } from '../config';
+
+import {
+  PHASE_LABELS,
+  parseJsonResponse,
+  packageRequest as sendPackageRequest,
+  waitForPackage,
+  describeSources,
+  CONTAINER_FORMATS,
+  DEFAULT_CONTAINER_FORMAT,
+  MB
+} from '../utils/packageUpload';
+
+const emptySourceForm = { name: '', rootPath: '', description: '' };
+
+function ServerImport() {
+  const navigate = useNavigate();
+  const { archiveWebUI, apiToken, customerGUID } = useConfig();
+  const { user, getAuthHeaders } = useAuth();
+  const events = useEvents();
+  const isAdmin = user?.role === 'admin';
+
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [sources, setSources] = useState([]);
+  const [selectedSource, setSelectedSource] = useState('');
+  const [listing, setListing] = useState(null);
+  const [selectedPaths, setSelectedPaths] = useState([]);
+  const [buckets, setBuckets] = useState([]);
+  const [selectedBucket, setSelectedBucket] = useState('');
+  const [prefix, setPrefix] = useState('');
+  const [limits, setLimits] = useState({ maxContainerMB: '', maxContainerEntries: '', maxMessageMB: '' });
+  const [containerFormat, setContainerFormat] = useState(DEFAULT_CONTAINER_FORMAT);
+  const [custodian, setCustodian] = useState('');
+  const [isImporting, setIsImporting] = useState(false);
+  const [importPhase, setImportPhase] = useState('');
+  const [importProgress, setImportProgress] = useState(0);
+  const [readProgress, setReadProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [sourceForm, setSourceForm] = useState(emptySourceForm);
+
+  // Send a JSON request to the server sources API and return its data
+  const sourceRequest = async (path, method = 'GET', body) => {
+    const response = await fetch(`${BACKEND_API_BASE}/api/server-sources${path}`, {
+      method,
+      headers: { ...getAuthHeaders(), 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const { data, error: parseError } = await parseJsonResponse(response);
+    if (parseError) throw new Error(parseError);
+
+    if (!response.ok || !data?.success) {
+      throw new Error(data?.error || `HTTP error! status: ${response.status}`);
+    }
+
+    return data.data;
+  };
+
+  const fetchSources = async () => {
+    try {
+      const data = await sourceRequest('');
+      setSources(data.results);
+    } catch (err) {
+      console.error('Error fetching server sources:', err);
+      setError(`Failed to fetch server sources: ${err.message}`);
+    }
+  };
+
+  const fetchBuckets = async () => {
+    try {
+      const response = await fetch(`${BACKEND_API_BASE}/api/s3-buckets`, {
+        method: 'GET',
+        headers: getAuthHeaders()
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success && data.data?.results) {
+        setBuckets(data.data.results);
+      } else {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+    } catch (err) {
+      console.error('Error fetching buckets:', err);
+      setError(`Failed to fetch S3 buckets: ${err.message}`);
+    }
+  };
+
+  // Load the server's default container split limits so the form starts from them
+  const fetchDefaultLimits = async () => {
+    try {
+      const data = await sendPackageRequest(getAuthHeaders(), '/limits', 'GET');
+      setLimits({
+        maxContainerMB: String(Math.round(data.maxContainerBytes / MB)),
+        maxContainerEntries: String(data.maxContainerEntries),
+        maxMessageMB: String(Math.round(data.maxMessageBytes / MB))
+      });
+      setContainerFormat(data.containerFormat || DEFAULT_CONTAINER_FORMAT);
+    } catch (err) {
+      console.error('Error fetching packaging limits:', err);
+    }
+  };
+
+  const browse = async (sourceId, path) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await sourceRequest(`/${sourceId}/browse?path=${encodeURIComponent(path)}`);
+      setListing(data);
+    } catch (err) {
+      console.error('Error browsing server source:', err);
+      setError(`Failed to browse server source: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSources();
+    fetchBuckets();
+    fetchDefaultLimits();
+  }, []);
+
+  useEffect(() => {
+    setSelectedPaths([]);
+    if (selectedSource) {
+      browse(selectedSource, '');
+    } else {
+      setListing(null);
+    }
+  }, [selectedSource]);
+
+  // A path is covered when it or one of its parent folders is selected
+  const isCovered = (path) => selectedPaths.some(selected => selected === '' || path === selected || path.startsWith(`${selected}/`));
+
+  const togglePath = (path) => {
+    if (selectedPaths.includes(path)) {
+      setSelectedPaths(selectedPaths.filter(selected => selected !== path));
+    } else {
+      // Selecting a folder replaces any selections inside it
+      setSelectedPaths([...selectedPaths.filter(selected => !selected.startsWith(`${path}/`)), path]);
+    }
+  };
+
+  const handleAddSource = async () => {
+    setError(null);
+    try {
+      const source = await sourceRequest('', 'POST', sourceForm);
+      setSourceForm(emptySourceForm);
+      setSuccess(`Server source ${source.name} added`);
+      fetchSources();
+    } catch (err) {
+      console.error('Error adding server source:', err);
+      setError(`Failed to add server source: ${err.message}`);
+    }
+  };
+
+  const handleToggleSource = async (source) => {
+    setError(null);
+    try {
+      await sourceRequest(`/${source.id}`, 'PUT', { enabled: !source.enabled });
+      fetchSources();
+    } catch (err) {
+      console.error('Error updating server source:', err);
+      setError(`Failed to update server source: ${err.message}`);
+    }
+  };
+
+  const handleDeleteSource = async (source) => {
+    setError(null);
+    try {
+      await sourceRequest(`/${source.id}`, 'DELETE');
+      if (selectedSource === source.id) {
+        setSelectedSource('');
+      }
+      fetchSources();
+    } catch (err) {
+      console.error('Error deleting server source:', err);
+      setError(`Failed to delete server source: ${err.message}`);
+    }
+  };
+
+  // Mirror the package progress reported by the server while files are read and packaged
+  const showPackageProgress = (pkg) => {
+    setImportPhase(pkg.progress.phase);
+    setImportProgress(pkg.progress.percent);
+    if (pkg.progress.filesFound > 0) {
+      setReadProgress({ read: pkg.progress.filesRead, found: pkg.progress.filesFound });
+    }
+  };
+
+  const handleImport = async () => {
+    if (!selectedBucket) {
+      setError('Please select an S3 bucket');
+      return;
+    }
+
+    if (selectedPaths.length === 0) {
+      setError('Please select files or folders to import');
+      return;
+    }
+
+    setIsImporting(true);
+    setImportPhase('queued');
+    setImportProgress(0);
+    setReadProgress(null);
+    setError(null);
+    setSuccess(null);
+    setResult(null);
+
+    try {
+      const created = await sendPackageRequest(getAuthHeaders(), '/server-source', 'POST', {
+        sourceId: selectedSource,
+        paths: selectedPaths,
+        bucketName: selectedBucket,
+        prefix,
+        limits: {
+          maxContainerBytes: limits.maxContainerMB ? Math.round(Number(limits.maxContainerMB) * MB) : null,
+          maxContainerEntries: limits.maxContainerEntries ? Number(limits.maxContainerEntries) : null,
+          maxMessageBytes: limits.maxMessageMB ? Math.round(Number(limits.maxMessageMB) * MB) : null
+        },
+        containerFormat,
+        custodian: custodian.trim() || null
+      });
+
+      const pkg = await waitForPackage(getAuthHeaders(), created.id, events, showPackageProgress);
+
+      const packagedCount = pkg.fileCount - pkg.skipped.length - pkg.quarantined.length;
+      setSuccess(`Successfully imported ${packagedCount} EML files as ${pkg.containerCount} container(s) with manifests to ${pkg.bucketName}/${pkg.prefix}.${describeSources(pkg)}`);
+      setResult(pkg);
+      setSelectedPaths([]);
+    } catch (err) {
+      console.error('Error importing from server source:', err);
+      setError(`Failed to import files: ${err.message}`);
+    } finally {
+      setIsImporting(false);
+      setImportPhase('');
+      setImportProgress(0);
+      setReadProgress(null);
+    }
+  };
+
+  const formatFileSize = (bytes) => {
+    if (!bytes) return '0 B';
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  };
+
+  // Check if archive settings and customer GUID are configured
+  if (!archiveWebUI || !apiToken || !customerGUID) {
+    return (
+      <Box sx={{ p: 3, display: 'flex', flexDirection: 'column', width: '100%' }}>
+        <Alert severity="warning" sx={{ mb: 3 }}>
+          Please configure your Archive Web UI, API Token, and Customer GUID in the Config page before importing files.
+        </Alert>
+      </Box>
+    );
+  }
+
+  const pathSegments = listing?.path ? listing.path.split('/') : [];
+
+  return (
+    <Box sx={{ p: 3, display: 'flex', flexDirection: 'column', width: '100%' }}>
+      {/* Header Section */}
+      <Card sx={{ mb: 4, flexShrink: 0 }}>
+        <CardContent>
+          <Typography variant="h4" component="h1" sx={{ fontWeight: 'bold', mb: 2 }}>
+            Server Import
+          </Typography>
+
+          <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+            Import EML, MSG, MBOX and PST files that are already on the server, e.g. on a mounted share. Browse a
+            server source, select files or whole folders, and the server reads them from disk, extracts the messages
+            of PST, MBOX and MSG files and packages them into ZIP or tar.gz containers with manifests, exactly like
+            files sent from the Upload page. Nothing passes through your browser, so this also works for very large
+            folders.
+          </Typography>
+        </CardContent>
+      </Card>
+
+      {/* Error Alert */}
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {/* Success Alert */}
+      {success && (
+        <Alert severity="success" sx={{ mb: 3 }} onClose={() => setSuccess(null)}>
+          {success}
+        </Alert>
+      )}
+
+      {/* Import Progress */}
+      {isImporting && (
+        <Card sx={{ mb: 3 }}>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              {PHASE_LABELS[importPhase] || 'Importing Files'}...
+            </Typography>
+            <LinearProgress variant="determinate" value={importProgress} sx={{ mb: 2 }} />
+            <Typography variant="body2" color="text.secondary">
+              {readProgress && importPhase === 'reading' && `${readProgress.read} of ${readProgress.found} file(s) read · `}
+              {importProgress}% complete
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              The import runs as a background job, so you can close this tab and follow it on the Jobs page.
+            </Typography>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Import Result */}
+      {result && (
+        <Card sx={{ mb: 3 }}>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Import Results
+            </Typography>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+              <Chip label={`${result.fileCount} file(s) read`} size="small" variant="outlined" />
+              <Chip label={`${result.containerCount} container(s)`} size="small" variant="outlined" />
+              {result.skipped.length > 0 && (
+                <Chip label={`${result.skipped.length} duplicate(s) skipped`} size="small" color="warning" variant="outlined" />
+              )}
+              {result.rejected.length > 0 && (
+                <Chip label={`${result.rejected.length} rejected`} size="small" color="error" variant="outlined" />
+              )}
+            </Box>
+            <TableContainer component={Paper}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Container</TableCell>
+                    <TableCell>Manifest</TableCell>
+                    <TableCell align="right">Files</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {result.containers.map(container => (
+                    <TableRow key={container.containerKey}>
+                      <TableCell sx={{ fontFamily: 'monospace' }}>{result.bucketName}/{container.containerKey}</TableCell>
+                      <TableCell sx={{ fontFamily: 'monospace' }}>{result.bucketName}/{container.manifestKey}</TableCell>
+                      <TableCell align="right">{container.fileCount}</TableCell>
+                    </TableRow>
+                  ))}
+                  {result.rejected.map(file => (
+                    <TableRow key={`rejected-${file.name}`}>
+                      <TableCell sx={{ fontFamily: 'monospace' }}>{file.name}</TableCell>
+                      <TableCell colSpan={2}>Rejected: {file.reason}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+            {result.quarantined.length > 0 && (
+              <Button
+                size="small"
+                sx={{ mt: 2 }}
+                startIcon={<ReportProblemIcon />}
+                onClick={() => navigate(`/quarantine?uploadSetId=${result.id}`)}
+              >
+                Review {result.quarantined.length} quarantined message(s)
+              </Button>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      <Grid container spacing={3}>
+        {/* Folder Browser */}
+        <Grid item xs={12} md={7}>
+          <Card>
+            <CardContent>
+              <Typography variant="h5" gutterBottom>
+                Select Files and Folders
+              </Typography>
+              <Divider sx={{ mb: 3 }} />
+
+              <FormControl fullWidth sx={{ mb: 2 }}>
+                <InputLabel>Server Source</InputLabel>
+                <Select
+                  value={selectedSource}
+                  onChange={(e) => setSelectedSource(e.target.value)}
+                  label="Server Source"
+                  disabled={isImporting}
+                >
+                  {sources.filter(source => source.enabled).map((source) => (
+                    <MenuItem key={source.id} value={source.id}>
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <DnsIcon fontSize="small" />
+                        {source.name}
+                        {source.description && (
+                          <Typography variant="body2" color="text.secondary">— {source.description}</Typography>
+                        )}
+                      </Box>
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+
+              {sources.length === 0 && (
+                <Alert severity="info">
+                  No server sources are configured. {isAdmin ? 'Add one below.' : 'Ask an admin to add one.'}
+                </Alert>
+              )}
+
+              {listing && (
+                <>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                    <Tooltip title="Parent folder">
+                      <span>
+                        <IconButton
+                          size="small"
+                          onClick={() => browse(selectedSource, listing.parent)}
+                          disabled={listing.parent === null || loading}
+                        >
+                          <ArrowUpwardIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Breadcrumbs>
+                      <Link component="button" underline="hover" onClick={() => browse(selectedSource, '')}>
+                        {listing.source.name}
+                      </Link>
+                      {pathSegments.map((segment, index) => (
+                        <Link
+                          key={index}
+                          component="button"
+                          underline="hover"
+                          onClick={() => browse(selectedSource, pathSegments.slice(0, index + 1).join('/'))}
+                        >
+                          {segment}
+                        </Link>
+                      ))}
+                    </Breadcrumbs>
+                  </Box>
+
+                  <TableContainer component={Paper} sx={{ maxHeight: 400 }}>
+                    <Table stickyHeader size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell padding="checkbox">
+                            <Tooltip title="Select this whole folder">
+                              <Checkbox
+                                size="small"
+                                checked={isCovered(listing.path)}
+                                disabled={isImporting || (isCovered(listing.path) && !selectedPaths.includes(listing.path))}
+                                onChange={() => togglePath(listing.path)}
+                              />
+                            </Tooltip>
+                          </TableCell>
+                          <TableCell>Name</TableCell>
+                          <TableCell>Size</TableCell>
+                          <TableCell>Modified</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {listing.entries.map((entry) => (
+                          <TableRow key={entry.path} hover>
+                            <TableCell padding="checkbox">
+                              <Checkbox
+                                size="small"
+                                checked={isCovered(entry.path)}
+                                disabled={isImporting || (isCovered(entry.path) && !selectedPaths.includes(entry.path))}
+                                onChange={() => togglePath(entry.path)}
+                              />
+                            </TableCell>
+                            <TableCell>
+                              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                {entry.type === 'folder' ? (
+                                  <>
+                                    <FolderIcon fontSize="small" color="primary" />
+                                    <Link component="button" underline="hover" onClick={() => browse(selectedSource, entry.path)}>
+                                      {entry.name}
+                                    </Link>
+                                  </>
+                                ) : (
+                                  <>
+                                    <AttachFileIcon fontSize="small" />
+                                    <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
+                                      {entry.name}
+                                    </Typography>
+                                  </>
+                                )}
+                              </Box>
+                            </TableCell>
+                            <TableCell>{entry.type === 'file' ? formatFileSize(entry.size) : ''}</TableCell>
+                            <TableCell>{new Date(entry.modifiedAt).toLocaleString()}</TableCell>
+                          </TableRow>
+                        ))}
+                        {listing.entries.length === 0 && (
+                          <TableRow>
+                            <TableCell colSpan={4}>
+                              <Typography variant="body2" color="text.secondary">
+                                This folder contains no subfolders or mail files.
+                              </Typography>
+                            </TableCell>
+                          </TableRow>
+                        )}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                  {listing.otherFiles > 0 && (
+                    <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                      {listing.otherFiles} other file(s) in this folder are not mail files and are not shown.
+                    </Typography>
+                  )}
+                </>
+              )}
+
+              {selectedPaths.length > 0 && (
+                <Box sx={{ mt: 2 }}>
+                  <Typography variant="subtitle2" gutterBottom>
+                    Selected ({selectedPaths.length}) — folders are imported with all their subfolders
+                  </Typography>
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                    {selectedPaths.map(path => (
+                      <Chip
+                        key={path}
+                        label={path || `${listing?.source.name} (entire source)`}
+                        size="small"
+                        onDelete={isImporting ? undefined : () => togglePath(path)}
+                      />
+                    ))}
+                  </Box>
+                </Box>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* S3 Configuration */}
+        <Grid item xs={12} md={5}>
+          <Card>
+            <CardContent>
+              <Typography variant="h5" gutterBottom>
+                S3 Destination
+              </Typography>
+              <Divider sx={{ mb: 3 }} />
+
+              <Grid container spacing={2}>
+                <Grid item xs={12}>
+                  <FormControl fullWidth>
+                    <InputLabel>S3 Bucket</InputLabel>
+                    <Select
+                      value={selectedBucket}
+                      onChange={(e) => setSelectedBucket(e.target.value)}
+                      label="S3 Bucket"
+                      disabled={isImporting}
+                    >
+                      {buckets.map((bucket) => (
+                        <MenuItem key={bucket.name} value={bucket.name}>
+                          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                            <StorageIcon fontSize="small" />
+                            {bucket.name}
+                          </Box>
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+
+                <Grid item xs={12}>
+                  <TextField
+                    label="Folder (Optional)"
+                    fullWidth
+                    value={prefix}
+                    onChange={(e) => setPrefix(e.target.value)}
+                    disabled={isImporting}
+                    placeholder="e.g. imports/2024/"
+                  />
+                </Grid>
+
+                <Grid item xs={12}>
+                  <TextField
+                    label="Custodian (Optional)"
+                    fullWidth
+                    value={custodian}
+                    onChange={(e) => setCustodian(e.target.value)}
+                    disabled={isImporting}
+                    placeholder="e.g. Jane Doe"
+                    helperText="Tagged on every manifest entry of this upload"
+                    inputProps={{ maxLength: 255 }}
+                  />
+                </Grid>
+
+                <Grid item xs={12}>
+                  <Typography variant="subtitle2" gutterBottom>
+                    Container Format and Limits
+                  </Typography>
+                </Grid>
+                <Grid item xs={12} sm={3}>
+                  <TextField
+                    select
+                    label="Container format"
+                    size="small"
+                    fullWidth
+                    value={containerFormat}
+                    onChange={(e) => setContainerFormat(e.target.value)}
+                    disabled={isImporting}
+                  >
+                    {CONTAINER_FORMATS.map(format => (
+                      <MenuItem key={format.value} value={format.value}>{format.label}</MenuItem>
+                    ))}
+                  </TextField>
+                </Grid>
+                <Grid item xs={12} sm={3}>
+                  <TextField
+                    label="Max container size (MB)"
+                    type="number"
+                    size="small"
+                    fullWidth
+                    value={limits.maxContainerMB}
+                    onChange={(e) => setLimits({ ...limits, maxContainerMB: e.target.value })}
+                    disabled={isImporting}
+                    inputProps={{ min: 1 }}
+                  />
+                </Grid>
+                <Grid item xs={12} sm={3}>
+                  <TextField
+                    label="Max messages per container"
+                    type="number"
+                    size="small"
+                    fullWidth
+                    value={limits.maxContainerEntries}
+                    onChange={(e) => setLimits({ ...limits, maxContainerEntries: e.target.value })}
+                    disabled={isImporting}
+                    inputProps={{ min: 1 }}
+                  />
+                </Grid>
+                <Grid item xs={12} sm={3}>
+                  <TextField
+                    label="Max message size (MB)"
+                    type="number"
+                    size="small"
+                    fullWidth
+                    value={limits.maxMessageMB}
+                    onChange={(e) => setLimits({ ...limits, maxMessageMB: e.target.value })}
+                    disabled={isImporting}
+                    inputProps={{ min: 1 }}
+                  />
+                </Grid>
+              </Grid>
+
+              <Box sx={{ mt: 3, display: 'flex', gap: 2 }}>
+                <Button
+                  variant="contained"
+                  startIcon={<PlayArrowIcon />}
+                  onClick={handleImport}
+                  disabled={isImporting || !selectedBucket || selectedPaths.length === 0}
+                  fullWidth
+                >
+                  {isImporting ? 'Importing...' : 'Import & Create Manifest'}
+                </Button>
+                <Button
+                  variant="outlined"
+                  startIcon={<RefreshIcon />}
+                  onClick={() => {
+                    fetchSources();
+                    fetchBuckets();
+                    if (selectedSource && listing) {
+                      browse(selectedSource, listing.path);
+                    }
+                  }}
+                  disabled={isImporting}
+                >
+                  Refresh
+                </Button>
+              </Box>
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Source Management */}
+        {isAdmin && (
+          <Grid item xs={12}>
+            <Card>
+              <CardContent>
+                <Typography variant="h5" gutterBottom>
+                  Manage Server Sources
+                </Typography>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                  Users can only browse and import from these directories. Paths are checked on the server;
+                  nothing outside a source's root, including targets of symbolic links, can be reached.
+                </Typography>
+                <Divider sx={{ mb: 3 }} />
+
+                {sources.length > 0 && (
+                  <TableContainer component={Paper} sx={{ mb: 3 }}>
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Name</TableCell>
+                          <TableCell>Root Path</TableCell>
+                          <TableCell>Description</TableCell>
+                          <TableCell>Enabled</TableCell>
+                          <TableCell align="right">Actions</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {sources.map((source) => (
+                          <TableRow key={source.id}>
+                            <TableCell>{source.name}</TableCell>
+                            <TableCell sx={{ fontFamily: 'monospace' }}>{source.rootPath}</TableCell>
+                            <TableCell>{source.description || '—'}</TableCell>
+                            <TableCell>
+                              <Switch size="small" checked={source.enabled} onChange={() => handleToggleSource(source)} />
+                            </TableCell>
+                            <TableCell align="right">
+                              <Tooltip title="Remove this source; files already imported from it are kept">
+                                <IconButton size="small" color="error" onClick={() => handleDeleteSource(source)}>
+                                  <DeleteIcon fontSize="small" />
+                                </IconButton>
+                              </Tooltip>
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                )}
+
+                <Grid container spacing={2} alignItems="center">
+                  <Grid item xs={12} sm={3}>
+                    <TextField
+                      label="Name"
+                      size="small"
+                      fullWidth
+                      value={sourceForm.name}
+                      onChange={(e) => setSourceForm({ ...sourceForm, name: e.target.value })}
+                    />
+                  </Grid>
+                  <Grid item xs={12} sm={4}>
+                    <TextField
+                      label="Root path on the server"
+                      size="small"
+                      fullWidth
+                      value={sourceForm.rootPath}
+                      onChange={(e) => setSourceForm({ ...sourceForm, rootPath: e.target.value })}
+                      placeholder="/mnt/exports"
+                    />
+                  </Grid>
+                  <Grid item xs={12} sm={3}>
+                    <TextField
+                      label="Description (Optional)"
+                      size="small"
+                      fullWidth
+                      value={sourceForm.description}
+                      onChange={(e) => setSourceForm({ ...sourceForm, description: e.target.value })}
+                    />
+                  </Grid>
+                  <Grid item xs={12} sm={2}>
+                    <Button
+                      variant="contained"
+                      startIcon={<AddIcon />}
+                      onClick={handleAddSource}
+                      disabled={!sourceForm.name.trim() || !sourceForm.rootPath.trim()}
+                      fullWidth
+                    >
+                      Add
+                    </Button>
+                  </Grid>
+                </Grid>
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
+      </Grid>
+
+      {/* Loading State */}
+      {loading && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+          <CircularProgress />
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+export default ServerImport;
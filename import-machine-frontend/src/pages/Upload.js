@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
   Typography,
   Card,
@@ -16,8 +16,6 @@ import {
   TableHead,
   TableRow,
   Chip,
-  useMediaQuery,
-  useTheme,
   Grid,
   TextField,
   FormControl,
@@ -39,6 +37,7 @@ import {
 import {
   CloudUpload as CloudUploadIcon,
   Folder as FolderIcon,
+  FolderOpen as FolderOpenIcon,
   Storage as StorageIcon,
   CreateNewFolder as CreateNewFolderIcon,
   Delete as DeleteIcon,
@@ -46,52 +45,38 @@ import {
   Error as ErrorIcon,
   AttachFile as AttachFileIcon,
   Archive as ArchiveIcon,
-  Refresh as RefreshIcon
+  ContentCopy as ContentCopyIcon,
+  ReportProblem as ReportProblemIcon,
+  Refresh as RefreshIcon,
+  PlayArrow as PlayArrowIcon
 } from '@mui/icons-material';
+import { useNavigate } from 'react-router-dom';
 import { useConfig } from '../contexts/ConfigContext';
 import { useAuth } from '../contexts/AuthContext';
+import { useEvents } from '../contexts/EventsContext';
 import { BACKEND_API_BASE } from '../config';
-import JSZip from 'jszip';
-import { sha256 } from 'js-sha256';
-
-// Safely parse JSON response; returns { error } if body is not valid JSON (e.g. HTML error page)
-const parseJsonResponse = async (response) => {
-  const text = await response.text();
-  try {
-    return { data: text ? JSON.parse(text) : null };
-  } catch {
-    // Response wasn't JSON (e.g. 413/502 HTML from nginx)
-    const status = response.status;
-    const statusText = response.statusText;
-    if (status === 413) {
-      return { error: 'File too large. Try fewer files or contact support to increase limits.' };
-    }
-    if (text.includes('413') || text.toLowerCase().includes('entity too large')) {
-      return { error: 'File too large. Try fewer files or contact support to increase limits.' };
-    }
-    if (status >= 500) {
-      return { error: `Server error (${status}). Try again or use fewer files.` };
-    }
-    return { error: text.slice(0, 200) || `Request failed (${status} ${statusText})` };
-  }
-};
-
-// Convert Uint8Array to base64 in chunks to avoid "too many arguments" with large files
-const uint8ArrayToBase64 = (uint8Array) => {
-  const CHUNK_SIZE = 8192;
-  let binary = '';
-  for (let i = 0; i < uint8Array.length; i += CHUNK_SIZE) {
-    const chunk = uint8Array.subarray(i, i + CHUNK_SIZE);
-    binary += String.fromCharCode.apply(null, chunk);
-  }
-  return btoa(binary);
-};
+import { fetchAllFolders } from '../utils/s3Listing';
+
+import {
+  PHASE_LABELS,
+  packageRequest as sendPackageRequest,
+  uploadPackageFiles,
+  describeDuplicate,
+  waitForPackage,
+  describeSources,
+  isMailFile,
+  MAIL_FILE_ACCEPT,
+  CONTAINER_FORMATS,
+  DEFAULT_CONTAINER_FORMAT,
+  MB
+} from '../utils/packageUpload';
+import { uploadDirectFiles } from '../utils/directUpload';
 
 function Upload() {
-  const theme = useTheme();
-  const isMobile = useMediaQuery(theme.breakpoints.down('md'));
+  const navigate = useNavigate();
   const { archiveWebUI, apiToken, customerGUID } = useConfig();
   const { getAuthHeaders } = useAuth();
+  const events = useEvents();
   
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -100,17 +85,26 @@ function Upload() {
   const [selectedBucket, setSelectedBucket] = useState('');
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [uploadPhase, setUploadPhase] = useState('');
   const [isUploading, setIsUploading] = useState(false);
   const [showCreateFolderDialog, setShowCreateFolderDialog] = useState(false);
   const [newFolderName, setNewFolderName] = useState('');
   const [selectedFolder, setSelectedFolder] = useState('');
   const [bucketFolders, setBucketFolders] = useState([]);
   const [uploadResults, setUploadResults] = useState([]);
+  const [containerProgress, setContainerProgress] = useState(null);
+  const [limits, setLimits] = useState({ maxContainerMB: '', maxContainerEntries: '', maxMessageMB: '' });
+  const [containerFormat, setContainerFormat] = useState(DEFAULT_CONTAINER_FORMAT);
+  const [custodian, setCustodian] = useState('');
+  const [resumableUploads, setResumableUploads] = useState([]);
+  const [resumeTarget, setResumeTarget] = useState(null);
+  // 'server' streams the files through the backend; 'direct' sends them from the browser straight to S3
+  const [transferMode, setTransferMode] = useState('server');
   
   const fileInputRef = useRef(null);
   const fileSelectModeRef = useRef('replace'); // 'replace' or 'add'
 
-  const fetchBuckets = async () => {
+  const fetchBuckets = useCallback(async () => {
     setLoading(true);
     setError(null);
 
@@ -138,103 +132,78 @@ function Upload() {
     } finally {
       setLoading(false);
     }
-  };
+  }, [getAuthHeaders]);
 
-  const fetchBucketFolders = async (bucketName) => {
+  // Subfolders of the selected folder, from the S3 listing's common prefixes
+  const fetchBucketFolders = useCallback(async (bucketName, prefix = '') => {
     if (!bucketName) return;
 
     setLoading(true);
     setError(null);
 
     try {
-      const response = await fetch(`${BACKEND_API_BASE}/api/s3-buckets/${bucketName}/objects`, {
-        method: 'GET',
-        headers: getAuthHeaders()
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
-      
-      if (data.success && data.data?.results) {
-        // Filter to only show folders/prefixes
-        const folders = filterFoldersOnly(data.data.results);
-        setBucketFolders(folders);
-      } else {
-        throw new Error('Invalid response format from backend');
-      }
+      const folders = await fetchAllFolders(getAuthHeaders(), bucketName, prefix);
+      setBucketFolders(folders);
     } catch (err) {
       console.error('Error fetching bucket folders:', err);
       setError(`Failed to fetch bucket folders: ${err.message}`);
     } finally {
       setLoading(false);
     }
-  };
+  }, [getAuthHeaders]);
 
-  // Filter function to only show folders/prefixes
-  const filterFoldersOnly = (objects) => {
-    const folders = new Set();
-    
-    objects.forEach(object => {
-      const key = object.key;
-      
-      // Skip if key is empty or null
-      if (!key || key.trim() === '') {
-        return;
-      }
-      
-      // If the key ends with '/', it's a folder
-      if (key.endsWith('/')) {
-        folders.add(key);
-      } else {
-        // Check if this object is part of a folder structure
-        // Extract the folder path (everything before the last '/')
-        const lastSlashIndex = key.lastIndexOf('/');
-        if (lastSlashIndex > 0) {
-          const folderPath = key.substring(0, lastSlashIndex + 1);
-          folders.add(folderPath);
-        }
+  // Load the server's default container split limits so the form starts from them
+  const fetchDefaultLimits = useCallback(async () => {
+    try {
+      const response = await fetch(`${BACKEND_API_BASE}/api/packages/limits`, {
+        method: 'GET',
+        headers: getAuthHeaders()
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setLimits({
+          maxContainerMB: String(Math.round(data.data.maxContainerBytes / MB)),
+          maxContainerEntries: String(data.data.maxContainerEntries),
+          maxMessageMB: String(Math.round(data.data.maxMessageBytes / MB))
+        });
+        setContainerFormat(data.data.containerFormat || DEFAULT_CONTAINER_FORMAT);
       }
-    });
-    
-    // Convert back to array, sort, and remove duplicates
-    return Array.from(folders)
-      .sort((a, b) => {
-        // Sort by folder depth first, then alphabetically
-        const aDepth = (a.match(/\//g) || []).length;
-        const bDepth = (b.match(/\//g) || []).length;
-        if (aDepth !== bDepth) {
-          return aDepth - bDepth;
-        }
-        return a.localeCompare(b);
-      })
-      .map(folderPath => ({
-        key: folderPath,
-        isFolder: true
-      }));
-  };
+    } catch (err) {
+      console.error('Error fetching packaging limits:', err);
+    }
+  }, [getAuthHeaders]);
+
+  // Uploads left unfinished by a closed tab or a lost connection; the server kept what arrived
+  const fetchResumableUploads = useCallback(async () => {
+    try {
+      const data = await sendPackageRequest(getAuthHeaders(), '/resumable', 'GET');
+      setResumableUploads(data.results);
+    } catch (err) {
+      console.error('Error fetching unfinished uploads:', err);
+    }
+  }, [getAuthHeaders]);
 
   useEffect(() => {
     fetchBuckets();
-  }, []);
+    fetchDefaultLimits();
+    fetchResumableUploads();
+  }, [fetchBuckets, fetchDefaultLimits, fetchResumableUploads]);
 
   useEffect(() => {
     if (selectedBucket) {
-      fetchBucketFolders(selectedBucket);
+      fetchBucketFolders(selectedBucket, selectedFolder);
     } else {
       setBucketFolders([]);
     }
-  }, [selectedBucket]);
+  }, [selectedBucket, selectedFolder, fetchBucketFolders]);
 
   const handleFileSelect = (event) => {
     const files = Array.from(event.target.files || []);
-    const emlFiles = files.filter(file => file.name.toLowerCase().endsWith('.eml'));
+    const emlFiles = files.filter(file => isMailFile(file.name));
     
     if (files.length > 0 && emlFiles.length !== files.length) {
-      setError('Only .eml files are allowed. Non-EML files have been filtered out.');
+      setError('Only .eml, .msg, .mbox and .pst files are allowed. Other files have been filtered out.');
     }
     
     if (fileSelectModeRef.current === 'add' && emlFiles.length > 0) {
@@ -290,7 +259,7 @@ function Upload() {
         setShowCreateFolderDialog(false);
         setSuccess('Folder created successfully');
         // Refresh bucket folders
-        fetchBucketFolders(selectedBucket);
+        fetchBucketFolders(selectedBucket, selectedFolder);
       } else {
         throw new Error(data.error || 'Failed to create folder');
       }
@@ -302,128 +271,39 @@ function Upload() {
     }
   };
 
-  // Generate a UUID v4
-  const generateUUID = () => {
-    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-      const r = Math.random() * 16 | 0;
-      const v = c === 'x' ? r : (r & 0x3 | 0x8);
-      return v.toString(16);
-    });
-  };
+  // Send a JSON request to the packaging API and return the package summary
+  const packageRequest = (path, method, body) => sendPackageRequest(getAuthHeaders(), path, method, body);
 
-  // Calculate SHA-256 hash of a blob
-  // crypto.subtle is only available in secure contexts (HTTPS/localhost); use js-sha256 fallback for HTTP on LAN
-  const calculateSHA256 = async (blob) => {
-    const arrayBuffer = await blob.arrayBuffer();
-    if (typeof crypto !== 'undefined' && crypto.subtle) {
-      const hashBuffer = await crypto.subtle.digest('SHA-256', arrayBuffer);
-      const hashArray = Array.from(new Uint8Array(hashBuffer));
-      return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+  // Mirror the package progress reported by the server while packaging runs
+  const showPackageProgress = (pkg) => {
+    setUploadPhase(pkg.progress.phase);
+    setUploadProgress(pkg.progress.percent);
+    if (pkg.containerCount > 0) {
+      setContainerProgress({ current: pkg.progress.currentContainer, count: pkg.containerCount });
     }
-    return sha256(arrayBuffer);
-  };
-
-  // Generate manifest JSON
-  const generateManifest = (files, containerName, containerHash) => {
-    const entries = files.map(file => ({
-      reconciliation_id: generateUUID(),
-      container_entry_id: file.name
-    }));
-
-    return {
-      customer_guid: customerGUID || "1_8edb9b328e86ff34_b38f575_19499838f47__8000", // Use config value or fallback
-      container_type: "container/zip",
-      container: containerName,
-      container_hash: containerHash,
-      entries: entries
-    };
-  };
-
-  const createZipFromFiles = async (files) => {
-    const zip = new JSZip();
-    
-    // Add all files to the ZIP
-    files.forEach(file => {
-      zip.file(file.name, file);
-    });
-    
-    // Generate the ZIP blob (without manifest)
-    const zipBlob = await zip.generateAsync({ type: 'blob' });
-    
-    // Calculate hash of the ZIP file (without manifest)
-    const containerHash = await calculateSHA256(zipBlob);
-    
-    // Generate manifest
-    const containerName = `compressed_messages_${new Date().toISOString().replace(/[:.]/g, '-')}.zip`;
-    const manifest = generateManifest(files, containerName, containerHash);
-    
-    return {
-      zipBlob: zipBlob,
-      manifest: manifest,
-      containerName: containerName
-    };
   };
 
-  const uploadZipToS3 = async (zipBlob, bucketName, key) => {
-    const arrayBuffer = await zipBlob.arrayBuffer();
-    
-    // Convert ArrayBuffer to base64 string (browser-compatible, chunked for large files)
-    const uint8Array = new Uint8Array(arrayBuffer);
-    const base64String = uint8ArrayToBase64(uint8Array);
-    
-    const response = await fetch(`${BACKEND_API_BASE}/api/s3-buckets/${bucketName}/upload`, {
-      method: 'POST',
-      headers: {
-        ...getAuthHeaders(),
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        key: key,
-        fileBuffer: base64String,
-        contentType: 'application/zip'
-      })
-    });
-
-    const { data, error: parseError } = await parseJsonResponse(response);
-    if (parseError) throw new Error(parseError);
-
-    if (!response.ok) {
-      throw new Error(data?.error || `HTTP error! status: ${response.status}`);
-    }
-
-    return data;
+  // Continue an unfinished upload into its package and destination once the same files are selected again
+  const handleResume = (uploadSet) => {
+    setResumeTarget(uploadSet);
+    setSelectedBucket(uploadSet.bucketName);
+    setSelectedFolder(uploadSet.prefix);
+    setSelectedFiles([]);
+    setError(null);
+    setSuccess(null);
   };
 
-  const uploadManifestToS3 = async (manifest, bucketName, key) => {
-    const manifestString = JSON.stringify(manifest, null, 2);
-    const manifestBlob = new Blob([manifestString], { type: 'application/json' });
-    const arrayBuffer = await manifestBlob.arrayBuffer();
-    
-    // Convert ArrayBuffer to base64 string (browser-compatible, chunked for large files)
-    const uint8Array = new Uint8Array(arrayBuffer);
-    const base64String = uint8ArrayToBase64(uint8Array);
-    
-    const response = await fetch(`${BACKEND_API_BASE}/api/s3-buckets/${bucketName}/upload`, {
-      method: 'POST',
-      headers: {
-        ...getAuthHeaders(),
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        key: key,
-        fileBuffer: base64String,
-        contentType: 'application/json'
-      })
-    });
-
-    const { data, error: parseError } = await parseJsonResponse(response);
-    if (parseError) throw new Error(parseError);
-
-    if (!response.ok) {
-      throw new Error(data?.error || `HTTP error! status: ${response.status}`);
+  const handleDiscardUpload = async (uploadSet) => {
+    try {
+      await packageRequest(`/${uploadSet.id}`, 'DELETE');
+      if (resumeTarget?.id === uploadSet.id) {
+        setResumeTarget(null);
+      }
+    } catch (err) {
+      console.error('Error discarding upload:', err);
+      setError(`Failed to discard upload: ${err.message}`);
     }
-
-    return data;
+    fetchResumableUploads();
   };
 
   const handleUpload = async () => {
@@ -437,53 +317,114 @@ function Upload() {
       return;
     }
 
+    // Resumed uploads continue through the server, where their received files are kept
+    const direct = transferMode === 'direct' && !resumeTarget;
+
     setIsUploading(true);
+    setUploadPhase(direct ? 'direct_upload' : 'receiving');
     setUploadProgress(0);
     setError(null);
     setSuccess(null);
     setUploadResults([]);
+    setContainerProgress(null);
+
+    const folderPath = selectedFolder || '';
+    let packageId = resumeTarget?.id || null;
+    let filesUploaded = false;
+
+    const packaging = {
+      limits: {
+        maxContainerBytes: limits.maxContainerMB ? Math.round(Number(limits.maxContainerMB) * MB) : null,
+        maxContainerEntries: limits.maxContainerEntries ? Number(limits.maxContainerEntries) : null,
+        maxMessageBytes: limits.maxMessageMB ? Math.round(Number(limits.maxMessageMB) * MB) : null
+      },
+      containerFormat,
+      custodian: custodian.trim() || null
+    };
 
     try {
-      // Create zip file and manifest
-      setUploadProgress(10);
-      const { zipBlob, manifest, containerName } = await createZipFromFiles(selectedFiles);
-      
-      // Determine the full key paths
-      const folderPath = selectedFolder || '';
-      const zipKey = `${folderPath}${containerName}`;
-      const manifestKey = `${folderPath}${containerName.replace('.zip', '.manifest.json')}`;
-      
-      setUploadProgress(30);
-      
-      // Upload ZIP file to S3
-      const zipResult = await uploadZipToS3(zipBlob, selectedBucket, zipKey);
-      
-      setUploadProgress(60);
-      
-      // Upload manifest to S3
-      const manifestResult = await uploadManifestToS3(manifest, selectedBucket, manifestKey);
-      
-      setUploadProgress(100);
-      
-      if (zipResult.success && manifestResult.success) {
-        setSuccess(`Successfully uploaded ${selectedFiles.length} EML files as ${containerName} and manifest to ${selectedBucket}/${folderPath}`);
-        setUploadResults([{
-          fileName: containerName,
-          bucket: selectedBucket,
-          zipKey: zipKey,
-          manifestKey: manifestKey,
-          fileCount: selectedFiles.length,
-          status: 'success',
-          manifest: manifest
-        }]);
-        
-        // Clear selected files
-        setSelectedFiles([]);
-        if (fileInputRef.current) {
-          fileInputRef.current.value = '';
-        }
+      let pkg;
+      if (direct) {
+        // Send the files from the browser to S3 through presigned URLs; the server verifies and records each one
+        const uploaded = await uploadDirectFiles(getAuthHeaders(), selectedBucket, folderPath, selectedFiles, setUploadProgress);
+        filesUploaded = true;
+
+        // The server then packages the uploaded folder into the chosen destination, as for an S3 folder
+        const created = await packageRequest('/s3-source', 'POST', {
+          bucketName: selectedBucket,
+          prefix: uploaded.uploadPrefix,
+          stagingPrefix: uploaded.destinationPrefix,
+          ...packaging
+        });
+        pkg = await waitForPackage(getAuthHeaders(), created.id, events, showPackageProgress);
       } else {
-        throw new Error(zipResult.error || manifestResult.error || 'Upload failed');
+        if (!packageId) {
+          const created = await packageRequest('', 'POST', {
+            bucketName: selectedBucket,
+            prefix: folderPath,
+            ...packaging
+          });
+          packageId = created.id;
+        }
+
+        // Send the selected files to the server in resumable chunks, reporting browser-side upload progress
+        await uploadPackageFiles(packageId, selectedFiles, getAuthHeaders().Authorization, setUploadProgress);
+        filesUploaded = true;
+
+        // Packaging runs on the server; from here on progress comes from the package status
+        await packageRequest(`/${packageId}/build`, 'POST');
+        pkg = await waitForPackage(getAuthHeaders(), packageId, events, showPackageProgress);
+      }
+
+      const skippedNote = pkg.skipped.length > 0 ? ` ${pkg.skipped.length} duplicate(s) were skipped.` : '';
+      const quarantinedNote = pkg.quarantined.length > 0 ? ` ${pkg.quarantined.length} invalid message(s) were quarantined.` : '';
+      const packagedCount = pkg.fileCount - pkg.skipped.length - pkg.quarantined.length;
+      setSuccess(`Successfully uploaded ${packagedCount} EML files as ${pkg.containerCount} container(s) with manifests to ${selectedBucket}/${pkg.prefix}.${describeSources(pkg)}${skippedNote}${quarantinedNote}`);
+      setUploadResults([
+        ...pkg.containers.map(container => ({
+          fileName: container.containerName,
+          bucket: pkg.bucketName,
+          containerKey: container.containerKey,
+          manifestKey: container.manifestKey,
+          fileCount: container.fileCount,
+          status: 'success',
+          manifest: container.manifest
+        })),
+        // Files the server left out of every container, e.g. messages over the size limit
+        ...pkg.rejected.map(file => ({
+          fileName: file.name,
+          bucket: pkg.bucketName,
+          key: '',
+          fileCount: 0,
+          status: 'error',
+          error: file.reason
+        })),
+        // Duplicates of messages already ingested for this customer, or repeated within the selection
+        ...pkg.skipped.map(file => ({
+          fileName: file.name,
+          bucket: pkg.bucketName,
+          key: '',
+          fileCount: 0,
+          status: 'skipped',
+          error: describeDuplicate(file.original)
+        })),
+        // Messages that failed EML validation; they wait in the quarantine to be fixed or force-included
+        ...pkg.quarantined.map(file => ({
+          fileName: file.name,
+          bucket: pkg.bucketName,
+          key: '',
+          fileCount: 0,
+          status: 'quarantined',
+          error: file.reason,
+          uploadSetId: pkg.id
+        }))
+      ]);
+
+      // Clear selected files
+      setSelectedFiles([]);
+      setResumeTarget(null);
+      if (fileInputRef.current) {
+        fileInputRef.current.value = '';
       }
     } catch (err) {
       console.error('Error uploading files:', err);
@@ -496,9 +437,24 @@ function Upload() {
         status: 'error',
         error: err.message
       }]);
+
+      if (packageId && !filesUploaded) {
+        // Keep what reached the server so the upload can be resumed, also after a refresh
+        setError(`Failed to upload files: ${err.message}. Select the same files again to resume the upload.`);
+        setResumeTarget(resumeTarget || { id: packageId, bucketName: selectedBucket, prefix: folderPath });
+      } else if (packageId) {
+        // Release the server-side spool if the package never started building
+        fetch(`${BACKEND_API_BASE}/api/packages/${packageId}`, {
+          method: 'DELETE',
+          headers: getAuthHeaders()
+        }).catch(() => {});
+      }
     } finally {
       setIsUploading(false);
+      setUploadPhase('');
       setUploadProgress(0);
+      setContainerProgress(null);
+      fetchResumableUploads();
     }
   };
 
@@ -507,6 +463,11 @@ function Upload() {
     setSelectedFiles(newFiles);
   };
 
+  // The selected folder and each of its parents, outermost first
+  const folderChain = selectedFolder
+    ? selectedFolder.split('/').filter(Boolean).map((_, index, parts) => `${parts.slice(0, index + 1).join('/')}/`)
+    : [];
+
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 B';
     const k = 1024;
@@ -536,9 +497,12 @@ function Upload() {
           </Typography>
           
           <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
-            Select EML files from your local folder, choose an S3 bucket and folder destination, 
-            and upload them as a zipped archive with a separate JSON manifest. The files will be automatically 
-            zipped and uploaded along with a manifest file containing metadata and SHA-256 hash.
+            Select EML files from your local folder and choose an S3 bucket and folder destination.
+            PST, MBOX and MSG files are accepted too; the server extracts their messages as EML before packaging.
+            The files are streamed to the server, which packages them into ZIP or tar.gz containers, computes their
+            SHA-256 hashes and uploads each container to S3 together with a separate JSON manifest.
+            Selections larger than the container limits are split automatically.
+            With Direct to S3 the browser sends the files to S3 itself and the server packages them from there.
           </Typography>
         </CardContent>
       </Card>
@@ -557,17 +521,104 @@ function Upload() {
         </Alert>
       )}
 
+      {/* Unfinished Uploads */}
+      {resumableUploads.length > 0 && !isUploading && (
+        <Card sx={{ mb: 3 }}>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Unfinished Uploads
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              These uploads stopped before all files reached the server. Resume one and select the same files
+              again: files the server already has are not sent again, partly sent files continue where they stopped.
+            </Typography>
+            <TableContainer component={Paper}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Started</TableCell>
+                    <TableCell>Destination</TableCell>
+                    <TableCell>Planned Batch</TableCell>
+                    <TableCell>Progress</TableCell>
+                    <TableCell align="right">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {resumableUploads.map((uploadSet) => {
+                    const fileTotal = uploadSet.files.uploading + uploadSet.files.completed;
+                    const percent = uploadSet.totalBytes > 0
+                      ? Math.round((uploadSet.uploadedBytes / uploadSet.totalBytes) * 100)
+                      : 0;
+                    return (
+                      <TableRow key={uploadSet.id} selected={resumeTarget?.id === uploadSet.id}>
+                        <TableCell>{new Date(uploadSet.createdAt).toLocaleString()}</TableCell>
+                        <TableCell sx={{ fontFamily: 'monospace' }}>
+                          {uploadSet.bucketName}/{uploadSet.prefix}
+                        </TableCell>
+                        <TableCell>
+                          {uploadSet.submission
+                            ? `${uploadSet.submission.batchName || 'One batch per container'} → ${uploadSet.submission.importJobName || uploadSet.submission.importJobAid}`
+                            : '—'}
+                        </TableCell>
+                        <TableCell>
+                          {uploadSet.files.completed} of {fileTotal} file(s) · {formatFileSize(uploadSet.uploadedBytes)} of {formatFileSize(uploadSet.totalBytes)} ({percent}%)
+                        </TableCell>
+                        <TableCell align="right">
+                          <Tooltip title="Select the same files again to continue this upload">
+                            <IconButton size="small" color="primary" onClick={() => handleResume(uploadSet)}>
+                              <PlayArrowIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                          <Tooltip title="Discard the files received so far">
+                            <IconButton size="small" color="error" onClick={() => handleDiscardUpload(uploadSet)}>
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Resume Notice */}
+      {resumeTarget && !isUploading && (
+        <Alert
+          severity="info"
+          sx={{ mb: 3 }}
+          action={
+            <Button color="inherit" size="small" onClick={() => setResumeTarget(null)}>
+              Cancel
+            </Button>
+          }
+        >
+          Resuming the upload to {resumeTarget.bucketName}/{resumeTarget.prefix}. Select the same files again and
+          upload them; the destination and container limits of the original upload are kept.
+        </Alert>
+      )}
+
       {/* Upload Progress */}
       {isUploading && (
         <Card sx={{ mb: 3 }}>
           <CardContent>
             <Typography variant="h6" gutterBottom>
-              Uploading Files...
+              {PHASE_LABELS[uploadPhase] || 'Uploading Files'}...
             </Typography>
             <LinearProgress variant="determinate" value={uploadProgress} sx={{ mb: 2 }} />
             <Typography variant="body2" color="text.secondary">
+              {containerProgress && containerProgress.count > 1 && `Container ${containerProgress.current} of ${containerProgress.count} · `}
               {uploadProgress}% complete
             </Typography>
+            {uploadPhase && !['receiving', 'direct_upload'].includes(uploadPhase) && (
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                All files are on the server. Packaging runs as a background job, so you can close this tab and
+                follow it on the Jobs page.
+              </Typography>
+            )}
           </CardContent>
         </Card>
       )}
@@ -584,21 +635,32 @@ function Upload() {
                 <ListItem key={index} sx={{ flexDirection: 'column', alignItems: 'flex-start' }}>
                   <Box sx={{ display: 'flex', alignItems: 'center', width: '100%' }}>
                     <ListItemIcon>
-                      {result.status === 'success' ? (
-                        <CheckCircleIcon color="success" />
-                      ) : (
-                        <ErrorIcon color="error" />
-                      )}
+                      {result.status === 'success' && <CheckCircleIcon color="success" />}
+                      {result.status === 'skipped' && <ContentCopyIcon color="warning" />}
+                      {result.status === 'quarantined' && <ReportProblemIcon color="warning" />}
+                      {result.status === 'error' && <ErrorIcon color="error" />}
                     </ListItemIcon>
                     <ListItemText
                       primary={result.fileName}
                       secondary={
                         result.status === 'success' 
-                          ? `ZIP: ${result.bucket}/${result.zipKey} | Manifest: ${result.bucket}/${result.manifestKey} (${result.fileCount} files)`
-                          : `Error: ${result.error}`
+                          ? `Container: ${result.bucket}/${result.containerKey} | Manifest: ${result.bucket}/${result.manifestKey} (${result.fileCount} files)`
+                          : result.status === 'skipped' ? `Skipped: ${result.error}`
+                          : result.status === 'quarantined' ? `Quarantined: ${result.error}` : `Error: ${result.error}`
                       }
                     />
                   </Box>
+
+                  {result.status === 'quarantined' && (
+                    <Button
+                      size="small"
+                      sx={{ mt: 1 }}
+                      startIcon={<ReportProblemIcon />}
+                      onClick={() => navigate(`/quarantine?uploadSetId=${result.uploadSetId}`)}
+                    >
+                      Review in Quarantine
+                    </Button>
+                  )}
                   
                   {result.status === 'success' && result.manifest && (
                     <Box sx={{ mt: 2, width: '100%' }}>
@@ -631,7 +693,7 @@ function Upload() {
                           const url = URL.createObjectURL(manifestBlob);
                           const a = document.createElement('a');
                           a.href = url;
-                          a.download = 'manifest.json';
+                          a.download = result.manifestKey.split('/').pop();
                           document.body.appendChild(a);
                           a.click();
                           document.body.removeChild(a);
@@ -664,7 +726,7 @@ function Upload() {
                   ref={fileInputRef}
                   type="file"
                   multiple={true}
-                  accept=".eml,message/rfc822"
+                  accept={MAIL_FILE_ACCEPT}
                   onChange={handleFileSelect}
                   style={{ display: 'none' }}
                 />
@@ -756,7 +818,7 @@ function Upload() {
                       value={selectedBucket}
                       onChange={(e) => setSelectedBucket(e.target.value)}
                       label="S3 Bucket"
-                      disabled={isUploading}
+                      disabled={isUploading || Boolean(resumeTarget)}
                     >
                       {buckets.map((bucket) => (
                         <MenuItem key={bucket.name} value={bucket.name}>
@@ -778,11 +840,20 @@ function Upload() {
                         value={selectedFolder}
                         onChange={(e) => setSelectedFolder(e.target.value)}
                         label="Folder (Optional)"
-                        disabled={isUploading || !selectedBucket}
+                        disabled={isUploading || !selectedBucket || Boolean(resumeTarget)}
                       >
                         <MenuItem value="">
                           <em>Root folder</em>
                         </MenuItem>
+                        {/* The selected folder and its parents, then its subfolders to go one level deeper */}
+                        {folderChain.map((folderKey) => (
+                          <MenuItem key={folderKey} value={folderKey}>
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                              <FolderOpenIcon fontSize="small" />
+                              {folderKey}
+                            </Box>
+                          </MenuItem>
+                        ))}
                         {bucketFolders.map((folder) => (
                           <MenuItem key={folder.key} value={folder.key}>
                             <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
@@ -797,13 +868,103 @@ function Upload() {
                       variant="outlined"
                       startIcon={<CreateNewFolderIcon />}
                       onClick={() => setShowCreateFolderDialog(true)}
-                      disabled={isUploading || !selectedBucket}
+                      disabled={isUploading || !selectedBucket || Boolean(resumeTarget)}
                       size="small"
                     >
                       New
                     </Button>
                   </Box>
                 </Grid>
+
+                <Grid item xs={12}>
+                  <TextField
+                    select
+                    label="Transfer"
+                    fullWidth
+                    value={resumeTarget ? 'server' : transferMode}
+                    onChange={(e) => setTransferMode(e.target.value)}
+                    disabled={isUploading || Boolean(resumeTarget)}
+                    helperText={transferMode === 'direct' && !resumeTarget
+                      ? 'Files go from the browser straight to S3 and are packaged there; the bucket\'s CORS rules must allow PUT from this site and expose ETag'
+                      : 'Files are streamed to the server, which packages them and uploads the containers'}
+                  >
+                    <MenuItem value="server">Through the server</MenuItem>
+                    <MenuItem value="direct">Direct to S3</MenuItem>
+                  </TextField>
+                </Grid>
+
+                <Grid item xs={12}>
+                  <TextField
+                    label="Custodian (Optional)"
+                    fullWidth
+                    value={custodian}
+                    onChange={(e) => setCustodian(e.target.value)}
+                    disabled={isUploading || Boolean(resumeTarget)}
+                    placeholder="e.g. Jane Doe"
+                    helperText="Tagged on every manifest entry of this upload"
+                    inputProps={{ maxLength: 255 }}
+                  />
+                </Grid>
+
+                <Grid item xs={12}>
+                  <Typography variant="subtitle2" gutterBottom>
+                    Container Format and Limits
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                    Large selections are split into several containers, each with its own manifest.
+                  </Typography>
+                </Grid>
+                <Grid item xs={12} sm={3}>
+                  <TextField
+                    select
+                    label="Container format"
+                    size="small"
+                    fullWidth
+                    value={containerFormat}
+                    onChange={(e) => setContainerFormat(e.target.value)}
+                    disabled={isUploading || Boolean(resumeTarget)}
+                  >
+                    {CONTAINER_FORMATS.map(format => (
+                      <MenuItem key={format.value} value={format.value}>{format.label}</MenuItem>
+                    ))}
+                  </TextField>
+                </Grid>
+                <Grid item xs={12} sm={3}>
+                  <TextField
+                    label="Max container size (MB)"
+                    type="number"
+                    size="small"
+                    fullWidth
+                    value={limits.maxContainerMB}
+                    onChange={(e) => setLimits({ ...limits, maxContainerMB: e.target.value })}
+                    disabled={isUploading || Boolean(resumeTarget)}
+                    inputProps={{ min: 1 }}
+                  />
+                </Grid>
+                <Grid item xs={12} sm={3}>
+                  <TextField
+                    label="Max messages per container"
+                    type="number"
+                    size="small"
+                    fullWidth
+                    value={limits.maxContainerEntries}
+                    onChange={(e) => setLimits({ ...limits, maxContainerEntries: e.target.value })}
+                    disabled={isUploading || Boolean(resumeTarget)}
+                    inputProps={{ min: 1 }}
+                  />
+                </Grid>
+                <Grid item xs={12} sm={3}>
+                  <TextField
+                    label="Max message size (MB)"
+                    type="number"
+                    size="small"
+                    fullWidth
+                    value={limits.maxMessageMB}
+                    onChange={(e) => setLimits({ ...limits, maxMessageMB: e.target.value })}
+                    disabled={isUploading || Boolean(resumeTarget)}
+                    inputProps={{ min: 1 }}
+                  />
+                </Grid>
               </Grid>
 
               <Box sx={{ mt: 3, display: 'flex', gap: 2 }}>
@@ -814,7 +975,7 @@ function Upload() {
                   disabled={isUploading || !selectedBucket || selectedFiles.length === 0}
                   fullWidth
                 >
-                  {isUploading ? 'Uploading...' : 'Upload & Create Manifest'}
+                  {isUploading ? 'Uploading...' : resumeTarget ? 'Resume Upload' : 'Upload & Create Manifest'}
                 </Button>
                 <Button
                   variant="outlined"
@@ -822,7 +983,7 @@ function Upload() {
                   onClick={() => {
                     fetchBuckets();
                     if (selectedBucket) {
-                      fetchBucketFolders(selectedBucket);
+                      fetchBucketFolders(selectedBucket, selectedFolder);
                     }
                   }}
                   disabled={isUploading}
@@ -0,0 +1,607 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  CircularProgress,
+  Alert,
+  Breadcrumbs,
+  Link,
+  Stepper,
+  Step,
+  StepLabel,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemIcon,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Chip
+} from '@mui/material';
+import {
+  Home as HomeIcon,
+  Work as WorkIcon,
+  AttachFile as AttachFileIcon,
+  Delete as DeleteIcon,
+  CloudUpload as CloudUploadIcon,
+  Storage as StorageIcon
+} from '@mui/icons-material';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { useConfig } from '../contexts/ConfigContext';
+import { useAuth } from '../contexts/AuthContext';
+import { useEvents } from '../contexts/EventsContext';
+import { BACKEND_API_BASE } from '../config';
+import {
+  PHASE_LABELS,
+  packageRequest as sendPackageRequest,
+  uploadPackageFiles,
+  describeDuplicate,
+  waitForPackage,
+  describeSources,
+  isMailFile,
+  MAIL_FILE_ACCEPT,
+  CONTAINER_FORMATS,
+  DEFAULT_CONTAINER_FORMAT
+} from '../utils/packageUpload';
+
+const steps = ['Select Import Job', 'Select EML Files', 'Upload & Submit'];
+
+const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+function UploadBatch() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { archiveWebUI, apiToken, customerGUID } = useConfig();
+  const { getAuthHeaders } = useAuth();
+  const events = useEvents();
+
+  // Import job can be preselected from the Import Jobs page
+  const urlParams = new URLSearchParams(location.search);
+  const initialImportJobAid = urlParams.get('importJobAid') || '';
+
+  const [activeStep, setActiveStep] = useState(0);
+  const [importJobs, setImportJobs] = useState([]);
+  const [importJobAid, setImportJobAid] = useState(initialImportJobAid);
+  const [destination, setDestination] = useState(null);
+  const [batchName, setBatchName] = useState('');
+  const [description, setDescription] = useState('');
+  const [containerFormat, setContainerFormat] = useState(DEFAULT_CONTAINER_FORMAT);
+  const [custodian, setCustodian] = useState('');
+  const [selectedFiles, setSelectedFiles] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+  const [uploadPhase, setUploadPhase] = useState('');
+  const [uploadProgress, setUploadProgress] = useState(0);
+  const [containerProgress, setContainerProgress] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const fileInputRef = useRef(null);
+
+  const selectedJob = importJobs.find(job => job.aid === importJobAid);
+
+  const packageRequest = (path, method, body) => sendPackageRequest(getAuthHeaders(), path, method, body);
+
+  const fetchImportJobs = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`${BACKEND_API_BASE}/api/import-jobs`, {
+        method: 'GET',
+        headers: getAuthHeaders()
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      if (data.success && data.data?.results) {
+        setImportJobs(data.data.results);
+      } else {
+        throw new Error('Invalid response format from backend');
+      }
+    } catch (err) {
+      console.error('Error fetching import jobs:', err);
+      setError(`Failed to fetch import jobs: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Show the ingestion point bucket and prefix the containers will be uploaded to
+  const fetchDestination = async (aid) => {
+    setDestination(null);
+    setError(null);
+
+    try {
+      const data = await packageRequest(`/destination?importJobAid=${encodeURIComponent(aid)}`, 'GET');
+      setDestination(data);
+      // Start from the format set for the ingestion point; it can still be changed for this upload
+      setContainerFormat(data.ingestionPoint.containerFormat || DEFAULT_CONTAINER_FORMAT);
+    } catch (err) {
+      console.error('Error resolving import job destination:', err);
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    if (archiveWebUI && apiToken) {
+      fetchImportJobs();
+    }
+  }, [archiveWebUI, apiToken]);
+
+  useEffect(() => {
+    if (importJobAid) {
+      fetchDestination(importJobAid);
+    } else {
+      setDestination(null);
+    }
+  }, [importJobAid]);
+
+  const handleFileSelect = (event) => {
+    const files = Array.from(event.target.files || []);
+    const emlFiles = files.filter(file => isMailFile(file.name));
+
+    if (files.length > 0 && emlFiles.length !== files.length) {
+      setError('Only .eml, .msg, .mbox and .pst files are allowed. Other files have been filtered out.');
+    } else {
+      setError(null);
+    }
+
+    setSelectedFiles(prev => {
+      const existingNames = new Set(prev.map(f => f.name + f.size + f.lastModified));
+      return [...prev, ...emlFiles.filter(f => !existingNames.has(f.name + f.size + f.lastModified))];
+    });
+    event.target.value = ''; // Reset so same file can be selected again
+  };
+
+  const handleRemoveFile = (index) => {
+    setSelectedFiles(selectedFiles.filter((_, i) => i !== index));
+  };
+
+  // Mirror the package progress reported by the server while packaging and archive submission run
+  const showPackageProgress = (pkg) => {
+    setUploadPhase(pkg.progress.phase);
+    setUploadProgress(pkg.progress.percent);
+    if (pkg.containerCount > 0) {
+      setContainerProgress({ current: pkg.progress.currentContainer, count: pkg.containerCount });
+    }
+  };
+
+  const handleUploadAndSubmit = async () => {
+    setActiveStep(2);
+    setIsUploading(true);
+    setUploadPhase('receiving');
+    setUploadProgress(0);
+    setContainerProgress(null);
+    setError(null);
+    setResult(null);
+
+    let packageId = null;
+    let filesUploaded = false;
+
+    try {
+      const created = await packageRequest('', 'POST', {
+        importJobAid,
+        batchName: batchName.trim() || undefined,
+        description: description.trim() || undefined,
+        containerFormat,
+        custodian: custodian.trim() || undefined
+      });
+      packageId = created.id;
+
+      await uploadPackageFiles(packageId, selectedFiles, getAuthHeaders().Authorization, setUploadProgress);
+      filesUploaded = true;
+
+      // The server packages, uploads and creates one archive batch per container
+      await packageRequest(`/${packageId}/build`, 'POST');
+      const pkg = await waitForPackage(getAuthHeaders(), packageId, events, showPackageProgress);
+
+      setResult(pkg);
+      setSelectedFiles([]);
+    } catch (err) {
+      console.error('Error uploading and submitting batch:', err);
+
+      if (packageId && !filesUploaded) {
+        // Keep what reached the server; the Upload page offers to resume the upload into the same batch
+        setError(`Failed to upload and submit batch: ${err.message}. The upload can be resumed from the Upload page.`);
+      } else {
+        setError(`Failed to upload and submit batch: ${err.message}`);
+      }
+
+      if (packageId && filesUploaded) {
+        // Release the server-side spool if the package never started building
+        fetch(`${BACKEND_API_BASE}/api/packages/${packageId}`, {
+          method: 'DELETE',
+          headers: getAuthHeaders()
+        }).catch(() => {});
+      }
+    } finally {
+      setIsUploading(false);
+      setUploadPhase('');
+      setContainerProgress(null);
+    }
+  };
+
+  const handleStartOver = () => {
+    setActiveStep(0);
+    setResult(null);
+    setError(null);
+    setBatchName('');
+    setDescription('');
+  };
+
+  const handleViewBatches = () => {
+    const encodedName = encodeURIComponent(selectedJob?.name || 'Import Job');
+    navigate(`/import-job-batches/${encodeURIComponent(importJobAid)}?name=${encodedName}`);
+  };
+
+  if (!archiveWebUI || !apiToken || !customerGUID) {
+    return (
+      <Box sx={{ p: 3, display: 'flex', flexDirection: 'column', width: '100%' }}>
+        <Alert severity="warning" sx={{ mb: 3 }}>
+          Please configure your Archive Web UI, API Token, and Customer GUID in the Config page before uploading batches.
+        </Alert>
+      </Box>
+    );
+  }
+
+  const totalBytes = selectedFiles.reduce((sum, file) => sum + file.size, 0);
+  const failedSubmissions = result
+    ? result.containers.filter(container => container.submission?.status !== 'submitted')
+    : [];
+
+  return (
+    <Box sx={{ p: 3, display: 'flex', flexDirection: 'column', width: '100%' }}>
+      {/* Breadcrumbs */}
+      <Breadcrumbs sx={{ mb: 3 }}>
+        <Link
+          component="button"
+          variant="body2"
+          onClick={() => navigate('/')}
+          sx={{ display: 'flex', alignItems: 'center' }}
+        >
+          <HomeIcon sx={{ mr: 0.5 }} fontSize="inherit" />
+          Home
+        </Link>
+        <Link
+          component="button"
+          variant="body2"
+          onClick={() => navigate('/import-jobs')}
+          sx={{ display: 'flex', alignItems: 'center' }}
+        >
+          <WorkIcon sx={{ mr: 0.5 }} fontSize="inherit" />
+          Import Jobs
+        </Link>
+        <Typography color="text.primary">Upload &amp; Submit Batch</Typography>
+      </Breadcrumbs>
+
+      {/* Header Section */}
+      <Card sx={{ mb: 4, flexShrink: 0 }}>
+        <CardContent>
+          <Typography variant="h4" component="h1" sx={{ fontWeight: 'bold', mb: 2 }}>
+            Upload &amp; Submit Batch
+          </Typography>
+          <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+            Pick an import job and select EML files, or PST, MBOX and MSG files to extract messages from. The server
+            packages the messages into ZIP or tar.gz containers, uploads each container and manifest to the import job's
+            ingestion point bucket and creates an archive batch for it.
+          </Typography>
+          <Stepper activeStep={activeStep}>
+            {steps.map(label => (
+              <Step key={label}>
+                <StepLabel>{label}</StepLabel>
+              </Step>
+            ))}
+          </Stepper>
+        </CardContent>
+      </Card>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {/* Step 1: import job */}
+      {activeStep === 0 && (
+        <Card sx={{ mb: 4 }}>
+          <CardContent>
+            <FormControl fullWidth sx={{ mb: 3 }}>
+              <InputLabel>Import Job</InputLabel>
+              <Select
+                value={importJobAid}
+                label="Import Job"
+                onChange={(e) => setImportJobAid(e.target.value)}
+                disabled={loading}
+              >
+                <MenuItem value="">
+                  <em>Select an import job</em>
+                </MenuItem>
+                {importJobs.map(job => (
+                  <MenuItem key={job.aid} value={job.aid}>
+                    {job.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
+            {loading && <CircularProgress size={24} sx={{ mb: 2 }} />}
+
+            {destination && (
+              <Alert severity="info" icon={<StorageIcon />} sx={{ mb: 3 }}>
+                Containers will be uploaded to <strong>{destination.bucketName}/{destination.prefix}</strong> for
+                ingestion point <strong>{destination.ingestionPoint.name || destination.ingestionPoint.id}</strong>.
+              </Alert>
+            )}
+
+            <TextField
+              fullWidth
+              label="Batch Name"
+              value={batchName}
+              onChange={(e) => setBatchName(e.target.value)}
+              helperText="Optional. Defaults to the container name; numbered when the upload is split into several containers"
+              sx={{ mb: 3 }}
+            />
+            <TextField
+              fullWidth
+              label="Description"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              multiline
+              rows={2}
+              sx={{ mb: 3 }}
+            />
+            <TextField
+              fullWidth
+              label="Custodian"
+              value={custodian}
+              onChange={(e) => setCustodian(e.target.value)}
+              helperText="Optional. Tagged on every manifest entry of this upload"
+              inputProps={{ maxLength: 255 }}
+              sx={{ mb: 3 }}
+            />
+            <TextField
+              select
+              fullWidth
+              label="Container Format"
+              value={containerFormat}
+              onChange={(e) => setContainerFormat(e.target.value)}
+              helperText="Defaults to the format set for the ingestion point on the Ingestion Points page"
+              sx={{ mb: 3 }}
+            >
+              {CONTAINER_FORMATS.map(format => (
+                <MenuItem key={format.value} value={format.value}>{format.label}</MenuItem>
+              ))}
+            </TextField>
+
+            <Button
+              variant="contained"
+              onClick={() => setActiveStep(1)}
+              disabled={!importJobAid || !destination}
+            >
+              Next
+            </Button>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Step 2: EML files */}
+      {activeStep === 1 && (
+        <Card sx={{ mb: 4 }}>
+          <CardContent>
+            <input
+              type="file"
+              multiple
+              accept={MAIL_FILE_ACCEPT}
+              ref={fileInputRef}
+              style={{ display: 'none' }}
+              onChange={handleFileSelect}
+            />
+            <Box sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap' }}>
+              <Button
+                variant="outlined"
+                startIcon={<AttachFileIcon />}
+                onClick={() => fileInputRef.current?.click()}
+              >
+                Add EML Files
+              </Button>
+              {selectedFiles.length > 0 && (
+                <Button variant="text" color="error" onClick={() => setSelectedFiles([])}>
+                  Clear
+                </Button>
+              )}
+            </Box>
+
+            {selectedFiles.length > 0 ? (
+              <>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                  {selectedFiles.length} file(s), {formatFileSize(totalBytes)}
+                </Typography>
+                <List dense sx={{ maxHeight: 300, overflow: 'auto', mb: 3 }}>
+                  {selectedFiles.map((file, index) => (
+                    <ListItem
+                      key={`${file.name}-${file.size}-${file.lastModified}`}
+                      secondaryAction={(
+                        <IconButton edge="end" onClick={() => handleRemoveFile(index)}>
+                          <DeleteIcon />
+                        </IconButton>
+                      )}
+                    >
+                      <ListItemIcon>
+                        <AttachFileIcon />
+                      </ListItemIcon>
+                      <ListItemText primary={file.name} secondary={formatFileSize(file.size)} />
+                    </ListItem>
+                  ))}
+                </List>
+              </>
+            ) : (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+                No files selected
+              </Typography>
+            )}
+
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <Button variant="outlined" onClick={() => setActiveStep(0)}>
+                Back
+              </Button>
+              <Button
+                variant="contained"
+                startIcon={<CloudUploadIcon />}
+                onClick={handleUploadAndSubmit}
+                disabled={selectedFiles.length === 0}
+              >
+                Upload &amp; Submit
+              </Button>
+            </Box>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Step 3: progress and results */}
+      {activeStep === 2 && (
+        <Card sx={{ mb: 4 }}>
+          <CardContent>
+            {isUploading && (
+              <Box sx={{ mb: 3 }}>
+                <Typography variant="body1" sx={{ mb: 1 }}>
+                  {PHASE_LABELS[uploadPhase] || 'Uploading Files'}...
+                  {containerProgress && ` Container ${containerProgress.current} of ${containerProgress.count}`}
+                </Typography>
+                <LinearProgress variant="determinate" value={uploadProgress} />
+                {uploadPhase && uploadPhase !== 'receiving' && (
+                  <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                    All files are on the server. Packaging and submission run as a background job, so you can close
+                    this tab and follow them on the Jobs page.
+                  </Typography>
+                )}
+              </Box>
+            )}
+
+            {result && (
+              <>
+                <Alert severity={failedSubmissions.length > 0 ? 'warning' : 'success'} sx={{ mb: 3 }}>
+                  Uploaded {result.fileCount - result.skipped.length - result.quarantined.length} EML files as {result.containerCount} container(s) to{' '}
+                  {result.bucketName}/{result.prefix}.{describeSources(result)}{' '}
+                  {failedSubmissions.length > 0
+                    ? `${failedSubmissions.length} container(s) could not be submitted to the archive.`
+                    : 'All containers were submitted to the archive.'}
+                </Alert>
+
+                <TableContainer component={Paper} sx={{ mb: 3 }}>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Container</TableCell>
+                        <TableCell align="right">Files</TableCell>
+                        <TableCell>Manifest Digest</TableCell>
+                        <TableCell>Archive Batch</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {result.containers.map(container => (
+                        <TableRow key={container.containerKey}>
+                          <TableCell>{container.containerName}</TableCell>
+                          <TableCell align="right">{container.fileCount}</TableCell>
+                          <TableCell sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                            {container.manifestDigest}
+                          </TableCell>
+                          <TableCell>
+                            {container.submission?.status === 'submitted' ? (
+                              <Chip label="Submitted" color="success" size="small" />
+                            ) : (
+                              <Chip
+                                label={container.submission?.error || 'Not submitted'}
+                                color="error"
+                                size="small"
+                              />
+                            )}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+
+                {result.skipped.length > 0 && (
+                  <Alert severity="info" sx={{ mb: 3 }}>
+                    {result.skipped.length} duplicate(s) were skipped and not sent to the archive:
+                    <List dense>
+                      {result.skipped.map(file => (
+                        <ListItem key={file.name} disableGutters>
+                          <ListItemText primary={file.name} secondary={describeDuplicate(file.original)} />
+                        </ListItem>
+                      ))}
+                    </List>
+                  </Alert>
+                )}
+
+                {result.quarantined.length > 0 && (
+                  <Alert
+                    severity="warning"
+                    sx={{ mb: 3 }}
+                    action={
+                      <Button color="inherit" size="small" onClick={() => navigate(`/quarantine?uploadSetId=${result.id}`)}>
+                        Review
+                      </Button>
+                    }
+                  >
+                    {result.quarantined.length} message(s) failed validation and were quarantined:{' '}
+                    {result.quarantined.map(file => file.name).join(', ')}
+                  </Alert>
+                )}
+
+                {result.rejected.length > 0 && (
+                  <Alert severity="warning" sx={{ mb: 3 }}>
+                    {result.rejected.length} file(s) were left out:{' '}
+                    {result.rejected.map(file => `${file.name} (${file.reason})`).join(', ')}
+                  </Alert>
+                )}
+              </>
+            )}
+
+            {!isUploading && (
+              <Box sx={{ display: 'flex', gap: 2 }}>
+                <Button variant="outlined" onClick={handleStartOver}>
+                  Upload Another Batch
+                </Button>
+                {result && (
+                  <Button variant="contained" onClick={handleViewBatches}>
+                    View Batches
+                  </Button>
+                )}
+              </Box>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </Box>
+  );
+}
+
+export default UploadBatch;
@@ -0,0 +1,222 @@
+import { BACKEND_API_BASE } from '../config';
+import { parseJsonResponse, wait, MB, UPLOAD_CONCURRENCY, UPLOAD_CHUNK_ATTEMPTS } from './packageUpload';
+
+// Files presigned per request; URLs expire, so files are presigned shortly before they are sent
+export const DIRECT_UPLOAD_PRESIGN_BATCH = 100;
+// Part URLs presigned per request, at most what the server allows
+export const DIRECT_UPLOAD_PART_URL_BATCH = 100;
+// Files up to this size are hashed in the browser, so S3 checks their content as it stores them; larger files are
+// hashed by the server after the upload
+export const DIRECT_UPLOAD_HASH_MAX_BYTES = 64 * MB;
+
+// Send a JSON request to the direct upload API of a bucket and return its data
+const directUploadRequest = async (headers, bucketName, path, body) => {
+  const response = await fetch(
+    `${BACKEND_API_BASE}/api/s3-buckets/${encodeURIComponent(bucketName)}/presigned-uploads${path}`,
+    {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }
+  );
+
+  const { data, error } = await parseJsonResponse(response);
+  if (error) throw new Error(error);
+
+  if (!response.ok || !data?.success) {
+    throw new Error(data?.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return data.data;
+};
+
+// Hex SHA-256 of a file, or null for files too large to read into memory at once
+const hashFile = async (file) => {
+  if (file.size > DIRECT_UPLOAD_HASH_MAX_BYTES || !window.crypto?.subtle) {
+    return null;
+  }
+  const digest = await window.crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Names of the files in S3; a name selected twice, e.g. from two folders, gets a number like "a (2).eml"
+const uniqueNames = (files) => {
+  const used = new Set();
+  return files.map((file) => {
+    const name = file.webkitRelativePath || file.name;
+    const dot = name.lastIndexOf('.');
+    const [base, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+    let candidate = name;
+    for (let copy = 2; used.has(candidate); copy += 1) {
+      candidate = `${base} (${copy})${extension}`;
+    }
+    used.add(candidate);
+    return candidate;
+  });
+};
+
+// PUT a file or part to a presigned S3 URL and return the ETag S3 answered with. XMLHttpRequest is used because
+// fetch has no upload progress; the bucket's CORS rules must expose the ETag header.
+export const putToS3 = (url, headers, body, onProgress) => new Promise((resolve, reject) => {
+  const xhr = new XMLHttpRequest();
+  xhr.open('PUT', url);
+  Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+  xhr.upload.onprogress = (event) => onProgress(event.loaded);
+  xhr.onerror = () => reject(new Error('Network error while uploading to S3. Check the bucket\'s CORS rules.'));
+  xhr.onload = () => {
+    if (xhr.status < 200 || xhr.status >= 300) {
+      const code = /<Code>([^<]+)<\/Code>/.exec(xhr.responseText || '');
+      reject(new Error(`S3 answered ${xhr.status}${code ? ` ${code[1]}` : ''}`));
+      return;
+    }
+    const etag = xhr.getResponseHeader('ETag');
+    if (!etag) {
+      reject(new Error('S3 did not expose the ETag header. Add ETag to the ExposeHeaders of the bucket\'s CORS rules.'));
+      return;
+    }
+    resolve(etag);
+  };
+  xhr.send(body);
+});
+
+// Retry a request a few times with a growing pause, as chunk uploads to the server are retried
+const withRetries = async (label, send) => {
+  for (let attempts = 1; ; attempts += 1) {
+    try {
+      return await send();
+    } catch (err) {
+      if (attempts >= UPLOAD_CHUNK_ATTEMPTS) {
+        throw new Error(`${label}: ${err.message}`);
+      }
+      await wait(attempts * 1000);
+    }
+  }
+};
+
+// Send a multipart upload part by part, presigning part URLs a window at a time. A failed part is retried with a
+// freshly presigned URL, so an expired URL does not end the upload.
+const sendParts = async (headers, bucketName, batchId, file, upload, onProgress) => {
+  const parts = [];
+  const partBytes = [];
+  const reportParts = () => onProgress(partBytes.reduce((sum, bytes) => sum + bytes, 0));
+  const presign = (partNumbers) => directUploadRequest(headers, bucketName, `/${batchId}/parts`, {
+    key: upload.key,
+    uploadId: upload.uploadId,
+    partNumbers
+  });
+
+  for (let first = 1; first <= upload.partCount; first += DIRECT_UPLOAD_PART_URL_BATCH) {
+    const last = Math.min(upload.partCount, first + DIRECT_UPLOAD_PART_URL_BATCH - 1);
+    const numbers = Array.from({ length: last - first + 1 }, (_, index) => first + index);
+    const urls = new Map((await presign(numbers)).parts.map(part => [part.partNumber, part.url]));
+
+    for (const partNumber of numbers) {
+      const start = (partNumber - 1) * upload.partSize;
+      const body = file.slice(start, Math.min(file.size, start + upload.partSize));
+      let url = urls.get(partNumber);
+      const etag = await withRetries(`${file.name} part ${partNumber}`, async () => {
+        try {
+          return await putToS3(url, {}, body, (loaded) => {
+            partBytes[partNumber - 1] = loaded;
+            reportParts();
+          });
+        } catch (err) {
+          partBytes[partNumber - 1] = 0;
+          url = (await presign([partNumber])).parts[0].url;
+          throw err;
+        }
+      });
+      partBytes[partNumber - 1] = body.size;
+      reportParts();
+      parts.push({ partNumber, etag });
+    }
+  }
+  return parts;
+};
+
+// Send one presigned file to S3 and have the server verify and record it
+const sendFile = async (headers, bucketName, batchId, file, sha256, upload, onProgress) => {
+  if (upload.method === 'PUT') {
+    const etag = await withRetries(file.name, () => putToS3(upload.url, upload.headers, file, onProgress));
+    onProgress(file.size);
+    return directUploadRequest(headers, bucketName, `/${batchId}/complete`, {
+      key: upload.key, size: file.size, sha256, etag
+    });
+  }
+
+  try {
+    const parts = await sendParts(headers, bucketName, batchId, file, upload, onProgress);
+    return await directUploadRequest(headers, bucketName, `/${batchId}/complete`, {
+      key: upload.key, size: file.size, sha256, uploadId: upload.uploadId, parts
+    });
+  } catch (err) {
+    // Drop the parts S3 stored so they are not kept, and billed, as an unfinished upload
+    fetch(
+      `${BACKEND_API_BASE}/api/s3-buckets/${encodeURIComponent(bucketName)}/multipart-uploads/${encodeURIComponent(upload.uploadId)}?key=${encodeURIComponent(upload.key)}`,
+      { method: 'DELETE', headers }
+    ).catch(() => {});
+    throw err;
+  }
+};
+
+// Upload files from the browser straight to S3 through presigned URLs, reporting overall progress as a percentage.
+// The files land under a direct-uploads folder of the destination, which the server packages afterwards.
+// Returns batchId, uploadPrefix and destinationPrefix of the upload, and the server's record of every file.
+export const uploadDirectFiles = async (headers, bucketName, prefix, files, onProgress) => {
+  const names = uniqueNames(files);
+  const totalBytes = files.reduce((sum, file) => sum + file.size, 0) || 1;
+  const sentBytes = files.map(() => 0);
+  const reportProgress = () => {
+    const sent = sentBytes.reduce((sum, bytes) => sum + bytes, 0);
+    onProgress(Math.min(100, Math.round((sent / totalBytes) * 100)));
+  };
+  reportProgress();
+
+  let upload = null;
+  const recorded = [];
+  for (let index = 0; index < files.length; index += DIRECT_UPLOAD_PRESIGN_BATCH) {
+    const batch = files.slice(index, index + DIRECT_UPLOAD_PRESIGN_BATCH);
+    // One file at a time, as each is read into memory to be hashed
+    const hashes = [];
+    for (const file of batch) {
+      hashes.push(await hashFile(file));
+    }
+    const presigned = await directUploadRequest(headers, bucketName, '', {
+      batchId: upload?.batchId,
+      prefix,
+      files: batch.map((file, offset) => ({
+        name: names[index + offset],
+        size: file.size,
+        contentType: file.type || 'application/octet-stream',
+        sha256: hashes[offset]
+      }))
+    });
+    upload = upload || presigned;
+    const { batchId } = upload;
+
+    // A few files at a time, as uploads to the server are sent
+    let next = 0;
+    const worker = async () => {
+      while (next < batch.length) {
+        const offset = next;
+        next += 1;
+        const file = batch[offset];
+        recorded.push(await sendFile(
+          headers, bucketName, batchId, file, hashes[offset], presigned.uploads[offset],
+          (bytes) => {
+            sentBytes[index + offset] = bytes;
+            reportProgress();
+          }
+        ));
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(UPLOAD_CONCURRENCY, batch.length) }, worker));
+  }
+
+  return {
+    batchId: upload.batchId,
+    uploadPrefix: upload.uploadPrefix,
+    destinationPrefix: upload.destinationPrefix,
+    files: recorded
+  };
+};
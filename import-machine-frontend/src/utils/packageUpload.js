@@ -0,0 +1,229 @@
+import { BACKEND_API_BASE } from '../config';
+
+// Safely parse JSON response; returns { error } if body is not valid JSON (e.g. HTML error page)
+export const parseJsonResponse = async (response) => {
+  const text = await response.text();
+  try {
+    return { data: text ? JSON.parse(text) : null };
+  } catch {
+    // Response wasn't JSON (e.g. 413/502 HTML from nginx)
+    const status = response.status;
+    const statusText = response.statusText;
+    if (status === 413) {
+      return { error: 'File too large. Try fewer files or contact support to increase limits.' };
+    }
+    if (text.includes('413') || text.toLowerCase().includes('entity too large')) {
+      return { error: 'File too large. Try fewer files or contact support to increase limits.' };
+    }
+    if (status >= 500) {
+      return { error: `Server error (${status}). Try again or use fewer files.` };
+    }
+    return { error: text.slice(0, 200) || `Request failed (${status} ${statusText})` };
+  }
+};
+
+// Files are sent in chunks of this size; an interrupted upload resumes from the last chunk the server stored
+export const UPLOAD_CHUNK_BYTES = 5 * 1024 * 1024;
+// Files uploaded side by side, files registered per request, and attempts per chunk before the upload gives up
+export const UPLOAD_CONCURRENCY = 4;
+export const UPLOAD_REGISTER_BATCH = 1000;
+export const UPLOAD_CHUNK_ATTEMPTS = 5;
+export const PACKAGE_POLL_INTERVAL_MS = 1000;
+// While the event stream is open the package is fetched only if no progress event arrived for this long
+export const PACKAGE_EVENT_TIMEOUT_MS = 5000;
+
+export const PHASE_LABELS = {
+  receiving: 'Uploading files to server',
+  direct_upload: 'Uploading files straight to S3',
+  queued: 'Waiting for the job worker',
+  scanning: 'Finding mail files',
+  reading: 'Reading files',
+  extracting: 'Extracting messages from PST, MBOX and MSG files',
+  validating: 'Validating messages',
+  packaging: 'Building container and uploading to S3',
+  uploading_manifest: 'Uploading manifest to S3',
+  submitting: 'Creating archive batch',
+  completed: 'Completed',
+  failed: 'Failed'
+};
+
+// Formats the server can write containers in; the manifest's container_type follows the choice
+export const CONTAINER_FORMATS = [
+  { value: 'zip', label: 'ZIP (.zip)' },
+  { value: 'tar.gz', label: 'Gzipped tar (.tar.gz)' }
+];
+export const DEFAULT_CONTAINER_FORMAT = 'zip';
+
+// EML files are packaged as they are; the messages in PST, MBOX and MSG files are extracted by the server
+export const MAIL_FILE_EXTENSIONS = ['.eml', '.msg', '.mbox', '.pst'];
+export const MAIL_FILE_ACCEPT = `${MAIL_FILE_EXTENSIONS.join(',')},message/rfc822`;
+export const isMailFile = (fileName) => MAIL_FILE_EXTENSIONS.some(extension => fileName.toLowerCase().endsWith(extension));
+
+// Sentence about the messages extracted from the PST, MBOX and MSG files of a package, empty if it had none
+export const describeSources = (pkg) => {
+  const sources = pkg.sources || [];
+  if (sources.length === 0) return '';
+
+  const extracted = sources.reduce((sum, source) => sum + source.messagesExtracted, 0);
+  const failed = sources.filter(source => source.status === 'failed').length;
+  const failedNote = failed > 0 ? ` ${failed} of them could not be read.` : '';
+  return ` ${extracted} message(s) were extracted from ${sources.length} PST/MBOX/MSG file(s).${failedNote}`;
+};
+
+// Identify a file across page loads: the same file selected again after a refresh gets the same fingerprint
+export const fileFingerprint = (file) => `${file.webkitRelativePath || file.name}:${file.size}:${file.lastModified}`;
+
+// PATCH one chunk of a file at an offset; XMLHttpRequest is used because fetch has no upload progress
+export const sendChunk = (url, authorization, offset, chunk, onProgress) => new Promise((resolve, reject) => {
+  const xhr = new XMLHttpRequest();
+  xhr.open('PATCH', url);
+  xhr.setRequestHeader('Authorization', authorization);
+  xhr.setRequestHeader('Content-Type', 'application/offset+octet-stream');
+  xhr.setRequestHeader('Upload-Offset', String(offset));
+  xhr.upload.onprogress = (event) => onProgress(event.loaded);
+  xhr.onerror = () => reject(new Error('Network error while uploading files'));
+  xhr.onload = () => {
+    const response = new Response(xhr.responseText, { status: xhr.status, statusText: xhr.statusText });
+    parseJsonResponse(response).then(({ data, error }) => {
+      if (error) {
+        reject(new Error(error));
+      } else if (xhr.status < 200 || xhr.status >= 300) {
+        reject(new Error(data?.error || `HTTP error! status: ${xhr.status}`));
+      } else {
+        resolve(data.data);
+      }
+    });
+  };
+  xhr.send(chunk);
+});
+
+// Ask the server how many bytes of an upload it has stored
+export const fetchUploadOffset = async (url, authorization) => {
+  const response = await fetch(url, { method: 'HEAD', headers: { 'Authorization': authorization } });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return Number(response.headers.get('Upload-Offset'));
+};
+
+export const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const MB = 1024 * 1024;
+
+// Send a JSON request to the packaging API and return the package summary
+export const packageRequest = async (headers, path, method, body) => {
+  const response = await fetch(`${BACKEND_API_BASE}/api/packages${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const { data, error } = await parseJsonResponse(response);
+  if (error) throw new Error(error);
+
+  if (!response.ok || !data?.success) {
+    throw new Error(data?.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return data.data;
+};
+
+// Follow a package until the server reports it finished, passing every progress update to onProgress.
+// Updates come from package-progress events; the full package is fetched once it finishes, and whenever no
+// event arrived in time so packaging is still followed while the event stream is down.
+export const waitForPackage = async (headers, packageId, events, onProgress) => {
+  for (;;) {
+    const timeoutMs = events.isConnected() ? PACKAGE_EVENT_TIMEOUT_MS : PACKAGE_POLL_INTERVAL_MS;
+    const event = await events.waitForEvent('package-progress', data => data.id === packageId, timeoutMs);
+    const pkg = event && !['completed', 'failed'].includes(event.status)
+      ? event
+      : await packageRequest(headers, `/${packageId}`, 'GET');
+    onProgress(pkg);
+
+    if (pkg.status === 'completed') {
+      return pkg;
+    }
+    if (pkg.status === 'failed') {
+      throw new Error(pkg.error || 'Packaging failed');
+    }
+  }
+};
+
+// Send one file from the offset the server has stored, chunk by chunk. A failed chunk is retried from the offset
+// the server reports, so bytes that arrived before a dropped connection are not sent again.
+const uploadFile = async (url, authorization, file, upload, onProgress) => {
+  let current = upload;
+  let offset = upload.offset;
+  let attempts = 0;
+
+  while (current.status === 'uploading') {
+    const chunkOffset = offset;
+    try {
+      current = await sendChunk(
+        url,
+        authorization,
+        chunkOffset,
+        file.slice(chunkOffset, chunkOffset + UPLOAD_CHUNK_BYTES),
+        (loaded) => onProgress(chunkOffset + loaded)
+      );
+      offset = current.offset;
+      attempts = 0;
+    } catch (err) {
+      attempts += 1;
+      if (attempts >= UPLOAD_CHUNK_ATTEMPTS) {
+        throw new Error(`${file.name}: ${err.message}`);
+      }
+      await wait(attempts * 1000);
+      offset = await fetchUploadOffset(url, authorization).catch(() => chunkOffset);
+    }
+    onProgress(offset);
+  }
+};
+
+// Upload files into a package with the resumable upload protocol, reporting overall progress as a percentage.
+// Files are registered by fingerprint first, so after a refresh the same selection continues where it stopped.
+export const uploadPackageFiles = async (packageId, files, authorization, onProgress) => {
+  const headers = { 'Authorization': authorization, 'Content-Type': 'application/json' };
+  const uploadsUrl = `${BACKEND_API_BASE}/api/packages/${packageId}/uploads`;
+
+  const uploads = [];
+  for (let index = 0; index < files.length; index += UPLOAD_REGISTER_BATCH) {
+    const batch = files.slice(index, index + UPLOAD_REGISTER_BATCH);
+    const registered = await packageRequest(headers, `/${packageId}/uploads`, 'POST', {
+      files: batch.map(file => ({ name: file.name, size: file.size, fingerprint: fileFingerprint(file) }))
+    });
+    uploads.push(...registered.uploads);
+  }
+
+  // Files the server rejected, e.g. over the message size limit, are not sent
+  const totalBytes = uploads
+    .filter(upload => upload.status !== 'rejected')
+    .reduce((sum, upload) => sum + upload.size, 0) || 1;
+  const sentBytes = uploads.map(upload => (upload.status === 'rejected' ? 0 : upload.offset));
+  const reportProgress = () => {
+    const sent = sentBytes.reduce((sum, bytes) => sum + bytes, 0);
+    onProgress(Math.min(100, Math.round((sent / totalBytes) * 100)));
+  };
+  reportProgress();
+
+  // A few files at a time, each one sent chunk by chunk
+  let next = 0;
+  const worker = async () => {
+    while (next < files.length) {
+      const index = next;
+      next += 1;
+      await uploadFile(`${uploadsUrl}/${uploads[index].id}`, authorization, files[index], uploads[index], (bytes) => {
+        sentBytes[index] = bytes;
+        reportProgress();
+      });
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(UPLOAD_CONCURRENCY, files.length) }, worker));
+
+  return uploads;
+};
+
+// Describe where the original of a skipped duplicate is
+export const describeDuplicate = (original) => (original.sameUploadSet
+  ? `Duplicate of ${original.path} in this upload`
+  : `Already ingested as ${original.path} in batch ${original.batchId}`);
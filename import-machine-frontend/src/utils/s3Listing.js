@@ -0,0 +1,40 @@
+import { BACKEND_API_BASE } from '../config';
+import { parseJsonResponse } from './packageUpload';
+
+// Fetch one page of a bucket listing. With a delimiter, subfolders come back in `folders`; pass the page's
+// nextContinuationToken to get the page after it.
+export const fetchObjectsPage = async (headers, bucketName, { prefix = '', delimiter = '', continuationToken = null, maxKeys = null } = {}) => {
+  const params = new URLSearchParams();
+  if (prefix) params.set('prefix', prefix);
+  if (delimiter) params.set('delimiter', delimiter);
+  if (continuationToken) params.set('continuationToken', continuationToken);
+  if (maxKeys) params.set('maxKeys', String(maxKeys));
+
+  const response = await fetch(`${BACKEND_API_BASE}/api/s3-buckets/${bucketName}/objects?${params}`, {
+    method: 'GET',
+    headers
+  });
+
+  const { data, error } = await parseJsonResponse(response);
+  if (error) throw new Error(error);
+
+  if (!response.ok || !data?.success) {
+    throw new Error(data?.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return data.data;
+};
+
+// List every subfolder directly under a prefix, following all pages of the listing
+export const fetchAllFolders = async (headers, bucketName, prefix = '') => {
+  const folders = [];
+  let continuationToken = null;
+
+  do {
+    const page = await fetchObjectsPage(headers, bucketName, { prefix, delimiter: '/', continuationToken });
+    folders.push(...page.folders);
+    continuationToken = page.nextContinuationToken;
+  } while (continuationToken);
+
+  return folders;
+};